@@ -0,0 +1,106 @@
+// __tests__/class-expression-renderer.test.js
+
+import { renderClassExpression } from '../docs/app/class-expression-renderer.js';
+import { parseRdfTextToStore, buildElementTableModel, NS } from '../docs/app/core.js';
+
+const PREFIXES = `@prefix : <http://example.org/zoo#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+`;
+
+const ZOO = 'http://example.org/zoo#';
+
+// Render the single rdfs:subClassOf / owl:equivalentClass blank node of :X.
+async function renderFor(body, predicate = NS.rdfs + 'subClassOf') {
+  const store = await parseRdfTextToStore(PREFIXES + body, 'text/turtle');
+  const [q] = store.getQuads(null, predicate, null, null);
+  return renderClassExpression(q.object, {
+    getQuads: subject => store.getQuads(subject, null, null, null),
+    nameFor: iri => iri.replace(ZOO, '').replace(NS.owl, 'owl:').replace('http://www.w3.org/2001/XMLSchema#', 'xsd:')
+  });
+}
+
+describe('renderClassExpression', () => {
+  test('renders value restrictions', async () => {
+    expect(await renderFor(':X rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :eats ; owl:someValuesFrom :Plant ] .'))
+      .toBe('eats some Plant');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :eats ; owl:allValuesFrom :Plant ] .'))
+      .toBe('eats only Plant');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :livesIn ; owl:hasValue :Savanna ] .'))
+      .toBe('livesIn value Savanna');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :grooms ; owl:hasSelf true ] .'))
+      .toBe('grooms Self');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty [ owl:inverseOf :eats ] ; owl:someValuesFrom :Lion ] .'))
+      .toBe('inverse (eats) some Lion');
+  });
+
+  test('renders plain and qualified cardinalities', async () => {
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :hasLeg ; owl:cardinality "4"^^xsd:nonNegativeInteger ] .'))
+      .toBe('hasLeg exactly 4');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :hasLeg ; owl:minQualifiedCardinality 2 ; owl:onClass :Leg ] .'))
+      .toBe('hasLeg min 2 Leg');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :hasAge ; owl:maxQualifiedCardinality 1 ; owl:onDataRange xsd:integer ] .'))
+      .toBe('hasAge max 1 xsd:integer');
+  });
+
+  test('renders boolean combinations and enumerations with parentheses around compound operands', async () => {
+    expect(await renderFor(`:X owl:equivalentClass [ owl:intersectionOf ( :Animal
+        [ owl:onProperty :eats ; owl:someValuesFrom [ owl:unionOf ( :Plant :Fungus ) ] ]
+        [ owl:complementOf :Pet ] ) ] .`, NS.owl + 'equivalentClass'))
+      .toBe('Animal and (eats some (Plant or Fungus)) and (not Pet)');
+    expect(await renderFor(':X owl:equivalentClass [ owl:oneOf ( :Red :Green ) ] .', NS.owl + 'equivalentClass'))
+      .toBe('{Red, Green}');
+  });
+
+  test('renders datatype restrictions and literals', async () => {
+    expect(await renderFor(`:X rdfs:subClassOf [ owl:onProperty :hasAge ; owl:someValuesFrom
+        [ a rdfs:Datatype ; owl:onDatatype xsd:integer ; owl:withRestrictions ( [ xsd:minInclusive 18 ] ) ] ] .`))
+      .toBe('hasAge some xsd:integer[>= 18]');
+    expect(await renderFor(':X rdfs:subClassOf [ owl:onProperty :name ; owl:hasValue "Leo"@en ] .'))
+      .toBe('name value "Leo"@en');
+  });
+
+  test('stops on cyclic blank-node structures and unknown shapes', async () => {
+    expect(await renderFor(':X rdfs:subClassOf [ :note "just a blank node" ] .')).toBe('[anonymous]');
+    const store = await parseRdfTextToStore(`${PREFIXES}
+:X rdfs:subClassOf _:a .
+_:a owl:onProperty :p ; owl:someValuesFrom _:a .`, 'text/turtle');
+    const [q] = store.getQuads(null, NS.rdfs + 'subClassOf', null, null);
+    const text = renderClassExpression(q.object, {
+      getQuads: subject => store.getQuads(subject, null, null, null),
+      nameFor: iri => iri.replace(ZOO, '')
+    });
+    expect(text).toBe('p some …');
+  });
+});
+
+describe('class expressions in the element table', () => {
+  test('fills subClassOf and "equivalent to" with label-based Manchester Syntax', async () => {
+    const store = await parseRdfTextToStore(`${PREFIXES}
+:Herbivore a owl:Class ; rdfs:label "herbivore"@en ;
+  rdfs:subClassOf :Animal ,
+    [ a owl:Restriction ; owl:onProperty :eats ; owl:allValuesFrom :Plant ] ;
+  owl:equivalentClass [ owl:intersectionOf ( :Animal [ owl:onProperty :eats ; owl:someValuesFrom :Plant ] ) ] .
+:Animal a owl:Class ; rdfs:label "animal"@en .
+:eats a owl:ObjectProperty ; rdfs:label "eats"@en .
+`, 'text/turtle');
+
+    const plantStore = await parseRdfTextToStore(`${PREFIXES}
+:Plant a owl:Class ; rdfs:label "green plant"@en .`, 'text/turtle');
+
+    const model = buildElementTableModel(store, undefined, {
+      prefixes: { zoo: ZOO },
+      stores: [store, plantStore]
+    });
+    const row = model.rows.find(r => r.iri === ZOO + 'Herbivore');
+    expect(row.subClassOf).toBe(`${ZOO}Animal; eats only 'green plant'`);
+    expect(row.equivalentTo).toBe("animal and (eats some 'green plant')");
+    expect(model.headers).toContain('equivalent to');
+    expect(model.iriColumns.equivalentTo).toBe('; ');
+
+    // without the other file, the unlabelled class falls back to its CURIE
+    const alone = buildElementTableModel(store, undefined, { prefixes: { zoo: ZOO } });
+    expect(alone.rows.find(r => r.iri === ZOO + 'Herbivore').subClassOf).toBe(`${ZOO}Animal; eats only zoo:Plant`);
+  });
+});
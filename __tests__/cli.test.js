@@ -0,0 +1,164 @@
+// __tests__/cli.test.js
+
+import { mkdtemp, mkdir, writeFile, readFile, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { parseCliArgs, expandFileArgs, runCli } from '../bin/tabulate-rdf.js';
+
+const ONTOLOGY_TTL = `@prefix : <http://example.org/e#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+<http://example.org/e> a owl:Ontology ; rdfs:label "Example Ontology" .
+:Dog a owl:Class ; rdfs:label "dog" .
+:Cat a owl:Class ; rdfs:label "cat" .
+:Ant a owl:Class ; rdfs:label "ant" .
+`;
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), 'tabulate-rdf-'));
+  await mkdir(path.join(dir, 'onto', 'more'), { recursive: true });
+  await writeFile(path.join(dir, 'onto', 'animals.ttl'), ONTOLOGY_TTL);
+  await writeFile(path.join(dir, 'onto', 'more', 'plants.ttl'), ONTOLOGY_TTL.replace(/Example/g, 'Plant'));
+  await writeFile(path.join(dir, 'onto', 'notes.txt'), 'not RDF');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// runCli with captured output
+async function run(argv) {
+  const out = [];
+  const err = [];
+  const status = await runCli(argv, {
+    stdout: { write: text => out.push(text) },
+    stderr: { write: text => err.push(text) },
+    cwd: dir
+  });
+  return { status, stdout: out.join(''), stderr: err.join('') };
+}
+
+describe('parseCliArgs', () => {
+  test('reads flags with their defaults', () => {
+    expect(parseCliArgs(['a.ttl', '--sort', 'label', '--sort-direction', 'DESC', '-f', 'md'])).toMatchObject({
+      patterns: ['a.ttl'],
+      format: 'md',
+      outDir: '.',
+      filter: '',
+      sort: 'label',
+      sortDirection: 'desc',
+      metadata: false,
+      languages: ['en', '']
+    });
+    expect(parseCliArgs(['a.ttl', '--languages', 'de, none']).languages).toEqual(['de', '']);
+  });
+
+  test('rejects unknown formats, flags and missing files', () => {
+    expect(() => parseCliArgs(['a.ttl', '--format', 'xml'])).toThrow(/Unknown format "xml"/);
+    expect(() => parseCliArgs(['a.ttl', '--nope'])).toThrow(/nope/);
+    expect(() => parseCliArgs([])).toThrow(/No input files/);
+    expect(() => parseCliArgs(['a.ttl', '--filter', '(label:x'])).toThrow('Invalid --filter: Missing ")" at character 9');
+    expect(parseCliArgs(['--help']).help).toBe(true);
+  });
+});
+
+describe('expandFileArgs', () => {
+  test('expands *, ** and {a,b} globs and keeps plain paths', async () => {
+    expect(await expandFileArgs(['onto/*.ttl'], dir)).toEqual(['onto/animals.ttl']);
+    expect(await expandFileArgs(['onto/**/*.ttl'], dir)).toEqual(['onto/animals.ttl', 'onto/more/plants.ttl']);
+    expect(await expandFileArgs(['onto/*.{ttl,txt}', 'missing.ttl', 'onto/animals.ttl'], dir))
+      .toEqual(['onto/animals.ttl', 'onto/notes.txt', 'missing.ttl']);
+    expect(await expandFileArgs(['nowhere/*.ttl'], dir)).toEqual([]);
+  });
+});
+
+describe('runCli', () => {
+  test('writes a sorted table per file and the metadata JSON', async () => {
+    const { status, stdout } = await run([
+      'onto/**/*.ttl', '-o', 'out', '--sort', 'Label', '--sort-direction', 'desc', '--metadata'
+    ]);
+
+    expect(status).toBe(0);
+    expect(stdout.trim().split('\n')).toEqual([
+      path.join('out', 'animals.csv'),
+      path.join('out', 'animals.metadata.json'),
+      path.join('out', 'plants.csv'),
+      path.join('out', 'plants.metadata.json')
+    ]);
+    const csv = await readFile(path.join(dir, 'out', 'animals.csv'), 'utf8');
+    expect(csv.split('\n').map(line => line.split(',')[1])).toEqual(['label', '"dog"', '"cat"', '"ant"']);
+
+    const metadata = JSON.parse(await readFile(path.join(dir, 'out', 'plants.metadata.json'), 'utf8'));
+    expect(metadata).toMatchObject({
+      fileName: 'plants.ttl',
+      format: 'text/turtle',
+      rowCount: 3,
+      ontologyIri: 'http://example.org/e',
+      ontologyName: 'Plant Ontology'
+    });
+  });
+
+  test('writes TSV, JSON and Markdown, filtered like the page', async () => {
+    await run(['onto/animals.ttl', '-f', 'tsv', '-o', 'out']);
+    await run(['onto/animals.ttl', '-f', 'json', '-o', 'out', '--filter', 'label:NT OR :Cat -type:owl:ObjectProperty']);
+    await run(['onto/animals.ttl', '-f', 'md', '-o', 'out', '--sort', 'label']);
+
+    expect((await readdir(path.join(dir, 'out'))).sort()).toEqual(['animals.json', 'animals.md', 'animals.tsv']);
+    expect(await readFile(path.join(dir, 'out', 'animals.tsv'), 'utf8')).toMatch(/^iri\tlabel\ttype\n/);
+    expect(JSON.parse(await readFile(path.join(dir, 'out', 'animals.json'), 'utf8')).rows.map(r => r.label))
+      .toEqual(['cat', 'ant']);
+    const md = await readFile(path.join(dir, 'out', 'animals.md'), 'utf8');
+    expect(md).toMatch(/^## Example Ontology\n\n\| iri \| label \| type \|/);
+    expect(md.indexOf('| ant |')).toBeLessThan(md.indexOf('| dog |'));
+  });
+
+  test('reports parse errors with their position, writes the other files and exits with 1', async () => {
+    await writeFile(path.join(dir, 'onto', 'broken.ttl'), '@prefix : <http://example.org/e#> .\n:x :y "open .\n');
+
+    const { status, stderr } = await run(['onto/*.ttl', 'onto/missing.ttl', '-o', 'out']);
+
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/onto\/broken\.ttl:2(:\d+)?: /);
+    expect(stderr).toContain('onto/missing.ttl: no such file');
+    expect(stderr).toContain('2 of 3 files failed');
+    expect(await readdir(path.join(dir, 'out'))).toEqual(['animals.csv']);
+  });
+
+  test('writes nothing but the output paths to stdout, and no core logs without --verbose', async () => {
+    const logged = [];
+    const { log, info, error } = console;
+    console.log = console.info = console.error = (...args) => logged.push(args);
+    let results;
+    try {
+      results = [
+        await run(['onto/animals.ttl', '-o', 'out', '--filter', 'label:dog', '--languages', 'en']),
+        await run(['onto/animals.ttl', '--filter', '(label:x'])
+      ];
+    } finally {
+      Object.assign(console, { log, info, error });
+    }
+
+    expect(results[0].stdout).toBe(`${path.join('out', 'animals.csv')}\n`);
+    expect(results[1].status).toBe(2);
+    expect(results[1].stderr).toContain('Invalid --filter');
+    expect(logged).toEqual([]);
+  });
+
+  test('exits with 2 on usage errors and when nothing matches', async () => {
+    expect((await run(['onto/animals.ttl', '-f', 'xml'])).status).toBe(2);
+    const { status, stderr } = await run(['nowhere/*.ttl']);
+    expect(status).toBe(2);
+    expect(stderr).toContain('No files match nowhere/*.ttl');
+  });
+
+  test('warns about an unknown sort column and keeps file order', async () => {
+    const { status, stderr } = await run(['onto/animals.ttl', '-o', 'out', '--sort', 'nope']);
+    expect(status).toBe(0);
+    expect(stderr).toContain('no "nope" column to sort by');
+    const csv = await readFile(path.join(dir, 'out', 'animals.csv'), 'utf8');
+    expect(csv.split('\n').map(line => line.split(',')[1])).toEqual(['label', '"dog"', '"cat"', '"ant"']);
+  });
+});
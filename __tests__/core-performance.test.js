@@ -0,0 +1,89 @@
+// __tests__/core-performance.test.js
+// Guards against the element table falling back to whole-graph scans per lookup (quadratic build times).
+
+import {
+  buildElementTableModel,
+  getQuadsForSubject,
+  NS
+} from '../docs/app/core.js';
+
+import { Store, DataFactory } from 'n3';
+
+const { namedNode, literal, quad } = DataFactory;
+
+/**
+ * Synthetic OWL ontology: classCount classes with a label, definition, synonym and parent each.
+ * @param {number} classCount
+ */
+function buildSyntheticOntology(classCount) {
+  const store = new Store();
+  const ex = 'http://example.org/synthetic#';
+  store.addQuad(quad(namedNode('http://example.org/synthetic'), namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Ontology')));
+
+  for (let i = 0; i < classCount; i++) {
+    const cls = namedNode(`${ex}C${i}`);
+    store.addQuad(quad(cls, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+    store.addQuad(quad(cls, namedNode(NS.rdfs + 'label'), literal(`class ${i}`, 'en')));
+    store.addQuad(quad(cls, namedNode(NS.skos + 'definition'), literal(`Definition of class ${i}.`)));
+    store.addQuad(quad(cls, namedNode(NS.skos + 'altLabel'), literal(`synonym ${i}`)));
+    store.addQuad(quad(cls, namedNode(NS.rdfs + 'subClassOf'), namedNode(`${ex}C${i >> 1}`)));
+  }
+  return store;
+}
+
+// Build the table, counting the store lookups it makes and the quads they return.
+function countedBuild(store) {
+  const counts = { lookups: 0, wholeGraphLookups: 0, quadsRead: 0 };
+  const getQuads = store.getQuads.bind(store);
+  store.getQuads = (subject, predicate, object, graph) => {
+    const quads = getQuads(subject, predicate, object, graph);
+    counts.lookups++;
+    if (subject == null && predicate == null && object == null) counts.wholeGraphLookups++;
+    counts.quadsRead += quads.length;
+    return quads;
+  };
+  const start = performance.now();
+  const model = buildElementTableModel(store);
+  return { model, counts, ms: performance.now() - start };
+}
+
+describe('buildElementTableModel performance', () => {
+  // Per-call logging would dominate the timings and flood the test output.
+  const originalInfo = console.info;
+  beforeAll(() => {
+    console.info = () => {};
+  });
+  afterAll(() => {
+    console.info = originalInfo;
+  });
+
+  test('getQuadsForSubject returns only the subject\'s quads, in store order', () => {
+    const store = buildSyntheticOntology(10);
+    const iri = 'http://example.org/synthetic#C3';
+    const expected = store.getQuads(null, null, null, null).filter(q => q.subject.value === iri);
+    expect(getQuadsForSubject(store, iri)).toEqual(expected);
+  });
+
+  test('builds a 20,000-class table with lookups that grow linearly with the ontology', () => {
+    const small = countedBuild(buildSyntheticOntology(5000));
+    const large = countedBuild(buildSyntheticOntology(20000));
+
+    expect(large.model.rows).toHaveLength(20000);
+    expect(large.model.rows[7]).toEqual({
+      iri: 'http://example.org/synthetic#C7',
+      label: 'class 7',
+      type: NS.owl + 'Class',
+      definition: 'Definition of class 7.',
+      alternativeLabel: 'synonym 7',
+      subClassOf: 'http://example.org/synthetic#C3'
+    });
+
+    // Whole-graph scans happen a fixed number of times, never per row.
+    expect(large.counts.wholeGraphLookups).toBe(small.counts.wholeGraphLookups);
+    // 4x the data reads about 4x the quads, nowhere near 16x (quadratic).
+    expect(large.counts.lookups / small.counts.lookups).toBeLessThan(5);
+    expect(large.counts.quadsRead / small.counts.quadsRead).toBeLessThan(5);
+    // Loose sanity bound only: whole-graph scans per lookup took minutes at this size.
+    expect(large.ms).toBeLessThan(60000);
+  });
+});
@@ -4,12 +4,51 @@
 // For docs/app/core.js:
 import {
   detectRdfFormatFromFilename,
+  detectRdfFormat,
+  sniffRdfFormatCandidates,
+  parseRdfChunksToStore,
   toPascalCase,
   pickBestLiteral,
+  parseLanguagePreference,
+  extractOntologyMetadata,
   buildElementTableModel,
+  buildAllPredicatesTableModel,
+  validateColumnProfile,
+  DEFAULT_COLUMN_PROFILE,
   filterAndSortRows,
+  getVisibleRowRange,
+  describeRowRange,
+  workspaceKey,
+  planWorkspaceEviction,
+  formatByteSize,
+  parseFilterQuery,
+  COMMON_PREFIX_MAP,
+  mergePrefixMaps,
+  iriToCurie,
+  parsePrefixRegistry,
+  serializePrefixRegistry,
+  resolveIriReferences,
+  formatTableCell,
+  buildHierarchyModel,
+  getSubtreeIris,
+  hierarchyToOutline,
+  diffOntologyVersions,
+  ontologyDiffToCsv,
+  ontologyDiffToMarkdown,
+  lintOntology,
+  lintFindingsToCsv,
+  describeParseError,
+  getTabulationWarnings,
+  getNamedGraphs,
+  splitStoreByGraph,
+  parseCsv,
+  planCsvImport,
+  applyCsvImport,
+  writeTurtle,
+  parseRdfTextToStore,
   NS
 } from '../docs/app/core.js';
+import { tableModelToCsv } from '../docs/app/table-export.js';
 
 import { Store, DataFactory } from 'n3';
 
@@ -24,11 +63,76 @@ describe('detectRdfFormatFromFilename', () => {
     expect(detectRdfFormatFromFilename('data.nt')).toBe('application/n-triples');
   });
 
+  test('detects owl and rdf as application/rdf+xml', () => {
+    expect(detectRdfFormatFromFilename('bfo.owl')).toBe('application/rdf+xml');
+    expect(detectRdfFormatFromFilename('vocab.RDF')).toBe('application/rdf+xml');
+  });
+
   test('falls back to turtle for unknown extension', () => {
     expect(detectRdfFormatFromFilename('weird.ext')).toBe('text/turtle');
   });
 });
 
+describe('sniffRdfFormatCandidates', () => {
+  test('recognizes RDF/XML and OWL/XML by their root element', () => {
+    expect(sniffRdfFormatCandidates('<?xml version="1.0"?>\n<rdf:RDF xmlns:rdf="x">'))
+      .toEqual(['application/rdf+xml']);
+    expect(sniffRdfFormatCandidates(
+      '<?xml version="1.0"?>\n<Ontology xmlns="http://www.w3.org/2002/07/owl#" ontologyIRI="http://x">'
+    )).toEqual(['application/owl+xml']);
+  });
+
+  test('recognizes JSON-LD', () => {
+    expect(sniffRdfFormatCandidates('{\n  "@context": {}\n}')).toEqual(['application/ld+json']);
+    expect(sniffRdfFormatCandidates('[ { "@id": "http://x" } ]')).toEqual(['application/ld+json']);
+  });
+
+  test('tells N-Triples from N-Quads', () => {
+    const nt = '<http://a> <http://b> "x"@en .\n<http://a> <http://b> _:c .\n';
+    const nq = '<http://a> <http://b> <http://c> <http://g> .\n';
+    expect(sniffRdfFormatCandidates(nt)[0]).toBe('application/n-triples');
+    expect(sniffRdfFormatCandidates(nq)).toEqual(['application/n-quads']);
+  });
+
+  test('tells Turtle, TriG and N3 apart', () => {
+    expect(sniffRdfFormatCandidates('@prefix : <http://x/> .\n:a :b :c .')[0]).toBe('text/turtle');
+    expect(sniffRdfFormatCandidates('@prefix : <http://x/> .\n:g { :a :b :c . }')).toEqual(['application/trig']);
+    expect(sniffRdfFormatCandidates('{ ?x a :B } => { ?x a :C } .')).toEqual(['text/n3']);
+  });
+
+  test('ignores N3 and TriG markers inside string literals', () => {
+    const prefix = '@prefix : <http://x/> .\n';
+    expect(detectRdfFormat(`${prefix}:a :b "x => y" .`, 'x.ttl')).toBe('text/turtle');
+    expect(detectRdfFormat(`${prefix}:a :b 'uses @forAll' .`, 'x.ttl')).toBe('text/turtle');
+    expect(detectRdfFormat(`${prefix}:a :b """first line\n{ braced line }\n""" .`, 'x.ttl')).toBe('text/turtle');
+    expect(sniffRdfFormatCandidates(`${prefix}:a :b """x => y""" .\n:g { :a :b "{" . }`)).toEqual(['application/trig']);
+  });
+
+  test('returns no candidates for empty text', () => {
+    expect(sniffRdfFormatCandidates('  \n')).toEqual([]);
+  });
+});
+
+describe('detectRdfFormat', () => {
+  test('content wins over a misleading extension', () => {
+    expect(detectRdfFormat('@prefix owl: <http://www.w3.org/2002/07/owl#> .', 'ontology.owl'))
+      .toBe('text/turtle');
+    expect(detectRdfFormat('<?xml version="1.0"?><rdf:RDF/>', 'export.txt'))
+      .toBe('application/rdf+xml');
+  });
+
+  test('extension breaks ties between compatible formats', () => {
+    const nt = '<http://a> <http://b> <http://c> .\n';
+    expect(detectRdfFormat(nt, 'data.nt')).toBe('application/n-triples');
+    expect(detectRdfFormat(nt, 'data.ttl')).toBe('text/turtle');
+    expect(detectRdfFormat(nt, 'noextension')).toBe('application/n-triples');
+  });
+
+  test('falls back to the extension when content is inconclusive', () => {
+    expect(detectRdfFormat('', 'empty.nq')).toBe('application/n-quads');
+  });
+});
+
 describe('toPascalCase', () => {
   test('converts simple phrase', () => {
     expect(toPascalCase('example ontology name')).toBe('ExampleOntologyName');
@@ -64,6 +168,78 @@ describe('pickBestLiteral', () => {
     const result = pickBestLiteral([fr, es]);
     expect(result.value).toBe('Français');
   });
+
+  test('follows a custom language priority list', () => {
+    const en = literal('English', 'en');
+    const fr = literal('Français', 'FR');
+    const plain = literal('Plain');
+    expect(pickBestLiteral([en, fr, plain], ['fr', 'en']).value).toBe('Français');
+    expect(pickBestLiteral([en, fr, plain], ['de', '', 'en']).value).toBe('Plain');
+    expect(pickBestLiteral([en, fr], ['de']).value).toBe('English');
+  });
+});
+
+describe('parseLanguagePreference', () => {
+  test('parses a comma/space separated list, with "none" for untagged', () => {
+    expect(parseLanguagePreference('FR, en none  de;fr')).toEqual(['fr', 'en', '', 'de']);
+    expect(parseLanguagePreference('')).toEqual([]);
+  });
+});
+
+describe('language preference flow', () => {
+  const ex = 'http://example.org/';
+  const store = new Store();
+  const ont = namedNode(ex + 'ont');
+  const cls = namedNode(ex + 'A');
+  store.addQuad(quad(ont, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Ontology')));
+  store.addQuad(quad(ont, namedNode(NS.rdfs + 'label'), literal('Ontologie', 'fr')));
+  store.addQuad(quad(ont, namedNode(NS.rdfs + 'label'), literal('Ontology', 'en')));
+  store.addQuad(quad(cls, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+  store.addQuad(quad(cls, namedNode(NS.rdfs + 'label'), literal('cat', 'en')));
+  store.addQuad(quad(cls, namedNode(NS.rdfs + 'label'), literal('chat', 'fr')));
+  store.addQuad(quad(cls, namedNode(NS.dcterms + 'title'), literal('Katze', 'de')));
+  store.addQuad(quad(cls, namedNode(NS.dcterms + 'title'), literal('chat (titre)', 'fr')));
+  store.addQuad(quad(cls, namedNode(NS.skos + 'definition'), literal('A small feline.', 'en')));
+  const cls2 = namedNode(ex + 'B');
+  store.addQuad(quad(cls2, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+  store.addQuad(quad(cls2, namedNode(NS.rdfs + 'label'), literal('dog', 'en')));
+  store.addQuad(quad(cls2, namedNode(NS.rdfs + 'label'), literal('untagged dog')));
+
+  test('reaches extractOntologyMetadata and buildElementTableModel', () => {
+    expect(extractOntologyMetadata(store).ontologyName).toBe('Ontology');
+    expect(extractOntologyMetadata(store, { languages: ['fr'] }).ontologyName).toBe('Ontologie');
+
+    const model = buildElementTableModel(store, DEFAULT_COLUMN_PROFILE, { languages: ['fr', 'en'] });
+    expect(model.rows.find(r => r.iri === ex + 'A').label).toBe('chat');
+  });
+
+  test('expands perLanguage columns into one column per language found', () => {
+    const profile = validateColumnProfile({
+      name: 'Translations',
+      columns: [
+        { header: 'label', predicates: [NS.rdfs + 'label', NS.dcterms + 'title'], kind: 'bestLiteral', perLanguage: true },
+        { header: 'definition', predicates: [NS.skos + 'definition'], kind: 'literals', perLanguage: true }
+      ]
+    });
+
+    const model = buildElementTableModel(store, profile, { languages: ['fr', 'en'] });
+    expect(model.headers).toEqual(['iri', 'label@fr', 'label@en', 'label@de', 'label (no language)', 'definition@en']);
+    expect(model.keys).toEqual(['iri', 'label@fr', 'label@en', 'label@de', 'label@', 'definition@en']);
+
+    const a = model.rows.find(r => r.iri === ex + 'A');
+    const b = model.rows.find(r => r.iri === ex + 'B');
+    // first predicate with a value in that language wins
+    expect(a['label@fr']).toBe('chat');
+    expect(a['label@de']).toBe('Katze');
+    // missing translations stay empty
+    expect(b['label@fr']).toBe('');
+    expect(b['label@']).toBe('untagged dog');
+
+    expect(() => validateColumnProfile({
+      name: 'x',
+      columns: [{ header: 'type', predicates: [NS.rdf + 'type'], kind: 'iris', perLanguage: true }]
+    })).toThrow(/per language/);
+  });
 });
 
 describe('buildElementTableModel (fixed columns)', () => {
@@ -155,6 +331,698 @@ describe('buildElementTableModel (fixed columns)', () => {
   });
 });
 
+describe('buildElementTableModel (column profiles)', () => {
+  const ex = 'http://example.org/';
+  const store = new Store();
+  const cls = namedNode(ex + 'ClassA');
+  store.addQuad(quad(cls, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+  store.addQuad(quad(cls, namedNode(NS.rdfs + 'label'), literal('Class A', 'en')));
+  store.addQuad(quad(cls, namedNode(ex + 'inHouseNote'), literal('note 1')));
+  store.addQuad(quad(cls, namedNode(ex + 'inHouseNote'), literal('note 2')));
+  store.addQuad(quad(cls, namedNode(ex + 'steward'), namedNode(ex + 'alice')));
+
+  test('default profile reproduces the original column order', () => {
+    expect(DEFAULT_COLUMN_PROFILE.name).toBe('CCO/OBO');
+    expect(DEFAULT_COLUMN_PROFILE.columns.map(c => c.key)).toEqual([
+      'label', 'type', 'definition', 'preferredLabel', 'alternativeLabel',
+      'acronym', 'subClassOf', 'equivalentTo', 'subPropertyOf', 'definitionSource', 'isCuratedIn'
+    ]);
+    expect(buildElementTableModel(store)).toEqual(buildElementTableModel(store, DEFAULT_COLUMN_PROFILE));
+  });
+
+  test('custom profile columns pick up in-house predicates with their own kind and separator', () => {
+    const profile = validateColumnProfile({
+      name: 'In-house',
+      columns: [
+        { header: 'Curator note', predicates: [ex + 'inHouseNote'], kind: 'literals', separator: ' | ' },
+        { header: 'steward', key: 'steward', predicates: [ex + 'steward'], kind: 'bestIri' },
+        { header: 'unused', predicates: [ex + 'nothing'], kind: 'any' }
+      ]
+    });
+
+    const model = buildElementTableModel(store, profile);
+    expect(model.headers).toEqual(['iri', 'Curator note', 'steward']);
+    expect(model.keys).toEqual(['iri', 'curatorNote', 'steward']);
+    expect(model.rows).toEqual([
+      { iri: ex + 'ClassA', curatorNote: 'note 1 | note 2', steward: ex + 'alice' }
+    ]);
+  });
+
+  test('validateColumnProfile rejects malformed profiles', () => {
+    expect(() => validateColumnProfile({ columns: [] })).toThrow(/needs a name/);
+    expect(() => validateColumnProfile({ name: 'x', columns: [{ header: 'a', predicates: [] }] }))
+      .toThrow(/needs at least one predicate/);
+    expect(() => validateColumnProfile({ name: 'x', columns: [{ header: 'a', predicates: ['not an iri'] }] }))
+      .toThrow(/invalid predicate IRI/);
+    expect(() => validateColumnProfile({ name: 'x', columns: [{ header: 'a', predicates: [ex + 'p'], kind: 'first' }] }))
+      .toThrow(/unknown value kind/);
+    expect(() => validateColumnProfile({ name: 'x', columns: [{ header: 'iri', predicates: [ex + 'p'] }] }))
+      .toThrow(/reuses the key "iri"/);
+  });
+});
+
+describe('buildAllPredicatesTableModel', () => {
+  test('makes one CURIE-headed column per predicate, ordered by usage, pruning empty columns', () => {
+    const ex = 'http://example.org/';
+    const store = new Store();
+    const a = namedNode(ex + 'A');
+    const b = namedNode(ex + 'B');
+    const owlClass = namedNode(NS.owl + 'Class');
+
+    store.addQuad(quad(a, namedNode(NS.rdf + 'type'), owlClass));
+    store.addQuad(quad(a, namedNode(NS.rdfs + 'label'), literal('A')));
+    store.addQuad(quad(a, namedNode(NS.obo + 'IAO_0000115'), literal('def of A')));
+    store.addQuad(quad(a, namedNode(ex + 'note'), literal('n1')));
+    store.addQuad(quad(a, namedNode(ex + 'note'), literal('n2')));
+    store.addQuad(quad(b, namedNode(NS.rdf + 'type'), owlClass));
+    store.addQuad(quad(b, namedNode(NS.rdfs + 'label'), literal('B')));
+    store.addQuad(quad(b, namedNode(ex + 'note'), literal('n3')));
+    // only a blank node value: column is pruned
+    store.addQuad(quad(b, namedNode(NS.rdfs + 'subClassOf'), DataFactory.blankNode()));
+    // not an element: its predicates do not appear
+    store.addQuad(quad(namedNode(ex + 'x'), namedNode(ex + 'other'), literal('ignored')));
+
+    const model = buildAllPredicatesTableModel(store);
+
+    // ties (used by both elements) fall back to header order
+    expect(model.headers).toEqual(['iri', ex + 'note', 'rdf:type', 'rdfs:label', 'obo:IAO_0000115']);
+    expect(model.keys).toEqual(['iri', ex + 'note', NS.rdf + 'type', NS.rdfs + 'label', NS.obo + 'IAO_0000115']);
+    expect(model.rows[0][ex + 'note']).toBe('n1; n2');
+    expect(model.rows[1][NS.obo + 'IAO_0000115']).toBe('');
+    // rdf:type only ever holds IRIs; label/note/definition hold literals
+    expect(model.iriColumns).toEqual({ iri: '', [NS.rdf + 'type']: '; ' });
+
+    const withPrefixes = buildAllPredicatesTableModel(store, {
+      prefixes: mergePrefixMaps(COMMON_PREFIX_MAP, { ex })
+    });
+    expect(withPrefixes.headers[1]).toBe('ex:note');
+  });
+});
+
+describe('named graphs', () => {
+  const trig = `@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+<http://example.org/g/shared> a owl:Class ; rdfs:label "shared" .
+<http://example.org/g/a> {
+  <http://example.org/a> a owl:Ontology ; rdfs:label "Ontology A" .
+  <http://example.org/a#X> a owl:Class ; rdfs:label "x" .
+  <http://example.org/g/shared> rdfs:comment "described in A" .
+}
+<http://example.org/g/b> {
+  <http://example.org/b#Y> a owl:Class ; rdfs:label "y" .
+  <http://example.org/g/shared> rdfs:comment "described in B" .
+}
+`;
+  const G = 'http://example.org/g/';
+
+  test('adds a graph column and lists the named graphs', async () => {
+    const store = await parseRdfTextToStore(trig, 'application/trig');
+    expect(getNamedGraphs(store)).toEqual([G + 'a', G + 'b']);
+
+    const model = buildElementTableModel(store);
+    expect(model.keys.slice(0, 2)).toEqual(['iri', 'graph']);
+    expect(model.graphs).toEqual([G + 'a', G + 'b']);
+    expect(model.iriColumns.graph).toBe('; ');
+    const graphOf = iri => model.rows.find(r => r.iri === iri).graph;
+    expect(graphOf('http://example.org/a#X')).toBe(G + 'a');
+    expect(graphOf(G + 'shared')).toBe(`${G}a; ${G}b`);
+
+    const allPredicates = buildAllPredicatesTableModel(store);
+    expect(allPredicates.keys[1]).toBe('graph');
+    expect(allPredicates.graphs).toEqual([G + 'a', G + 'b']);
+  });
+
+  test('leaves stores without named graphs alone', async () => {
+    const store = await parseRdfTextToStore(trig.split('<http://example.org/g/a> {')[0], 'text/turtle');
+    expect(getNamedGraphs(store)).toEqual([]);
+    const model = buildElementTableModel(store);
+    expect(model.keys).not.toContain('graph');
+    expect(model).not.toHaveProperty('graphs');
+  });
+
+  test('splits a store into one default-graph store per graph', async () => {
+    const parts = splitStoreByGraph(await parseRdfTextToStore(trig, 'application/trig'));
+    expect(parts.map(p => p.graph)).toEqual([null, G + 'a', G + 'b']);
+    expect(parts.map(p => p.store.size)).toEqual([2, 5, 3]);
+
+    const partA = parts[1].store;
+    expect(getNamedGraphs(partA)).toEqual([]);
+    expect(extractOntologyMetadata(partA).ontologyIri).toBe('http://example.org/a');
+    // "shared" is only typed in the default graph, so graph A alone does not make it an element
+    expect(buildElementTableModel(partA).rows.map(r => r.iri)).toEqual(['http://example.org/a#X']);
+  });
+});
+
+describe('prefix management', () => {
+  const ex = 'http://example.org/';
+
+  test('iriToCurie uses the longest matching namespace and leaves unmatched IRIs alone', () => {
+    const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, { bfo: NS.obo + 'BFO_' });
+    expect(iriToCurie(NS.obo + 'BFO_0000040', prefixes)).toBe('bfo:0000040');
+    expect(iriToCurie(NS.obo + 'IAO_0000115', prefixes)).toBe('obo:IAO_0000115');
+    expect(iriToCurie(NS.cco2 + 'ont00001180')).toBe('cco2:ont00001180');
+    expect(iriToCurie(NS.obo)).toBe(NS.obo);
+    expect(iriToCurie(ex + 'A')).toBe(ex + 'A');
+  });
+
+  test('mergePrefixMaps lets later maps rebind a prefix', () => {
+    expect(mergePrefixMaps({ ex, a: 'http://a/' }, null, { ex: 'http://other/' }))
+      .toEqual({ ex: 'http://other/', a: 'http://a/' });
+  });
+
+  test('parsePrefixRegistry reads JSON objects, JSON arrays and Turtle/SPARQL declarations', () => {
+    expect(parsePrefixRegistry(JSON.stringify({ ex, '': 'http://default/' })))
+      .toEqual({ ex, '': 'http://default/' });
+    expect(parsePrefixRegistry(JSON.stringify([{ prefix: 'ex', namespace: ex }]))).toEqual({ ex });
+    expect(parsePrefixRegistry(`# mine
+@prefix ex: <${ex}> .
+PREFIX bfo: <${NS.obo}BFO_>
+`)).toEqual({ ex, bfo: NS.obo + 'BFO_' });
+
+    expect(() => parsePrefixRegistry('@prefix ex <x> .')).toThrow(/Line 1/);
+    expect(() => parsePrefixRegistry(JSON.stringify({ '1x': ex }))).toThrow(/Invalid prefix name/);
+    expect(() => parsePrefixRegistry(JSON.stringify({ ex: 'relative/' }))).toThrow(/absolute namespace IRI/);
+  });
+
+  test('serializePrefixRegistry writes Turtle that parses back to the same registry', () => {
+    const registry = { skos: NS.skos, ex };
+    const text = serializePrefixRegistry(registry);
+    expect(text).toBe(`@prefix ex: <${ex}> .\n@prefix skos: <${NS.skos}> .\n`);
+    expect(parsePrefixRegistry(text)).toEqual(registry);
+  });
+
+  test('formatTableCell shortens only IRI-valued columns, value by value', () => {
+    const store = new Store();
+    const cls = namedNode(ex + 'Dog');
+    store.addQuad(quad(cls, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+    store.addQuad(quad(cls, namedNode(NS.rdfs + 'label'), literal(ex + 'not an IRI cell')));
+    store.addQuad(quad(cls, namedNode(NS.rdfs + 'subClassOf'), namedNode(NS.obo + 'BFO_0000040')));
+    store.addQuad(quad(cls, namedNode(NS.rdfs + 'subClassOf'), namedNode(ex + 'Animal')));
+
+    const model = buildElementTableModel(store);
+    expect(model.iriColumns).toEqual({ iri: '', type: '; ', subClassOf: '; ' });
+
+    const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, { ex });
+    const row = model.rows[0];
+    const shown = key => formatTableCell(model, key, row[key], { mode: 'iri', prefixes });
+    expect(shown('iri')).toBe('ex:Dog');
+    expect(shown('type')).toBe('owl:Class');
+    expect(shown('label')).toBe(ex + 'not an IRI cell');
+    expect(shown('subClassOf')).toBe('obo:BFO_0000040; ex:Animal');
+    expect(formatTableCell(model, 'subClassOf', row.subClassOf)).toBe(row.subClassOf);
+  });
+});
+
+describe('IRI labels', () => {
+  const ex = 'http://example.org/';
+  const bfo = NS.obo + 'BFO_0000040';
+
+  // The upper ontology lives in another file than the classes that reference it.
+  const upper = new Store();
+  upper.addQuad(quad(namedNode(bfo), namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+  upper.addQuad(quad(namedNode(bfo), namedNode(NS.rdfs + 'label'), literal('material entity', 'en')));
+  upper.addQuad(quad(namedNode(bfo), namedNode(NS.rdfs + 'label'), literal('entité matérielle', 'fr')));
+
+  const domain = new Store();
+  const dog = namedNode(ex + 'Dog');
+  domain.addQuad(quad(dog, namedNode(NS.rdf + 'type'), namedNode(NS.owl + 'Class')));
+  domain.addQuad(quad(dog, namedNode(NS.rdfs + 'subClassOf'), namedNode(bfo)));
+  domain.addQuad(quad(dog, namedNode(NS.rdfs + 'subClassOf'), namedNode(ex + 'Unlabelled')));
+  domain.addQuad(quad(dog, namedNode(NS.rdfs + 'label'), literal('dog')));
+
+  test('resolveIriReferences finds labels and rows across all stores, per language preference', () => {
+    const model = buildElementTableModel(domain);
+    // owl:Class and ex:Unlabelled have neither a label nor a row
+    expect(resolveIriReferences(model, [domain, upper])).toEqual({
+      [bfo]: { label: 'material entity', isElement: true }
+    });
+    expect(resolveIriReferences(model, [domain, upper], { languages: ['fr'] })[bfo].label)
+      .toBe('entité matérielle');
+    expect(resolveIriReferences(model, [domain])).toEqual({});
+  });
+
+  test('formatTableCell renders IRI cells as IRIs, labels or "label [CURIE]"', () => {
+    const model = buildElementTableModel(domain);
+    model.references = resolveIriReferences(model, [domain, upper]);
+    const value = model.rows[0].subClassOf;
+    const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, { ex });
+
+    expect(formatTableCell(model, 'subClassOf', value, { mode: 'both', prefixes }))
+      .toBe('material entity [obo:BFO_0000040]; ex:Unlabelled');
+    expect(formatTableCell(model, 'subClassOf', value, { mode: 'label' }))
+      .toBe(`material entity; ${ex}Unlabelled`);
+    expect(formatTableCell(model, 'subClassOf', value, { mode: 'iri' })).toBe(value);
+    expect(formatTableCell(model, 'iri', ex + 'Dog', { mode: 'label', prefixes })).toBe('ex:Dog');
+
+    const rows = filterAndSortRows(model, 'material entity', null, 'asc', {
+      cellText: (key, v) => formatTableCell(model, key, v)
+    });
+    expect(rows).toHaveLength(1);
+    expect(filterAndSortRows(model, 'material entity', null)).toHaveLength(0);
+  });
+});
+
+describe('hierarchy', () => {
+  const ttl = `@prefix : <http://example.org/h#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix obo: <http://purl.obolibrary.org/obo/> .
+:Animal a owl:Class ; rdfs:label "animal" ; rdfs:subClassOf obo:BFO_0000040 .
+:Pet a owl:Class ; rdfs:label "pet" .
+:Dog a owl:Class ; rdfs:label "dog" ; rdfs:subClassOf :Animal , :Pet , :Dog ,
+  [ a owl:Restriction ; owl:onProperty :eats ; owl:someValuesFrom :Food ] .
+:Cat a owl:Class ; rdfs:label "cat" ; rdfs:subClassOf :Animal .
+:A a owl:Class ; rdfs:subClassOf :B .
+:B a owl:Class ; rdfs:subClassOf :A .
+:eats a owl:ObjectProperty ; rdfs:subPropertyOf :interactsWith .
+:interactsWith a owl:ObjectProperty .
+:rex a owl:NamedIndividual , :Dog .
+`;
+  const H = 'http://example.org/h#';
+  const BFO = NS.obo + 'BFO_0000040';
+
+  test('builds class and property trees with roots, multiple parents and cycle roots', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    const { trees, labels } = buildHierarchyModel(store);
+    const [classes, properties] = trees;
+
+    // the external parent is a root; the A/B cycle gets A as its root; the self-loop is dropped
+    expect(classes.roots).toEqual([BFO, H + 'Pet', H + 'A']);
+    expect(classes.children[BFO]).toEqual([H + 'Animal']);
+    expect(classes.children[H + 'Animal']).toEqual([H + 'Cat', H + 'Dog']);
+    expect(classes.children[H + 'Pet']).toEqual([H + 'Dog']);
+    expect(classes.children[H + 'Dog']).toBeUndefined();
+    expect(properties.roots).toEqual([H + 'interactsWith']);
+    expect(labels[H + 'Dog']).toBe('dog');
+    expect(labels[BFO]).toBeUndefined();
+
+    expect(getSubtreeIris(classes, H + 'Animal')).toEqual(new Set([H + 'Animal', H + 'Cat', H + 'Dog']));
+    expect(getSubtreeIris(classes, H + 'A')).toEqual(new Set([H + 'A', H + 'B']));
+  });
+
+  test('labels come from the other loaded stores too', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    const upper = await parseRdfTextToStore(
+      `<${BFO}> <${NS.rdfs}label> "material entity" .`, 'text/turtle'
+    );
+    const { labels, trees } = buildHierarchyModel(store, { stores: [store, upper] });
+    expect(labels[BFO]).toBe('material entity');
+    expect(trees[0].roots[0]).toBe(BFO);
+  });
+
+  test('hierarchyToOutline indents children, repeats multi-parent nodes and marks cycles', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    expect(hierarchyToOutline(buildHierarchyModel(store))).toBe([
+      '# Classes',
+      `<${BFO}>`,
+      `  animal <${H}Animal>`,
+      `    cat <${H}Cat>`,
+      `    dog <${H}Dog>`,
+      `pet <${H}Pet>`,
+      `  dog <${H}Dog>`,
+      `<${H}A>`,
+      `  <${H}B>`,
+      `    <${H}A> (cycle)`,
+      '',
+      '# Properties',
+      `<${H}interactsWith>`,
+      `  <${H}eats>`,
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('version diff', () => {
+  const head = `@prefix : <http://example.org/v#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+`;
+  const v1 = `${head}
+<http://example.org/v> a owl:Ontology ; owl:versionInfo "1.0" .
+:Dog a owl:Class ; rdfs:label "dog" ; skos:definition "A canine." .
+:Cat a owl:Class ; rdfs:label "cat" .
+:Fish a owl:Class ; rdfs:label "fish" .
+`;
+  const v2 = `${head}
+<http://example.org/v> a owl:Ontology ; owl:versionInfo "2.0" ;
+  owl:versionIRI <http://example.org/v/2.0> .
+:Dog a owl:Class ; rdfs:label "dog" ; skos:definition "A domesticated canine." .
+:Cat a owl:Class ; rdfs:label "cat" ; rdfs:subClassOf :Animal .
+:Bird a owl:Class ; rdfs:label "bird" .
+`;
+  const V = 'http://example.org/v#';
+
+  test('reports added, removed and changed elements and metadata', async () => {
+    const diff = diffOntologyVersions(
+      await parseRdfTextToStore(v1, 'text/turtle'),
+      await parseRdfTextToStore(v2, 'text/turtle')
+    );
+
+    expect(diff.added.map(r => r.iri)).toEqual([V + 'Bird']);
+    expect(diff.removed.map(r => r.iri)).toEqual([V + 'Fish']);
+    expect(diff.changed).toEqual([
+      {
+        iri: V + 'Cat',
+        label: 'cat',
+        changes: [{ key: 'subClassOf', header: 'rdfs:subClassOf', before: '', after: V + 'Animal' }]
+      },
+      {
+        iri: V + 'Dog',
+        label: 'dog',
+        changes: [{ key: 'definition', header: 'definition', before: 'A canine.', after: 'A domesticated canine.' }]
+      }
+    ]);
+    expect(diff.metadata).toEqual([
+      { field: 'versionIri', name: 'Version IRI', before: null, after: 'http://example.org/v/2.0' },
+      { field: 'versionInfo', name: 'Version Info', before: '1.0', after: '2.0' }
+    ]);
+    // the union of both versions' columns
+    expect(diff.keys).toEqual(expect.arrayContaining(['iri', 'label', 'definition', 'subClassOf']));
+  });
+
+  test('ignores a change in the order of multi-valued cells', async () => {
+    const x = ':X a owl:Class ; rdfs:label "x" ; skos:altLabel "one", "two" ; rdfs:subClassOf :A, :B .\n';
+    // a new class mentioning :B and "two" first puts them first in the store's index
+    const diff = diffOntologyVersions(
+      await parseRdfTextToStore(`${head}${x}`, 'text/turtle'),
+      await parseRdfTextToStore(`${head}:Y a owl:Class ; rdfs:label "two" ; rdfs:seeAlso :B .\n${x}`, 'text/turtle')
+    );
+
+    expect(diff.added.map(r => r.iri)).toEqual([V + 'Y']);
+    expect(diff.changed).toEqual([]);
+  });
+
+  test('exports CSV and Markdown release notes', async () => {
+    const diff = diffOntologyVersions(
+      await parseRdfTextToStore(v1, 'text/turtle'),
+      await parseRdfTextToStore(v2, 'text/turtle')
+    );
+
+    const csv = ontologyDiffToCsv(diff).split('\n');
+    expect(csv[0]).toBe('"change","iri","label","column","before","after"');
+    expect(csv).toContain(`"added","${V}Bird","bird","","",""`);
+    expect(csv).toContain(`"changed","${V}Dog","dog","definition","A canine.","A domesticated canine."`);
+    expect(csv).toHaveLength(1 + 2 + 1 + 1 + 2);
+
+    const md = ontologyDiffToMarkdown(diff, { title: 'v2.0' });
+    expect(md).toContain('# v2.0');
+    expect(md).toContain('- **Version Info**: 1.0 → 2.0');
+    expect(md).toContain('## Added terms (1)\n\n- bird (`' + V + 'Bird`)');
+    expect(md).toContain('## Removed terms (1)');
+    expect(md).toContain('  - definition: A canine. → A domesticated canine.');
+    expect(md).toContain('  - rdfs:subClassOf: _(none)_ → ' + V + 'Animal');
+  });
+});
+
+describe('lintOntology', () => {
+  const ttl = `@prefix : <http://example.org/q#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+:Thing a owl:Class ; rdfs:label "thing"@en ; skos:definition "Anything at all."@en .
+:Dog a owl:Class ; rdfs:label "dog"@en, "hound"@en ; skos:definition "A canine"@en ;
+  rdfs:subClassOf :Thing .
+:Hound a owl:Class ; rdfs:label "hound "@en ; rdfs:subClassOf :Thing .
+:Unnamed a owl:Class ; rdfs:subClassOf [ a owl:Restriction ; owl:onProperty :eats ; owl:someValuesFrom :Old ] .
+:bigDog a owl:Class ; rdfs:label "bigDog" ; skos:definition "A big dog." ; rdfs:subClassOf :Dog .
+:Old a owl:Class ; rdfs:label "old" ; owl:deprecated true .
+`;
+  const Q = 'http://example.org/q#';
+  const ruleIdsFor = (findings, iri) => findings.filter(f => f.iri === Q + iri).map(f => f.ruleId).sort();
+
+  test('checks every rule, skipping deprecated elements', async () => {
+    const findings = lintOntology(await parseRdfTextToStore(ttl, 'text/turtle'));
+
+    expect(ruleIdsFor(findings, 'Thing')).toEqual(['no-parent']);
+    expect(ruleIdsFor(findings, 'Dog')).toEqual(['definition-period', 'duplicate-label', 'multiple-labels']);
+    expect(ruleIdsFor(findings, 'Hound')).toEqual(['duplicate-label', 'label-whitespace', 'missing-definition']);
+    expect(ruleIdsFor(findings, 'Unnamed')).toEqual(['missing-definition', 'missing-label']);
+    expect(ruleIdsFor(findings, 'bigDog')).toEqual(['label-casing']);
+    expect(ruleIdsFor(findings, 'Old')).toEqual(['deprecated-referenced']);
+
+    // most severe first
+    expect(findings.slice(0, 2).map(f => f.severity)).toEqual(['error', 'error']);
+    expect(findings.find(f => f.ruleId === 'multiple-labels')).toMatchObject({
+      severity: 'error',
+      label: 'dog',
+      message: '2 labels with "en"'
+    });
+  });
+
+  test('applies rule overrides and exports CSV', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    const findings = lintOntology(store, {
+      rules: { 'no-parent': { enabled: false }, 'missing-label': { severity: 'info' } }
+    });
+
+    expect(findings.some(f => f.ruleId === 'no-parent')).toBe(false);
+    expect(findings.find(f => f.ruleId === 'missing-label').severity).toBe('info');
+
+    const csv = lintFindingsToCsv(findings).split('\n');
+    expect(csv[0]).toBe('"severity","rule","iri","label","message"');
+    expect(csv).toContain(`"info","missing-label","${Q}Unnamed","","No rdfs:label"`);
+    expect(csv).toHaveLength(findings.length + 1);
+  });
+
+  test('ignores axiom annotations on obsolete OBO terms and mixed-case symbols', async () => {
+    const obo = `format-version: 1.2
+ontology: go
+
+[Term]
+id: GO:0000001
+name: mRNA transport
+def: "The directed movement of mRNA." [GOC:x]
+is_obsolete: true
+
+[Term]
+id: GO:0000002
+name: pH elevation
+def: "An increase in pH." [GOC:y]
+`;
+    const findings = lintOntology(await parseRdfTextToStore(obo, 'text/obo'));
+    const ruleIds = iri => findings.filter(f => f.iri === iri).map(f => f.ruleId);
+
+    expect(ruleIds('http://purl.obolibrary.org/obo/GO_0000001')).toEqual([]);
+    expect(ruleIds('http://purl.obolibrary.org/obo/GO_0000002')).toEqual(['no-parent']);
+  });
+});
+
+describe('parse error reporting', () => {
+  const parseError = async (text, format) => {
+    try {
+      await parseRdfTextToStore(text, format);
+    } catch (err) {
+      return describeParseError(err, text);
+    }
+    throw new Error('expected a parse error');
+  };
+
+  test('locates N3 errors, finding the column from the quoted token', async () => {
+    const text = '@prefix : <http://x/> .\n:a :b :c .\n:a :b "open .\n';
+    const described = await parseError(text, 'text/turtle');
+    expect(described).toMatchObject({ line: 3, column: 7 });
+    expect(described.snippet).toBe(':a :b "open .\n      ^');
+  });
+
+  test('uses the line and column of XML errors', async () => {
+    const text = '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n<a></b>';
+    const described = await parseError(text, 'application/rdf+xml');
+    expect(described).toMatchObject({ line: 2, column: 4 });
+    expect(described.snippet).toBe('<a></b>\n   ^');
+  });
+
+  test('turns a character position into a line and column', () => {
+    const err = new SyntaxError('Unexpected token } in JSON at position 14');
+    expect(describeParseError(err, '{\n  "a": 1,\n  }')).toEqual({
+      message: err.message,
+      line: 3,
+      column: 3,
+      snippet: '  }\n  ^'
+    });
+  });
+
+  test('windows long lines around the column and copes without a location', () => {
+    const err = Object.assign(new Error('bad'), { context: { line: 1, column: 300 } });
+    const { snippet } = describeParseError(err, 'x'.repeat(299) + '!' + 'y'.repeat(300));
+    const [shown, caret] = snippet.split('\n');
+    expect(shown.startsWith('…')).toBe(true);
+    expect(shown.endsWith('…')).toBe(true);
+    expect(shown[caret.length - 1]).toBe('!');
+
+    expect(describeParseError(new Error('no idea'))).toEqual({
+      message: 'no idea',
+      line: null,
+      column: null,
+      snippet: ''
+    });
+  });
+
+  test('warns about empty files, missing ontology subjects and empty tables', async () => {
+    const empty = await parseRdfTextToStore('', 'text/turtle');
+    expect(getTabulationWarnings(empty, { rows: [] })).toEqual(['No triples were found in this file.']);
+
+    const store = await parseRdfTextToStore(
+      '<http://x/a> <http://www.w3.org/2000/01/rdf-schema#label> "a" .',
+      'text/turtle'
+    );
+    const warnings = getTabulationWarnings(store, buildElementTableModel(store));
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/owl:Ontology/);
+    expect(warnings[1]).toMatch(/table is empty/);
+  });
+});
+
+describe('CSV import', () => {
+  const ttl = `@prefix : <http://example.org/e#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+@prefix dcterms: <http://purl.org/dc/terms/> .
+:Dog a owl:Class ; rdfs:label "dog"@en ; skos:definition "A canine"@en ;
+  skos:altLabel "hound", "pooch" .
+:Cat a owl:Class ; dcterms:title "cat" ; rdfs:subClassOf :Animal .
+`;
+  const E = 'http://example.org/e#';
+
+  test('parses quoted cells, doubled quotes, line breaks and other delimiters', () => {
+    expect(parseCsv('﻿"a","b"\r\n"x, ""y""","two\nlines"\n\n')).toEqual([['a', 'b'], ['x, "y"', 'two\nlines']]);
+    expect(parseCsv('iri\tlabel\nhttp://x\tx')).toEqual([['iri', 'label'], ['http://x', 'x']]);
+    expect(parseCsv('iri;label\nhttp://x;x')).toEqual([['iri', 'label'], ['http://x', 'x']]);
+    expect(() => parseCsv('"open')).toThrow(/quoted/);
+  });
+
+  test('plans added, changed and removed triples from edited cells', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    const csv = [
+      'iri,label,definition,alternative label,rdfs:subClassOf,notAColumn',
+      `${E}Dog,dog,A canine.,hound; doggo,,x`,
+      `"${E}Cat",Cat,A feline.,,${E}Animal,`,
+      ',orphan,,,,'
+    ].join('\n');
+    const plan = await planCsvImport(store, csv);
+
+    expect(plan.rowCount).toBe(3);
+    expect(plan.matchedCount).toBe(2);
+    expect(plan.changes).toEqual([
+      { change: 'changed', iri: E + 'Dog', column: 'definition', predicate: NS.skos + 'definition', before: '"A canine"@en', after: '"A canine."@en' },
+      { change: 'removed', iri: E + 'Dog', column: 'alternative label', predicate: NS.skos + 'altLabel', before: '"pooch"', after: '' },
+      { change: 'added', iri: E + 'Dog', column: 'alternative label', predicate: NS.skos + 'altLabel', before: '', after: '"doggo"' },
+      // the label came from the fallback dcterms:title and goes back to rdfs:label
+      { change: 'changed', iri: E + 'Cat', column: 'label', predicate: NS.rdfs + 'label', before: '"cat"', after: '"Cat"' },
+      { change: 'added', iri: E + 'Cat', column: 'definition', predicate: NS.skos + 'definition', before: '', after: '"A feline."' }
+    ]);
+    expect(plan.warnings).toEqual([
+      'Column "rdfs:subClassOf" is read-only (classExpressions) and was ignored.',
+      'Column "notAColumn" is not in the "CCO/OBO" profile and was ignored.',
+      'Row 4 has no IRI and was skipped.'
+    ]);
+
+    const patched = applyCsvImport(store, plan);
+    expect(store.size).toBe(8);
+    expect(patched.size).toBe(9);
+    const turtle = await writeTurtle(patched, { prefixes: { rdfs: NS.rdfs, skos: NS.skos } });
+    expect(turtle).toContain('@prefix skos: <http://www.w3.org/2004/02/skos/core#>.');
+    const reparsed = await parseRdfTextToStore(turtle, 'text/turtle');
+    expect(reparsed.getQuads(E + 'Cat', NS.rdfs + 'label', null, null).map(q => q.object.value)).toEqual(['Cat']);
+    expect(reparsed.getQuads(E + 'Cat', NS.dcterms + 'title', null, null)).toHaveLength(0);
+  });
+
+  test('expands CURIEs and labelled IRIs, and needs an iri column', async () => {
+    const store = await parseRdfTextToStore(ttl, 'text/turtle');
+    const plan = await planCsvImport(store, [
+      'iri,type',
+      'e:Dog,owl:Class; Animal class [e:Animal]',
+      'e:Cat,owl:Class; Animal class [e:Animal]; not an iri'
+    ].join('\n'), {
+      prefixes: { e: E, owl: NS.owl }
+    });
+    // a cell with a value that is not an IRI is left as it is
+    expect(plan.changes.map(c => [c.change, c.iri, c.after])).toEqual([
+      ['added', E + 'Dog', `<${E}Animal>`]
+    ]);
+    expect(plan.warnings).toEqual(['Row 3, column "type": "not an iri" is not an IRI and was skipped.']);
+
+    await expect(planCsvImport(store, 'label\ndog')).rejects.toThrow(/"iri" column/);
+  });
+
+  test('re-importing an unedited label-mode export changes nothing', async () => {
+    const store = await parseRdfTextToStore(`@prefix : <http://ex.org/a#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+:p a owl:ObjectProperty ; rdfs:label "p" ; rdfs:subPropertyOf :q .
+:q a owl:ObjectProperty ; rdfs:label "related to" .`, 'text/turtle');
+    const model = buildElementTableModel(store);
+    model.references = resolveIriReferences(model, [store]);
+    const csv = tableModelToCsv(model, model.rows, {
+      cellText: (key, value) => formatTableCell(model, key, value, { mode: 'label' })
+    });
+    expect(csv).toContain('related to');
+
+    const plan = await planCsvImport(store, csv);
+    expect(plan.changes).toEqual([]);
+    expect(plan.added).toEqual([]);
+    expect(plan.removed).toEqual([]);
+    expect(plan.warnings).toContain('Row 2, column "rdfs:subPropertyOf": "related to" is not an IRI and was skipped.');
+  });
+
+  test('re-importing an unedited export keeps values that contain the separator', async () => {
+    const store = await parseRdfTextToStore(`@prefix : <${E}> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+:Spice a owl:Class ; rdfs:label "spice" ; skos:altLabel "salt; pepper", "a;b" .`, 'text/turtle');
+    const model = buildElementTableModel(store);
+    const csv = tableModelToCsv(model, model.rows);
+    expect(csv).toContain('salt; pepper; a;b');
+
+    const plan = await planCsvImport(store, csv);
+    expect(plan.changes).toEqual([]);
+    expect(plan.added).toEqual([]);
+    expect(plan.removed).toEqual([]);
+
+    // an edit still splits on the separator only: "a;b" stays one value
+    const edited = await planCsvImport(store, `iri,alternative label\n${E}Spice,a;b; cumin`);
+    expect(edited.changes.map(c => [c.change, c.before, c.after])).toEqual([
+      ['removed', '"salt; pepper"', ''],
+      ['added', '', '"cumin"']
+    ]);
+  });
+
+  test('keeps the datatype of an edited literal', async () => {
+    const store = await parseRdfTextToStore(`@prefix : <${E}> .
+@prefix dcterms: <http://purl.org/dc/terms/> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+:A a owl:Class ; dcterms:created "2020-01-01"^^xsd:date ; dcterms:extent "3"^^xsd:int .`, 'text/turtle');
+    const profile = {
+      name: 'dates',
+      columns: [
+        { header: 'created', key: 'created', predicates: [NS.dcterms + 'created'], kind: 'bestLiteral' },
+        { header: 'extent', key: 'extent', predicates: [NS.dcterms + 'extent'], kind: 'literals' }
+      ]
+    };
+    const plan = await planCsvImport(store, `iri,created,extent\n${E}A,2021-02-03,4`, { profile });
+
+    expect(plan.added.map(q => [q.object.value, q.object.datatype.value])).toEqual([
+      ['2021-02-03', 'http://www.w3.org/2001/XMLSchema#date'],
+      ['4', 'http://www.w3.org/2001/XMLSchema#int']
+    ]);
+  });
+
+  test('keeps edited values in the named graph of the values they replace', async () => {
+    const store = await parseRdfTextToStore(`@prefix : <${E}> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+:G { :A rdfs:label "a" . }`, 'application/trig');
+    const plan = await planCsvImport(store, `iri,label\n${E}A,Alpha`);
+    const patched = applyCsvImport(store, plan);
+
+    expect(patched.getQuads(E + 'A', NS.rdfs + 'label', null, null).map(q => [q.object.value, q.graph.value]))
+      .toEqual([['Alpha', E + 'G']]);
+    expect(await writeTurtle(patched)).toMatch(/\{/);
+  });
+});
+
 describe('filterAndSortRows', () => {
   test('filters and sorts based on keys', () => {
     const model = {
@@ -182,3 +1050,210 @@ describe('filterAndSortRows', () => {
     expect(sortedDesc.map(r => r.label)).toEqual(['Zebra', 'Banana', 'Apple']);
   });
 });
+
+describe('table windowing', () => {
+  test('getVisibleRowRange covers the viewport plus overscan, clamped to the rows', () => {
+    const view = { scrollTop: 0, viewportHeight: 100, rowHeight: 20, overscan: 2 };
+    expect(getVisibleRowRange(1000, view)).toEqual({ start: 0, end: 8 });
+    expect(getVisibleRowRange(1000, { ...view, scrollTop: 410 })).toEqual({ start: 18, end: 28 });
+    expect(getVisibleRowRange(1000, { ...view, scrollTop: 410, overscan: 0 })).toEqual({ start: 20, end: 26 });
+    expect(getVisibleRowRange(25, { ...view, scrollTop: 410 })).toEqual({ start: 18, end: 25 });
+    expect(getVisibleRowRange(5, { ...view, scrollTop: 4000 })).toEqual({ start: 5, end: 5 });
+    expect(getVisibleRowRange(0, view)).toEqual({ start: 0, end: 0 });
+  });
+
+  test('describeRowRange counts the rows shown, filtered and in total', () => {
+    expect(describeRowRange({ start: 0, end: 50, count: 1204, total: 20000 }))
+      .toBe('Showing 1–50 of 1,204 (filtered from 20,000)');
+    expect(describeRowRange({ start: 10, end: 40, count: 300, total: 300 })).toBe('Showing 11–40 of 300');
+    expect(describeRowRange({ start: 0, end: 0, count: 0, total: 12 })).toBe('Showing 0 of 0 (filtered from 12)');
+  });
+});
+
+describe('filter queries', () => {
+  const OWL = 'http://www.w3.org/2002/07/owl#';
+  const model = {
+    headers: ['iri', 'label', 'label@fr', 'definition', 'type'],
+    keys: ['iri', 'label@en', 'label@fr', 'definition', 'type'],
+    iriColumns: { iri: '', type: '; ' },
+    rows: [
+      { iri: 'http://example.org/hasPart', 'label@en': 'has part', 'label@fr': 'a pour partie', definition: 'A part of relation', type: OWL + 'ObjectProperty' },
+      { iri: 'http://example.org/Process', 'label@en': 'process', definition: '', type: OWL + 'Class' },
+      { iri: 'http://example.org/Cell', 'label@en': 'cell', definition: 'A unit "of" life; a process host', type: OWL + 'Class' }
+    ]
+  };
+  const labels = (query, options) => filterAndSortRows(model, query, null, 'asc', options).map(r => r['label@en']);
+
+  test('parses terms, qualifiers and boolean operators into a tree', () => {
+    expect(parseFilterQuery('')).toBeNull();
+    expect(parseFilterQuery('  ')).toBeNull();
+    expect(parseFilterQuery('label:"has part" OR -definition:* /^x/i')).toEqual({
+      type: 'or',
+      items: [
+        { type: 'term', column: 'label', match: 'text', value: 'has part', source: 'label:"has part"' },
+        {
+          type: 'and',
+          items: [
+            { type: 'not', item: { type: 'term', column: 'definition', match: 'any', value: '', source: 'definition:*' } },
+            { type: 'term', column: null, match: 'regex', value: '^x', flags: 'i', source: '/^x/i' }
+          ]
+        }
+      ]
+    });
+    expect(parseFilterQuery('NOT (a AND b)')).toEqual({
+      type: 'not',
+      item: {
+        type: 'and',
+        items: [
+          { type: 'term', column: null, match: 'text', value: 'a', source: 'a' },
+          { type: 'term', column: null, match: 'text', value: 'b', source: 'b' }
+        ]
+      }
+    });
+    expect(parseFilterQuery('"alt label":""')).toMatchObject({ column: 'alt label', match: 'empty' });
+    expect(parseFilterQuery('owl:Class', { column: 'type' })).toMatchObject({ column: 'type', match: 'text', value: 'owl:Class' });
+  });
+
+  test('reports syntax errors with their position', () => {
+    const errorOf = query => {
+      try {
+        parseFilterQuery(query);
+      } catch (err) {
+        return [err.message, err.context.offset];
+      }
+      return null;
+    };
+    expect(errorOf('(label:x')).toEqual(['Missing ")" at character 9', 8]);
+    expect(errorOf('a)')).toEqual(['Unexpected ")" at character 2', 1]);
+    expect(errorOf('"open')).toEqual(['Unclosed quote at character 1', 0]);
+    expect(errorOf('label:/(/')[0]).toMatch(/^Invalid regular expression \/\(\//);
+    expect(errorOf('a OR')).toEqual(['Expected a search term at character 5', 4]);
+    expect(errorOf('label: x')).toEqual(['Expected a value after "label:" at character 1', 0]);
+    expect(describeParseError(Object.assign(new Error('x'), { context: { offset: 3 } }), 'a (b').column).toBe(4);
+    expect(() => filterAndSortRows(model, '(', null)).toThrow(/Expected a search term/);
+  });
+
+  test('scopes terms to columns by key, header or per-language base', () => {
+    expect(labels('process')).toEqual(['process', 'cell']);
+    expect(labels('label:process')).toEqual(['process']);
+    expect(labels('LABEL@FR:partie')).toEqual(['has part']);
+    expect(labels('label:partie')).toEqual(['has part']);
+    expect(labels('-definition:*')).toEqual(['process']);
+    expect(labels('definition:""')).toEqual(['process']);
+    expect(labels('/^has /')).toEqual(['has part']);
+    expect(labels('label:/^P/')).toEqual([]);
+    expect(labels('label:/^P/i')).toEqual(['process']);
+    expect(labels('"of" life')).toEqual(['cell']);
+    expect(labels('"""of"" life"')).toEqual(['cell']);
+  });
+
+  test('combines terms with AND, OR, NOT and parentheses', () => {
+    expect(labels('unit process')).toEqual(['cell']);
+    expect(labels('unit AND process')).toEqual(['cell']);
+    expect(labels('label:cell OR label:process')).toEqual(['process', 'cell']);
+    expect(labels('NOT label:cell')).toEqual(['has part', 'process']);
+    expect(labels('(label:cell OR label:part) -type:owl:ObjectProperty')).toEqual(['cell']);
+    expect(labels('label:cell OR label:part definition:relation')).toEqual(['has part', 'cell']);
+  });
+
+  test('searches CURIEs and unknown prefixes as text, and applies column filters', () => {
+    expect(labels('type:owl:ObjectProperty')).toEqual(['has part']);
+    expect(labels('owl:Class')).toEqual(['process', 'cell']);
+    expect(labels('http://example.org/c')).toEqual(['cell']);
+    expect(labels('type:ex:Class', { prefixes: { ex: OWL } })).toEqual(['process', 'cell']);
+    expect(labels('', { columnFilters: { type: 'owl:Class', 'label@en': 'c' } })).toEqual(['process', 'cell']);
+    expect(labels('process', { columnFilters: { definition: '*', 'label@en': '' } })).toEqual(['cell']);
+  });
+});
+
+describe('workspaces', () => {
+  test('workspaceKey identifies the same files dropped again', () => {
+    const files = [
+      { name: 'a.ttl', size: 10, lastModified: 1 },
+      { name: 'b.owl', size: 20, lastModified: 2 }
+    ];
+    expect(workspaceKey(files)).toBe(workspaceKey(files.map(file => ({ ...file }))));
+    expect(workspaceKey(files)).not.toBe(workspaceKey([files[1], files[0]]));
+    expect(workspaceKey(files)).not.toBe(workspaceKey([files[0], { ...files[1], lastModified: 3 }]));
+  });
+
+  test('planWorkspaceEviction deletes the least recently used workspaces until the new one fits', () => {
+    const workspaces = [
+      { id: 'new', usedAt: 30, size: 100 },
+      { id: 'old', usedAt: 10, size: 100 },
+      { id: 'mid', usedAt: 20, size: 300 }
+    ];
+    expect(planWorkspaceEviction(workspaces, 50, 100)).toEqual([]);
+    expect(planWorkspaceEviction(workspaces, 150, 100)).toEqual(['old']);
+    expect(planWorkspaceEviction(workspaces, 350, 100)).toEqual(['old', 'mid']);
+    expect(planWorkspaceEviction(workspaces, 700, 100)).toBeNull();
+    // the copy being replaced frees its own bytes
+    expect(planWorkspaceEviction(workspaces, 200, 100, { keepId: 'new' })).toEqual([]);
+    expect(planWorkspaceEviction(workspaces, 10, Infinity, { keepId: 'new', maxCount: 2 })).toEqual(['old']);
+    expect(planWorkspaceEviction([], 10, 5)).toBeNull();
+  });
+
+  test('formatByteSize', () => {
+    expect(formatByteSize(512)).toBe('512 B');
+    expect(formatByteSize(1536)).toBe('1.5 KB');
+    expect(formatByteSize(23.4 * 1024 * 1024)).toBe('23.4 MB');
+  });
+});
+
+describe('parseRdfChunksToStore', () => {
+  const ttl = `@prefix ex: <http://example.org/> .
+ex:a ex:p "one" .
+ex:b ex:p "two" .
+ex:c ex:p "three" .
+`;
+  // Split mid-token so the stream parser has to carry state across chunks.
+  const chunksOf = (text, size) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    return chunks;
+  };
+
+  test('streams N3-family formats and reports quad counts per chunk', async () => {
+    const counts = [];
+    const store = await parseRdfChunksToStore(chunksOf(ttl, 20), 'text/turtle', {
+      onProgress: ({ quadCount }) => counts.push(quadCount)
+    });
+
+    expect(store.size).toBe(3);
+    expect(counts[counts.length - 1]).toBe(3);
+    expect(counts.some(c => c > 0 && c < 3)).toBe(true);
+  });
+
+  test('buffers formats parsed by the app\'s own parsers', async () => {
+    const obo = 'format-version: 1.2\nontology: x\n\n[Term]\nid: X:1\nname: thing\n';
+    const store = await parseRdfChunksToStore(chunksOf(obo, 7), 'text/obo');
+    expect(store.size).toBeGreaterThan(0);
+  });
+
+  test('reports the document\'s prefixes through onPrefix', async () => {
+    const prefixes = {};
+    await parseRdfChunksToStore(chunksOf(ttl, 20), 'text/turtle', {
+      onPrefix: (prefix, namespace) => {
+        prefixes[prefix] = namespace;
+      }
+    });
+    expect(prefixes).toEqual({ ex: 'http://example.org/' });
+
+    const buffered = {};
+    await parseRdfChunksToStore(['Prefix(ex:=<http://example.org/>)\nOntology(<http://example.org/o>)'], 'text/owl-functional', {
+      onPrefix: (prefix, namespace) => {
+        buffered[prefix] = namespace;
+      }
+    });
+    expect(buffered).toEqual({ ex: 'http://example.org/' });
+  });
+
+  test('rejects syntax errors and honours an aborted signal', async () => {
+    await expect(parseRdfChunksToStore(['ex:a ex:p .'], 'text/turtle')).rejects.toThrow(/prefix/i);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(parseRdfChunksToStore(chunksOf(ttl, 20), 'text/turtle', { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,13 @@
+// __tests__/helpers.js
+// Shared by the parser tests; not a suite itself (jest.config.cjs only matches *.test.js).
+
+/**
+ * The objects of the quads with subject IRI s and predicate IRI p.
+ * @param {object[]} quads
+ * @param {string} s
+ * @param {string} p
+ * @returns {object[]}
+ */
+export function objectsOf(quads, s, p) {
+  return quads.filter(q => q.subject.value === s && q.predicate.value === p).map(q => q.object);
+}
@@ -0,0 +1,143 @@
+// __tests__/jsonld-parser.test.js
+
+import { parseJsonLd } from '../docs/app/jsonld-parser.js';
+import {
+  detectRdfFormatFromFilename,
+  parseRdfTextToStore,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  NS
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+import { objectsOf } from './helpers.js';
+
+const factory = DataFactory;
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const VOCAB_CONTEXT = {
+  '@context': {
+    owl: NS.owl,
+    rdfs: NS.rdfs,
+    skos: NS.skos,
+    obo: NS.obo,
+    id: '@id',
+    type: '@type',
+    label: { '@id': 'rdfs:label', '@language': 'en' },
+    subClassOf: { '@id': 'rdfs:subClassOf', '@type': '@id' },
+    definition: { '@id': 'obo:IAO_0000115', '@container': '@language' }
+  }
+};
+
+const ONTOLOGY_JSONLD = JSON.stringify({
+  '@context': 'https://example.org/context.jsonld',
+  '@graph': [
+    {
+      id: 'http://example.org/onto',
+      type: 'owl:Ontology',
+      label: 'Example Ontology',
+      'owl:versionInfo': '2.0'
+    },
+    {
+      id: 'obo:EX_0000001',
+      type: 'owl:Class',
+      label: 'child',
+      subClassOf: 'obo:EX_0000000',
+      definition: { en: 'A child.', fr: 'Un enfant.' },
+      'skos:altLabel': [{ '@value': 'kid', '@language': 'en' }, 'youngster']
+    }
+  ]
+});
+
+describe('parseJsonLd', () => {
+  test('expands an inline context with @vocab, compact IRIs and coercion', () => {
+    const doc = {
+      '@context': { '@vocab': 'http://schema.org/', ex: 'http://example.org/', age: { '@type': XSD + 'integer' } },
+      '@id': 'ex:alice',
+      '@type': 'Person',
+      name: 'Alice',
+      age: '42',
+      knows: { '@id': 'ex:bob', name: 'Bob' },
+      height: 1.5,
+      member: true
+    };
+    const quads = parseJsonLd(JSON.stringify(doc), { factory });
+    const alice = 'http://example.org/alice';
+
+    expect(objectsOf(quads, alice, NS.rdf + 'type')[0].value).toBe('http://schema.org/Person');
+    expect(objectsOf(quads, alice, 'http://schema.org/name')[0].value).toBe('Alice');
+    expect(objectsOf(quads, alice, 'http://schema.org/age')[0].datatype.value).toBe(XSD + 'integer');
+    expect(objectsOf(quads, alice, 'http://schema.org/knows')[0].value).toBe('http://example.org/bob');
+    expect(objectsOf(quads, 'http://example.org/bob', 'http://schema.org/name')[0].value).toBe('Bob');
+    expect(objectsOf(quads, alice, 'http://schema.org/height')[0].value).toBe('1.5E0');
+    expect(objectsOf(quads, alice, 'http://schema.org/member')[0].datatype.value).toBe(XSD + 'boolean');
+  });
+
+  test('drops properties that do not map to an IRI', () => {
+    const quads = parseJsonLd(JSON.stringify({ '@id': 'http://example.org/x', note: 'ignored' }), { factory });
+    expect(quads).toHaveLength(0);
+  });
+
+  test('builds rdf:List values and named graphs', () => {
+    const doc = {
+      '@context': { ex: 'http://example.org/', items: { '@id': 'ex:items', '@container': '@list' } },
+      '@id': 'ex:g',
+      '@graph': [{ '@id': 'ex:s', items: ['a', 'b'] }]
+    };
+    const quads = parseJsonLd(JSON.stringify(doc), { factory });
+    const head = quads.find(q => q.predicate.value === 'http://example.org/items');
+    expect(head.graph.value).toBe('http://example.org/g');
+    const first = quads.find(q => q.subject.equals(head.object) && q.predicate.value === NS.rdf + 'first');
+    expect(first.object.value).toBe('a');
+  });
+
+  test('resolves remote contexts only from the local map', () => {
+    expect(() => parseJsonLd(ONTOLOGY_JSONLD, { factory })).toThrow(/not available locally/);
+
+    const quads = parseJsonLd(ONTOLOGY_JSONLD, {
+      factory,
+      contexts: { 'https://example.org/context.jsonld': VOCAB_CONTEXT }
+    });
+    const defs = objectsOf(quads, NS.obo + 'EX_0000001', NS.obo + 'IAO_0000115');
+    expect(defs.map(d => `${d.value}@${d.language}`).sort()).toEqual(['A child.@en', 'Un enfant.@fr']);
+  });
+
+  test('reports simple context terms that map to namespaces as prefixes', () => {
+    const prefixes = {};
+    const onPrefix = (prefix, namespace) => {
+      prefixes[prefix] = namespace;
+    };
+    const doc = {
+      '@context': { ex: 'http://example.org/', name: 'http://schema.org/name', obo: { '@id': NS.obo } },
+      '@id': 'ex:a',
+      name: 'A'
+    };
+    parseJsonLd(JSON.stringify(doc), { factory, onPrefix });
+    expect(prefixes).toEqual({ ex: 'http://example.org/' });
+  });
+});
+
+describe('parseRdfTextToStore (JSON-LD)', () => {
+  test('detects .jsonld by extension', () => {
+    expect(detectRdfFormatFromFilename('vocab.jsonld')).toBe('application/ld+json');
+  });
+
+  test('feeds metadata and element table like Turtle does', async () => {
+    const store = await parseRdfTextToStore(ONTOLOGY_JSONLD, 'application/ld+json', {
+      jsonLdContexts: new Map([['https://example.org/context.jsonld', JSON.stringify(VOCAB_CONTEXT)]])
+    });
+
+    const meta = extractOntologyMetadata(store);
+    expect(meta.ontologyIri).toBe('http://example.org/onto');
+    expect(meta.ontologyName).toBe('Example Ontology');
+    expect(meta.versionInfo).toBe('2.0');
+
+    const model = buildElementTableModel(store);
+    expect(model.rows).toHaveLength(1);
+    const row = model.rows[0];
+    expect(row.label).toBe('child');
+    expect(row.definition).toBe('A child.');
+    expect(row.subClassOf).toBe(NS.obo + 'EX_0000000');
+    expect(row.alternativeLabel).toBe('kid; youngster');
+  });
+});
@@ -0,0 +1,147 @@
+// __tests__/manchester-parser.test.js
+
+import { parseManchester } from '../docs/app/manchester-parser.js';
+import {
+  detectRdfFormat,
+  parseRdfTextToStore,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  NS
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+import { objectsOf } from './helpers.js';
+
+const factory = DataFactory;
+
+const SAMPLE_OMN = `Prefix: : <http://example.org/pets#>
+Prefix: skos: <http://www.w3.org/2004/02/skos/core#>
+
+Ontology: <http://example.org/pets> <http://example.org/pets/1.0>
+Import: <http://example.org/base>
+Annotations:
+    rdfs:label "Pets Ontology"@en,
+    owl:versionInfo "1.0"
+
+ObjectProperty: hasOwner
+    Annotations: rdfs:label "has owner"@en
+    Characteristics: Functional, InverseFunctional
+    SubPropertyOf: relatedTo
+    InverseOf: owns
+    Domain: Animal
+    SubPropertyChain: hasOwner o hasParent
+
+DataProperty: age
+    Characteristics: Functional
+    Range: xsd:integer[>= 0]
+
+Class: Dog
+    Annotations:
+        rdfs:label "dog"@en,
+        Annotations: rdfs:comment "from a dictionary"
+        skos:definition "A domesticated \\"canine\\"."@en
+    SubClassOf:
+        Animal,
+        hasOwner some (Person or Organization),
+        age max 1 xsd:integer,
+        not (Cat),
+        inverse owns only Person
+    EquivalentTo: Animal and (barks value true_) and {rex, fido}
+    DisjointWith: Cat
+
+Individual: rex
+    Types: Dog
+    Facts: age 3, hasOwner alice, not hasOwner bob
+
+DisjointClasses: Dog, Cat, Bird
+`;
+
+describe('parseManchester', () => {
+  const quads = parseManchester(SAMPLE_OMN, { factory });
+  const ex = 'http://example.org/pets#';
+
+  test('maps the ontology frame', () => {
+    const ont = 'http://example.org/pets';
+    expect(objectsOf(quads, ont, NS.rdf + 'type')[0].value).toBe(NS.owl + 'Ontology');
+    expect(objectsOf(quads, ont, NS.owl + 'versionIRI')[0].value).toBe('http://example.org/pets/1.0');
+    expect(objectsOf(quads, ont, NS.owl + 'imports')[0].value).toBe('http://example.org/base');
+    expect(objectsOf(quads, ont, NS.owl + 'versionInfo')[0].value).toBe('1.0');
+  });
+
+  test('maps class frames with annotated annotations', () => {
+    expect(objectsOf(quads, ex + 'Dog', NS.rdf + 'type')[0].value).toBe(NS.owl + 'Class');
+    expect(objectsOf(quads, ex + 'Dog', NS.skos + 'definition')[0].value).toBe('A domesticated "canine".');
+    const axiom = quads.find(q => q.predicate.value === NS.owl + 'annotatedProperty' && q.object.value === NS.skos + 'definition');
+    expect(objectsOf(quads, axiom.subject.value, NS.rdfs + 'comment')[0].value).toBe('from a dictionary');
+
+    const parents = objectsOf(quads, ex + 'Dog', NS.rdfs + 'subClassOf');
+    expect(parents).toHaveLength(5);
+    expect(parents.filter(p => p.termType === 'NamedNode').map(p => p.value)).toEqual([ex + 'Animal']);
+
+    const card = parents.find(p => objectsOf(quads, p.value, NS.owl + 'maxQualifiedCardinality').length);
+    expect(objectsOf(quads, card.value, NS.owl + 'onDataRange')[0].value).toBe('http://www.w3.org/2001/XMLSchema#integer');
+
+    const inverse = parents.find(p => objectsOf(quads, p.value, NS.owl + 'allValuesFrom').length);
+    const onProperty = objectsOf(quads, inverse.value, NS.owl + 'onProperty')[0];
+    expect(objectsOf(quads, onProperty.value, NS.owl + 'inverseOf')[0].value).toBe(ex + 'owns');
+
+    expect(objectsOf(quads, ex + 'Dog', NS.owl + 'equivalentClass')).toHaveLength(1);
+    expect(objectsOf(quads, ex + 'Dog', NS.owl + 'disjointWith')[0].value).toBe(ex + 'Cat');
+  });
+
+  test('maps property and individual frames', () => {
+    const types = objectsOf(quads, ex + 'hasOwner', NS.rdf + 'type').map(t => t.value);
+    expect(types).toEqual([NS.owl + 'ObjectProperty', NS.owl + 'FunctionalProperty', NS.owl + 'InverseFunctionalProperty']);
+    expect(objectsOf(quads, ex + 'hasOwner', NS.owl + 'propertyChainAxiom')).toHaveLength(1);
+    expect(objectsOf(quads, ex + 'age', NS.rdfs + 'range')[0].termType).toBe('BlankNode');
+
+    expect(objectsOf(quads, ex + 'rex', NS.rdf + 'type').map(t => t.value)).toEqual([NS.owl + 'NamedIndividual', ex + 'Dog']);
+    expect(objectsOf(quads, ex + 'rex', ex + 'age')[0].value).toBe('3');
+    expect(objectsOf(quads, ex + 'rex', ex + 'hasOwner')[0].value).toBe(ex + 'alice');
+    expect(quads.some(q => q.object.value === NS.owl + 'NegativePropertyAssertion')).toBe(true);
+    expect(quads.some(q => q.object.value === NS.owl + 'AllDisjointClasses')).toBe(true);
+  });
+
+  test('reports syntax errors with line and column', () => {
+    expect(() => parseManchester('Prefix: : <http://x/>\nClass: A\n  SubClassOf: B and\n', { factory }))
+      .toThrow(/at end of input/);
+    expect(() => parseManchester('Prefix: : <http://x/>\nClass: A\n  Types: B', { factory }))
+      .toThrow(/Section "Types:" is not allowed in a Class frame.*line 3, column 3/);
+  });
+
+  test('reports Prefix: declarations without the trailing colon', () => {
+    const prefixes = {};
+    const onPrefix = (prefix, namespace) => {
+      prefixes[prefix] = namespace;
+    };
+    parseManchester(SAMPLE_OMN, { factory, onPrefix });
+    expect(prefixes).toMatchObject({ '': 'http://example.org/pets#', skos: NS.skos });
+  });
+});
+
+describe('parseRdfTextToStore (Manchester Syntax)', () => {
+  test('sniffs the syntax and feeds metadata and element table', async () => {
+    const format = detectRdfFormat(SAMPLE_OMN, 'pets.owl');
+    expect(format).toBe('text/owl-manchester');
+
+    const store = await parseRdfTextToStore(SAMPLE_OMN, format);
+    const meta = extractOntologyMetadata(store);
+    expect(meta.ontologyName).toBe('Pets Ontology');
+    expect(meta.versionIri).toBe('http://example.org/pets/1.0');
+
+    const model = buildElementTableModel(store);
+    const dog = model.rows.find(r => r.iri === 'http://example.org/pets#Dog');
+    expect(dog.label).toBe('dog');
+    expect(dog.definition).toBe('A domesticated "canine".');
+    expect(dog.subClassOf).toBe([
+      'http://example.org/pets#Animal',
+      "'has owner' some (<http://example.org/pets#Person> or <http://example.org/pets#Organization>)",
+      '<http://example.org/pets#age> max 1 <http://www.w3.org/2001/XMLSchema#integer>',
+      'not <http://example.org/pets#Cat>',
+      'inverse (<http://example.org/pets#owns>) only <http://example.org/pets#Person>'
+    ].join('; '));
+    const owner = model.rows.find(r => r.iri === 'http://example.org/pets#hasOwner');
+    expect(owner.label).toBe('has owner');
+    expect(owner.subPropertyOf).toBe('http://example.org/pets#relatedTo');
+  });
+});
@@ -0,0 +1,160 @@
+// __tests__/obo-parser.test.js
+
+import { parseObo } from '../docs/app/obo-parser.js';
+import {
+  detectRdfFormat,
+  parseRdfTextToStore,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  NS
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+import { objectsOf } from './helpers.js';
+
+const factory = DataFactory;
+
+const SAMPLE_OBO = `format-version: 1.4
+data-version: 2024-05-01
+ontology: ex
+default-namespace: example
+idspace: EXT http://example.org/ext/
+subsetdef: slim "Slim subset"
+property_value: http://purl.org/dc/elements/1.1/title "Example OBO Ontology" xsd:string
+property_value: http://purl.org/dc/terms/license https://creativecommons.org/licenses/by/4.0/
+
+[Term]
+id: EX:0000001
+name: cell
+def: "The basic unit of life, \\"alive\\"." [PMID:123, GOC:ex "curator"]
+synonym: "cellula" EXACT [ISBN:1]
+synonym: "body" RELATED []
+xref: CL:0000000 "Cell Ontology"
+is_a: EX:0000000 ! entity
+relationship: part_of EX:0000002 ! organism
+subset: slim
+
+[Term]
+id: EX:0000003
+name: old cell ! comment
+is_obsolete: true
+replaced_by: EX:0000001
+
+[Term]
+id: EXT:foo
+name: external
+intersection_of: EX:0000001
+intersection_of: part_of EX:0000002
+
+[Typedef]
+id: part_of
+name: part of
+xref: BFO:0000050
+is_transitive: true
+`;
+
+describe('parseObo', () => {
+  const quads = parseObo(SAMPLE_OBO, { factory });
+  const cell = NS.obo + 'EX_0000001';
+
+  test('maps header tags onto the owl:Ontology', () => {
+    const ont = NS.obo + 'ex.owl';
+    expect(objectsOf(quads, ont, NS.rdf + 'type')[0].value).toBe(NS.owl + 'Ontology');
+    expect(objectsOf(quads, ont, NS.owl + 'versionInfo')[0].value).toBe('2024-05-01');
+    expect(objectsOf(quads, ont, NS.owl + 'versionIRI')[0].value).toBe(NS.obo + 'ex/2024-05-01/ex.owl');
+    expect(objectsOf(quads, ont, NS.dc + 'title')[0].value).toBe('Example OBO Ontology');
+  });
+
+  test('maps term tags to labels, definitions, synonyms and parents', () => {
+    expect(objectsOf(quads, cell, NS.rdf + 'type')[0].value).toBe(NS.owl + 'Class');
+    expect(objectsOf(quads, cell, NS.rdfs + 'label')[0].value).toBe('cell');
+    expect(objectsOf(quads, cell, NS.obo + 'IAO_0000115')[0].value).toBe('The basic unit of life, "alive".');
+    expect(objectsOf(quads, cell, NS.oboInOwl + 'hasExactSynonym')[0].value).toBe('cellula');
+    expect(objectsOf(quads, cell, NS.oboInOwl + 'hasRelatedSynonym')[0].value).toBe('body');
+    expect(objectsOf(quads, cell, NS.oboInOwl + 'hasDbXref')[0].value).toBe('CL:0000000');
+    expect(objectsOf(quads, cell, NS.oboInOwl + 'inSubset')[0].value).toBe(NS.obo + 'ex#slim');
+
+    const parents = objectsOf(quads, cell, NS.rdfs + 'subClassOf');
+    expect(parents.find(p => p.termType === 'NamedNode').value).toBe(NS.obo + 'EX_0000000');
+    const restriction = parents.find(p => p.termType === 'BlankNode');
+    // part_of resolves through its xref to BFO:0000050
+    const onProperty = quads.find(q => q.subject.equals(restriction) && q.predicate.value === NS.owl + 'onProperty');
+    expect(onProperty.object.value).toBe(NS.obo + 'BFO_0000050');
+  });
+
+  test('annotates definition xrefs on an owl:Axiom', () => {
+    const axiom = quads.find(q =>
+      q.predicate.value === NS.owl + 'annotatedProperty' && q.object.value === NS.obo + 'IAO_0000115'
+    ).subject;
+    const xrefs = quads
+      .filter(q => q.subject.equals(axiom) && q.predicate.value === NS.oboInOwl + 'hasDbXref')
+      .map(q => q.object.value);
+    expect(xrefs).toEqual(['PMID:123', 'GOC:ex']);
+  });
+
+  test('handles obsolete terms, idspaces, comments and typedefs', () => {
+    const old = NS.obo + 'EX_0000003';
+    expect(objectsOf(quads, old, NS.rdfs + 'label')[0].value).toBe('old cell');
+    expect(objectsOf(quads, old, NS.owl + 'deprecated')[0].value).toBe('true');
+    expect(objectsOf(quads, 'http://example.org/ext/foo', NS.owl + 'equivalentClass')).toHaveLength(1);
+
+    const partOf = NS.obo + 'BFO_0000050';
+    const types = objectsOf(quads, partOf, NS.rdf + 'type').map(t => t.value);
+    expect(types).toEqual([NS.owl + 'ObjectProperty', NS.owl + 'TransitiveProperty']);
+  });
+
+  test('unescapes unquoted tag values', () => {
+    const escaped = parseObo(`[Term]
+id: EX:0000009
+name: foo \\! bar \\{baz\\} ! comment
+comment: see http\\://example.org\\, or not
+xref: URL:http\\://example.org/x "a link"
+`, { factory });
+    const term = NS.obo + 'EX_0000009';
+    expect(objectsOf(escaped, term, NS.rdfs + 'label')[0].value).toBe('foo ! bar {baz}');
+    expect(objectsOf(escaped, term, NS.rdfs + 'comment')[0].value).toBe('see http://example.org, or not');
+    expect(objectsOf(escaped, term, NS.oboInOwl + 'hasDbXref')[0].value).toBe('URL:http://example.org/x');
+  });
+
+  test('reports malformed lines with a line number', () => {
+    expect(() => parseObo('format-version: 1.4\n\n[Term]\nnot a tag', { factory }))
+      .toThrow(/line 4/);
+  });
+
+  test('reports idspaces and the OBO prefixes of the IDs it expands', () => {
+    const prefixes = {};
+    const onPrefix = (prefix, namespace) => {
+      prefixes[prefix] = namespace;
+    };
+    parseObo(SAMPLE_OBO, { factory, onPrefix });
+    expect(prefixes).toMatchObject({
+      obo: NS.obo,
+      oboInOwl: NS.oboInOwl,
+      EXT: 'http://example.org/ext/',
+      EX: NS.obo + 'EX_',
+      BFO: NS.obo + 'BFO_'
+    });
+  });
+});
+
+describe('parseRdfTextToStore (OBO)', () => {
+  test('sniffs OBO content and feeds metadata and element table', async () => {
+    const format = detectRdfFormat(SAMPLE_OBO, 'download.txt');
+    expect(format).toBe('text/obo');
+
+    const store = await parseRdfTextToStore(SAMPLE_OBO, format);
+    const meta = extractOntologyMetadata(store);
+    expect(meta.ontologyIri).toBe(NS.obo + 'ex.owl');
+    expect(meta.ontologyName).toBe('Example OBO Ontology');
+    expect(meta.versionInfo).toBe('2024-05-01');
+    expect(meta.license).toBe('https://creativecommons.org/licenses/by/4.0/');
+
+    const model = buildElementTableModel(store);
+    const row = model.rows.find(r => r.iri === NS.obo + 'EX_0000001');
+    expect(row.label).toBe('cell');
+    expect(row.definition).toBe('The basic unit of life, "alive".');
+    expect(row.alternativeLabel).toBe('cellula; body');
+    // relationship: lines are someValuesFrom restrictions, now shown as class expressions
+    expect(row.subClassOf).toBe(`${NS.obo}EX_0000000; 'part of' some obo:EX_0000002`);
+  });
+});
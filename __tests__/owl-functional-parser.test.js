@@ -0,0 +1,145 @@
+// __tests__/owl-functional-parser.test.js
+
+import { parseOwlFunctional } from '../docs/app/owl-functional-parser.js';
+import {
+  detectRdfFormat,
+  parseRdfTextToStore,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  NS
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+import { objectsOf } from './helpers.js';
+
+const factory = DataFactory;
+
+const SAMPLE_OFN = `Prefix(:=<http://example.org/pets#>)
+Prefix(owl:=<http://www.w3.org/2002/07/owl#>)
+Prefix(rdfs:=<http://www.w3.org/2000/01/rdf-schema#>)
+Prefix(skos:=<http://www.w3.org/2004/02/skos/core#>)
+Prefix(xsd:=<http://www.w3.org/2001/XMLSchema#>)
+
+# comment line
+Ontology(<http://example.org/pets> <http://example.org/pets/1.0>
+  Import(<http://example.org/base>)
+  Annotation(rdfs:label "Pets Ontology"@en)
+  Annotation(owl:versionInfo "1.0")
+
+  Declaration(Class(:Animal))
+  Declaration(Class(:Dog))
+  Declaration(ObjectProperty(:hasOwner))
+  Declaration(DataProperty(:age))
+
+  AnnotationAssertion(rdfs:label :Dog "dog"@en)
+  AnnotationAssertion(Annotation(rdfs:comment "from a dictionary") skos:definition :Dog "A domesticated \\"canine\\"."@en)
+  SubClassOf(:Dog :Animal)
+  SubClassOf(:Dog ObjectSomeValuesFrom(:hasOwner ObjectUnionOf(:Person :Organization)))
+  SubClassOf(:Dog DataMaxCardinality(1 :age DatatypeRestriction(xsd:integer xsd:minInclusive "0"^^xsd:integer)))
+  EquivalentClasses(:Pet ObjectIntersectionOf(:Animal ObjectHasValue(:livesWith :me)))
+  SubObjectPropertyOf(:hasOwner :relatedTo)
+  SubObjectPropertyOf(ObjectPropertyChain(:hasOwner :hasParent) :hasOwnerParent)
+  TransitiveObjectProperty(:relatedTo)
+  DisjointClasses(:Dog :Cat :Bird)
+  HasKey(:Dog (:hasOwner) (:age))
+  ClassAssertion(:Dog :rex)
+  DataPropertyAssertion(:age :rex "3"^^xsd:integer)
+  DLSafeRule(Body() Head())
+)`;
+
+function followList(quads, head) {
+  const items = [];
+  for (let cell = head; cell.value !== NS.rdf + 'nil';) {
+    items.push(quads.find(q => q.subject.equals(cell) && q.predicate.value === NS.rdf + 'first').object);
+    cell = quads.find(q => q.subject.equals(cell) && q.predicate.value === NS.rdf + 'rest').object;
+  }
+  return items;
+}
+
+describe('parseOwlFunctional', () => {
+  const quads = parseOwlFunctional(SAMPLE_OFN, { factory });
+  const ex = 'http://example.org/pets#';
+
+  test('maps the ontology header', () => {
+    const ont = 'http://example.org/pets';
+    expect(objectsOf(quads, ont, NS.rdf + 'type')[0].value).toBe(NS.owl + 'Ontology');
+    expect(objectsOf(quads, ont, NS.owl + 'versionIRI')[0].value).toBe('http://example.org/pets/1.0');
+    expect(objectsOf(quads, ont, NS.owl + 'imports')[0].value).toBe('http://example.org/base');
+    expect(objectsOf(quads, ont, NS.rdfs + 'label')[0].value).toBe('Pets Ontology');
+  });
+
+  test('maps declarations, annotation assertions and axiom annotations', () => {
+    expect(objectsOf(quads, ex + 'Dog', NS.rdf + 'type').map(o => o.value)).toContain(NS.owl + 'Class');
+    expect(objectsOf(quads, ex + 'age', NS.rdf + 'type')[0].value).toBe(NS.owl + 'DatatypeProperty');
+    expect(objectsOf(quads, ex + 'Dog', NS.skos + 'definition')[0].value).toBe('A domesticated "canine".');
+
+    const axiom = quads.find(q => q.predicate.value === NS.owl + 'annotatedProperty' && q.object.value === NS.skos + 'definition');
+    expect(objectsOf(quads, axiom.subject.value, NS.rdfs + 'comment')[0].value).toBe('from a dictionary');
+  });
+
+  test('maps class expressions to restriction and list structures', () => {
+    const parents = objectsOf(quads, ex + 'Dog', NS.rdfs + 'subClassOf');
+    expect(parents.filter(p => p.termType === 'NamedNode').map(p => p.value)).toEqual([ex + 'Animal']);
+
+    const some = parents.find(p => objectsOf(quads, p.value, NS.owl + 'someValuesFrom').length);
+    const union = objectsOf(quads, some.value, NS.owl + 'someValuesFrom')[0];
+    const members = followList(quads, objectsOf(quads, union.value, NS.owl + 'unionOf')[0]);
+    expect(members.map(m => m.value)).toEqual([ex + 'Person', ex + 'Organization']);
+
+    const card = parents.find(p => objectsOf(quads, p.value, NS.owl + 'maxQualifiedCardinality').length);
+    expect(objectsOf(quads, card.value, NS.owl + 'maxQualifiedCardinality')[0].value).toBe('1');
+    expect(objectsOf(quads, card.value, NS.owl + 'onDataRange')).toHaveLength(1);
+  });
+
+  test('maps property axioms, n-ary axioms and assertions', () => {
+    expect(objectsOf(quads, ex + 'hasOwner', NS.rdfs + 'subPropertyOf')[0].value).toBe(ex + 'relatedTo');
+    const chain = objectsOf(quads, ex + 'hasOwnerParent', NS.owl + 'propertyChainAxiom')[0];
+    expect(followList(quads, chain).map(m => m.value)).toEqual([ex + 'hasOwner', ex + 'hasParent']);
+    expect(objectsOf(quads, ex + 'relatedTo', NS.rdf + 'type')[0].value).toBe(NS.owl + 'TransitiveProperty');
+    expect(quads.some(q => q.object.value === NS.owl + 'AllDisjointClasses')).toBe(true);
+    expect(followList(quads, objectsOf(quads, ex + 'Dog', NS.owl + 'hasKey')[0])).toHaveLength(2);
+    expect(objectsOf(quads, ex + 'rex', NS.rdf + 'type')[0].value).toBe(ex + 'Dog');
+    expect(objectsOf(quads, ex + 'rex', ex + 'age')[0].value).toBe('3');
+  });
+
+  test('reports syntax errors with line and column', () => {
+    expect(() => parseOwlFunctional('Prefix(:=<http://x/>)\nOntology(\n  SubClassOf(:A :B)', { factory }))
+      .toThrow(/Unclosed.*line 2, column 1/);
+    expect(() => parseOwlFunctional('Ontology(SubClassOf(nope:A :B))', { factory }))
+      .toThrow(/Undeclared prefix "nope:"/);
+  });
+
+  test('reports Prefix(...) declarations', () => {
+    const prefixes = {};
+    const onPrefix = (prefix, namespace) => {
+      prefixes[prefix] = namespace;
+    };
+    parseOwlFunctional(SAMPLE_OFN, { factory, onPrefix });
+    expect(prefixes).toMatchObject({ '': 'http://example.org/pets#', owl: NS.owl, skos: NS.skos });
+  });
+});
+
+describe('parseRdfTextToStore (OWL Functional Syntax)', () => {
+  test('sniffs the syntax and feeds metadata and element table', async () => {
+    const format = detectRdfFormat(SAMPLE_OFN, 'pets.owl');
+    expect(format).toBe('text/owl-functional');
+
+    const store = await parseRdfTextToStore(SAMPLE_OFN, format);
+    const meta = extractOntologyMetadata(store);
+    expect(meta.ontologyName).toBe('Pets Ontology');
+    expect(meta.versionIri).toBe('http://example.org/pets/1.0');
+    expect(meta.versionInfo).toBe('1.0');
+
+    const model = buildElementTableModel(store);
+    const dog = model.rows.find(r => r.iri === 'http://example.org/pets#Dog');
+    expect(dog.label).toBe('dog');
+    expect(dog.definition).toBe('A domesticated "canine".');
+    expect(dog.subClassOf).toBe([
+      'http://example.org/pets#Animal',
+      '<http://example.org/pets#hasOwner> some (<http://example.org/pets#Person> or <http://example.org/pets#Organization>)',
+      '<http://example.org/pets#age> max 1 <http://www.w3.org/2001/XMLSchema#integer>[>= 0]'
+    ].join('; '));
+    const owner = model.rows.find(r => r.iri === 'http://example.org/pets#hasOwner');
+    expect(owner.subPropertyOf).toBe('http://example.org/pets#relatedTo');
+  });
+});
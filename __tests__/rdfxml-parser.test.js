@@ -0,0 +1,187 @@
+// __tests__/rdfxml-parser.test.js
+
+import { parseRdfXml } from '../docs/app/rdfxml-parser.js';
+import { parseXml } from '../docs/app/xml-parser.js';
+import {
+  parseRdfTextToStore,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  NS
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+const PROTEGE_OWL = `<?xml version="1.0"?>
+<!DOCTYPE rdf:RDF [
+    <!ENTITY obo "http://purl.obolibrary.org/obo/" >
+    <!ENTITY owl "http://www.w3.org/2002/07/owl#" >
+]>
+<rdf:RDF xmlns="http://example.org/onto#"
+     xml:base="http://example.org/onto"
+     xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+     xmlns:owl="http://www.w3.org/2002/07/owl#"
+     xmlns:rdfs="http://www.w3.org/2000/01/rdf-schema#"
+     xmlns:skos="http://www.w3.org/2004/02/skos/core#"
+     xmlns:obo="http://purl.obolibrary.org/obo/">
+    <owl:Ontology rdf:about="http://example.org/onto">
+        <rdfs:label xml:lang="en">Example Ontology</rdfs:label>
+        <owl:versionIRI rdf:resource="http://example.org/onto/1.0"/>
+        <owl:versionInfo>1.0</owl:versionInfo>
+    </owl:Ontology>
+
+    <!-- http://example.org/onto#Parent -->
+    <owl:Class rdf:about="#Parent">
+        <rdfs:label xml:lang="en">parent</rdfs:label>
+    </owl:Class>
+
+    <owl:Class rdf:about="&obo;EX_0000001">
+        <rdfs:subClassOf rdf:resource="#Parent"/>
+        <rdfs:subClassOf>
+            <owl:Restriction>
+                <owl:onProperty rdf:resource="&obo;BFO_0000050"/>
+                <owl:someValuesFrom rdf:resource="#Parent"/>
+            </owl:Restriction>
+        </rdfs:subClassOf>
+        <obo:IAO_0000115 xml:lang="en">A child &amp; its &quot;definition&quot;.</obo:IAO_0000115>
+        <rdfs:label xml:lang="fr">enfant</rdfs:label>
+        <rdfs:label xml:lang="en">child</rdfs:label>
+        <skos:altLabel rdf:datatype="http://www.w3.org/2001/XMLSchema#string">kid</skos:altLabel>
+    </owl:Class>
+
+    <rdf:Description rdf:about="#hasPart" rdfs:label="has part">
+        <rdf:type rdf:resource="&owl;ObjectProperty"/>
+    </rdf:Description>
+</rdf:RDF>`;
+
+const factory = DataFactory;
+
+function findQuads(quads, s, p) {
+  return quads.filter(q => q.subject.value === s && q.predicate.value === p);
+}
+
+describe('parseXml', () => {
+  test('resolves namespaces and expands DOCTYPE entities', () => {
+    const { root } = parseXml(
+      '<!DOCTYPE r [<!ENTITY ex "http://example.org/">]><a:r xmlns:a="urn:a" b="&ex;x"><c/></a:r>'
+    );
+    expect(root.namespaceUri).toBe('urn:a');
+    expect(root.localName).toBe('r');
+    expect(root.attributes[0].value).toBe('http://example.org/x');
+    expect(root.children[0].name).toBe('c');
+  });
+
+  test('reports line and column for mismatched tags', () => {
+    expect.assertions(2);
+    try {
+      parseXml('<a>\n  <b></c>\n</a>');
+    } catch (err) {
+      expect(err.message).toMatch(/Mismatched end tag/);
+      expect(err.context).toMatchObject({ line: 2, column: 6 });
+    }
+  });
+});
+
+describe('parseRdfXml', () => {
+  test('maps typed node elements, resources, literals and xml:base', () => {
+    const quads = parseRdfXml(PROTEGE_OWL, { factory });
+
+    const childIri = NS.obo + 'EX_0000001';
+    const types = findQuads(quads, childIri, NS.rdf + 'type').map(q => q.object.value);
+    expect(types).toEqual([NS.owl + 'Class']);
+
+    const parents = findQuads(quads, childIri, NS.rdfs + 'subClassOf').map(q => q.object);
+    expect(parents.map(p => p.termType).sort()).toEqual(['BlankNode', 'NamedNode']);
+    expect(parents.find(p => p.termType === 'NamedNode').value).toBe('http://example.org/onto#Parent');
+
+    const definition = findQuads(quads, childIri, NS.obo + 'IAO_0000115')[0].object;
+    expect(definition.value).toBe('A child & its "definition".');
+    expect(definition.language).toBe('en');
+
+    const alt = findQuads(quads, childIri, NS.skos + 'altLabel')[0].object;
+    expect(alt.datatype.value).toBe('http://www.w3.org/2001/XMLSchema#string');
+
+    const propLabel = findQuads(quads, 'http://example.org/onto#hasPart', NS.rdfs + 'label');
+    expect(propLabel[0].object.value).toBe('has part');
+  });
+
+  test('supports parseType Resource, Collection and Literal', () => {
+    const xml = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+      xmlns:ex="http://example.org/">
+      <rdf:Description rdf:about="http://example.org/s">
+        <ex:address rdf:parseType="Resource"><ex:city>Buffalo</ex:city></ex:address>
+        <ex:members rdf:parseType="Collection">
+          <rdf:Description rdf:about="http://example.org/a"/>
+          <rdf:Description rdf:about="http://example.org/b"/>
+        </ex:members>
+        <ex:note rdf:parseType="Literal"><b>bold</b> text</ex:note>
+      </rdf:Description>
+    </rdf:RDF>`;
+    const quads = parseRdfXml(xml, { factory });
+
+    const address = findQuads(quads, 'http://example.org/s', 'http://example.org/address')[0].object;
+    expect(address.termType).toBe('BlankNode');
+    const city = quads.find(q => q.subject.equals(address));
+    expect(city.object.value).toBe('Buffalo');
+
+    const list = findQuads(quads, 'http://example.org/s', 'http://example.org/members')[0].object;
+    const firsts = [];
+    for (let cell = list; cell.value !== NS.rdf + 'nil';) {
+      firsts.push(quads.find(q => q.subject.equals(cell) && q.predicate.value === NS.rdf + 'first').object.value);
+      cell = quads.find(q => q.subject.equals(cell) && q.predicate.value === NS.rdf + 'rest').object;
+    }
+    expect(list.termType).toBe('BlankNode');
+    expect(firsts).toEqual(['http://example.org/a', 'http://example.org/b']);
+
+    const note = findQuads(quads, 'http://example.org/s', 'http://example.org/note')[0].object;
+    expect(note.value).toBe('<b>bold</b> text');
+    expect(note.datatype.value).toBe(NS.rdf + 'XMLLiteral');
+  });
+
+  test('shares blank nodes by rdf:nodeID and numbers rdf:li', () => {
+    const xml = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+      xmlns:ex="http://example.org/">
+      <rdf:Bag rdf:nodeID="bag"><rdf:li>one</rdf:li><rdf:li>two</rdf:li></rdf:Bag>
+      <rdf:Description rdf:about="http://example.org/s"><ex:items rdf:nodeID="bag"/></rdf:Description>
+    </rdf:RDF>`;
+    const quads = parseRdfXml(xml, { factory });
+
+    const bag = findQuads(quads, 'http://example.org/s', 'http://example.org/items')[0].object;
+    const items = quads.filter(q => q.subject.equals(bag) && q.predicate.value.startsWith(NS.rdf + '_'));
+    expect(items.map(q => [q.predicate.value.slice(NS.rdf.length), q.object.value])).toEqual([
+      ['_1', 'one'],
+      ['_2', 'two']
+    ]);
+  });
+
+  test('requires a DataFactory', () => {
+    expect(() => parseRdfXml('<rdf:RDF/>')).toThrow(/DataFactory/);
+  });
+
+  test('reports xmlns declarations as prefixes', () => {
+    const prefixes = {};
+    const onPrefix = (prefix, namespace) => {
+      prefixes[prefix] = namespace;
+    };
+    parseRdfXml(PROTEGE_OWL, { factory, onPrefix });
+    expect(prefixes).toMatchObject({ '': 'http://example.org/onto#', obo: NS.obo, skos: NS.skos });
+  });
+});
+
+describe('parseRdfTextToStore (RDF/XML)', () => {
+  test('feeds metadata and element table like Turtle does', async () => {
+    const store = await parseRdfTextToStore(PROTEGE_OWL, 'application/rdf+xml');
+
+    const meta = extractOntologyMetadata(store);
+    expect(meta.ontologyIri).toBe('http://example.org/onto');
+    expect(meta.ontologyName).toBe('Example Ontology');
+    expect(meta.versionIri).toBe('http://example.org/onto/1.0');
+    expect(meta.versionInfo).toBe('1.0');
+
+    const model = buildElementTableModel(store);
+    const child = model.rows.find(r => r.iri === NS.obo + 'EX_0000001');
+    expect(child.label).toBe('child');
+    expect(child.definition).toBe('A child & its "definition".');
+    expect(child.subClassOf).toBe('http://example.org/onto#Parent; obo:BFO_0000050 some parent');
+    expect(model.rows.map(r => r.iri)).toContain('http://example.org/onto#hasPart');
+  });
+});
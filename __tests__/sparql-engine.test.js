@@ -0,0 +1,198 @@
+// __tests__/sparql-engine.test.js
+
+import { parseSparql, executeSparql } from '../docs/app/sparql-engine.js';
+import {
+  parseRdfTextToStore,
+  runSparqlQuery,
+  sparqlResultToTableModel,
+  describeParseError,
+  SPARQL_EXAMPLE_QUERIES,
+  COMMON_PREFIX_MAP
+} from '../docs/app/core.js';
+
+import { DataFactory } from 'n3';
+
+const factory = DataFactory;
+
+const SAMPLE_TTL = `@prefix : <http://example.org/e#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+@prefix obo: <http://purl.obolibrary.org/obo/> .
+obo:BFO_0000001 a owl:Class ; rdfs:label "entity" .
+obo:BFO_0000040 a owl:Class ; rdfs:subClassOf obo:BFO_0000001 ; rdfs:label "material entity" ;
+  obo:IAO_0000115 "An independent continuant that has some matter as part." .
+:Dog a owl:Class ; rdfs:subClassOf obo:BFO_0000040 ; rdfs:label "dog"@en, "Hund"@de .
+:Cat a owl:Class ; rdfs:subClassOf obo:BFO_0000040 ; rdfs:label "cat" ; skos:definition "A cat." .
+:Puppy a owl:Class ; rdfs:subClassOf :Dog, [ a owl:Restriction ; owl:onProperty :eats ; owl:someValuesFrom :Cat ] .
+:Old a owl:Class ; owl:deprecated true .
+:Dog rdfs:seeAlso :Old .
+:eats a owl:ObjectProperty ; rdfs:domain :Dog ; rdfs:range :Cat ; rdfs:label "eats" .
+`;
+
+const E = 'http://example.org/e#';
+const OBO = 'http://purl.obolibrary.org/obo/';
+
+let store;
+
+beforeAll(async () => {
+  store = await parseRdfTextToStore(SAMPLE_TTL, 'text/turtle');
+});
+
+// Run a query with the common prefixes and ":" declared; returns the table rows.
+async function rows(query) {
+  const result = await runSparqlQuery(store, query, { prefixes: { ...COMMON_PREFIX_MAP, '': E } });
+  return sparqlResultToTableModel(result).rows;
+}
+
+describe('parseSparql', () => {
+  test('reads prefixes, the projection and the solution modifiers', () => {
+    const query = parseSparql(`PREFIX ex: <http://example.org/e#>
+      SELECT DISTINCT ?class (STR(?label) AS ?text)
+      WHERE { ?class a ex:Thing ; ex:name ?label , ?other . _:b ex:p [ ex:q ?deep ] }
+      ORDER BY DESC(?text) ?class LIMIT 5 OFFSET 2`, { factory });
+
+    expect(query).toMatchObject({
+      type: 'select',
+      distinct: true,
+      variables: ['class', 'label', 'other', 'deep'],
+      limit: 5,
+      offset: 2,
+      prefixes: { ex: E }
+    });
+    expect(query.projection.map(item => item.name)).toEqual(['class', 'text']);
+    expect(query.order.map(c => c.descending)).toEqual([true, false]);
+    expect(query.where.elements[0].triples).toHaveLength(5);
+  });
+
+  test('reports syntax errors and unsupported features with their position', () => {
+    const attempt = text => () => parseSparql(text, { factory, prefixes: COMMON_PREFIX_MAP });
+
+    expect(attempt('SELECT ?x WHERE {\n  ?x rdfs:label "open }')).toThrow(/Unclosed string \(line 2, column 17\)/);
+    expect(attempt('SELECT ?x WHERE { ?x nope:p ?y }')).toThrow(/Unknown prefix "nope:" near "nope:p"/);
+    expect(attempt('SELECT ?x WHERE { ?x ?p ?y')).toThrow(/Expected "}" at end of query/);
+    expect(attempt('SELECT (COUNT(?x) AS ?n) WHERE { ?x ?p ?y }')).toThrow(/Aggregates are not supported/);
+    expect(attempt('SELECT ?x WHERE { ?x ?p ?y } GROUP BY ?x')).toThrow(/GROUP BY and HAVING are not supported/);
+    expect(attempt('DELETE WHERE { ?x ?p ?y }')).toThrow(/SPARQL Update is not supported/);
+    expect(attempt('DESCRIBE <http://example.org/e#Dog>')).toThrow(/DESCRIBE queries are not supported/);
+    expect(attempt('SELECT ?x WHERE { ?x ?p ?y } ?z')).toThrow(/Unexpected input after the query/);
+
+    let error;
+    try {
+      parseSparql('SELECT ?x\nWHERE { ?x ?p }', { factory });
+    } catch (err) {
+      error = err;
+    }
+    expect(describeParseError(error, 'SELECT ?x\nWHERE { ?x ?p }')).toMatchObject({ line: 2, column: 15 });
+  });
+
+  test('every example query parses', () => {
+    SPARQL_EXAMPLE_QUERIES.forEach(example => {
+      expect(() => parseSparql(example.query, { factory })).not.toThrow();
+    });
+  });
+});
+
+describe('executeSparql', () => {
+  test('joins triple patterns with OPTIONAL, FILTER and ORDER BY', async () => {
+    expect(await rows(`SELECT ?class ?label WHERE {
+      ?class rdfs:subClassOf obo:BFO_0000040 .
+      OPTIONAL { ?class rdfs:label ?label FILTER(LANG(?label) != "de") }
+    } ORDER BY ?label`)).toEqual([
+      { class: `${E}Cat`, label: 'cat' },
+      { class: `${E}Dog`, label: 'dog' }
+    ]);
+  });
+
+  test('finds classes without a definition under BFO with FILTER NOT EXISTS and a path alternative', async () => {
+    const example = SPARQL_EXAMPLE_QUERIES.find(q => q.id === 'undefined-bfo-subclasses');
+    // Literals sort by code point, so "Hund" comes before "dog".
+    expect(await rows(example.query)).toEqual([
+      { class: `${E}Dog`, label: 'Hund', parent: `${OBO}BFO_0000040` },
+      { class: `${E}Dog`, label: 'dog', parent: `${OBO}BFO_0000040` }
+    ]);
+  });
+
+  test('follows property paths', async () => {
+    expect((await rows('SELECT ?c WHERE { ?c rdfs:subClassOf+ obo:BFO_0000001 } ORDER BY ?c')).map(r => r.c))
+      .toEqual([`${E}Cat`, `${E}Dog`, `${E}Puppy`, `${OBO}BFO_0000040`]);
+    expect((await rows('SELECT ?c WHERE { :Puppy rdfs:subClassOf* ?c FILTER(isIRI(?c)) } ORDER BY ?c')).map(r => r.c))
+      .toEqual([`${E}Dog`, `${E}Puppy`, `${OBO}BFO_0000001`, `${OBO}BFO_0000040`]);
+    expect(await rows('SELECT ?c WHERE { ?c ^rdfs:subClassOf/rdfs:label "dog"@en }'))
+      .toEqual([{ c: `${OBO}BFO_0000040` }]);
+    expect(await rows('SELECT ?p ?f WHERE { ?p rdfs:subClassOf [ owl:onProperty :eats ; owl:someValuesFrom ?f ] }'))
+      .toEqual([{ p: `${E}Puppy`, f: `${E}Cat` }]);
+  });
+
+  test('evaluates UNION, MINUS, VALUES, BIND, IN and projected expressions', async () => {
+    expect(await rows(`SELECT ?c WHERE {
+      { ?c rdfs:label "dog"@en } UNION { ?c rdfs:label "cat" }
+      MINUS { ?c skos:definition ?d }
+    }`)).toEqual([{ c: `${E}Dog` }]);
+    expect(await rows(`SELECT ?c ?tag WHERE {
+      VALUES ?c { :Dog :Eel }
+      BIND(CONCAT("<", STR(?c), ">") AS ?tag)
+    }`)).toEqual([{ c: `${E}Dog`, tag: `<${E}Dog>` }, { c: `${E}Eel`, tag: `<${E}Eel>` }]);
+    expect(await rows('SELECT ?c WHERE { ?c a owl:Class FILTER(?c IN (:Dog, :Cat)) } ORDER BY ?c'))
+      .toEqual([{ c: `${E}Cat` }, { c: `${E}Dog` }]);
+    expect(await rows(`SELECT ?c (STRLEN(?l) * 2 AS ?n) WHERE { ?c rdfs:label ?l }
+      ORDER BY DESC(?n) ?c LIMIT 2 OFFSET 1`)).toEqual([
+      { c: `${OBO}BFO_0000001`, n: '12' },
+      { c: `${E}Dog`, n: '8' }
+    ]);
+  });
+
+  test('answers ASK and builds CONSTRUCT triples', async () => {
+    expect(await rows('ASK { :Old owl:deprecated true }')).toEqual([{ result: 'true' }]);
+    expect(await rows('ASK { :Dog rdfs:subClassOf :Cat }')).toEqual([{ result: 'false' }]);
+
+    const result = await runSparqlQuery(store, `PREFIX ex: <http://example.org/x#>
+      CONSTRUCT { ?c ex:labelled [ ex:text ?l ] } WHERE { ?c rdfs:label ?l FILTER(LANG(?l) = "de") }`, {
+      prefixes: COMMON_PREFIX_MAP
+    });
+    expect(result.prefixes).toEqual({ ex: 'http://example.org/x#' });
+    expect(result.quads).toHaveLength(2);
+    const model = sparqlResultToTableModel(result);
+    expect(model.keys).toEqual(['subject', 'predicate', 'object']);
+    const labelled = model.rows.find(row => row.predicate === 'http://example.org/x#labelled');
+    expect(labelled.subject).toBe(`${E}Dog`);
+    expect(model.rows.find(row => row.subject === labelled.object)).toMatchObject({
+      predicate: 'http://example.org/x#text',
+      object: 'Hund'
+    });
+    expect(model.iriColumns).toEqual({ predicate: '' });
+  });
+
+  test('queries named graphs with GRAPH and treats the default graph as their union', async () => {
+    const trig = await parseRdfTextToStore(`@prefix : <http://example.org/e#> .
+      :g1 { :a :p :b . :shared :p :x }
+      :g2 { :c :p :d . :shared :p :x }`, 'application/trig');
+    const query = parseSparql('SELECT ?s ?g WHERE { GRAPH ?g { ?s :p ?o } } ORDER BY ?g ?s', { factory, prefixes: { '': E } });
+    const result = executeSparql(query, trig, { factory });
+    expect(result.bindings.map(b => [b.s.value, b.g.value])).toEqual([
+      [`${E}a`, `${E}g1`], [`${E}shared`, `${E}g1`], [`${E}c`, `${E}g2`], [`${E}shared`, `${E}g2`]
+    ]);
+
+    const all = executeSparql(parseSparql('SELECT ?s WHERE { ?s :p :x }', { factory, prefixes: { '': E } }), trig, { factory });
+    expect(all.bindings).toHaveLength(1);
+  });
+});
+
+describe('sparqlResultToTableModel', () => {
+  test('marks columns holding only IRIs as IRI columns and writes blank nodes as _:label', () => {
+    const model = sparqlResultToTableModel({
+      type: 'select',
+      variables: ['x', 'y', 'z'],
+      bindings: [
+        { x: factory.namedNode(`${E}a`), y: factory.literal('one'), z: factory.blankNode('b0') },
+        { x: factory.namedNode(`${E}b`), y: factory.namedNode(`${E}c`) }
+      ]
+    });
+    expect(model).toEqual({
+      headers: ['x', 'y', 'z'],
+      keys: ['x', 'y', 'z'],
+      rows: [{ x: `${E}a`, y: 'one', z: '_:b0' }, { x: `${E}b`, y: `${E}c`, z: '' }],
+      iriColumns: { x: '' }
+    });
+  });
+});
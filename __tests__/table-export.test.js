@@ -0,0 +1,121 @@
+// __tests__/table-export.test.js
+
+import {
+  tableModelToMatrix,
+  tableModelToTsv,
+  tableModelToJson,
+  tableModelToMarkdown,
+  tableModelToHtml,
+  ontologyMetadataToMatrix
+} from '../docs/app/table-export.js';
+import { buildXlsxWorkbook, toSheetNames } from '../docs/app/xlsx-writer.js';
+
+const model = {
+  headers: ['iri', 'label', 'definition'],
+  keys: ['iri', 'label', 'definition'],
+  rows: []
+};
+const rows = [
+  { iri: 'http://example.org/b', label: 'pipe | bar', definition: 'Two\nlines' },
+  { iri: 'http://example.org/a', label: '<tag> & "quote"', definition: 'Tab\there' }
+];
+
+// Read the entries of a stored (uncompressed) ZIP archive through its local file headers.
+function readStoredZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries = {};
+  let at = 0;
+  while (view.getUint32(at, true) === 0x04034b50) {
+    expect(view.getUint16(at + 8, true)).toBe(0); // stored
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const extraLength = view.getUint16(at + 28, true);
+    const name = decoder.decode(bytes.subarray(at + 30, at + 30 + nameLength));
+    const start = at + 30 + nameLength + extraLength;
+    entries[name] = decoder.decode(bytes.subarray(start, start + size));
+    at = start + size;
+  }
+  expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+  expect(view.getUint16(bytes.length - 12, true)).toBe(Object.keys(entries).length);
+  return entries;
+}
+
+describe('table exports', () => {
+  test('keeps row order and applies cellText', () => {
+    const matrix = tableModelToMatrix(model, rows, { cellText: (key, value) => (key === 'iri' ? value.slice(-1) : value) });
+    expect(matrix.map(r => r[0])).toEqual(['iri', 'b', 'a']);
+  });
+
+  test('writes TSV and JSON', () => {
+    expect(tableModelToTsv(model, rows).split('\n')).toEqual([
+      'iri\tlabel\tdefinition',
+      'http://example.org/b\tpipe | bar\tTwo lines',
+      'http://example.org/a\t<tag> & "quote"\tTab here'
+    ]);
+    expect(tableModelToJson(model, rows.slice(0, 1))).toEqual({
+      keys: ['iri', 'label', 'definition'],
+      headers: ['iri', 'label', 'definition'],
+      rows: [{ iri: 'http://example.org/b', label: 'pipe | bar', definition: 'Two\nlines' }]
+    });
+  });
+
+  test('writes GitHub Markdown with escaped pipes and line breaks', () => {
+    const md = tableModelToMarkdown(model, rows.slice(0, 1), { title: 'Zoo' }).split('\n');
+    expect(md).toEqual([
+      '## Zoo',
+      '',
+      '| iri | label | definition |',
+      '| --- | --- | --- |',
+      '| http://example.org/b | pipe \\| bar | Two<br>lines |',
+      ''
+    ]);
+  });
+
+  test('writes a standalone, escaped HTML document', () => {
+    const html = tableModelToHtml(model, rows, { title: 'Zoo & co' });
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Zoo &amp; co</title>');
+    expect(html).toContain('<td>&lt;tag&gt; &amp; &quot;quote&quot;</td>');
+    expect(html.match(/<tr>/g)).toHaveLength(3);
+  });
+
+  test('lists ontology metadata per sheet', () => {
+    expect(ontologyMetadataToMatrix([{ name: 'Zoo', meta: { ontologyIri: 'http://example.org/zoo', versionInfo: '1.0' } }]))
+      .toEqual([
+        ['Sheet', 'Ontology IRI', 'Ontology Name', 'Version IRI', 'Version Info', 'Description', 'License', 'Copyright'],
+        ['Zoo', 'http://example.org/zoo', '', '', '1.0', '', '', '']
+      ]);
+  });
+});
+
+describe('buildXlsxWorkbook', () => {
+  test('packages one worksheet per sheet with a frozen, bold header row', () => {
+    const entries = readStoredZip(buildXlsxWorkbook([
+      { name: 'Metadata', rows: [['Sheet'], ['Zoo']] },
+      { name: 'Zoo', rows: tableModelToMatrix(model, rows) }
+    ]));
+
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(entries['xl/workbook.xml']).toContain('<sheet name="Metadata" sheetId="1" r:id="rId1"/>');
+    expect(entries['xl/workbook.xml']).toContain('<sheet name="Zoo" sheetId="2" r:id="rId2"/>');
+
+    const sheet = entries['xl/worksheets/sheet2.xml'];
+    expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">iri</t></is></c>');
+    expect(sheet).toContain('<c r="B3" t="inlineStr"><is><t xml:space="preserve">&lt;tag&gt; &amp; &quot;quote&quot;</t></is></c>');
+  });
+
+  test('makes sheet names valid and unique', () => {
+    expect(toSheetNames(['a/b', 'A/B', '', 'x'.repeat(40)])).toEqual(['a_b', 'A_B (2)', 'Sheet3', 'x'.repeat(31)]);
+    expect(() => buildXlsxWorkbook([])).toThrow();
+  });
+});
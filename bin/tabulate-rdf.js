@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// bin/tabulate-rdf.js
+// Command-line tool: the page's element tables for ontology files, written to an output directory
+// for build pipelines. Uses the same core.js and table-export.js as the page, and the same vendored
+// N3 bundle as app/parse-worker.js, so it needs no installed packages.
+import '../docs/app/n3.min.js'; // UMD bundle: sets globalThis.N3 for core.js
+
+import { readdir, readFile, mkdir, writeFile, realpath } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+  DEFAULT_COLUMN_PROFILE,
+  DEFAULT_LANGUAGE_PREFERENCE,
+  COMMON_PREFIX_MAP,
+  SNIFF_SAMPLE_SIZE,
+  detectRdfFormat,
+  parseRdfTextToStore,
+  describeParseError,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  filterAndSortRows,
+  mergePrefixMaps,
+  parseLanguagePreference,
+  parseFilterQuery,
+  validateColumnProfile
+} from '../docs/app/core.js';
+import { tableModelToCsv, tableModelToTsv, tableModelToJson, tableModelToMarkdown } from '../docs/app/table-export.js';
+
+const USAGE = `Usage: tabulate-rdf [options] <file or glob>...
+
+Writes one table per ontology file (the page's element table) to the output directory.
+
+Options:
+  -f, --format <csv|tsv|json|md>  table format (default: csv)
+  -o, --out-dir <dir>             output directory, created if needed (default: .)
+      --filter <query>            keep the rows matching a query, as in the page's filter box:
+                                  words, label:x, -definition:*, /regex/, "phrases", AND/OR/NOT
+      --sort <column>             sort by a column, given by key or header
+      --sort-direction <asc|desc> (default: asc)
+      --metadata                  also write <name>.metadata.json with the ontology metadata
+      --profile <file>            column profile JSON (as exported by the page; default: CCO/OBO)
+      --languages <list>          literal language priority, e.g. "en, none" (default: en, none)
+  -v, --verbose                   log core events to stderr
+  -h, --help                      show this help
+
+Globs (*, **, ?, [abc], {a,b}) are expanded here too, for shells that pass them through.
+Exit status: 0 when every file was tabulated, 1 when a file could not be read or parsed (the
+others are still written), 2 for usage errors.`;
+
+// --format → writer and file extension
+const FORMATS = {
+  csv: { extension: 'csv', write: (model, rows) => tableModelToCsv(model, rows) },
+  tsv: { extension: 'tsv', write: (model, rows) => tableModelToTsv(model, rows) },
+  json: { extension: 'json', write: (model, rows) => `${JSON.stringify(tableModelToJson(model, rows), null, 2)}\n` },
+  md: { extension: 'md', write: (model, rows, title) => tableModelToMarkdown(model, rows, { title }) }
+};
+
+// Thrown for bad command lines (exit status 2).
+class UsageError extends Error {}
+
+/**
+ * Read the command line.
+ * @param {string[]} argv arguments after the program name
+ * @returns {{
+ *   patterns: string[],
+ *   format: 'csv'|'tsv'|'json'|'md',
+ *   outDir: string,
+ *   filter: string,
+ *   sort: string|null,
+ *   sortDirection: 'asc'|'desc',
+ *   metadata: boolean,
+ *   profile: string|null,
+ *   languages: string[],
+ *   verbose: boolean,
+ *   help: boolean
+ * }} profile: the column profile file to read
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'csv' },
+        'out-dir': { type: 'string', short: 'o', default: '.' },
+        filter: { type: 'string', default: '' },
+        sort: { type: 'string' },
+        'sort-direction': { type: 'string', default: 'asc' },
+        metadata: { type: 'boolean', default: false },
+        profile: { type: 'string' },
+        languages: { type: 'string' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  const format = values.format.toLowerCase();
+  if (!FORMATS[format]) throw new UsageError(`Unknown format "${values.format}" (use csv, tsv, json or md)`);
+  const sortDirection = values['sort-direction'].toLowerCase();
+  if (sortDirection !== 'asc' && sortDirection !== 'desc') {
+    throw new UsageError(`Unknown sort direction "${values['sort-direction']}" (use asc or desc)`);
+  }
+  if (!positionals.length && !values.help) throw new UsageError('No input files given');
+  try {
+    parseFilterQuery(values.filter);
+  } catch (err) {
+    throw new UsageError(`Invalid --filter: ${err.message}`);
+  }
+
+  return {
+    patterns: positionals,
+    format,
+    outDir: values['out-dir'],
+    filter: values.filter,
+    sort: values.sort ?? null,
+    sortDirection,
+    metadata: values.metadata,
+    profile: values.profile ?? null,
+    languages: values.languages == null ? DEFAULT_LANGUAGE_PREFERENCE : parseLanguagePreference(values.languages),
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+const GLOB_CHARS = /[*?[{]/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Regular expression source for a glob over "/"-separated paths.
+function globSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:[^/]*/)*' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += `[${set.replace(/^!/, '^')}]`;
+      i = end;
+    } else if (ch === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return source;
+}
+
+/**
+ * Expand file arguments: plain paths are kept as they are, globs are matched against the file
+ * system (hidden files and directories are only matched by patterns that name them).
+ * @param {string[]} patterns
+ * @param {string} cwd directory relative patterns start from
+ * @returns {Promise<string[]>} paths in argument order, each glob's matches sorted, without repeats
+ */
+export async function expandFileArgs(patterns, cwd) {
+  const files = [];
+  for (const pattern of patterns) {
+    if (!GLOB_CHARS.test(pattern)) {
+      files.push(pattern);
+      continue;
+    }
+
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const rest = segments.slice(firstGlob);
+    const matcher = new RegExp(`^${globSource(rest.join('/'))}$`);
+    const maxDepth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length;
+    const matchHidden = rest.some(segment => segment.startsWith('.'));
+
+    const matches = [];
+    const walk = async (relDir, depth) => {
+      let entries;
+      try {
+        entries = await readdir(path.resolve(cwd, base, relDir), { withFileTypes: true });
+      } catch {
+        return; // a missing or unreadable directory matches nothing
+      }
+      for (const entry of entries) {
+        const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.name.startsWith('.') && !matchHidden) continue;
+        if (entry.isDirectory()) {
+          if (depth < maxDepth) await walk(rel, depth + 1);
+        } else if (matcher.test(rel)) {
+          matches.push(base === '.' && !pattern.startsWith('./') ? rel : `${base.replace(/\/$/, '')}/${rel}`);
+        }
+      }
+    };
+    await walk('', 1);
+    files.push(...matches.sort());
+  }
+  return Array.from(new Set(files));
+}
+
+// Output base names: the input file name without its extension, made unique with "-2", "-3", ...
+function outputBaseNames(files) {
+  const used = new Set();
+  return files.map(file => {
+    const base = path.basename(file).replace(/\.[^.]+$/, '') || 'ontology';
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+async function loadProfile(file, cwd) {
+  try {
+    return validateColumnProfile(JSON.parse(await readFile(path.resolve(cwd, file), 'utf8')));
+  } catch (err) {
+    throw new UsageError(`Cannot use the column profile ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Core functions log every step with console.info and console.error; keep them off stdout and
+ * out of the way unless --verbose asks for them on stderr.
+ * @param {boolean} verbose
+ * @returns {() => void} restores the console
+ */
+function routeCoreLogs(verbose) {
+  const { info, error } = console;
+  console.info = verbose ? (...args) => error(...args) : () => {};
+  console.error = verbose ? error : () => {};
+  return () => {
+    console.info = info;
+    console.error = error;
+  };
+}
+
+/**
+ * Tabulate one file and write its table (and metadata).
+ * @returns {Promise<string[]>} the paths written
+ */
+async function tabulateFile(file, baseName, options, { profile, cwd, warn }) {
+  const text = await readFile(path.resolve(cwd, file), 'utf8');
+  const format = detectRdfFormat(text.slice(0, SNIFF_SAMPLE_SIZE), file);
+  const declaredPrefixes = {};
+  let store;
+  try {
+    store = await parseRdfTextToStore(text, format, {
+      onPrefix: (prefix, namespace) => {
+        declaredPrefixes[prefix] = namespace;
+      }
+    });
+  } catch (err) {
+    const { message, line, column, snippet } = describeParseError(err, text);
+    const where = line == null ? file : `${file}:${line}${column == null ? '' : `:${column}`}`;
+    throw new Error(`${where}: ${message}${snippet ? `\n${snippet}` : ''}`);
+  }
+
+  const meta = extractOntologyMetadata(store, { languages: options.languages });
+  const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, declaredPrefixes);
+  const model = buildElementTableModel(store, profile, { languages: options.languages, prefixes, stores: [store] });
+
+  let sortIndex = null;
+  if (options.sort != null) {
+    sortIndex = model.keys.indexOf(options.sort);
+    if (sortIndex === -1) sortIndex = model.headers.indexOf(options.sort);
+    if (sortIndex === -1) warn(`${file}: no "${options.sort}" column to sort by; rows are left in file order`);
+  }
+  const rows = filterAndSortRows(model, options.filter, sortIndex, options.sortDirection, { prefixes });
+
+  await mkdir(path.resolve(cwd, options.outDir), { recursive: true });
+  const { extension, write } = FORMATS[options.format];
+  const tablePath = path.join(options.outDir, `${baseName}.${extension}`);
+  await writeFile(path.resolve(cwd, tablePath), write(model, rows, meta.ontologyName || baseName));
+  const written = [tablePath];
+
+  if (options.metadata) {
+    const metadataPath = path.join(options.outDir, `${baseName}.metadata.json`);
+    const metadata = { fileName: path.basename(file), format, quadCount: store.size, rowCount: rows.length, ...meta };
+    await writeFile(path.resolve(cwd, metadataPath), `${JSON.stringify(metadata, null, 2)}\n`);
+    written.push(metadataPath);
+  }
+  return written;
+}
+
+/**
+ * Run the command line.
+ * @param {string[]} argv arguments after the program name
+ * @param {{ stdout?: { write: (text: string) => void }, stderr?: { write: (text: string) => void }, cwd?: string }} [io]
+ * @returns {Promise<0|1|2>} exit status
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+  const warn = text => stderr.write(`tabulate-rdf: ${text}\n`);
+  let restoreConsole = () => {};
+
+  try {
+    // Reading the arguments already calls into core, so its logs are routed before --verbose is known.
+    restoreConsole = routeCoreLogs(false);
+    const options = parseCliArgs(argv);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    restoreConsole();
+    restoreConsole = routeCoreLogs(options.verbose);
+
+    const profile = options.profile ? await loadProfile(options.profile, cwd) : DEFAULT_COLUMN_PROFILE;
+    const files = await expandFileArgs(options.patterns, cwd);
+    if (!files.length) throw new UsageError(`No files match ${options.patterns.join(' ')}`);
+
+    const baseNames = outputBaseNames(files);
+    let failed = 0;
+    for (let i = 0; i < files.length; i++) {
+      try {
+        const written = await tabulateFile(files[i], baseNames[i], options, { profile, cwd, warn });
+        written.forEach(file => stdout.write(`${file}\n`));
+      } catch (err) {
+        failed++;
+        warn(err.code === 'ENOENT' ? `${files[i]}: no such file` : err.message);
+      }
+    }
+    if (failed) warn(`${failed} of ${files.length} file${files.length === 1 ? '' : 's'} failed`);
+    return failed ? 1 : 0;
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    warn(err.message);
+    stderr.write(`Run "tabulate-rdf --help" for usage.\n`);
+    return 2;
+  } finally {
+    restoreConsole();
+  }
+}
+
+// Run when started as a program (npm links bin scripts, hence realpath), not when imported.
+const startedAs = process.argv[1] ? await realpath(process.argv[1]).catch(() => process.argv[1]) : null;
+if (startedAs && import.meta.url === pathToFileURL(startedAs).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,153 @@
+// app/class-expression-renderer.js
+// Render OWL class expressions (blank-node restrictions, boolean combinations, enumerations and
+// data ranges) in Manchester Syntax — the inverse of the RDF mapping in owl-rdf-writer.js.
+// ES module, pure: quads come from a getQuads callback and names from a nameFor callback.
+import { OWL_RDF_NS } from './owl-rdf-writer.js';
+
+const { rdf: RDF, owl: OWL, xsd: XSD } = OWL_RDF_NS;
+
+// Nesting beyond this is treated as a cycle (or a pathological document) and cut short.
+const MAX_DEPTH = 32;
+
+const FACET_SYMBOLS = {
+  [XSD + 'minInclusive']: '>=',
+  [XSD + 'minExclusive']: '>',
+  [XSD + 'maxInclusive']: '<=',
+  [XSD + 'maxExclusive']: '<',
+  [XSD + 'length']: 'length',
+  [XSD + 'minLength']: 'minLength',
+  [XSD + 'maxLength']: 'maxLength',
+  [XSD + 'pattern']: 'pattern',
+  [XSD + 'langRange']: 'langRange'
+};
+
+// Cardinality predicates → Manchester keyword; qualified variants take a filler.
+const CARDINALITIES = [
+  ['minQualifiedCardinality', 'min', true],
+  ['maxQualifiedCardinality', 'max', true],
+  ['qualifiedCardinality', 'exactly', true],
+  ['minCardinality', 'min', false],
+  ['maxCardinality', 'max', false],
+  ['cardinality', 'exactly', false]
+];
+
+/**
+ * Render a class expression (or data range) in Manchester Syntax.
+ *
+ * Named terms render through nameFor. Blank nodes are read as restrictions (some, only, value,
+ * Self, min/max/exactly, qualified or not, on a property or an inverse property), intersectionOf
+ * (and), unionOf (or), complementOf (not), oneOf ({a, b}) and datatype restrictions
+ * (xsd:integer[>= 5]). Compound operands are parenthesized; unrecognized blank nodes render as
+ * "[anonymous]" and cycles as "…".
+ *
+ * @param {object} term RDF/JS term (NamedNode, BlankNode or Literal)
+ * @param {{
+ *   getQuads: (subject: object) => Array<{ predicate: object, object: object }>,
+ *   nameFor: (iri: string) => string
+ * }} context
+ * @returns {string}
+ */
+export function renderClassExpression(term, { getQuads, nameFor }) {
+  const visiting = new Set();
+
+  const literalText = lit => {
+    const quoted = `"${lit.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    if (lit.language) return `${quoted}@${lit.language}`;
+    const datatype = lit.datatype?.value;
+    if (datatype === XSD + 'integer' || datatype === XSD + 'nonNegativeInteger') return lit.value;
+    if (!datatype || datatype === XSD + 'string') return quoted;
+    return `${quoted}^^${nameFor(datatype)}`;
+  };
+
+  const objectsOf = (quads, predicate) =>
+    quads.filter(q => q.predicate.value === predicate).map(q => q.object);
+
+  const listItems = head => {
+    const items = [];
+    const seen = new Set();
+    let node = head;
+    while (node && node.termType !== 'NamedNode' && !seen.has(node.value)) {
+      seen.add(node.value);
+      const quads = getQuads(node);
+      const first = objectsOf(quads, RDF + 'first')[0];
+      if (first) items.push(first);
+      node = objectsOf(quads, RDF + 'rest')[0];
+    }
+    return items;
+  };
+
+  // Returns { text, atomic }: atomic expressions need no parentheses as operands.
+  const render = (node, depth) => {
+    if (!node) return { text: '[anonymous]', atomic: true };
+    if (node.termType === 'NamedNode') return { text: nameFor(node.value), atomic: true };
+    if (node.termType === 'Literal') return { text: literalText(node), atomic: true };
+    if (depth > MAX_DEPTH || visiting.has(node.value)) return { text: '…', atomic: true };
+
+    visiting.add(node.value);
+    try {
+      return renderBlank(node, depth);
+    } finally {
+      visiting.delete(node.value);
+    }
+  };
+
+  const operand = (node, depth) => {
+    const { text, atomic } = render(node, depth + 1);
+    return atomic ? text : `(${text})`;
+  };
+
+  const propertyText = (node, depth) => {
+    if (node?.termType === 'NamedNode') return nameFor(node.value);
+    const inverse = node ? objectsOf(getQuads(node), OWL + 'inverseOf')[0] : null;
+    return inverse ? `inverse (${propertyText(inverse, depth + 1)})` : '[anonymous]';
+  };
+
+  const renderBlank = (node, depth) => {
+    const quads = getQuads(node);
+    const one = predicate => objectsOf(quads, OWL + predicate)[0];
+
+    const property = one('onProperty');
+    if (property) {
+      const p = propertyText(property, depth);
+      if (one('someValuesFrom')) return { text: `${p} some ${operand(one('someValuesFrom'), depth)}`, atomic: false };
+      if (one('allValuesFrom')) return { text: `${p} only ${operand(one('allValuesFrom'), depth)}`, atomic: false };
+      if (one('hasValue')) return { text: `${p} value ${operand(one('hasValue'), depth)}`, atomic: false };
+      if (one('hasSelf')) return { text: `${p} Self`, atomic: false };
+      for (const [predicate, keyword, qualified] of CARDINALITIES) {
+        const n = one(predicate);
+        if (!n) continue;
+        const filler = qualified ? (one('onClass') || one('onDataRange')) : null;
+        const text = `${p} ${keyword} ${n.value}`;
+        return { text: filler ? `${text} ${operand(filler, depth)}` : text, atomic: false };
+      }
+      return { text: `${p} [anonymous]`, atomic: false };
+    }
+
+    if (one('intersectionOf')) {
+      return { text: listItems(one('intersectionOf')).map(x => operand(x, depth)).join(' and '), atomic: false };
+    }
+    if (one('unionOf')) {
+      return { text: listItems(one('unionOf')).map(x => operand(x, depth)).join(' or '), atomic: false };
+    }
+    const complement = one('complementOf') || one('datatypeComplementOf');
+    if (complement) return { text: `not ${operand(complement, depth)}`, atomic: false };
+    if (one('oneOf')) {
+      return { text: `{${listItems(one('oneOf')).map(x => render(x, depth + 1).text).join(', ')}}`, atomic: true };
+    }
+    if (one('onDatatype')) {
+      const facets = listItems(one('withRestrictions')).map(facetNode => {
+        const facet = getQuads(facetNode)[0];
+        if (!facet) return '';
+        const symbol = FACET_SYMBOLS[facet.predicate.value] || nameFor(facet.predicate.value);
+        return `${symbol} ${render(facet.object, depth + 1).text}`;
+      });
+      return { text: `${nameFor(one('onDatatype').value)}[${facets.filter(Boolean).join(', ')}]`, atomic: true };
+    }
+    const inverse = one('inverseOf');
+    if (inverse) return { text: `inverse (${propertyText(inverse, depth)})`, atomic: true };
+
+    return { text: '[anonymous]', atomic: true };
+  };
+
+  return render(term, 0).text;
+}
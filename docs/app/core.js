@@ -3,6 +3,14 @@
 
 /* eslint-disable no-console */
 
+import { parseRdfXml } from './rdfxml-parser.js';
+import { parseJsonLd } from './jsonld-parser.js';
+import { parseObo } from './obo-parser.js';
+import { parseOwlFunctional } from './owl-functional-parser.js';
+import { parseManchester } from './manchester-parser.js';
+import { renderClassExpression } from './class-expression-renderer.js';
+import { parseSparql, executeSparql } from './sparql-engine.js';
+
 /**
  * Simple event logger for core functions.
  * @param {string} fnName
@@ -26,9 +34,10 @@ export function logError(fnName, error, context) {
 /**
  * Guess RDF format from filename extension for N3 parser.
  * @param {string} filename
- * @returns {'text/turtle'|'application/n-triples'|'application/n-quads'|'application/trig'}
+ * @param {string|null} [fallback] returned for unrecognized extensions
+ * @returns {'text/turtle'|'application/n-triples'|'application/n-quads'|'application/trig'|'application/rdf+xml'|'application/ld+json'|'text/obo'|'text/owl-functional'|'text/owl-manchester'|null}
  */
-export function detectRdfFormatFromFilename(filename) {
+export function detectRdfFormatFromFilename(filename, fallback = 'text/turtle') {
   const fnName = 'detectRdfFormatFromFilename';
   logEvent(fnName, 'start', { filename });
 
@@ -46,8 +55,167 @@ export function detectRdfFormatFromFilename(filename) {
     if (lower.endsWith('.trig')) {
       return 'application/trig';
     }
-    // Fallback: Turtle
-    return 'text/turtle';
+    if (lower.endsWith('.owl') || lower.endsWith('.rdf') || lower.endsWith('.xml')) {
+      return 'application/rdf+xml';
+    }
+    if (lower.endsWith('.jsonld') || lower.endsWith('.json')) {
+      return 'application/ld+json';
+    }
+    if (lower.endsWith('.obo')) {
+      return 'text/obo';
+    }
+    if (lower.endsWith('.ofn')) {
+      return 'text/owl-functional';
+    }
+    if (lower.endsWith('.omn')) {
+      return 'text/owl-manchester';
+    }
+    // Fallback: Turtle unless the caller asked otherwise
+    return fallback;
+  } catch (err) {
+    logError(fnName, err, { filename });
+    throw err;
+  }
+}
+
+/**
+ * Human-readable names for the RDF formats the app can detect.
+ */
+export const RDF_FORMAT_LABELS = {
+  'text/turtle': 'Turtle',
+  'text/n3': 'N3',
+  'application/n-triples': 'N-Triples',
+  'application/n-quads': 'N-Quads',
+  'application/trig': 'TriG',
+  'application/rdf+xml': 'RDF/XML',
+  'application/owl+xml': 'OWL/XML',
+  'application/ld+json': 'JSON-LD',
+  'text/obo': 'OBO',
+  'text/owl-functional': 'OWL Functional Syntax',
+  'text/owl-manchester': 'Manchester Syntax'
+};
+
+// How much of the file sniffRdfFormatCandidates looks at.
+export const SNIFF_SAMPLE_SIZE = 8192;
+
+// Line patterns for N-Triples / N-Quads (one statement per line).
+const NT_IRI = '<[^<>"{}|^`\\\\\\s]*>';
+const NT_BNODE = '_:[^\\s<>"]+';
+const NT_LITERAL = `"(?:[^"\\\\]|\\\\.)*"(?:@[A-Za-z]+(?:-[A-Za-z0-9]+)*|\\^\\^${NT_IRI})?`;
+const NT_TERM = `(?:${NT_IRI}|${NT_BNODE})`;
+const NT_LINE = new RegExp(`^${NT_TERM}\\s*${NT_IRI}\\s*(?:${NT_TERM}|${NT_LITERAL})\\s*\\.$`);
+const NQ_LINE = new RegExp(
+  `^${NT_TERM}\\s*${NT_IRI}\\s*(?:${NT_TERM}|${NT_LITERAL})\\s*${NT_TERM}\\s*\\.$`
+);
+
+/**
+ * Inspect the start of a document and list the formats its content is compatible with,
+ * most specific first. N-Triples is also valid N-Quads and Turtle, Turtle is also valid TriG, etc.,
+ * so more than one candidate can be returned; an empty array means "no idea".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function sniffRdfFormatCandidates(text) {
+  const fnName = 'sniffRdfFormatCandidates';
+  logEvent(fnName, 'start', { length: text?.length ?? 0 });
+
+  try {
+    const full = String(text ?? '');
+    const truncated = full.length > SNIFF_SAMPLE_SIZE;
+    const sample = full.slice(0, SNIFF_SAMPLE_SIZE).replace(/^﻿/, '');
+    const trimmed = sample.trimStart();
+    if (!trimmed) return [];
+
+    // Line-based formats first: "<s> <p> <o> ." also starts with "<", like XML.
+    const lines = sample.split(/\r?\n/);
+    if (truncated) lines.pop(); // last line may be cut off
+    const statements = lines.map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (statements.length) {
+      const ntCount = statements.filter(l => NT_LINE.test(l)).length;
+      const nqCount = statements.filter(l => !NT_LINE.test(l) && NQ_LINE.test(l)).length;
+      if (ntCount === statements.length) {
+        return ['application/n-triples', 'application/n-quads', 'text/turtle', 'application/trig'];
+      }
+      if (ntCount + nqCount === statements.length) {
+        return ['application/n-quads'];
+      }
+    }
+
+    if (/^<(\?xml|!--|!DOCTYPE)/i.test(trimmed) || /^<[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?(\s|\/?>)/.test(trimmed)) {
+      const body = trimmed
+        .replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/i, '');
+      const rootTag = body.match(/<([A-Za-z_][\w.-]*:)?([A-Za-z_][\w.-]*)[^>]*>/);
+      // OWL/XML roots are <Ontology ontologyIRI="...">; an RDF/XML node element would carry rdf:about.
+      if (rootTag && rootTag[2] === 'Ontology' && !/rdf:about/.test(rootTag[0])) {
+        return ['application/owl+xml'];
+      }
+      return ['application/rdf+xml'];
+    }
+
+    if (/^\{\s*("|\}|$)/.test(trimmed) || /^\[\s*(\{|\]|$)/.test(trimmed)) {
+      return ['application/ld+json'];
+    }
+
+    // OBO flat files open with header tags ("format-version: 1.4") or go straight into stanzas.
+    if (/^(format-version|data-version|ontology|default-namespace):/.test(trimmed) ||
+        /^\[(Term|Typedef|Instance)\]\s*$/m.test(sample)) {
+      return ['text/obo'];
+    }
+
+    const code = sample.replace(/^\s*#.*$/gm, '');
+    const start = code.trimStart();
+
+    // OWL Functional Syntax: Prefix(ex:=<...>) / Ontology(...); Manchester: "Prefix: ex: <...>" / frames.
+    if (/^(Prefix|Ontology)\s*\(/.test(start)) {
+      return ['text/owl-functional'];
+    }
+    if (/^Prefix:\s+[\w.-]*:\s*</.test(start) ||
+        /^(Ontology|Class|ObjectProperty|DataProperty|AnnotationProperty|Individual|Datatype):\s/.test(start)) {
+      return ['text/owl-manchester'];
+    }
+    // N3 and TriG markers only count outside IRIs and string literals.
+    const bare = code.replace(/"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|<[^>\s]*>/g,
+      match => (match.startsWith('<') ? '<>' : '""'));
+    if (/(=>|@forAll|@forSome|@keywords)/.test(bare)) {
+      return ['text/n3'];
+    }
+    if (/^\s*(GRAPH\s+)?(<[^>\s]*>|[\w.-]*:[\w.-]*|_:[\w.-]+)?\s*\{/im.test(bare)) {
+      return ['application/trig'];
+    }
+    return ['text/turtle', 'application/trig', 'text/n3'];
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Detect RDF format from content, using the filename extension only as a tiebreaker:
+ * the extension wins when it names one of the content-compatible formats, and is the
+ * fallback when the content gives nothing to go on.
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {string}
+ */
+export function detectRdfFormat(text, filename) {
+  const fnName = 'detectRdfFormat';
+  logEvent(fnName, 'start', { filename });
+
+  try {
+    const byExtension = detectRdfFormatFromFilename(filename, null);
+    const candidates = sniffRdfFormatCandidates(text);
+
+    let format;
+    if (candidates.length === 0) {
+      format = byExtension || 'text/turtle';
+    } else {
+      format = candidates.includes(byExtension) ? byExtension : candidates[0];
+    }
+
+    logEvent(fnName, 'detected', { format, candidates, byExtension });
+    return format;
   } catch (err) {
     logError(fnName, err, { filename });
     throw err;
@@ -71,27 +239,71 @@ export function isBlankNode(term) {
   }
 }
 
+// Formats handled directly by the N3 parser.
+const N3_PARSER_FORMATS = [
+  'text/turtle',
+  'text/n3',
+  'application/n-triples',
+  'application/n-quads',
+  'application/trig'
+];
+
+/**
+ * Resolve the N3 library.
+ * NOTE: In browser (page or worker) we get N3 from the global set by n3.min.js; in Jest we use node 'n3' dependency.
+ * @returns {Promise<typeof import('n3')>}
+ */
+async function loadN3() {
+  return globalThis.N3 ? globalThis.N3 : import('n3'); // node / Jest
+}
+
 /**
  * Parse RDF text into an N3 Store.
- * NOTE: In browser we get N3 from window.N3; in Jest we use node 'n3' dependency.
+ * RDF/XML, JSON-LD, OBO, OWL Functional and Manchester Syntax are not supported by the N3 parser,
+ * so they go through this app's own parsers with N3's DataFactory.
  * @param {string} text
  * @param {string} format
+ * @param {{
+ *   baseIri?: string,
+ *   jsonLdContexts?: Record<string, object|string>|Map<string, object|string>,
+ *   onPrefix?: (prefix: string, namespace: string) => void
+ * }} [options] jsonLdContexts: local copies of remote JSON-LD contexts, keyed by URL;
+ *   onPrefix: called for each prefix (namespace declaration) the document itself makes
  * @returns {Promise<import('n3').Store>}
  */
-export async function parseRdfTextToStore(text, format) {
+export async function parseRdfTextToStore(text, format, options = {}) {
   const fnName = 'parseRdfTextToStore';
   logEvent(fnName, 'start', { format });
 
   try {
-    const N3lib = typeof window !== 'undefined' && window.N3
-      ? window.N3
-      : await import('n3'); // node / Jest
-
-    const { Parser, Store } = N3lib;
-    const parser = new Parser({ format });
+    const { Parser, Store, DataFactory } = await loadN3();
     const store = new Store();
-
-    const quads = parser.parse(text);
+    const { onPrefix } = options;
+
+    let quads;
+    if (format === 'application/rdf+xml') {
+      quads = parseRdfXml(text, { factory: DataFactory, baseIri: options.baseIri, onPrefix });
+    } else if (format === 'application/ld+json') {
+      quads = parseJsonLd(text, {
+        factory: DataFactory,
+        baseIri: options.baseIri,
+        contexts: options.jsonLdContexts,
+        onPrefix
+      });
+    } else if (format === 'text/obo') {
+      quads = parseObo(text, { factory: DataFactory, onPrefix });
+    } else if (format === 'text/owl-functional') {
+      quads = parseOwlFunctional(text, { factory: DataFactory, onPrefix });
+    } else if (format === 'text/owl-manchester') {
+      quads = parseManchester(text, { factory: DataFactory, onPrefix });
+    } else if (N3_PARSER_FORMATS.includes(format)) {
+      const parser = new Parser({ format, baseIRI: options.baseIri });
+      quads = onPrefix
+        ? parser.parse(text, { onPrefix: (prefix, namespace) => onPrefix(prefix, namespace.value) })
+        : parser.parse(text);
+    } else {
+      throw new Error(`Unsupported RDF format: ${RDF_FORMAT_LABELS[format] || format}`);
+    }
     store.addQuads(quads);
 
     logEvent(fnName, 'parsed', { quadCount: quads.length });
@@ -102,6 +314,157 @@ export async function parseRdfTextToStore(text, format) {
   }
 }
 
+/**
+ * Parse RDF delivered in text chunks into an N3 Store.
+ * Formats the N3 parser handles go through its StreamParser, so quads are counted as chunks arrive;
+ * the app's own parsers need the whole document and report their quad count once at the end.
+ * @param {AsyncIterable<string>|Iterable<string>} chunks
+ * @param {string} format
+ * @param {{
+ *   baseIri?: string,
+ *   jsonLdContexts?: Record<string, object|string>|Map<string, object|string>,
+ *   onProgress?: (progress: { quadCount: number }) => void,
+ *   onPrefix?: (prefix: string, namespace: string) => void,
+ *   signal?: AbortSignal
+ * }} [options] onProgress is called after each chunk; an aborted signal stops the parse with an AbortError
+ * @returns {Promise<import('n3').Store>}
+ */
+export async function parseRdfChunksToStore(chunks, format, options = {}) {
+  const fnName = 'parseRdfChunksToStore';
+  logEvent(fnName, 'start', { format });
+
+  try {
+    const { onProgress, signal } = options;
+    const throwIfAborted = () => {
+      if (!signal?.aborted) return;
+      const err = new Error('Parsing cancelled');
+      err.name = 'AbortError';
+      throw err;
+    };
+
+    if (!N3_PARSER_FORMATS.includes(format)) {
+      let text = '';
+      for await (const chunk of chunks) {
+        throwIfAborted();
+        text += chunk;
+        onProgress?.({ quadCount: 0 });
+      }
+      const store = await parseRdfTextToStore(text, format, options);
+      onProgress?.({ quadCount: store.size });
+      return store;
+    }
+
+    const { StreamParser, Store } = await loadN3();
+    const store = new Store();
+    const parser = new StreamParser({ format, baseIRI: options.baseIri });
+
+    let failure = null;
+    parser.on('data', quad => store.addQuad(quad));
+    if (options.onPrefix) parser.on('prefix', (prefix, namespace) => options.onPrefix(prefix, namespace.value));
+    const settled = new Promise(resolve => {
+      parser.on('end', resolve);
+      parser.on('error', err => {
+        failure = err;
+        resolve();
+      });
+    });
+    // Stream events are delivered asynchronously; let them drain before reporting.
+    const drain = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    for await (const chunk of chunks) {
+      throwIfAborted();
+      parser.write(chunk);
+      await drain();
+      if (failure) throw failure;
+      onProgress?.({ quadCount: store.size });
+    }
+    throwIfAborted();
+    parser.end();
+    await settled;
+    if (failure) throw failure;
+    onProgress?.({ quadCount: store.size });
+
+    logEvent(fnName, 'parsed', { quadCount: store.size });
+    return store;
+  } catch (err) {
+    logError(fnName, err, { format });
+    throw err;
+  }
+}
+
+// Longest snippet line shown for a parse error; longer lines are cut around the error column.
+const SNIPPET_WIDTH = 120;
+
+/**
+ * Where a parse error occurred, as far as the error says.
+ * Reads err.context.line / .column (N3 and this repo's parsers), then "line L[, column C]" or
+ * "at position P" in the message (JSON.parse, depending on the engine).
+ * @param {Error} err
+ * @returns {{ line: number|null, column: number|null, offset: number|null }}
+ *   1-based line and column; offset is a 0-based character offset when only that is known
+ */
+export function getParseErrorPosition(err) {
+  const context = err?.context || {};
+  const message = String(err?.message || '');
+  const lineMatch = message.match(/\bline (\d+)(?:,? column (\d+))?/i);
+  const offsetMatch = message.match(/\bposition (\d+)/i);
+
+  const line = Number.isInteger(context.line) ? context.line : (lineMatch ? Number(lineMatch[1]) : null);
+  const column = Number.isInteger(context.column)
+    ? context.column
+    : (lineMatch?.[2] && line === Number(lineMatch[1]) ? Number(lineMatch[2]) : null);
+  const offset = Number.isInteger(context.offset) ? context.offset : (offsetMatch ? Number(offsetMatch[1]) : null);
+  return { line, column, offset };
+}
+
+/**
+ * Describe a parse error for display: message, line, column and a snippet of the offending line
+ * (with a caret under the column when it is known).
+ * When the error gives no column, the token N3 quotes in its message ('Unexpected "x" on line 3.')
+ * is looked up on the line.
+ * @param {Error} err
+ * @param {string} [text] the source text, or at least its start through the line of the error
+ * @returns {{ message: string, line: number|null, column: number|null, snippet: string }}
+ */
+export function describeParseError(err, text = '') {
+  const fnName = 'describeParseError';
+  logEvent(fnName, 'start');
+
+  try {
+    const message = String(err?.message || err);
+    let { line, column, offset } = getParseErrorPosition(err);
+
+    if (line == null && offset != null && offset <= text.length) {
+      const before = text.slice(0, offset).split('\n');
+      line = before.length;
+      column = before[before.length - 1].length + 1;
+    }
+
+    const lineText = line != null ? text.split('\n')[line - 1]?.replace(/\r$/, '') : undefined;
+    if (lineText == null) return { message, line, column, snippet: '' };
+
+    if (column == null) {
+      const token = message.match(/"(.+)" on line \d+/)?.[1];
+      const at = token ? lineText.indexOf(token) : -1;
+      if (at !== -1) column = at + 1;
+    }
+
+    // Window the line around the column so the caret stays visible.
+    const start = column != null && column > SNIPPET_WIDTH ? column - Math.floor(SNIPPET_WIDTH / 2) : 0;
+    const shown = lineText.slice(start, start + SNIPPET_WIDTH).replace(/\t/g, ' ');
+    const prefix = start > 0 ? '…' : '';
+    const suffix = start + SNIPPET_WIDTH < lineText.length ? '…' : '';
+    const snippet = column != null
+      ? `${prefix}${shown}${suffix}\n${' '.repeat(prefix.length + column - 1 - start)}^`
+      : `${shown}${suffix}`;
+
+    return { message, line, column, snippet };
+  } catch (fail) {
+    logError(fnName, fail);
+    throw fail;
+  }
+}
+
 // Namespace constants
 export const NS = {
   rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
@@ -110,6 +473,7 @@ export const NS = {
   dc: 'http://purl.org/dc/elements/1.1/',
   dcterms: 'http://purl.org/dc/terms/',
   skos: 'http://www.w3.org/2004/02/skos/core#',
+  oboInOwl: 'http://www.geneontology.org/formats/oboInOwl#',
   obo: 'http://purl.obolibrary.org/obo/',
   cco: 'http://www.ontologyrepository.com/CommonCoreOntologies/',
   cco2: 'https://www.commoncoreontologies.org/'
@@ -121,9 +485,18 @@ export const COMMON_PREFIXES = {
   [NS.owl]: 'owl',
   [NS.dc]: 'dc',
   [NS.dcterms]: 'dcterms',
-  [NS.skos]: 'skos'
+  [NS.skos]: 'skos',
+  [NS.oboInOwl]: 'oboInOwl',
+  [NS.obo]: 'obo',
+  [NS.cco]: 'cco',
+  [NS.cco2]: 'cco2'
 };
 
+// COMMON_PREFIXES as a prefix → namespace map, the base every other prefix map is merged onto.
+export const COMMON_PREFIX_MAP = Object.fromEntries(
+  Object.entries(COMMON_PREFIXES).map(([ns, prefix]) => [prefix, ns])
+);
+
 /**
  * Pick the ontology subject (IRI) from a store.
  * Strategy: any subject with rdf:type owl:Ontology.
@@ -135,13 +508,13 @@ export function getOntologySubjectIri(store) {
   logEvent(fnName, 'start');
 
   try {
-    const all = store.getQuads(null, null, null, null);
-    const candidate = all.find(q =>
-      q.predicate.termType === 'NamedNode' &&
-      q.predicate.value === NS.rdf + 'type' &&
-      q.object.termType === 'NamedNode' &&
-      q.object.value === NS.owl + 'Ontology'
-    );
+    // Index lookup; yields the same first match as a full scan (both walk subjects in store id order).
+    const candidate = store.getQuads(
+      null,
+      namedNodeTerm(NS.rdf + 'type'),
+      namedNodeTerm(NS.owl + 'Ontology'),
+      null
+    )[0];
 
     if (!candidate) {
       logEvent(fnName, 'no ontology subject found');
@@ -158,23 +531,62 @@ export function getOntologySubjectIri(store) {
 }
 
 /**
- * Pick best literal from a list of literals, preferring 'en' then no language, then others.
+ * Default language priority: English, then untagged ('' stands for "no language tag").
+ */
+export const DEFAULT_LANGUAGE_PREFERENCE = ['en', ''];
+
+/**
+ * Parse a language priority setting such as "fr, en, none" into a preference list.
+ * "none" (or "-") stands for untagged literals; tags are lower-cased and de-duplicated.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseLanguagePreference(text) {
+  const fnName = 'parseLanguagePreference';
+  logEvent(fnName, 'start', { text });
+
+  try {
+    const tags = String(text ?? '')
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(t => t.toLowerCase())
+      .map(t => (t === 'none' || t === '-' ? '' : t));
+    return Array.from(new Set(tags));
+  } catch (err) {
+    logError(fnName, err, { text });
+    throw err;
+  }
+}
+
+/**
+ * Render a language preference list back into its setting text (inverse of parseLanguagePreference).
+ * @param {string[]} languages
+ * @returns {string}
+ */
+export function formatLanguagePreference(languages) {
+  return languages.map(t => t || 'none').join(', ');
+}
+
+/**
+ * Pick best literal from a list of literals, following the language priority list
+ * (by default 'en', then no language), then falling back to the first literal.
+ * Tags match exactly, case-insensitively.
  * @param {import('n3').Literal[]} literals
+ * @param {string[]} [languages] priority list; '' means untagged
  * @returns {import('n3').Literal|null}
  */
-export function pickBestLiteral(literals) {
+export function pickBestLiteral(literals, languages = DEFAULT_LANGUAGE_PREFERENCE) {
   const fnName = 'pickBestLiteral';
   logEvent(fnName, 'start', { count: literals?.length ?? 0 });
 
   try {
     if (!literals || literals.length === 0) return null;
 
-    const withLang = literals.filter(l => l.language);
-    const en = withLang.find(l => l.language.toLowerCase() === 'en');
-    if (en) return en;
-
-    const noLang = literals.find(l => !l.language);
-    if (noLang) return noLang;
+    for (const lang of languages) {
+      const wanted = lang.toLowerCase();
+      const match = literals.find(l => (l.language || '').toLowerCase() === wanted);
+      if (match) return match;
+    }
 
     return literals[0];
   } catch (err) {
@@ -183,8 +595,23 @@ export function pickBestLiteral(literals) {
   }
 }
 
+/**
+ * Minimal RDF/JS NamedNode for store pattern lookups (the store only reads termType and value).
+ * @param {string} iri
+ * @returns {{ termType: 'NamedNode', value: string, equals: (other: any) => boolean }}
+ */
+function namedNodeTerm(iri) {
+  return {
+    termType: 'NamedNode',
+    value: iri,
+    equals: other => !!other && other.termType === 'NamedNode' && other.value === iri
+  };
+}
+
 /**
  * Get all quads whose subject matches the given IRI string.
+ * Uses the store's subject index, so the cost depends on the subject's own quads, not the graph size;
+ * quads come back in the same order a filtered full scan would produce.
  * @param {import('n3').Store} store
  * @param {string} subjectIri
  * @returns {import('n3').Quad[]}
@@ -194,11 +621,7 @@ export function getQuadsForSubject(store, subjectIri) {
   logEvent(fnName, 'start', { subjectIri });
 
   try {
-    const all = store.getQuads(null, null, null, null);
-    return all.filter(q =>
-      q.subject.termType === 'NamedNode' &&
-      q.subject.value === subjectIri
-    );
+    return store.getQuads(namedNodeTerm(subjectIri), null, null, null);
   } catch (err) {
     logError(fnName, err, { subjectIri });
     throw err;
@@ -210,9 +633,10 @@ export function getQuadsForSubject(store, subjectIri) {
  * @param {import('n3').Store} store
  * @param {string} subjectIri
  * @param {string[]} predicateIris ordered by preference
+ * @param {string[]} [languages] language priority list (see pickBestLiteral)
  * @returns {string|null}
  */
-export function getPreferredLiteralForPredicates(store, subjectIri, predicateIris) {
+export function getPreferredLiteralForPredicates(store, subjectIri, predicateIris, languages) {
   const fnName = 'getPreferredLiteralForPredicates';
   logEvent(fnName, 'start', { subjectIri });
 
@@ -228,7 +652,7 @@ export function getPreferredLiteralForPredicates(store, subjectIri, predicateIri
         )
         .map(q => q.object);
 
-      const best = pickBestLiteral(literals);
+      const best = pickBestLiteral(literals, languages);
       if (best) return best.value;
     }
 
@@ -338,6 +762,59 @@ export function getIriArrayForPredicates(store, subjectIri, predicateIris) {
   }
 }
 
+/**
+ * All IRI values and class expressions for the given predicates, de-duplicated.
+ * Named objects stay IRIs; blank-node objects (restrictions, intersections, ...) are rendered in
+ * Manchester Syntax with renderClassExpression, naming entities by their preferred label
+ * (quoted when not a plain word), else a CURIE, else <iri>.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {string[]} predicateIris
+ * @param {{ languages?: string[], prefixes?: Record<string, string>, stores?: import('n3').Store[] }} [options]
+ *   stores: where labels are looked up (default: just store)
+ * @returns {string[]}
+ */
+export function getClassExpressionArrayForPredicates(store, subjectIri, predicateIris, options = {}) {
+  const fnName = 'getClassExpressionArrayForPredicates';
+  logEvent(fnName, 'start', { subjectIri });
+
+  try {
+    const subjectQuads = getQuadsForSubject(store, subjectIri);
+    const values = new Set();
+    let context = null;
+
+    subjectQuads.forEach(q => {
+      if (q.predicate.termType !== 'NamedNode' || !predicateIris.includes(q.predicate.value)) return;
+      if (q.object.termType === 'NamedNode') {
+        values.add(q.object.value);
+      } else if (isBlankNode(q.object)) {
+        context = context || createManchesterContext(store, options);
+        values.add(renderClassExpression(q.object, context));
+      }
+    });
+
+    return Array.from(values);
+  } catch (err) {
+    logError(fnName, err, { subjectIri, predicateIris });
+    throw err;
+  }
+}
+
+function createManchesterContext(store, { languages = DEFAULT_LANGUAGE_PREFERENCE, prefixes = COMMON_PREFIX_MAP, stores } = {}) {
+  const labelStores = stores?.length ? stores : [store];
+  const prefixEntries = Object.entries(prefixes);
+  return {
+    getQuads: subject => store.getQuads(subject, null, null, null),
+    nameFor: iri => {
+      const term = namedNodeTerm(iri);
+      const label = findPreferredLabel(labelStores.flatMap(s => s.getQuads(term, null, null, null)), languages);
+      if (label != null) return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(label) ? label : `'${label.replace(/'/g, "\\'")}'`;
+      const curie = shortenIri(iri, prefixEntries);
+      return curie === iri ? `<${iri}>` : curie;
+    }
+  };
+}
+
 /**
  * Get all values (literal or IRI) for any of the given predicates.
  * @param {import('n3').Store} store
@@ -374,6 +851,7 @@ export function getAnyArrayForPredicates(store, subjectIri, predicateIris) {
 /**
  * Extract ontology-level metadata according to your preference rules.
  * @param {import('n3').Store} store
+ * @param {{ languages?: string[] }} [options] languages: priority list for literal values
  * @returns {{
  *   ontologyIri: string|null,
  *   ontologyName: string|null,
@@ -384,7 +862,7 @@ export function getAnyArrayForPredicates(store, subjectIri, predicateIris) {
  *   rightsHolder: string|null
  * }}
  */
-export function extractOntologyMetadata(store) {
+export function extractOntologyMetadata(store, options = {}) {
   const fnName = 'extractOntologyMetadata';
   logEvent(fnName, 'start');
 
@@ -403,13 +881,14 @@ export function extractOntologyMetadata(store) {
     }
 
     const S = ontologyIri;
+    const { languages } = options;
     const meta = {
       ontologyIri: S,
       ontologyName: getPreferredLiteralForPredicates(store, S, [
         NS.rdfs + 'label',
         NS.dcterms + 'title',
         NS.dc + 'title'
-      ]),
+      ], languages),
       versionIri: getPreferredIriForPredicates(store, S, [
         NS.owl + 'versionIRI',
         NS.dcterms + 'hasVersion'
@@ -417,12 +896,12 @@ export function extractOntologyMetadata(store) {
       versionInfo: getPreferredLiteralForPredicates(store, S, [
         NS.owl + 'versionInfo',
         NS.dcterms + 'hasVersion'
-      ]),
+      ], languages),
       description: getPreferredLiteralForPredicates(store, S, [
         NS.skos + 'definition',
         NS.dcterms + 'description',
         NS.dc + 'description'
-      ]),
+      ], languages),
       license: getPreferredIriForPredicates(store, S, [
         NS.dcterms + 'license',
         NS.dcterms + 'rights',
@@ -431,7 +910,7 @@ export function extractOntologyMetadata(store) {
       ]),
       rightsHolder: getPreferredLiteralForPredicates(store, S, [
         NS.dcterms + 'rightsHolder'
-      ])
+      ], languages)
     };
 
     logEvent(fnName, 'metadata extracted', meta);
@@ -505,6 +984,249 @@ export function iriToCurieIfCommon(iri) {
   }
 }
 
+/**
+ * Merge prefix → namespace maps; a prefix defined in a later map replaces an earlier binding.
+ * @param {...(Record<string, string>|null|undefined)} maps
+ * @returns {Record<string, string>}
+ */
+export function mergePrefixMaps(...maps) {
+  const fnName = 'mergePrefixMaps';
+  logEvent(fnName, 'start', { mapCount: maps.length });
+
+  try {
+    const merged = {};
+    maps.forEach(map => {
+      Object.entries(map || {}).forEach(([prefix, namespace]) => {
+        if (typeof namespace === 'string' && namespace) merged[prefix] = namespace;
+      });
+    });
+    return merged;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Shorten an IRI to a CURIE with the longest matching namespace of a prefix map.
+ * Between namespaces of equal length the one defined later wins. The IRI is returned unchanged
+ * when no namespace matches or the local part would be empty or contain whitespace.
+ * @param {string} iri
+ * @param {Record<string, string>} [prefixMap] prefix → namespace ('' = default prefix)
+ * @returns {string}
+ */
+export function iriToCurie(iri, prefixMap = COMMON_PREFIX_MAP) {
+  const fnName = 'iriToCurie';
+  logEvent(fnName, 'start', { iri });
+
+  try {
+    return shortenIri(iri, Object.entries(prefixMap || {}));
+  } catch (err) {
+    logError(fnName, err, { iri });
+    throw err;
+  }
+}
+
+// iriToCurie without logging, for per-cell use; prefixEntries = Object.entries(prefixMap).
+function shortenIri(iri, prefixEntries) {
+  let best = null;
+  prefixEntries.forEach(([prefix, namespace]) => {
+    if (!namespace || !iri.startsWith(namespace)) return;
+    if (best && namespace.length < best.namespace.length) return;
+    best = { prefix, namespace };
+  });
+  if (!best) return iri;
+
+  const local = iri.slice(best.namespace.length);
+  if (!local || /\s/.test(local)) return iri;
+  return `${best.prefix}:${local}`;
+}
+
+// Prefix names as in Turtle (PN_PREFIX), kept to ASCII; '' is the default prefix.
+const PREFIX_NAME_PATTERN = /^([A-Za-z]([A-Za-z0-9_.-]*[A-Za-z0-9_-])?)?$/;
+
+/**
+ * Parse a user prefix registry from JSON or Turtle/SPARQL prefix declarations.
+ *
+ * Accepted JSON: an object mapping prefix → namespace IRI, or an array of { prefix, namespace }.
+ * Accepted text: lines of "@prefix p: <iri> ." and/or "PREFIX p: <iri>"; "#" comments and blank
+ * lines are ignored. Throws an Error naming the first invalid entry.
+ * @param {string} text
+ * @returns {Record<string, string>} prefix → namespace
+ */
+export function parsePrefixRegistry(text) {
+  const fnName = 'parsePrefixRegistry';
+  logEvent(fnName, 'start', { length: text?.length ?? 0 });
+
+  try {
+    const source = String(text ?? '').trim();
+    let entries = [];
+
+    if (source.startsWith('{') || source.startsWith('[')) {
+      const parsed = JSON.parse(source);
+      entries = Array.isArray(parsed)
+        ? parsed.map(e => [e?.prefix, e?.namespace])
+        : Object.entries(parsed);
+    } else {
+      source.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const m = /^(?:@prefix|PREFIX)\s+([^\s:]*):\s*<([^>]*)>\s*\.?$/i.exec(trimmed);
+        if (!m || (trimmed.startsWith('@') !== trimmed.endsWith('.'))) {
+          throw new Error(`Line ${i + 1}: expected "@prefix p: <iri> ." or "PREFIX p: <iri>"`);
+        }
+        entries.push([m[1], m[2]]);
+      });
+    }
+
+    const registry = {};
+    entries.forEach(([prefix, namespace]) => {
+      if (typeof prefix !== 'string' || !PREFIX_NAME_PATTERN.test(prefix)) {
+        throw new Error(`Invalid prefix name "${prefix}"`);
+      }
+      if (typeof namespace !== 'string' || !/^[A-Za-z][A-Za-z0-9+.-]*:\S*$/.test(namespace)) {
+        throw new Error(`Prefix "${prefix}" needs an absolute namespace IRI`);
+      }
+      registry[prefix] = namespace;
+    });
+
+    logEvent(fnName, 'parsed', { prefixCount: Object.keys(registry).length });
+    return registry;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Serialize a prefix registry as Turtle @prefix declarations, sorted by prefix.
+ * @param {Record<string, string>} registry
+ * @returns {string}
+ */
+export function serializePrefixRegistry(registry) {
+  const fnName = 'serializePrefixRegistry';
+  logEvent(fnName, 'start');
+
+  try {
+    return Object.entries(registry || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .\n`)
+      .join('');
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// Predicates tried, in order, for the label of an IRI referenced from a table cell.
+export const LABEL_PREDICATES = [
+  NS.rdfs + 'label',
+  NS.skos + 'prefLabel',
+  NS.obo + 'IAO_0000111',
+  NS.dcterms + 'title',
+  NS.dc + 'title'
+];
+
+// Preferred label among a subject's quads: first of LABEL_PREDICATES with a literal, by language.
+function findPreferredLabel(subjectQuads, languages) {
+  for (const p of LABEL_PREDICATES) {
+    const literals = subjectQuads
+      .filter(q => q.predicate.value === p && q.object.termType === 'Literal')
+      .map(q => q.object);
+    const best = pickBestLiteral(literals, languages);
+    if (best) return best.value;
+  }
+  return null;
+}
+
+/**
+ * Resolve the IRIs referenced from a table model's IRI-valued cells (model.iriColumns, except the
+ * row's own "iri") against several stores: the preferred label (LABEL_PREDICATES, languages) over
+ * the literals of all stores, and whether the IRI is an ontology element (a row) in any of them.
+ * IRIs with neither a label nor a row are left out.
+ * @param {{ keys: string[], rows: Array<Record<string, string>>, iriColumns?: Record<string, string> }} model
+ * @param {import('n3').Store[]} stores
+ * @param {{ languages?: string[] }} [options]
+ * @returns {Record<string, { label: string|null, isElement: boolean }>}
+ */
+export function resolveIriReferences(model, stores, options = {}) {
+  const fnName = 'resolveIriReferences';
+  logEvent(fnName, 'start', { storeCount: stores.length });
+
+  try {
+    const languages = options.languages ?? DEFAULT_LANGUAGE_PREFERENCE;
+    const iris = new Set();
+    Object.entries(model.iriColumns || {}).forEach(([key, separator]) => {
+      if (key === 'iri') return;
+      model.rows.forEach(row => {
+        const value = row[key];
+        if (!value) return;
+        (separator ? value.split(separator) : [value]).forEach(iri => iris.add(iri));
+      });
+    });
+
+    const references = {};
+    iris.forEach(iri => {
+      const term = namedNodeTerm(iri);
+      const subjectQuads = stores.flatMap(store => store.getQuads(term, null, null, null));
+      const label = findPreferredLabel(subjectQuads, languages);
+      const isElement = subjectQuads.length > 0 && stores.some(store => shouldIncludeElementSubject(store, term));
+      if (label != null || isElement) references[iri] = { label, isElement };
+    });
+
+    logEvent(fnName, 'resolved', { iriCount: iris.size, referenceCount: Object.keys(references).length });
+    return references;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Split an IRI-valued cell into its IRIs, each with its display text (the full IRI, or a CURIE when
+ * prefixes are given) and what the references map knows about it.
+ * @param {string} value
+ * @param {string} separator '' for single-valued cells
+ * @param {{ references?: Record<string, { label: string|null, isElement: boolean }>, prefixes?: Record<string, string>|null }} [options]
+ * @returns {Array<{ iri: string, text: string, label: string|null, isElement: boolean }>}
+ */
+export function describeIriCell(value, separator, options = {}) {
+  if (!value) return [];
+  const references = options.references || {};
+  const prefixEntries = options.prefixes ? Object.entries(options.prefixes) : null;
+
+  return (separator ? value.split(separator) : [value]).map(iri => ({
+    iri,
+    text: prefixEntries ? shortenIri(iri, prefixEntries) : iri,
+    label: references[iri]?.label ?? null,
+    isElement: Boolean(references[iri]?.isElement)
+  }));
+}
+
+/**
+ * Text of one table cell as shown or exported. IRI-valued cells (model.iriColumns) are rendered
+ * per IRI by mode — 'iri': the IRI or CURIE; 'label': the label, falling back to the IRI;
+ * 'both': "label [IRI]" — using model.references; the row's own "iri" cell is always 'iri'.
+ * Other cells are returned as they are.
+ * @param {{ iriColumns?: Record<string, string>, references?: object }} model
+ * @param {string} key
+ * @param {string} value
+ * @param {{ mode?: 'iri'|'label'|'both', prefixes?: Record<string, string>|null }} [options]
+ * @returns {string}
+ */
+export function formatTableCell(model, key, value, options = {}) {
+  const separator = model.iriColumns?.[key];
+  if (separator == null || !value) return value ?? '';
+
+  const mode = key === 'iri' ? 'iri' : (options.mode ?? 'both');
+  return describeIriCell(value, separator, { references: model.references, prefixes: options.prefixes })
+    .map(({ text, label }) => {
+      if (mode === 'iri' || label == null) return text;
+      return mode === 'label' ? label : `${label} [${text}]`;
+    })
+    .join(separator);
+}
+
 /**
  * Convert a free-text name to PascalCase.
  * Used for generating CSV/print filenames.
@@ -533,189 +1255,1708 @@ export function toPascalCase(name) {
 }
 
 /**
- * Build a fixed-column table model for ontology elements.
+ * Display name of a graph term: its IRI, "_:label" for a blank node, null for the default graph.
+ * @param {object} term
+ * @returns {string|null}
+ */
+function graphName(term) {
+  if (!term || term.termType === 'DefaultGraph') return null;
+  return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+}
+
+/**
+ * Named graphs that hold quads (TriG, N-Quads, JSON-LD @graph with an @id), sorted.
+ * @param {import('n3').Store} store
+ * @returns {string[]} graph IRIs ("_:label" for blank node graphs)
+ */
+export function getNamedGraphs(store) {
+  const fnName = 'getNamedGraphs';
+  logEvent(fnName, 'start');
+
+  try {
+    const graphs = store.getGraphs(null, null, null).map(graphName).filter(Boolean);
+    return Array.from(new Set(graphs)).sort();
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Split a store into one store per graph, each holding that graph's quads in its default graph so
+ * every helper here can read it. The default graph comes first (graph: null), then named graphs
+ * sorted; graphs without quads are left out.
+ * @param {import('n3').Store} store
+ * @returns {Array<{ graph: string|null, store: import('n3').Store }>}
+ */
+export function splitStoreByGraph(store) {
+  const fnName = 'splitStoreByGraph';
+  logEvent(fnName, 'start', { quadCount: store.size });
+
+  try {
+    const parts = new Map(); // graph name (null = default) -> Store
+    store.getGraphs(null, null, null).forEach(term => {
+      const name = graphName(term);
+      if (parts.has(name)) return;
+      const part = new store.constructor();
+      store.getQuads(null, null, null, term).forEach(q => part.addQuad(q.subject, q.predicate, q.object));
+      parts.set(name, part);
+    });
+
+    const names = Array.from(parts.keys()).filter(Boolean).sort();
+    const result = (parts.has(null) ? [null, ...names] : names).map(graph => ({ graph, store: parts.get(graph) }));
+    logEvent(fnName, 'split', { graphCount: result.length });
+    return result;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Named graphs a subject's quads are in, joined with DEFAULT_COLUMN_SEPARATOR (the "graph" column).
+ * @param {import('n3').Store} store
+ * @param {object} subject NamedNode
+ * @returns {string}
+ */
+function getGraphCellValue(store, subject) {
+  const graphs = store.getGraphs(subject, null, null).map(graphName).filter(Boolean);
+  return Array.from(new Set(graphs)).sort().join(DEFAULT_COLUMN_SEPARATOR);
+}
+
+/**
+ * Ontology element subjects (see shouldIncludeElementSubject), in store order.
+ * @param {import('n3').Store} store
+ * @returns {import('n3').NamedNode[]}
+ */
+function getElementSubjects(store) {
+  const allQuads = store.getQuads(null, null, null, null);
+
+  // collect NamedNode subjects (non-blank)
+  const subjectTermMap = new Map(); // IRI -> Term
+  allQuads.forEach(q => {
+    if (!isBlankNode(q.subject) && q.subject.termType === 'NamedNode') {
+      subjectTermMap.set(q.subject.value, q.subject);
+    }
+  });
+
+  // Filter to ontology elements
+  return Array.from(subjectTermMap.values())
+    .filter(subj => shouldIncludeElementSubject(store, subj));
+}
+
+/**
+ * Remove columns that are completely empty across rows (except "iri") and prune rows to match.
+ * @param {string[]} allHeaders
+ * @param {string[]} allKeys
+ * @param {Array<Record<string, string>>} rows
+ * @returns {{ headers: string[], keys: string[], rows: Array<Record<string, string>> }}
+ */
+function pruneEmptyColumns(allHeaders, allKeys, rows) {
+  const keepFlags = allKeys.map(key => {
+    if (key === 'iri') return true;
+    return rows.some(r => (r[key] ?? '').trim() !== '');
+  });
+
+  const headers = allHeaders.filter((_, i) => keepFlags[i]);
+  const keys = allKeys.filter((_, i) => keepFlags[i]);
+
+  // prune unused keys from rows
+  const prunedRows = rows.map(r => {
+    const obj = {};
+    keys.forEach(k => {
+      obj[k] = r[k] ?? '';
+    });
+    return obj;
+  });
+
+  return { headers, keys, rows: prunedRows };
+}
+
+/**
+ * How a column turns a subject's values into a cell:
+ *  - bestLiteral: one literal (first predicate with a value; en, then no language, then any)
+ *  - bestIri:     one IRI (first predicate with an IRI value)
+ *  - literals:    all literal values, joined
+ *  - iris:        all IRI values, joined
+ *  - any:         all literal or IRI values, joined
+ *  - classExpressions: all IRI values plus blank-node class expressions in Manchester Syntax, joined
+ */
+export const COLUMN_VALUE_KINDS = ['bestLiteral', 'bestIri', 'literals', 'iris', 'any', 'classExpressions'];
+
+export const DEFAULT_COLUMN_SEPARATOR = '; ';
+
+// Value kinds that can be split into one column per language.
+const LANGUAGE_EXPANDABLE_KINDS = ['bestLiteral', 'literals'];
+
+// Kinds whose cells join several values with the column separator.
+const MULTI_VALUED_KINDS = ['literals', 'iris', 'any', 'classExpressions'];
+
+/**
+ * Default column profile, matching the element table's original fixed columns.
+ * The "iri" column is implicit: always first and never configurable.
+ * A literal column with perLanguage: true is expanded into one column per language tag found
+ * ("label@en", "label@fr", ..., "label (no language)").
+ */
+export const DEFAULT_COLUMN_PROFILE = {
+  id: 'cco-obo',
+  name: 'CCO/OBO',
+  columns: [
+    {
+      header: 'label',
+      key: 'label',
+      predicates: [NS.rdfs + 'label', NS.dcterms + 'title', NS.dc + 'title'],
+      kind: 'bestLiteral'
+    },
+    {
+      header: 'type',
+      key: 'type',
+      predicates: [NS.rdf + 'type'],
+      kind: 'iris'
+    },
+    {
+      header: 'definition',
+      key: 'definition',
+      predicates: [NS.skos + 'definition', NS.obo + 'IAO_0000115', NS.cco + 'definition'],
+      kind: 'bestLiteral'
+    },
+    {
+      header: 'preferred label',
+      key: 'preferredLabel',
+      predicates: [NS.skos + 'prefLabel', NS.obo + 'IAO_0000111'],
+      kind: 'bestLiteral'
+    },
+    {
+      header: 'alternative label',
+      key: 'alternativeLabel',
+      predicates: [
+        NS.skos + 'altLabel',
+        NS.obo + 'IAO_0000118',
+        NS.cco + 'alternative_label',
+        NS.oboInOwl + 'hasExactSynonym',
+        NS.oboInOwl + 'hasRelatedSynonym',
+        NS.oboInOwl + 'hasBroadSynonym',
+        NS.oboInOwl + 'hasNarrowSynonym'
+      ],
+      kind: 'literals'
+    },
+    {
+      header: 'acronym',
+      key: 'acronym',
+      predicates: [NS.cco + 'acronym', NS.obo + 'IAO_0000606', NS.cco2 + 'ont00001753'],
+      kind: 'literals'
+    },
+    {
+      header: 'rdfs:subClassOf',
+      key: 'subClassOf',
+      predicates: [NS.rdfs + 'subClassOf'],
+      kind: 'classExpressions'
+    },
+    {
+      header: 'equivalent to',
+      key: 'equivalentTo',
+      predicates: [NS.owl + 'equivalentClass'],
+      kind: 'classExpressions'
+    },
+    {
+      header: 'rdfs:subPropertyOf',
+      key: 'subPropertyOf',
+      predicates: [NS.rdfs + 'subPropertyOf'],
+      kind: 'iris'
+    },
+    {
+      header: 'definition source',
+      key: 'definitionSource',
+      predicates: [
+        NS.dcterms + 'bibliographicCitation',
+        NS.obo + 'IAO_0000119',
+        NS.cco2 + 'ont00001754',
+        NS.cco + 'definition_source',
+        NS.cco2 + 'ont00001745',
+        NS.cco + 'doctrinal_source'
+      ],
+      kind: 'any'
+    },
+    {
+      header: 'is curated in',
+      key: 'isCuratedIn',
+      predicates: [NS.cco2 + 'ont00001760', NS.rdfs + 'isDefinedBy'],
+      kind: 'bestIri'
+    }
+  ].map(column => ({ ...column, separator: DEFAULT_COLUMN_SEPARATOR, perLanguage: false }))
+};
+
+/**
+ * Check a column profile (e.g. one imported from a file) and return a normalized copy:
+ * trimmed strings, default separator filled in, keys derived from headers when missing.
+ * @param {any} profile
+ * @returns {{
+ *   id: string,
+ *   name: string,
+ *   columns: Array<{
+ *     header: string, key: string, predicates: string[], kind: string, separator: string, perLanguage: boolean
+ *   }>
+ * }}
+ * @throws {Error} describing the first problem found
+ */
+export function validateColumnProfile(profile) {
+  const fnName = 'validateColumnProfile';
+  logEvent(fnName, 'start', { name: profile?.name });
+
+  try {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('Column profile must be an object');
+    }
+    const name = String(profile.name ?? '').trim();
+    if (!name) throw new Error('Column profile needs a name');
+    if (!Array.isArray(profile.columns) || profile.columns.length === 0) {
+      throw new Error(`Column profile "${name}" needs at least one column`);
+    }
+
+    const seenKeys = new Set(['iri']);
+    const columns = profile.columns.map((column, idx) => {
+      const where = `Column ${idx + 1} of "${name}"`;
+      const header = String(column?.header ?? '').trim();
+      if (!header) throw new Error(`${where} needs a header`);
+
+      const derivedKey = toPascalCase(header).replace(/^./, c => c.toLowerCase());
+      const key = String(column.key ?? '').trim() || derivedKey;
+      if (seenKeys.has(key)) throw new Error(`${where} reuses the key "${key}"`);
+      seenKeys.add(key);
+
+      const predicates = (Array.isArray(column.predicates) ? column.predicates : [])
+        .map(p => String(p).trim())
+        .filter(Boolean);
+      if (!predicates.length) throw new Error(`${where} ("${header}") needs at least one predicate IRI`);
+      const notIri = predicates.find(p => !/^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"]+$/.test(p));
+      if (notIri) throw new Error(`${where} ("${header}") has an invalid predicate IRI: ${notIri}`);
+
+      const kind = column.kind ?? 'bestLiteral';
+      if (!COLUMN_VALUE_KINDS.includes(kind)) {
+        throw new Error(`${where} ("${header}") has an unknown value kind "${kind}"`);
+      }
+
+      const separator = typeof column.separator === 'string' ? column.separator : DEFAULT_COLUMN_SEPARATOR;
+
+      const perLanguage = Boolean(column.perLanguage);
+      if (perLanguage && !LANGUAGE_EXPANDABLE_KINDS.includes(kind)) {
+        throw new Error(`${where} ("${header}") can only be split per language for literal value kinds`);
+      }
+      return { header, key, predicates, kind, separator, perLanguage };
+    });
+
+    const id = String(profile.id ?? '').trim() || toPascalCase(name);
+    return { id, name, columns };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Compute one cell of the element table for a subject.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {{ predicates: string[], kind: string, separator?: string }} column
+ * @param {{ languages?: string[], prefixes?: Record<string, string>, stores?: import('n3').Store[] }} [options]
+ *   languages: priority list for bestLiteral columns; prefixes and stores: names in classExpressions columns
+ * @returns {string}
+ */
+export function getColumnValue(store, subjectIri, column, options = {}) {
+  const fnName = 'getColumnValue';
+  logEvent(fnName, 'start', { subjectIri, key: column?.key });
+
+  try {
+    const separator = column.separator ?? DEFAULT_COLUMN_SEPARATOR;
+    switch (column.kind) {
+      case 'bestLiteral':
+        return getPreferredLiteralForPredicates(store, subjectIri, column.predicates, options.languages) || '';
+      case 'bestIri':
+        return getPreferredIriForPredicates(store, subjectIri, column.predicates) || '';
+      case 'literals':
+        return getLiteralArrayForPredicates(store, subjectIri, column.predicates).join(separator);
+      case 'iris':
+        return getIriArrayForPredicates(store, subjectIri, column.predicates).join(separator);
+      case 'any':
+        return getAnyArrayForPredicates(store, subjectIri, column.predicates).join(separator);
+      case 'classExpressions':
+        return getClassExpressionArrayForPredicates(store, subjectIri, column.predicates, options).join(separator);
+      default:
+        throw new Error(`Unknown column value kind "${column.kind}"`);
+    }
+  } catch (err) {
+    logError(fnName, err, { subjectIri, column });
+    throw err;
+  }
+}
+
+/**
+ * Cells of a perLanguage column for a subject, keyed by lower-cased language tag ('' = untagged).
+ * bestLiteral: the first predicate (in profile order) with a literal in that language wins;
+ * literals: all distinct literals in that language, joined with the column separator.
+ * @param {import('n3').Store} store
+ * @param {string} subjectIri
+ * @param {{ predicates: string[], kind: string, separator?: string }} column
+ * @returns {Map<string, string>}
+ */
+function getColumnValuesByLanguage(store, subjectIri, column) {
+  const byLanguage = new Map(); // lang -> string[]
+  const subjectQuads = getQuadsForSubject(store, subjectIri);
+
+  for (const p of column.predicates) {
+    subjectQuads.forEach(q => {
+      if (q.predicate.value !== p || q.object.termType !== 'Literal') return;
+      const lang = (q.object.language || '').toLowerCase();
+      const values = byLanguage.get(lang) || [];
+      if (column.kind === 'bestLiteral' && values.length) return;
+      if (!values.includes(q.object.value)) values.push(q.object.value);
+      byLanguage.set(lang, values);
+    });
+  }
+
+  const separator = column.separator ?? DEFAULT_COLUMN_SEPARATOR;
+  return new Map(Array.from(byLanguage, ([lang, values]) => [lang, values.join(separator)]));
+}
+
+/**
+ * Order language tags for per-language columns: the priority list first, then the rest
+ * alphabetically, with untagged last unless the priority list places it.
+ * @param {Iterable<string>} found
+ * @param {string[]} languages
+ * @returns {string[]}
+ */
+function orderLanguages(found, languages) {
+  const rank = lang => {
+    const idx = languages.indexOf(lang);
+    if (idx !== -1) return idx;
+    return lang === '' ? languages.length + 1 : languages.length;
+  };
+  return Array.from(found).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Build a table model for ontology elements from a column profile.
  *
- * Columns (headers / keys):
- *  - iri                / iri
- *  - label              / label
- *  - type               / type              (array of rdf:type IRIs, joined with "; ")
- *  - definition         / definition
- *  - preferred label    / preferredLabel
- *  - alternative label  / alternativeLabel  (array, joined)
- *  - acronym            / acronym           (array, joined)
- *  - rdfs:subClassOf    / subClassOf        (array, joined)
- *  - rdfs:subPropertyOf / subPropertyOf     (array, joined)
- *  - definition source  / definitionSource  (array, joined)
- *  - is curated in      / isCuratedIn
+ * The first column is always iri / iri, followed by graph / graph (the named graphs the element
+ * is described in) when the store has named graphs; the rest come from the profile
+ * (DEFAULT_COLUMN_PROFILE: label, type, definition, preferred label, alternative label,
+ * acronym, rdfs:subClassOf, equivalent to, rdfs:subPropertyOf, definition source, is curated in).
+ * subClassOf and equivalent to include anonymous class expressions, rendered in Manchester Syntax.
  *
+ * Columns marked perLanguage become one column per language tag found across the rows
+ * (header "label@fr", key "label@fr"; untagged values go to "label (no language)", key "label@").
  * Columns with no values across all rows are removed (except "iri").
+ * iriColumns maps the key of every IRI-valued column (iri, graph, bestIri, iris and classExpressions
+ * kinds) to its separator. graphs lists the store's named graphs (getNamedGraphs), if it has any.
+ *
+ * @param {import('n3').Store} store
+ * @param {{
+ *   columns: Array<{ header: string, key: string, predicates: string[], kind: string, separator?: string, perLanguage?: boolean }>
+ * }} [profile]
+ * @param {{ languages?: string[], prefixes?: Record<string, string>, stores?: import('n3').Store[] }} [options]
+ *   languages: priority list for literal values and per-language column order;
+ *   prefixes, stores: CURIEs and label sources for entity names in class expressions
+ * @returns {{
+ *   headers: string[],
+ *   keys: string[],
+ *   rows: Array<Record<string, string>>,
+ *   iriColumns: Record<string, string>,
+ *   graphs?: string[]
+ * }}
+ */
+export function buildElementTableModel(store, profile = DEFAULT_COLUMN_PROFILE, options = {}) {
+  const fnName = 'buildElementTableModel';
+  logEvent(fnName, 'start', { profile: profile?.name });
+
+  try {
+    const elementSubjects = getElementSubjects(store);
+    const namedGraphs = getNamedGraphs(store);
+
+    const columns = profile.columns;
+    const languages = options.languages ?? DEFAULT_LANGUAGE_PREFERENCE;
+    const foundLanguages = new Map(); // perLanguage column key -> Set of tags
+
+    const rows = elementSubjects.map(subj => {
+      const row = { iri: subj.value };
+      if (namedGraphs.length) row.graph = getGraphCellValue(store, subj);
+      columns.forEach(column => {
+        if (!column.perLanguage) {
+          row[column.key] = getColumnValue(store, subj.value, column, {
+            languages,
+            prefixes: options.prefixes,
+            stores: options.stores
+          });
+          return;
+        }
+        const found = foundLanguages.get(column.key) || new Set();
+        getColumnValuesByLanguage(store, subj.value, column).forEach((value, lang) => {
+          found.add(lang);
+          row[`${column.key}@${lang}`] = value;
+        });
+        foundLanguages.set(column.key, found);
+      });
+      return row;
+    });
+
+    const allHeaders = ['iri', 'graph'];
+    const allKeys = ['iri', 'graph'];
+    columns.forEach(column => {
+      if (!column.perLanguage) {
+        allHeaders.push(column.header);
+        allKeys.push(column.key);
+        return;
+      }
+      orderLanguages(foundLanguages.get(column.key) || [], languages).forEach(lang => {
+        allHeaders.push(lang ? `${column.header}@${lang}` : `${column.header} (no language)`);
+        allKeys.push(`${column.key}@${lang}`);
+      });
+    });
+    const model = pruneEmptyColumns(allHeaders, allKeys, rows);
+
+    const iriColumns = { iri: '', graph: DEFAULT_COLUMN_SEPARATOR };
+    columns.forEach(column => {
+      if (column.kind === 'bestIri') iriColumns[column.key] = '';
+      else if (column.kind === 'iris' || column.kind === 'classExpressions') iriColumns[column.key] = column.separator;
+    });
+    model.iriColumns = Object.fromEntries(
+      Object.entries(iriColumns).filter(([key]) => model.keys.includes(key))
+    );
+    if (namedGraphs.length) model.graphs = namedGraphs;
+
+    logEvent(fnName, 'built', {
+      rowCount: model.rows.length,
+      columnCount: model.headers.length
+    });
+
+    return model;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Build an exploratory table model with one column per predicate used on the ontology elements.
  *
+ * Keys are the predicate IRIs, headers their CURIEs (iriToCurie with options.prefixes, default
+ * COMMON_PREFIX_MAP). Columns are ordered by the number of elements that use the predicate (most
+ * first), then by header. Cells hold every literal or IRI value (blank nodes skipped), de-duplicated
+ * and joined with DEFAULT_COLUMN_SEPARATOR, like the "any" column kind. Columns with no values across
+ * all rows are removed (except "iri"). Predicates that never have a literal value are iriColumns.
+ * As in buildElementTableModel, a graph column and graphs list are added when there are named graphs.
+ *
+ * @param {import('n3').Store} store
+ * @param {{ prefixes?: Record<string, string> }} [options] prefixes: prefix → namespace map for headers
+ * @returns {{
+ *   headers: string[],
+ *   keys: string[],
+ *   rows: Array<Record<string, string>>,
+ *   iriColumns: Record<string, string>,
+ *   graphs?: string[]
+ * }}
+ */
+export function buildAllPredicatesTableModel(store, options = {}) {
+  const fnName = 'buildAllPredicatesTableModel';
+  logEvent(fnName, 'start');
+
+  try {
+    const prefixMap = options.prefixes ?? COMMON_PREFIX_MAP;
+    const usage = new Map(); // predicate IRI -> number of elements using it
+    const literalValued = new Set(); // predicates with at least one literal value
+    const namedGraphs = getNamedGraphs(store);
+    const rows = getElementSubjects(store).map(subj => {
+      const values = new Map(); // predicate IRI -> Set of values
+      getQuadsForSubject(store, subj.value).forEach(q => {
+        if (q.predicate.termType !== 'NamedNode') return;
+        if (!values.has(q.predicate.value)) values.set(q.predicate.value, new Set());
+        if (q.object.termType === 'Literal' || q.object.termType === 'NamedNode') {
+          values.get(q.predicate.value).add(q.object.value);
+        }
+        if (q.object.termType === 'Literal') literalValued.add(q.predicate.value);
+      });
+
+      const row = { iri: subj.value };
+      if (namedGraphs.length) row.graph = getGraphCellValue(store, subj);
+      values.forEach((set, predicate) => {
+        usage.set(predicate, (usage.get(predicate) || 0) + 1);
+        row[predicate] = Array.from(set).join(DEFAULT_COLUMN_SEPARATOR);
+      });
+      return row;
+    });
+
+    const predicates = Array.from(usage.keys())
+      .map(iri => ({ iri, header: iriToCurie(iri, prefixMap), count: usage.get(iri) }))
+      .sort((a, b) => b.count - a.count || a.header.localeCompare(b.header));
+
+    const model = pruneEmptyColumns(
+      ['iri', 'graph', ...predicates.map(p => p.header)],
+      ['iri', 'graph', ...predicates.map(p => p.iri)],
+      rows
+    );
+    model.iriColumns = Object.fromEntries(
+      model.keys
+        .filter(key => key === 'iri' || !literalValued.has(key))
+        .map(key => [key, key === 'iri' ? '' : DEFAULT_COLUMN_SEPARATOR])
+    );
+    if (namedGraphs.length) model.graphs = namedGraphs;
+
+    logEvent(fnName, 'built', {
+      rowCount: model.rows.length,
+      columnCount: model.headers.length
+    });
+
+    return model;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// Element types that place an element in the class or the property hierarchy.
+const HIERARCHY_TREES = [
+  {
+    id: 'classes',
+    title: 'Classes',
+    predicate: NS.rdfs + 'subClassOf',
+    types: [NS.owl + 'Class']
+  },
+  {
+    id: 'properties',
+    title: 'Properties',
+    predicate: NS.rdfs + 'subPropertyOf',
+    types: [NS.owl + 'ObjectProperty', NS.owl + 'DatatypeProperty', NS.owl + 'AnnotationProperty']
+  }
+];
+
+/**
+ * Build the class (rdfs:subClassOf) and property (rdfs:subPropertyOf) hierarchies of the ontology
+ * elements in a store.
+ *
+ * Each tree holds the typed elements plus the named parents they point to (parents from other
+ * files become nodes too); blank-node parents (class expressions) and self-loops are ignored.
+ * A node may have several parents and so appear under each of them. Roots are the nodes without a
+ * parent; nodes only reachable through a cycle get the first of their cycle as an extra root.
+ * Roots and children are sorted by label, then IRI.
+ *
+ * @param {import('n3').Store} store
+ * @param {{ languages?: string[], stores?: import('n3').Store[] }} [options]
+ *   stores: where node labels are looked up (default: just store)
+ * @returns {{
+ *   trees: Array<{ id: string, title: string, roots: string[], children: Record<string, string[]> }>,
+ *   labels: Record<string, string>
+ * }}
+ */
+export function buildHierarchyModel(store, options = {}) {
+  const fnName = 'buildHierarchyModel';
+  logEvent(fnName, 'start');
+
+  try {
+    const languages = options.languages ?? DEFAULT_LANGUAGE_PREFERENCE;
+    const labelStores = options.stores?.length ? options.stores : [store];
+    const elements = getElementSubjects(store);
+    const labels = {};
+
+    const labelOf = iri => {
+      if (!(iri in labels)) {
+        const term = namedNodeTerm(iri);
+        labels[iri] = findPreferredLabel(labelStores.flatMap(s => s.getQuads(term, null, null, null)), languages);
+      }
+      return labels[iri];
+    };
+    const byLabel = (a, b) =>
+      (labelOf(a) ?? a).localeCompare(labelOf(b) ?? b) || a.localeCompare(b);
+
+    const trees = HIERARCHY_TREES.map(({ id, title, predicate, types }) => {
+      const parents = new Map(); // node -> Set of parent IRIs
+      const children = new Map(); // node -> Set of child IRIs
+      const addNode = iri => {
+        if (!parents.has(iri)) parents.set(iri, new Set());
+        if (!children.has(iri)) children.set(iri, new Set());
+      };
+
+      elements.forEach(subj => {
+        const quads = getQuadsForSubject(store, subj.value);
+        const typed = quads.some(q => q.predicate.value === NS.rdf + 'type' && types.includes(q.object.value));
+        if (!typed) return;
+
+        addNode(subj.value);
+        quads.forEach(q => {
+          if (q.predicate.value !== predicate || q.object.termType !== 'NamedNode') return;
+          if (q.object.value === subj.value) return;
+          addNode(q.object.value);
+          parents.get(subj.value).add(q.object.value);
+          children.get(q.object.value).add(subj.value);
+        });
+      });
+
+      const roots = Array.from(parents.keys()).filter(iri => parents.get(iri).size === 0).sort(byLabel);
+
+      // Anything not reachable from a root sits on a parent cycle; start a root there.
+      const reached = new Set();
+      const reach = start => {
+        const stack = [start];
+        while (stack.length) {
+          const iri = stack.pop();
+          if (reached.has(iri)) continue;
+          reached.add(iri);
+          children.get(iri).forEach(child => stack.push(child));
+        }
+      };
+      roots.forEach(reach);
+      Array.from(parents.keys()).sort(byLabel).forEach(iri => {
+        if (reached.has(iri)) return;
+        roots.push(iri);
+        reach(iri);
+      });
+
+      const childLists = {};
+      children.forEach((set, iri) => {
+        if (set.size) childLists[iri] = Array.from(set).sort(byLabel);
+      });
+      parents.forEach((_, iri) => labelOf(iri));
+
+      return { id, title, roots, children: childLists };
+    });
+
+    // Keep only the labels that exist.
+    const foundLabels = Object.fromEntries(Object.entries(labels).filter(([, label]) => label != null));
+
+    logEvent(fnName, 'built', { rootCounts: trees.map(t => t.roots.length) });
+    return { trees, labels: foundLabels };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * The IRIs of a node and all its descendants in a hierarchy tree (cycle-safe).
+ * @param {{ children: Record<string, string[]> }} tree
+ * @param {string} iri
+ * @returns {Set<string>}
+ */
+export function getSubtreeIris(tree, iri) {
+  const subtree = new Set();
+  const stack = [iri];
+  while (stack.length) {
+    const next = stack.pop();
+    if (subtree.has(next)) continue;
+    subtree.add(next);
+    (tree.children[next] || []).forEach(child => stack.push(child));
+  }
+  return subtree;
+}
+
+/**
+ * Write hierarchy trees as an indented text outline (two spaces per level), one "# title"
+ * section per non-empty tree. Nodes read "label <iri>" (or "<iri>"); a node under several parents
+ * is repeated under each, and a node that would repeat one of its ancestors is marked "(cycle)"
+ * and not expanded.
+ * @param {{ trees: Array<{ title: string, roots: string[], children: Record<string, string[]> }>, labels: Record<string, string> }} hierarchy
+ * @returns {string}
+ */
+export function hierarchyToOutline(hierarchy) {
+  const fnName = 'hierarchyToOutline';
+  logEvent(fnName, 'start');
+
+  try {
+    const lines = [];
+    const nodeText = iri => (hierarchy.labels[iri] ? `${hierarchy.labels[iri]} <${iri}>` : `<${iri}>`);
+
+    hierarchy.trees.forEach(tree => {
+      if (!tree.roots.length) return;
+      if (lines.length) lines.push('');
+      lines.push(`# ${tree.title}`);
+
+      // Explicit stack so deep taxonomies cannot overflow the call stack.
+      const stack = tree.roots.slice().reverse().map(iri => ({ iri, depth: 0, ancestors: new Set() }));
+      while (stack.length) {
+        const { iri, depth, ancestors } = stack.pop();
+        const indent = '  '.repeat(depth);
+        if (ancestors.has(iri)) {
+          lines.push(`${indent}${nodeText(iri)} (cycle)`);
+          continue;
+        }
+        lines.push(`${indent}${nodeText(iri)}`);
+        const path = new Set(ancestors).add(iri);
+        (tree.children[iri] || []).slice().reverse()
+          .forEach(child => stack.push({ iri: child, depth: depth + 1, ancestors: path }));
+      }
+    });
+
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// extractOntologyMetadata fields with their display names, as on the ontology card.
+export const ONTOLOGY_METADATA_FIELDS = [
+  ['ontologyIri', 'Ontology IRI'],
+  ['ontologyName', 'Ontology Name'],
+  ['versionIri', 'Version IRI'],
+  ['versionInfo', 'Version Info'],
+  ['description', 'Description'],
+  ['license', 'License'],
+  ['rightsHolder', 'Copyright']
+];
+
+/**
+ * Compare two versions of an ontology.
+ *
+ * Elements are matched by IRI and tabulated with the same column profile as
+ * buildElementTableModel (each version on its own, so labels in class expressions come from that
+ * version). Reports the metadata fields that differ, the elements only in the new version
+ * (added) or only in the old one (removed), and for elements in both every column whose cell
+ * text differs (multi-valued cells regardless of the order of their values). Lists are sorted by
+ * IRI; columns follow the profile order.
+ *
+ * @param {import('n3').Store} oldStore
+ * @param {import('n3').Store} newStore
+ * @param {{ profile?: object, languages?: string[], prefixes?: Record<string, string> }} [options]
+ * @returns {{
+ *   headers: string[],
+ *   keys: string[],
+ *   metadata: Array<{ field: string, name: string, before: string|null, after: string|null }>,
+ *   added: Array<Record<string, string>>,
+ *   removed: Array<Record<string, string>>,
+ *   changed: Array<{ iri: string, label: string, changes: Array<{ key: string, header: string, before: string, after: string }> }>
+ * }}
+ */
+export function diffOntologyVersions(oldStore, newStore, options = {}) {
+  const fnName = 'diffOntologyVersions';
+  logEvent(fnName, 'start');
+
+  try {
+    const profile = options.profile ?? DEFAULT_COLUMN_PROFILE;
+    const tableOptions = store => ({ languages: options.languages, prefixes: options.prefixes, stores: [store] });
+    const before = buildElementTableModel(oldStore, profile, tableOptions(oldStore));
+    const after = buildElementTableModel(newStore, profile, tableOptions(newStore));
+
+    // Union of the non-empty columns of both versions, in the new version's order first.
+    const headerByKey = new Map();
+    [after, before].forEach(model => model.keys.forEach((key, i) => {
+      if (!headerByKey.has(key)) headerByKey.set(key, model.headers[i]);
+    }));
+    const keys = Array.from(headerByKey.keys());
+    const headers = keys.map(key => headerByKey.get(key));
+
+    const byIri = model => new Map(model.rows.map(row => [row.iri, row]));
+    const oldRows = byIri(before);
+    const newRows = byIri(after);
+    const sortByIri = (a, b) => a.iri.localeCompare(b.iri);
+    const withAllKeys = row => Object.fromEntries(keys.map(key => [key, row[key] ?? '']));
+
+    const added = after.rows.filter(row => !oldRows.has(row.iri)).map(withAllKeys).sort(sortByIri);
+    const removed = before.rows.filter(row => !newRows.has(row.iri)).map(withAllKeys).sort(sortByIri);
+
+    // Multi-valued cells list their values in store order, which changes whenever unrelated
+    // triples are added; compare them as sets.
+    const separatorByKey = new Map([['graph', DEFAULT_COLUMN_SEPARATOR]]);
+    profile.columns
+      .filter(column => MULTI_VALUED_KINDS.includes(column.kind))
+      .forEach(column => separatorByKey.set(column.key, column.separator ?? DEFAULT_COLUMN_SEPARATOR));
+    const sameCell = (key, a, b) => {
+      if (a === b) return true;
+      // per-language columns are keyed "label@fr"
+      const columnKey = separatorByKey.has(key) || !key.includes('@') ? key : key.slice(0, key.lastIndexOf('@'));
+      const separator = separatorByKey.get(columnKey);
+      if (!separator) return false;
+      const values = text => text.split(separator).sort().join(separator);
+      return values(a) === values(b);
+    };
+
+    const changed = [];
+    newRows.forEach((newRow, iri) => {
+      const oldRow = oldRows.get(iri);
+      if (!oldRow) return;
+      const changes = keys
+        .filter(key => !sameCell(key, oldRow[key] ?? '', newRow[key] ?? ''))
+        .map(key => ({ key, header: headerByKey.get(key), before: oldRow[key] ?? '', after: newRow[key] ?? '' }));
+      if (changes.length) changed.push({ iri, label: newRow.label || oldRow.label || '', changes });
+    });
+    changed.sort(sortByIri);
+
+    const oldMeta = extractOntologyMetadata(oldStore, { languages: options.languages });
+    const newMeta = extractOntologyMetadata(newStore, { languages: options.languages });
+    const metadata = ONTOLOGY_METADATA_FIELDS
+      .filter(([field]) => (oldMeta[field] ?? null) !== (newMeta[field] ?? null))
+      .map(([field, name]) => ({ field, name, before: oldMeta[field] ?? null, after: newMeta[field] ?? null }));
+
+    logEvent(fnName, 'compared', {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      metadata: metadata.length
+    });
+    return { headers, keys, metadata, added, removed, changed };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Flatten a version diff into CSV: one line per metadata change, added or removed element and
+ * changed cell, with columns change, iri, label, column, before, after.
+ * @param {ReturnType<typeof diffOntologyVersions>} diff
+ * @returns {string}
+ */
+export function ontologyDiffToCsv(diff) {
+  const fnName = 'ontologyDiffToCsv';
+  logEvent(fnName, 'start');
+
+  try {
+    const lines = [['change', 'iri', 'label', 'column', 'before', 'after']];
+    diff.metadata.forEach(m => lines.push(['metadata', '', '', m.name, m.before ?? '', m.after ?? '']));
+    diff.added.forEach(row => lines.push(['added', row.iri, row.label ?? '', '', '', '']));
+    diff.removed.forEach(row => lines.push(['removed', row.iri, row.label ?? '', '', '', '']));
+    diff.changed.forEach(({ iri, label, changes }) => {
+      changes.forEach(c => lines.push(['changed', iri, label, c.header, c.before, c.after]));
+    });
+
+    return lines
+      .map(values => values.map(v => `"${String(v).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Write a version diff as Markdown release notes: metadata changes, then added, removed and
+ * changed terms ("label (`iri`)"), with before → after for every changed column.
+ * @param {ReturnType<typeof diffOntologyVersions>} diff
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+export function ontologyDiffToMarkdown(diff, options = {}) {
+  const fnName = 'ontologyDiffToMarkdown';
+  logEvent(fnName, 'start');
+
+  try {
+    const code = text => `\`${String(text).replace(/`/g, "'")}\``;
+    const inline = text => String(text ?? '').replace(/\s+/g, ' ').trim() || '_(none)_';
+    const term = row => (row.label ? `${row.label} (${code(row.iri)})` : code(row.iri));
+    const lines = [`# ${options.title || 'Release notes'}`, ''];
+
+    if (diff.metadata.length) {
+      lines.push('## Ontology metadata', '');
+      diff.metadata.forEach(m => lines.push(`- **${m.name}**: ${inline(m.before)} → ${inline(m.after)}`));
+      lines.push('');
+    }
+
+    const section = (title, items, render) => {
+      lines.push(`## ${title} (${items.length})`, '');
+      if (!items.length) lines.push('_None._');
+      items.forEach(item => lines.push(...render(item)));
+      lines.push('');
+    };
+    section('Added terms', diff.added, row => [`- ${term(row)}`]);
+    section('Removed terms', diff.removed, row => [`- ${term(row)}`]);
+    section('Changed terms', diff.changed, item => [
+      `- ${term(item)}`,
+      ...item.changes.map(c => `  - ${c.header}: ${inline(c.before)} → ${inline(c.after)}`)
+    ]);
+
+    return `${lines.join('\n').trimEnd()}\n`;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Annotation quality rules checked by lintOntology, with their default severity.
+ * Deprecated elements (owl:deprecated true) are only checked by deprecated-referenced.
+ */
+export const LINT_RULES = [
+  { id: 'missing-label', name: 'Missing label', severity: 'error' },
+  { id: 'missing-definition', name: 'Missing definition', severity: 'warning' },
+  { id: 'multiple-labels', name: 'Several labels in one language', severity: 'error' },
+  { id: 'multiple-definitions', name: 'Several definitions in one language', severity: 'warning' },
+  { id: 'duplicate-label', name: 'Label shared with another element', severity: 'warning' },
+  { id: 'label-whitespace', name: 'Label with stray whitespace', severity: 'warning' },
+  { id: 'label-casing', name: 'Label with odd casing', severity: 'info' },
+  { id: 'definition-period', name: 'Definition not ending with a period', severity: 'info' },
+  { id: 'no-parent', name: 'Class or property without a parent', severity: 'info' },
+  { id: 'deprecated-referenced', name: 'Deprecated element still referenced', severity: 'warning' }
+];
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+// Definition predicates of the default profile's "definition" column.
+const DEFINITION_PREDICATES = DEFAULT_COLUMN_PROFILE.columns.find(c => c.key === 'definition').predicates;
+
+// Links from an owl:Axiom annotation to the statement it annotates; not a use of the element.
+const AXIOM_TARGET_PREDICATES = new Set([NS.owl + 'annotatedSource', NS.owl + 'annotatedTarget']);
+
+/**
+ * Check the ontology elements of a store against LINT_RULES.
+ * Labels are rdfs:label values; definitions those of the default profile's definition column.
+ * @param {import('n3').Store} store
+ * @param {{
+ *   rules?: Record<string, { enabled?: boolean, severity?: 'error'|'warning'|'info' }>,
+ *   languages?: string[]
+ * }} [options] rules: per-rule overrides of LINT_RULES (all rules run by default)
+ * @returns {Array<{ ruleId: string, rule: string, severity: string, iri: string, label: string, message: string }>}
+ *   sorted by severity, then element label, then rule order
+ */
+export function lintOntology(store, options = {}) {
+  const fnName = 'lintOntology';
+  logEvent(fnName, 'start');
+
+  try {
+    const languages = options.languages ?? DEFAULT_LANGUAGE_PREFERENCE;
+    const rules = new Map(LINT_RULES
+      .map(rule => ({ ...rule, ...(options.rules?.[rule.id] || {}) }))
+      .filter(rule => rule.enabled !== false)
+      .map(rule => [rule.id, rule]));
+    const findings = [];
+
+    const elements = getElementSubjects(store).map(subj => {
+      const quads = getQuadsForSubject(store, subj.value);
+      const literalsOf = predicates => quads
+        .filter(q => predicates.includes(q.predicate.value) && q.object.termType === 'Literal')
+        .map(q => q.object);
+      const labels = literalsOf([NS.rdfs + 'label']);
+      const best = pickBestLiteral(labels, languages);
+      return {
+        iri: subj.value,
+        quads,
+        label: best ? best.value : '',
+        labels,
+        definitions: literalsOf(DEFINITION_PREDICATES),
+        deprecated: quads.some(q => q.predicate.value === NS.owl + 'deprecated' && q.object.value === 'true')
+      };
+    });
+
+    const report = (ruleId, element, message) => {
+      const rule = rules.get(ruleId);
+      if (!rule) return;
+      findings.push({ ruleId, rule: rule.name, severity: rule.severity, iri: element.iri, label: element.label, message });
+    };
+    const sameLanguageRepeats = literals => {
+      const byLanguage = new Map();
+      literals.forEach(l => {
+        const lang = (l.language || '').toLowerCase();
+        byLanguage.set(lang, (byLanguage.get(lang) || 0) + 1);
+      });
+      return Array.from(byLanguage).filter(([, count]) => count > 1);
+    };
+    const languageName = lang => (lang ? `"${lang}"` : 'no language');
+
+    const labelOwners = new Map(); // normalized label@lang -> element IRIs
+    elements.forEach(element => {
+      if (element.deprecated) return;
+      const isClass = element.quads.some(q => q.predicate.value === NS.rdf + 'type' && q.object.value === NS.owl + 'Class');
+      const isProperty = element.quads.some(q =>
+        q.predicate.value === NS.rdf + 'type' &&
+        [NS.owl + 'ObjectProperty', NS.owl + 'DatatypeProperty', NS.owl + 'AnnotationProperty'].includes(q.object.value)
+      );
+
+      if (!element.labels.length) report('missing-label', element, 'No rdfs:label');
+      if (!element.definitions.length) report('missing-definition', element, 'No definition');
+      sameLanguageRepeats(element.labels).forEach(([lang, count]) =>
+        report('multiple-labels', element, `${count} labels with ${languageName(lang)}`));
+      sameLanguageRepeats(element.definitions).forEach(([lang, count]) =>
+        report('multiple-definitions', element, `${count} definitions with ${languageName(lang)}`));
+
+      element.labels.forEach(l => {
+        if (l.value !== l.value.trim() || /\s{2,}/.test(l.value)) {
+          report('label-whitespace', element, `Label "${l.value}" has leading, trailing or repeated whitespace`);
+        }
+        // A lower-case run, a capital and more lower case: "bigDog", but not "mRNA" or "pH".
+        if (/[a-z][A-Z][a-z]/.test(l.value)) {
+          report('label-casing', element, `Label "${l.value}" looks like camelCase; use words`);
+        } else if (/^[A-Z]{2,}(\s+[A-Z]{2,})+$/.test(l.value.trim())) {
+          report('label-casing', element, `Label "${l.value}" is all upper case`);
+        }
+        const key = `${l.value.trim().replace(/\s+/g, ' ').toLowerCase()}@${(l.language || '').toLowerCase()}`;
+        if (!labelOwners.has(key)) labelOwners.set(key, new Set());
+        labelOwners.get(key).add(element.iri);
+      });
+
+      element.definitions.forEach(d => {
+        if (!/\.\s*$/.test(d.value)) {
+          report('definition-period', element, `Definition "${d.value.slice(0, 60)}" does not end with a period`);
+        }
+      });
+
+      if (isClass && !element.quads.some(q => q.predicate.value === NS.rdfs + 'subClassOf')) {
+        report('no-parent', element, 'Class without rdfs:subClassOf');
+      } else if (!isClass && isProperty && !element.quads.some(q => q.predicate.value === NS.rdfs + 'subPropertyOf')) {
+        report('no-parent', element, 'Property without rdfs:subPropertyOf');
+      }
+    });
+
+    const byIri = new Map(elements.map(e => [e.iri, e]));
+    labelOwners.forEach((owners, key) => {
+      if (owners.size < 2) return;
+      const label = key.slice(0, key.lastIndexOf('@'));
+      owners.forEach(iri => {
+        const others = Array.from(owners).filter(other => other !== iri);
+        report('duplicate-label', byIri.get(iri), `Label "${label}" is also used by ${others.join(', ')}`);
+      });
+    });
+
+    elements.filter(e => e.deprecated).forEach(element => {
+      const referrers = new Set(
+        store.getQuads(null, null, namedNodeTerm(element.iri), null)
+          .filter(q => q.subject.value !== element.iri)
+          // Axiom annotations (e.g. OBO def and synonym xrefs) point back at the term itself.
+          .filter(q => !AXIOM_TARGET_PREDICATES.has(q.predicate.value) &&
+            !store.getQuads(q.subject, namedNodeTerm(NS.rdf + 'type'), namedNodeTerm(NS.owl + 'Axiom'), null).length)
+          .map(q => (q.subject.termType === 'BlankNode' ? 'an anonymous class expression' : q.subject.value))
+      );
+      if (referrers.size) {
+        report('deprecated-referenced', element, `Deprecated but referenced by ${Array.from(referrers).join(', ')}`);
+      }
+    });
+
+    const ruleOrder = new Map(LINT_RULES.map((rule, i) => [rule.id, i]));
+    findings.sort((a, b) =>
+      LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity) ||
+      (a.label || a.iri).localeCompare(b.label || b.iri) ||
+      ruleOrder.get(a.ruleId) - ruleOrder.get(b.ruleId));
+
+    logEvent(fnName, 'checked', { elementCount: elements.length, findingCount: findings.length });
+    return findings;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Write lint findings as CSV (severity, rule, iri, label, message).
+ * @param {ReturnType<typeof lintOntology>} findings
+ * @returns {string}
+ */
+export function lintFindingsToCsv(findings) {
+  const fnName = 'lintFindingsToCsv';
+  logEvent(fnName, 'start', { count: findings.length });
+
+  try {
+    const lines = [['severity', 'rule', 'iri', 'label', 'message']];
+    findings.forEach(f => lines.push([f.severity, f.ruleId, f.iri, f.label, f.message]));
+    return lines
+      .map(values => values.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Problems worth a warning in a file that parsed: no triples, no owl:Ontology subject (so no
+ * metadata on the card), or no rows in its table.
  * @param {import('n3').Store} store
- * @returns {{
- *   headers: string[],
- *   keys: string[],
- *   rows: Array<Record<string, string>>
- * }}
+ * @param {{ rows: object[] }} tableModel
+ * @returns {string[]}
  */
-export function buildElementTableModel(store) {
-  const fnName = 'buildElementTableModel';
+export function getTabulationWarnings(store, tableModel) {
+  const fnName = 'getTabulationWarnings';
   logEvent(fnName, 'start');
 
   try {
-    const allQuads = store.getQuads(null, null, null, null);
+    if (!store.size) return ['No triples were found in this file.'];
 
-    // collect NamedNode subjects (non-blank)
-    const subjectTermMap = new Map(); // IRI -> Term
-    allQuads.forEach(q => {
-      if (!isBlankNode(q.subject) && q.subject.termType === 'NamedNode') {
-        subjectTermMap.set(q.subject.value, q.subject);
-      }
-    });
+    const warnings = [];
+    if (!getOntologySubjectIri(store)) {
+      warnings.push('No owl:Ontology subject, so there is no ontology metadata.');
+    }
+    if (!tableModel.rows.length) {
+      warnings.push('The table is empty: no classes, properties or individuals were found.');
+    }
+    return warnings;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may hold delimiters, quotes as "" and
+ * line breaks). The delimiter is the first of comma, tab or semicolon found on the header line,
+ * so TSV and spreadsheet exports with ";" work too. A leading byte order mark is dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const fnName = 'parseCsv';
+  logEvent(fnName, 'start', { length: text.length });
 
-    // Filter to ontology elements
-    const elementSubjects = Array.from(subjectTermMap.values())
-      .filter(subj => shouldIncludeElementSubject(store, subj));
+  try {
+    const source = text.replace(/^\uFEFF/, '');
+    const headerLine = source.slice(0, source.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    const delimiter = [',', '\t', ';'].find(d => headerLine.includes(d)) || ',';
 
     const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && cell === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (quoted) throw new Error('CSV ends inside a quoted cell');
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
 
-    for (const subj of elementSubjects) {
-      const iri = subj.value;
+    // Blank lines carry no row.
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
 
-      const label = getPreferredLiteralForPredicates(store, iri, [
-        NS.rdfs + 'label',
-        NS.dcterms + 'title',
-        NS.dc + 'title'
-      ]);
+/**
+ * Map CSV headers to profile columns. A header matches a column key or header; per-language
+ * columns also match "key@lang", "header@lang" and "header (no language)".
+ * @returns {Array<{ index: number, header: string, column: object, language: string|null }|null>}
+ */
+function matchCsvColumns(headers, profile) {
+  return headers.map((raw, index) => {
+    const header = raw.trim();
+    for (const column of profile.columns) {
+      if (!column.perLanguage && (header === column.key || header === column.header)) {
+        return { index, header, column, language: null };
+      }
+      if (!column.perLanguage) continue;
+      if (header === `${column.header} (no language)`) return { index, header, column, language: '' };
+      const [name, lang] = [header.slice(0, header.lastIndexOf('@')), header.slice(header.lastIndexOf('@') + 1)];
+      if (header.includes('@') && (name === column.key || name === column.header)) {
+        return { index, header, column, language: lang.toLowerCase() };
+      }
+    }
+    return null;
+  });
+}
 
-      const typeArr = getIriArrayForPredicates(store, iri, [
-        NS.rdf + 'type'
-      ]);
+// Column kinds that can be written back; "any" mixes literals and IRIs and class expressions
+// are rendered text, so both stay read-only.
+const IMPORTABLE_KINDS = ['bestLiteral', 'literals', 'bestIri', 'iris'];
 
-      const definition = getPreferredLiteralForPredicates(store, iri, [
-        NS.skos + 'definition',
-        NS.obo + 'IAO_0000115',
-        NS.cco + 'definition'
-      ]);
+/**
+ * The IRI a CSV cell value stands for: "<iri>", "label [iri]" (the labelled exports), a CURIE
+ * with a known prefix, or a plain absolute IRI. Returns null for anything else.
+ */
+function csvValueToIri(value, prefixes) {
+  const text = value.trim();
+  const bracketed = text.match(/^<([^<>\s]+)>$/) || text.match(/\[([^\[\]\s]+)\]$/);
+  const candidate = bracketed ? bracketed[1] : text;
+  const curie = candidate.match(/^([A-Za-z][\w.-]*)?:([^/\s][^\s]*)?$/);
+  if (curie && prefixes[curie[1] || ''] != null) return prefixes[curie[1] || ''] + (curie[2] || '');
+  return /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"]+$/.test(candidate) ? candidate : null;
+}
 
-      const preferredLabel = getPreferredLiteralForPredicates(store, iri, [
-        NS.skos + 'prefLabel',
-        NS.obo + 'IAO_0000111'
-      ]);
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
 
-      const alternativeLabelArr = getLiteralArrayForPredicates(store, iri, [
-        NS.skos + 'altLabel',
-        NS.obo + 'IAO_0000118',
-        NS.cco + 'alternative_label'
-      ]);
+// N-Triples-like text of a term, for previews.
+function termToText(term) {
+  if (term.termType !== 'Literal') return `<${term.value}>`;
+  const quoted = `"${term.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  if (term.language) return `${quoted}@${term.language}`;
+  return term.datatype && term.datatype.value !== XSD_STRING ? `${quoted}^^<${term.datatype.value}>` : quoted;
+}
+
+/**
+ * Plan the triples an edited table CSV changes in a store.
+ *
+ * Rows are matched to elements by their "iri" cell; rows for unknown IRIs add new subjects, and
+ * elements without a row are left alone (the CSV may have been filtered). Columns are matched to the
+ * profile by key or header (see the exported CSV); "graph", unknown columns and read-only kinds
+ * ("any", "classExpressions") are not written back. For every cell that differs from the current
+ * value, the quads behind the current value are removed and the new value is added with the
+ * column's first predicate. Single-valued columns (bestLiteral, bestIri) replace the value shown;
+ * multi-valued ones (literals, iris) split the cell on the column separator and add or remove
+ * single values; a cell equal to the current value is left alone. New literals keep the language or
+ * datatype of the literal they replace, or take the column's language for per-language columns, and
+ * are plain strings otherwise. New quads go into the graph of the quad they replace, or of the
+ * subject's other quads.
+ *
+ * @param {import('n3').Store} store
+ * @param {string} csvText
+ * @param {{ profile?: object, languages?: string[], prefixes?: Record<string, string> }} [options]
+ *   prefixes: used to expand CURIEs in IRI cells (default COMMON_PREFIX_MAP)
+ * @returns {Promise<{
+ *   added: object[],
+ *   removed: object[],
+ *   changes: Array<{ change: 'added'|'removed'|'changed', iri: string, column: string, predicate: string, before: string, after: string }>,
+ *   warnings: string[],
+ *   rowCount: number,
+ *   matchedCount: number
+ * }>} added / removed: quads; changes: one preview entry per edited value
+ */
+export async function planCsvImport(store, csvText, options = {}) {
+  const fnName = 'planCsvImport';
+  logEvent(fnName, 'start');
 
-      const acronymArr = getLiteralArrayForPredicates(store, iri, [
-        NS.cco + 'acronym',
-        NS.obo + 'IAO_0000606',
-        NS.cco2 + 'ont00001753'
-      ]);
+  try {
+    const { DataFactory } = await loadN3();
+    const profile = options.profile ?? DEFAULT_COLUMN_PROFILE;
+    const languages = options.languages ?? DEFAULT_LANGUAGE_PREFERENCE;
+    const prefixes = options.prefixes ?? COMMON_PREFIX_MAP;
+
+    const [headers = [], ...rows] = parseCsv(csvText);
+    const iriIndex = headers.findIndex(h => h.trim() === 'iri');
+    if (iriIndex === -1) throw new Error('The CSV has no "iri" column to match rows by');
+
+    const warnings = [];
+    const columns = matchCsvColumns(headers, profile).filter((match, index) => {
+      const header = headers[index].trim();
+      if (index === iriIndex || header === 'graph') return false;
+      if (!match) {
+        warnings.push(`Column "${header}" is not in the "${profile.name}" profile and was ignored.`);
+        return false;
+      }
+      if (!IMPORTABLE_KINDS.includes(match.column.kind)) {
+        warnings.push(`Column "${header}" is read-only (${match.column.kind}) and was ignored.`);
+        return false;
+      }
+      return true;
+    });
 
-      const subClassOfArr = getIriArrayForPredicates(store, iri, [
-        NS.rdfs + 'subClassOf'
-      ]);
+    const elementIris = new Set(getElementSubjects(store).map(s => s.value));
+    const added = [];
+    const removed = [];
+    const changes = [];
+    const seen = new Set();
+    let matchedCount = 0;
+
+    rows.forEach((cells, rowIdx) => {
+      const iriCell = (cells[iriIndex] || '').trim();
+      const iri = (iriCell && csvValueToIri(iriCell, prefixes)) || iriCell;
+      const line = rowIdx + 2;
+      if (!iri) {
+        warnings.push(`Row ${line} has no IRI and was skipped.`);
+        return;
+      }
+      if (seen.has(iri)) {
+        warnings.push(`Row ${line} repeats ${iri} and was skipped.`);
+        return;
+      }
+      seen.add(iri);
+      if (elementIris.has(iri)) matchedCount++;
+
+      const subject = DataFactory.namedNode(iri);
+      const subjectQuads = getQuadsForSubject(store, iri);
+
+      columns.forEach(({ index, header, column, language }) => {
+        const cell = (cells[index] ?? '').trim();
+        const isIriKind = column.kind === 'bestIri' || column.kind === 'iris';
+        const single = column.kind === 'bestLiteral' || column.kind === 'bestIri';
+        const separator = column.separator ?? DEFAULT_COLUMN_SEPARATOR;
+
+        // Quads behind the value the table shows for this cell.
+        let current = subjectQuads.filter(q =>
+          column.predicates.includes(q.predicate.value) &&
+          (isIriKind ? q.object.termType === 'NamedNode' : q.object.termType === 'Literal') &&
+          (language == null || (q.object.language || '').toLowerCase() === language)
+        );
+        if (single) {
+          const first = column.predicates.find(p => current.some(q => q.predicate.value === p));
+          const candidates = current.filter(q => q.predicate.value === first);
+          const best = isIriKind ? candidates[0] : candidates.find(q => q.object === pickBestLiteral(candidates.map(c => c.object), languages));
+          current = best ? [best] : [];
+        }
 
-      const subPropertyOfArr = getIriArrayForPredicates(store, iri, [
-        NS.rdfs + 'subPropertyOf'
-      ]);
+        // An unedited cell, even one whose values contain the separator.
+        const shown = Array.from(new Set(current.map(q => q.object.value))).join(separator);
+        if (cell === shown.trim()) return;
+
+        // Cell values, keyed like the objects of the current quads (IRIs expanded).
+        const wanted = (single ? [cell] : cell.split(separator))
+          .map(value => value.trim())
+          .filter(Boolean)
+          .map(value => ({ value, key: (isIriKind && csvValueToIri(value, prefixes)) || value }));
+        const toTerm = (value, replaced) => {
+          if (isIriKind) {
+            const target = csvValueToIri(value, prefixes);
+            if (!target) warnings.push(`Row ${line}, column "${header}": "${value}" is not an IRI and was skipped.`);
+            return target ? DataFactory.namedNode(target) : null;
+          }
+          const lang = language ?? replaced?.object.language ?? '';
+          if (lang) return DataFactory.literal(value, lang);
+          const datatype = replaced?.object.datatype;
+          return datatype && datatype.value !== XSD_STRING ? DataFactory.literal(value, datatype) : DataFactory.literal(value);
+        };
+        const gone = current.filter(q => !wanted.some(w => w.key === q.object.value));
+        const fresh = wanted.filter(w => !current.some(q => q.object.value === w.key));
+        if (!gone.length && !fresh.length) return;
+        const graph = (gone[0] || current[0] || subjectQuads[0])?.graph;
+
+        const newQuads = fresh
+          .map(w => toTerm(w.value, gone[0]))
+          .filter(Boolean)
+          .map(object => DataFactory.quad(subject, DataFactory.namedNode(column.predicates[0]), object, graph));
+        // A value that is not an IRI (e.g. a label from a label-mode export) leaves the cell as it is.
+        if (newQuads.length < fresh.length) return;
+
+        removed.push(...gone);
+        added.push(...newQuads);
+        if (single && gone.length && newQuads.length) {
+          changes.push({
+            change: 'changed',
+            iri,
+            column: header,
+            predicate: newQuads[0].predicate.value,
+            before: termToText(gone[0].object),
+            after: termToText(newQuads[0].object)
+          });
+          return;
+        }
+        gone.forEach(q => changes.push({
+          change: 'removed', iri, column: header, predicate: q.predicate.value, before: termToText(q.object), after: ''
+        }));
+        newQuads.forEach(q => changes.push({
+          change: 'added', iri, column: header, predicate: q.predicate.value, before: '', after: termToText(q.object)
+        }));
+      });
+    });
 
-      const definitionSourceArr = getAnyArrayForPredicates(store, iri, [
-        NS.dcterms + 'bibliographicCitation',
-        NS.obo + 'IAO_0000119',
-        NS.cco2 + 'ont00001754',
-        NS.cco + 'definition_source',
-        NS.cco2 + 'ont00001745',
-        NS.cco + 'doctrinal_source'
-      ]);
-
-      const isCuratedIn = getPreferredIriForPredicates(store, iri, [
-        NS.cco2 + 'ont00001760',
-        NS.rdfs + 'isDefinedBy'
-      ]);
-
-      const row = {
-        iri,
-        label: label || '',
-        type: typeArr.join('; '),
-        definition: definition || '',
-        preferredLabel: preferredLabel || '',
-        alternativeLabel: alternativeLabelArr.join('; '),
-        acronym: acronymArr.join('; '),
-        subClassOf: subClassOfArr.join('; '),
-        subPropertyOf: subPropertyOfArr.join('; '),
-        definitionSource: definitionSourceArr.join('; '),
-        isCuratedIn: isCuratedIn || ''
-      };
+    logEvent(fnName, 'planned', { rowCount: rows.length, matchedCount, added: added.length, removed: removed.length });
+    return { added, removed, changes, warnings, rowCount: rows.length, matchedCount };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
 
-      rows.push(row);
-    }
+/**
+ * A copy of the store with a planCsvImport plan applied (the original store is left as it is).
+ * @param {import('n3').Store} store
+ * @param {{ added: object[], removed: object[] }} plan
+ * @returns {import('n3').Store}
+ */
+export function applyCsvImport(store, plan) {
+  const fnName = 'applyCsvImport';
+  logEvent(fnName, 'start', { added: plan.added.length, removed: plan.removed.length });
 
-    // Fixed columns
-    const allHeaders = [
-      'iri',
-      'label',
-      'type',
-      'definition',
-      'preferred label',
-      'alternative label',
-      'acronym',
-      'rdfs:subClassOf',
-      'rdfs:subPropertyOf',
-      'definition source',
-      'is curated in'
-    ];
+  try {
+    const patched = new store.constructor();
+    patched.addQuads(store.getQuads(null, null, null, null));
+    plan.removed.forEach(q => patched.removeQuad(q));
+    patched.addQuads(plan.added);
+    return patched;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
 
-    const allKeys = [
-      'iri',
-      'label',
-      'type',
-      'definition',
-      'preferredLabel',
-      'alternativeLabel',
-      'acronym',
-      'subClassOf',
-      'subPropertyOf',
-      'definitionSource',
-      'isCuratedIn'
-    ];
+/**
+ * Serialize a store as Turtle (TriG when it has named graphs), declaring the given prefixes.
+ * @param {import('n3').Store} store
+ * @param {{ prefixes?: Record<string, string> }} [options]
+ * @returns {Promise<string>}
+ */
+export async function writeTurtle(store, options = {}) {
+  const fnName = 'writeTurtle';
+  logEvent(fnName, 'start', { quadCount: store.size });
 
-    // Remove columns that are completely empty across rows (except iri)
-    const keepFlags = allKeys.map((key, idx) => {
-      if (key === 'iri') return true;
-      return rows.some(r => (r[key] ?? '').trim() !== '');
+  try {
+    const { Writer } = await loadN3();
+    const format = getNamedGraphs(store).length ? 'application/trig' : 'text/turtle';
+    const writer = new Writer({ format, prefixes: options.prefixes ?? {} });
+    writer.addQuads(store.getQuads(null, null, null, null));
+    return await new Promise((resolve, reject) => {
+      writer.end((err, result) => (err ? reject(err) : resolve(result)));
     });
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
 
-    const headers = allHeaders.filter((_, i) => keepFlags[i]);
-    const keys = allKeys.filter((_, i) => keepFlags[i]);
+// ----- Filter queries -----
 
-    logEvent(fnName, 'built', {
-      rowCount: rows.length,
-      columnCount: headers.length
-    });
+function filterQueryError(message, offset) {
+  const err = new Error(`${message} at character ${offset + 1}`);
+  err.context = { offset };
+  return err;
+}
 
-    // prune unused keys from rows
-    const prunedRows = rows.map(r => {
-      const obj = {};
-      keys.forEach(k => {
-        obj[k] = r[k] ?? '';
-      });
-      return obj;
-    });
+// Characters that end a bare word.
+const FILTER_WORD_END = /[\s()"]/;
+const FILTER_KEYWORDS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Split a filter query into parentheses, keywords ('AND', 'OR', 'NOT', and "-" before a term) and
+ * terms, each with its offset in the query.
+ */
+function tokenizeFilterQuery(query) {
+  const tokens = [];
+  let pos = 0;
+
+  // A quoted string starting at pos ("" escapes a quote, as in CSV); returns [text, end].
+  const readQuoted = start => {
+    let text = '';
+    for (let i = start + 1; i < query.length; i++) {
+      if (query[i] !== '"') text += query[i];
+      else if (query[i + 1] === '"') text += query[++i];
+      else return [text, i + 1];
+    }
+    throw filterQueryError('Unclosed quote', start);
+  };
+  // A /regex/flags starting at pos; returns [pattern, flags, end].
+  const readRegex = start => {
+    for (let i = start + 1; i < query.length; i++) {
+      if (query[i] === '\\') i++;
+      else if (query[i] === '/') {
+        const flags = query.slice(i + 1).match(/^[a-z]*/)[0];
+        return [query.slice(start + 1, i), flags, i + 1 + flags.length];
+      }
+    }
+    throw filterQueryError('Unclosed regular expression', start);
+  };
+  const readWord = start => {
+    let end = start;
+    while (end < query.length && !FILTER_WORD_END.test(query[end])) end++;
+    return [query.slice(start, end), end];
+  };
+
+  while (pos < query.length) {
+    const ch = query[pos];
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, offset: pos });
+      pos++;
+      continue;
+    }
+    if (ch === '-' && pos + 1 < query.length && !/[\s)]/.test(query[pos + 1])) {
+      tokens.push({ type: 'NOT', offset: pos });
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    // Optional "column:" or "\"column name\":" qualifier.
+    let column = null;
+    if (ch === '"') {
+      const [text, end] = readQuoted(pos);
+      if (query[end] === ':') {
+        column = text;
+        pos = end + 1;
+      }
+    } else {
+      const [word] = readWord(pos);
+      const colon = word.indexOf(':');
+      if (colon > 0) {
+        column = word.slice(0, colon);
+        pos += colon + 1;
+      } else if (FILTER_KEYWORDS.includes(word)) {
+        tokens.push({ type: word, offset: pos });
+        pos += word.length;
+        continue;
+      }
+    }
+
+    let term;
+    if (query[pos] === '"') {
+      const [text, end] = readQuoted(pos);
+      term = text ? { match: 'text', value: text } : { match: 'empty', value: '' };
+      pos = end;
+    } else if (query[pos] === '/' && query[pos + 1] !== '/') {
+      const [pattern, flags, end] = readRegex(pos);
+      try {
+        new RegExp(pattern, flags); // throws on a bad pattern or flag
+      } catch (err) {
+        throw filterQueryError(`Invalid regular expression /${pattern}/${flags}: ${err.message}`, pos);
+      }
+      term = { match: 'regex', value: pattern, flags };
+      pos = end;
+    } else {
+      const [word, end] = readWord(pos);
+      if (!word && column != null) throw filterQueryError(`Expected a value after "${column}:"`, start);
+      term = word === '*' ? { match: 'any', value: '' } : { match: 'text', value: word };
+      pos = end;
+    }
+    tokens.push({ type: 'term', offset: start, term: { column, ...term, source: query.slice(start, pos) } });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a table filter query.
+ *
+ * Terms match cells case-insensitively by substring: a bare word, or a "quoted phrase" ("" for a
+ * quote). "column:" scopes a term to one column, by key or header (quote headers with spaces:
+ * "alternative label":x; "label" also covers label@en and the other per-language columns); the
+ * value may be quoted, a /regular expression/flags (case-sensitive unless flagged i), "*" for a
+ * non-empty cell or "" for an empty one. A prefix that names no column is searched as text, so
+ * owl:Class and http://... need no quotes. Terms next to each other must all match; OR gives
+ * alternatives and binds looser than AND; NOT or "-" negates; parentheses group.
+ *
+ * Examples: label:process, type:owl:ObjectProperty, -definition:*, /^has /, "material entity",
+ * (label:cell OR label:tissue) NOT deprecated
+ *
+ * @param {string} query
+ * @param {{ column?: string|null }} [options] column: the column every term is scoped to (for the
+ *   per-column filters; "x:y" is then plain text)
+ * @returns {object|null} syntax tree: { type: 'and'|'or', items } | { type: 'not', item } |
+ *   { type: 'term', column, match: 'text'|'regex'|'any'|'empty', value, flags?, source }; null for
+ *   an empty query
+ * @throws {Error} on a syntax error, with the message and err.context.offset telling where
+ */
+export function parseFilterQuery(query, options = {}) {
+  const fnName = 'parseFilterQuery';
+  logEvent(fnName, 'start', { query });
 
-    return {
-      headers,
-      keys,
-      rows: prunedRows
+  try {
+    const tokens = tokenizeFilterQuery(String(query ?? ''));
+    let pos = 0;
+    const end = String(query ?? '').length;
+    const peek = () => tokens[pos];
+    const offsetHere = () => (tokens[pos] ? tokens[pos].offset : end);
+
+    const parseOr = () => {
+      const items = [parseAnd()];
+      while (peek()?.type === 'OR') {
+        pos++;
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+    const parseAnd = () => {
+      const items = [parseUnary()];
+      for (;;) {
+        const token = peek();
+        if (!token || token.type === 'OR' || token.type === ')') break;
+        if (token.type === 'AND') pos++;
+        items.push(parseUnary());
+      }
+      return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+    const parseUnary = () => {
+      const token = peek();
+      if (token?.type === 'NOT') {
+        pos++;
+        return { type: 'not', item: parseUnary() };
+      }
+      if (token?.type === '(') {
+        pos++;
+        if (peek()?.type === ')') throw filterQueryError('Empty parentheses', token.offset);
+        const inner = parseOr();
+        if (peek()?.type !== ')') throw filterQueryError('Missing ")"', offsetHere());
+        pos++;
+        return inner;
+      }
+      if (token?.type === 'term') {
+        pos++;
+        const { term } = token;
+        if (options.column == null) return { type: 'term', ...term };
+        // In a column's own filter every term is about that column; "x:y" is text.
+        return term.column == null
+          ? { type: 'term', ...term, column: options.column }
+          : { type: 'term', column: options.column, match: 'text', value: term.source, source: term.source };
+      }
+      if (!token) throw filterQueryError('Expected a search term', end);
+      if (token.type === ')') throw filterQueryError('Unexpected ")"', token.offset);
+      throw filterQueryError(`Expected a search term after ${tokens[pos - 1]?.type ?? 'the start'}, not ${token.type}`, token.offset);
     };
+
+    if (!tokens.length) return null;
+    const tree = parseOr();
+    if (pos < tokens.length) throw filterQueryError('Unexpected ")"', tokens[pos].offset);
+    return tree;
   } catch (err) {
-    logError(fnName, err);
+    logError(fnName, err, { query });
     throw err;
   }
 }
 
+// Keys of the model columns a filter column name refers to (key or header, case-insensitive;
+// a per-language column also answers to its base key and header).
+function resolveFilterColumn(model, name) {
+  const wanted = name.toLowerCase();
+  const base = text => text.replace(/@[^@]*$/, '').replace(/ \(no language\)$/, '');
+  return model.keys.filter((key, idx) => {
+    if (!key) return false;
+    const header = String(model.headers[idx] ?? '').toLowerCase();
+    const lowerKey = key.toLowerCase();
+    return lowerKey === wanted || header === wanted || base(lowerKey) === wanted || base(header) === wanted;
+  });
+}
+
+/**
+ * Compile a parseFilterQuery tree into a row predicate for a table model.
+ * @returns {(row: Record<string, string>) => boolean}
+ */
+function compileFilterQuery(tree, model, { cellText, prefixes = COMMON_PREFIX_MAP } = {}) {
+  const textOf = (row, key) => String(cellText ? cellText(key, row[key] ?? '') : (row[key] ?? ''));
+  // Unqualified terms look at every column (or, without cellText, every row value).
+  const allCells = row => (cellText ? model.keys.filter(Boolean).map(key => textOf(row, key)) : Object.values(row).map(String));
+
+  const compileTerm = node => {
+    const keys = node.column == null ? null : resolveFilterColumn(model, node.column);
+    if (keys && !keys.length) {
+      // Not a column (owl:Class, http://...): search the whole term as text.
+      return compileTerm({ ...node, column: null, match: 'text', value: node.source });
+    }
+    const cells = keys ? row => keys.map(key => textOf(row, key)) : allCells;
+    const rawCells = keys ? row => keys.map(key => String(row[key] ?? '')) : row => Object.values(row).map(String);
+
+    if (node.match === 'any') return row => rawCells(row).some(Boolean);
+    if (node.match === 'empty') return row => rawCells(row).every(v => !v);
+    if (node.match === 'regex') {
+      const re = new RegExp(node.value, node.flags.replace(/[gy]/g, ''));
+      return row => cells(row).some(text => re.test(text));
+    }
+    // A CURIE also matches its full IRI.
+    const needles = [node.value.toLowerCase()];
+    const curie = node.value.match(/^([A-Za-z][\w.-]*)?:([^\s/]*)$/);
+    if (curie && prefixes[curie[1] || ''] != null) needles.push((prefixes[curie[1] || ''] + curie[2]).toLowerCase());
+    return row => cells(row).some(text => {
+      const lower = text.toLowerCase();
+      return needles.some(needle => lower.includes(needle));
+    });
+  };
+
+  const compile = node => {
+    if (node.type === 'term') return compileTerm(node);
+    if (node.type === 'not') {
+      const item = compile(node.item);
+      return row => !item(row);
+    }
+    const items = node.items.map(compile);
+    return node.type === 'and' ? row => items.every(f => f(row)) : row => items.some(f => f(row));
+  };
+  return compile(tree);
+}
+
 /**
  * Filter & sort rows for the fixed-column model.
  * @param {{
@@ -723,23 +2964,35 @@ export function buildElementTableModel(store) {
  *   keys: string[],
  *   rows: Array<Record<string, string>>
  * }} model
- * @param {string} query
+ * @param {string} query filter query (parseFilterQuery syntax)
  * @param {number|null} sortIndex
  * @param {'asc'|'desc'} sortDirection
+ * @param {{
+ *   cellText?: (key: string, value: string) => string,
+ *   columnFilters?: Record<string, string>,
+ *   prefixes?: Record<string, string>
+ * }} [options]
+ *   cellText: the text filtered and sorted on for a cell, when it is shown differently from its value;
+ *   columnFilters: column key → query scoped to that column, all matched besides query;
+ *   prefixes: for CURIEs in queries (default COMMON_PREFIX_MAP)
  * @returns {Array<Record<string, string>>}
+ * @throws {Error} when a query has a syntax error (see parseFilterQuery)
  */
-export function filterAndSortRows(model, query, sortIndex, sortDirection = 'asc') {
+export function filterAndSortRows(model, query, sortIndex, sortDirection = 'asc', options = {}) {
   const fnName = 'filterAndSortRows';
   logEvent(fnName, 'start', { query, sortIndex, sortDirection });
 
   try {
-    const q = (query || '').toLowerCase();
+    const { cellText } = options;
+    const trees = [
+      parseFilterQuery(query),
+      ...Object.entries(options.columnFilters || {}).map(([key, q]) => parseFilterQuery(q, { column: key }))
+    ].filter(Boolean);
 
     let filtered = model.rows;
-    if (q) {
-      filtered = filtered.filter(row =>
-        Object.values(row).some(v => String(v).toLowerCase().includes(q))
-      );
+    if (trees.length) {
+      const predicate = compileFilterQuery(trees.length === 1 ? trees[0] : { type: 'and', items: trees }, model, options);
+      filtered = filtered.filter(predicate);
     }
 
     if (sortIndex == null || sortIndex < 0 || sortIndex >= model.headers.length) {
@@ -749,10 +3002,13 @@ export function filterAndSortRows(model, query, sortIndex, sortDirection = 'asc'
     const key = model.keys[sortIndex];
     if (!key) return filtered;
 
+    const texts = new Map(filtered.map(row => [
+      row,
+      String(cellText ? cellText(key, row[key] ?? '') : (row[key] ?? ''))
+    ]));
+    // A shared collator compares like localeCompare, many times faster on large tables.
     const sorted = [...filtered].sort((a, b) => {
-      const va = String(a[key] ?? '');
-      const vb = String(b[key] ?? '');
-      const cmp = va.localeCompare(vb);
+      const cmp = SORT_COLLATOR.compare(texts.get(a), texts.get(b));
       return sortDirection === 'asc' ? cmp : -cmp;
     });
 
@@ -761,4 +3017,300 @@ export function filterAndSortRows(model, query, sortIndex, sortDirection = 'asc'
     logError(fnName, err, { query, sortIndex, sortDirection });
     throw err;
   }
-}
\ No newline at end of file
+}
+
+const SORT_COLLATOR = new Intl.Collator();
+
+// ----- Table windowing -----
+
+/**
+ * Rows of a virtually scrolled table body to render: those in the viewport plus overscan rows on
+ * either side, assuming rows of about rowHeight pixels.
+ * @param {number} rowCount
+ * @param {{ scrollTop: number, viewportHeight: number, rowHeight: number, overscan?: number }} view
+ *   scrollTop: how far the body is scrolled past its first row
+ * @returns {{ start: number, end: number }} row indexes, end exclusive
+ */
+export function getVisibleRowRange(rowCount, { scrollTop, viewportHeight, rowHeight, overscan = 10 }) {
+  const fnName = 'getVisibleRowRange';
+  // No logEvent: this runs on every scroll frame.
+
+  try {
+    const height = Math.max(rowHeight, 1);
+    const first = Math.floor(Math.max(scrollTop, 0) / height);
+    const start = Math.min(Math.max(first - overscan, 0), rowCount);
+    const end = Math.min(first + Math.ceil(Math.max(viewportHeight, 0) / height) + 1 + overscan, rowCount);
+    return { start, end: Math.max(start, end) };
+  } catch (err) {
+    logError(fnName, err, { rowCount, scrollTop, viewportHeight, rowHeight });
+    throw err;
+  }
+}
+
+/**
+ * Status line of a table: "Showing 1–50 of 1,204 (filtered from 20,000)".
+ * @param {{ start: number, end: number, count: number, total: number }} range
+ *   start/end: the rows in view (end exclusive); count: rows left by the filters; total: all rows
+ * @returns {string}
+ */
+export function describeRowRange({ start, end, count, total }) {
+  const fnName = 'describeRowRange';
+  // No logEvent: this runs on every scroll frame.
+
+  try {
+    const format = n => n.toLocaleString('en-US');
+    const shown = count ? `${format(start + 1)}–${format(end)}` : '0';
+    const filtered = count === total ? '' : ` (filtered from ${format(total)})`;
+    return `Showing ${shown} of ${format(count)}${filtered}`;
+  } catch (err) {
+    logError(fnName, err, { start, end, count, total });
+    throw err;
+  }
+}
+// ----- SPARQL -----
+
+/**
+ * Example queries offered by the SPARQL panel, one per supported query form and feature.
+ * @type {Array<{ id: string, name: string, query: string }>}
+ */
+export const SPARQL_EXAMPLE_QUERIES = [
+  {
+    id: 'undefined-bfo-subclasses',
+    name: 'Classes with no definition whose parent is in BFO',
+    query: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+PREFIX obo: <http://purl.obolibrary.org/obo/>
+
+SELECT DISTINCT ?class ?label ?parent
+WHERE {
+  ?class a owl:Class ;
+         rdfs:subClassOf ?parent .
+  FILTER(isIRI(?class) && STRSTARTS(STR(?parent), "http://purl.obolibrary.org/obo/BFO_"))
+  FILTER NOT EXISTS { ?class skos:definition|obo:IAO_0000115 ?definition }
+  OPTIONAL { ?class rdfs:label ?label }
+}
+ORDER BY ?label`
+  },
+  {
+    id: 'subclasses-of',
+    name: 'Every class under a class (here BFO entity)',
+    query: `PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+PREFIX obo: <http://purl.obolibrary.org/obo/>
+
+SELECT DISTINCT ?class ?label
+WHERE {
+  ?class rdfs:subClassOf+ obo:BFO_0000001 .
+  FILTER(isIRI(?class))
+  OPTIONAL { ?class rdfs:label ?label }
+}
+ORDER BY ?label`
+  },
+  {
+    id: 'object-property-signatures',
+    name: 'Object properties with their domain and range',
+    query: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT ?property ?label ?domain ?range
+WHERE {
+  ?property a owl:ObjectProperty .
+  OPTIONAL { ?property rdfs:label ?label }
+  OPTIONAL { ?property rdfs:domain ?domain }
+  OPTIONAL { ?property rdfs:range ?range }
+}
+ORDER BY ?label`
+  },
+  {
+    id: 'label-languages',
+    name: 'Labels and their languages',
+    query: `PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT ?element ?label (LANG(?label) AS ?language)
+WHERE {
+  ?element rdfs:label ?label .
+}
+ORDER BY ?element ?language`
+  },
+  {
+    id: 'deprecated-in-use',
+    name: 'Deprecated elements still referenced',
+    query: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+SELECT DISTINCT ?deprecated ?label ?referencedBy
+WHERE {
+  ?deprecated owl:deprecated true .
+  ?referencedBy ?predicate ?deprecated .
+  FILTER(isIRI(?referencedBy))
+  OPTIONAL { ?deprecated rdfs:label ?label }
+}`
+  },
+  {
+    id: 'any-unlabelled-class',
+    name: 'Is there a class without a label? (ASK)',
+    query: `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+ASK {
+  ?class a owl:Class .
+  FILTER(isIRI(?class))
+  FILTER NOT EXISTS { ?class rdfs:label ?label }
+}`
+  },
+  {
+    id: 'named-class-hierarchy',
+    name: 'The named class hierarchy as triples (CONSTRUCT)',
+    query: `PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+CONSTRUCT { ?class rdfs:subClassOf ?parent }
+WHERE {
+  ?class rdfs:subClassOf ?parent .
+  FILTER(isIRI(?class) && isIRI(?parent))
+}`
+  }
+];
+
+/**
+ * Run a SPARQL SELECT, ASK or CONSTRUCT query against a store (see sparql-engine.js for the
+ * supported subset). Prefixes of options.prefixes and xsd: can be used without PREFIX lines.
+ * @param {import('n3').Store} store
+ * @param {string} query
+ * @param {{ prefixes?: Record<string, string> }} [options]
+ * @returns {Promise<ReturnType<typeof executeSparql> & { prefixes: Record<string, string> }>}
+ *   prefixes: the query's own PREFIX declarations
+ * @throws {Error} on a syntax error, with err.context.line / .column
+ */
+export async function runSparqlQuery(store, query, options = {}) {
+  const fnName = 'runSparqlQuery';
+  logEvent(fnName, 'start', { quadCount: store.size });
+
+  try {
+    const { DataFactory } = await loadN3();
+    const parsed = parseSparql(query, {
+      factory: DataFactory,
+      prefixes: mergePrefixMaps({ xsd: 'http://www.w3.org/2001/XMLSchema#' }, options.prefixes)
+    });
+    return { ...executeSparql(parsed, store, { factory: DataFactory }), prefixes: parsed.prefixes };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// Cell text of a result term: IRIs as they are, "_:label" for blank nodes, literals by their text.
+function sparqlTermToCell(term) {
+  if (!term) return '';
+  return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+}
+
+/**
+ * Turn a runSparqlQuery result into a table model: one column per selected variable; "subject",
+ * "predicate" and "object" for CONSTRUCT; a single "result" cell for ASK. Columns holding only
+ * IRIs become IRI columns, so they show labels and link to rows like element tables.
+ * @param {{ type: 'select'|'ask'|'construct', variables?: string[], bindings?: object[], boolean?: boolean, quads?: object[] }} result
+ * @returns {{ headers: string[], keys: string[], rows: Array<Record<string, string>>, iriColumns: Record<string, string> }}
+ */
+export function sparqlResultToTableModel(result) {
+  const fnName = 'sparqlResultToTableModel';
+  logEvent(fnName, 'start', { type: result.type });
+
+  try {
+    if (result.type === 'ask') {
+      return { headers: ['result'], keys: ['result'], rows: [{ result: String(result.boolean) }], iriColumns: {} };
+    }
+
+    const keys = result.type === 'construct' ? ['subject', 'predicate', 'object'] : [...result.variables];
+    const solutions = result.type === 'construct'
+      ? result.quads.map(q => ({ subject: q.subject, predicate: q.predicate, object: q.object }))
+      : result.bindings;
+
+    const iriColumns = {};
+    keys.forEach(key => {
+      const terms = solutions.map(solution => solution[key]).filter(Boolean);
+      if (terms.length && terms.every(term => term.termType === 'NamedNode')) iriColumns[key] = '';
+    });
+    const rows = solutions.map(solution => Object.fromEntries(keys.map(key => [key, sparqlTermToCell(solution[key])])));
+
+    logEvent(fnName, 'built', { rowCount: rows.length, columnCount: keys.length });
+    return { headers: [...keys], keys, rows, iriColumns };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// ----- Workspaces -----
+
+/**
+ * Key of a saved workspace: the names, sizes and modification times of its files, in selection
+ * order. Dropping the same files again updates their workspace instead of adding another.
+ * @param {Array<{ name: string, size: number, lastModified: number }>} files
+ * @returns {string}
+ */
+export function workspaceKey(files) {
+  const fnName = 'workspaceKey';
+  logEvent(fnName, 'start', { fileCount: files.length });
+
+  try {
+    return files.map(file => `${file.name}|${file.size}|${file.lastModified}`).join('\n');
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Saved workspaces to delete, least recently used first, to make room for one of neededBytes.
+ * The saved copy of keepId (the workspace being saved again) is replaced, so its bytes count as free.
+ * @param {Array<{ id: string, usedAt: number, size: number }>} workspaces
+ * @param {number} neededBytes
+ * @param {number} freeBytes storage left for the page (Infinity when unknown)
+ * @param {{ keepId?: string, maxCount?: number }} [options]
+ *   maxCount: also delete the oldest ones beyond this many workspaces, counting the new one
+ * @returns {string[]|null} ids to delete; null when deleting all of them still leaves too little room
+ */
+export function planWorkspaceEviction(workspaces, neededBytes, freeBytes, options = {}) {
+  const fnName = 'planWorkspaceEviction';
+  logEvent(fnName, 'start', { workspaceCount: workspaces.length, neededBytes, freeBytes });
+
+  try {
+    const { keepId, maxCount = Infinity } = options;
+    let free = freeBytes + (workspaces.find(w => w.id === keepId)?.size || 0);
+    const others = workspaces.filter(w => w.id !== keepId).sort((a, b) => a.usedAt - b.usedAt);
+    const evicted = [];
+    while (others.length && (free < neededBytes || others.length + 1 > maxCount)) {
+      const oldest = others.shift();
+      evicted.push(oldest.id);
+      free += oldest.size;
+    }
+    return free < neededBytes ? null : evicted;
+  } catch (err) {
+    logError(fnName, err, { neededBytes, freeBytes });
+    throw err;
+  }
+}
+
+/**
+ * File size for people: "512 B", "1.5 KB", "23.4 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatByteSize(bytes) {
+  const fnName = 'formatByteSize';
+  logEvent(fnName, 'start', { bytes });
+
+  try {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit ? `${value.toFixed(1)} ${units[unit]}` : `${value} B`;
+  } catch (err) {
+    logError(fnName, err, { bytes });
+    throw err;
+  }
+}
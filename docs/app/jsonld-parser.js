@@ -0,0 +1,468 @@
+// app/jsonld-parser.js
+// JSON-LD → RDF/JS quads – ES module, pure, no network access.
+// Remote contexts are looked up in a caller-supplied map (URL → context document).
+// The caller supplies the DataFactory (N3's), so the quads drop straight into an N3 Store.
+
+import { logEvent, logError } from './core.js';
+import { resolveIri } from './rdfxml-parser.js';
+
+// Kept local (not NS.*) because core.js imports this module.
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const MAX_REMOTE_CONTEXT_DEPTH = 16;
+
+const isKeyword = value => typeof value === 'string' && value.startsWith('@');
+const isAbsoluteIri = value => /^[A-Za-z][A-Za-z0-9+.-]*:/.test(value);
+const asArray = value => (Array.isArray(value) ? value : [value]);
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Look up a remote context in the local context map (plain object or Map).
+ * @param {Record<string, object|string>|Map<string, object|string>|undefined} contexts
+ * @param {string} url
+ * @returns {object}
+ */
+function loadLocalContext(contexts, url) {
+  const entry = contexts instanceof Map ? contexts.get(url) : contexts?.[url];
+  if (entry == null) {
+    throw new Error(
+      `JSON-LD context "${url}" is not available locally (remote contexts are never fetched)`
+    );
+  }
+  const doc = typeof entry === 'string' ? JSON.parse(entry) : entry;
+  if (!isPlainObject(doc) || !('@context' in doc)) {
+    throw new Error(`Local JSON-LD context "${url}" has no @context`);
+  }
+  return doc['@context'];
+}
+
+/**
+ * Format a number as the canonical xsd:double lexical form JSON-LD uses (e.g. 1.1E0).
+ * @param {number} n
+ * @returns {string}
+ */
+function toCanonicalDouble(n) {
+  const [mantissa, exponent] = n.toExponential().split('e');
+  const m = mantissa.includes('.') ? mantissa : `${mantissa}.0`;
+  return `${m}E${Number(exponent)}`;
+}
+
+/**
+ * Parse a JSON-LD document into quads.
+ *
+ * Covers the parts of JSON-LD 1.1 that vocabularies use in practice: inline, array and
+ * remote contexts, @vocab, @base, @language, compact IRIs, keyword aliases, type coercion
+ * (@id, @vocab, datatypes, @json), @container @list / @set / @language / @index / @id,
+ * @reverse, property-scoped contexts, @graph (named and default), native numbers and booleans.
+ *
+ * @param {string} text
+ * @param {{
+ *   factory: import('n3').DataFactory,
+ *   baseIri?: string,
+ *   contexts?: Record<string, object|string>|Map<string, object|string>,
+ *   onPrefix?: (prefix: string, namespace: string) => void
+ * }} options
+ * @returns {import('n3').Quad[]}
+ */
+export function parseJsonLd(text, options = {}) {
+  const fnName = 'parseJsonLd';
+  logEvent(fnName, 'start', { baseIri: options.baseIri });
+
+  try {
+    const { factory, contexts } = options;
+    if (!factory) {
+      throw new Error('parseJsonLd requires a DataFactory (options.factory)');
+    }
+
+    const document = JSON.parse(text);
+    const quads = [];
+    const blankNodes = new Map();
+    const defaultGraph = factory.defaultGraph();
+
+    const initialContext = {
+      base: options.baseIri || null,
+      vocab: null,
+      language: null,
+      terms: new Map()
+    };
+
+    const blankNodeFor = label => {
+      if (!blankNodes.has(label)) blankNodes.set(label, factory.blankNode());
+      return blankNodes.get(label);
+    };
+
+    const emit = (s, p, o, g) => quads.push(factory.quad(s, p, o, g));
+
+    // ---- context processing -------------------------------------------------
+
+    const expandIri = (active, value, { vocab = false, documentRelative = false } = {}, local, defined) => {
+      if (value == null || isKeyword(value)) return value;
+
+      if (local && Object.prototype.hasOwnProperty.call(local, value) && defined.get(value) !== true) {
+        createTermDefinition(active, local, value, defined);
+      }
+      if (vocab && active.terms.has(value)) {
+        const def = active.terms.get(value);
+        return def ? def.id : null;
+      }
+
+      const colon = value.indexOf(':');
+      if (colon > 0) {
+        const prefix = value.slice(0, colon);
+        const suffix = value.slice(colon + 1);
+        if (prefix === '_' || suffix.startsWith('//')) return value;
+        if (local && Object.prototype.hasOwnProperty.call(local, prefix) && defined.get(prefix) !== true) {
+          createTermDefinition(active, local, prefix, defined);
+        }
+        const prefixDef = active.terms.get(prefix);
+        if (prefixDef && prefixDef.id) return prefixDef.id + suffix;
+        return value;
+      }
+
+      if (vocab && active.vocab != null) return active.vocab + value;
+      if (documentRelative) return resolveIri(value, active.base || '');
+      return value;
+    };
+
+    const createTermDefinition = (active, local, term, defined) => {
+      if (defined.get(term) === true) return;
+      if (defined.get(term) === false) {
+        throw new Error(`Cyclic IRI mapping for JSON-LD term "${term}"`);
+      }
+      defined.set(term, false);
+
+      let value = local[term];
+      if (value === null || (isPlainObject(value) && value['@id'] === null)) {
+        active.terms.set(term, null);
+        defined.set(term, true);
+        return;
+      }
+      if (typeof value === 'string') value = { '@id': value };
+      if (!isPlainObject(value)) {
+        throw new Error(`Invalid JSON-LD term definition for "${term}"`);
+      }
+
+      const def = { id: null, type: null, container: new Set(), reverse: false, context: null };
+
+      if ('@reverse' in value) {
+        def.id = expandIri(active, value['@reverse'], { vocab: true }, local, defined);
+        def.reverse = true;
+      } else if ('@id' in value && value['@id'] !== term) {
+        def.id = expandIri(active, value['@id'], { vocab: true }, local, defined);
+      } else if (term.includes(':')) {
+        def.id = expandIri(active, term, { vocab: true }, local, defined);
+      } else if (active.vocab != null) {
+        def.id = active.vocab + term;
+      } else {
+        throw new Error(`JSON-LD term "${term}" has no IRI mapping and there is no @vocab`);
+      }
+
+      if ('@type' in value) {
+        const type = value['@type'];
+        def.type = ['@id', '@vocab', '@json', '@none'].includes(type)
+          ? type
+          : expandIri(active, type, { vocab: true }, local, defined);
+      }
+      if ('@container' in value && value['@container'] != null) {
+        asArray(value['@container']).forEach(c => def.container.add(c));
+      }
+      if ('@language' in value) {
+        def.language = value['@language'] == null ? null : String(value['@language']).toLowerCase();
+      }
+      if ('@context' in value) {
+        def.context = value['@context'];
+      }
+
+      active.terms.set(term, def);
+      defined.set(term, true);
+
+      // Simple terms mapping to a namespace-like IRI (or flagged @prefix) are the document's prefixes.
+      const isPrefix = value['@prefix'] === true ||
+        (typeof local[term] === 'string' && /[/#:?[\]@]$/.test(def.id || ''));
+      if (options.onPrefix && def.id && !def.reverse && !term.includes(':') && isPrefix) {
+        options.onPrefix(term, def.id);
+      }
+    };
+
+    const processContext = (active, localContext, remoteDepth = 0) => {
+      let result = { ...active, terms: new Map(active.terms) };
+
+      for (const ctx of asArray(localContext)) {
+        if (ctx === null) {
+          result = { ...initialContext, base: active.base, terms: new Map() };
+          continue;
+        }
+        if (typeof ctx === 'string') {
+          if (remoteDepth >= MAX_REMOTE_CONTEXT_DEPTH) {
+            throw new Error('JSON-LD remote contexts nest too deeply (possible cycle)');
+          }
+          const url = resolveIri(ctx, result.base || '');
+          result = processContext(result, loadLocalContext(contexts, url), remoteDepth + 1);
+          continue;
+        }
+        if (!isPlainObject(ctx)) {
+          throw new Error('Invalid JSON-LD @context entry');
+        }
+
+        if ('@base' in ctx) {
+          result.base = ctx['@base'] == null ? null : resolveIri(ctx['@base'], result.base || '');
+        }
+        if ('@vocab' in ctx) {
+          result.vocab = ctx['@vocab'] == null
+            ? null
+            : expandIri(result, ctx['@vocab'], { vocab: true, documentRelative: true });
+        }
+        if ('@language' in ctx) {
+          result.language = ctx['@language'] == null ? null : String(ctx['@language']).toLowerCase();
+        }
+
+        const defined = new Map();
+        Object.keys(ctx)
+          .filter(key => !isKeyword(key))
+          .forEach(term => createTermDefinition(result, ctx, term, defined));
+      }
+
+      return result;
+    };
+
+    // ---- RDF generation ------------------------------------------------------
+
+    // Expand the keys of an object once: expanded IRI or keyword → [originalKey, value].
+    const expandKeys = (active, obj) => {
+      const entries = [];
+      Object.keys(obj).forEach(key => {
+        if (key === '@context') return;
+        const expanded = expandIri(active, key, { vocab: true });
+        if (expanded == null) return;
+        entries.push({ key, expanded, value: obj[key] });
+      });
+      return entries;
+    };
+
+    const termForId = (active, id) => {
+      const iri = expandIri(active, id, { documentRelative: true });
+      return iri.startsWith('_:') ? blankNodeFor(iri.slice(2)) : factory.namedNode(iri);
+    };
+
+    const buildList = (items, graph) => {
+      let head = factory.namedNode(RDF + 'nil');
+      for (let i = items.length - 1; i >= 0; i--) {
+        const cell = factory.blankNode();
+        emit(cell, factory.namedNode(RDF + 'first'), items[i], graph);
+        emit(cell, factory.namedNode(RDF + 'rest'), head, graph);
+        head = cell;
+      }
+      return head;
+    };
+
+    const literalFromValueObject = (active, entries) => {
+      const get = kw => entries.find(e => e.expanded === kw)?.value;
+      const value = get('@value');
+      if (value == null) return null;
+
+      const type = get('@type');
+      const language = get('@language');
+      if (type != null) {
+        const datatype = expandIri(active, type, { vocab: true, documentRelative: true });
+        if (datatype === '@json') {
+          return factory.literal(JSON.stringify(value), factory.namedNode(RDF + 'JSON'));
+        }
+        return factory.literal(String(value), factory.namedNode(datatype));
+      }
+      if (typeof value === 'string') {
+        return factory.literal(value, language ? String(language).toLowerCase() : undefined);
+      }
+      return nativeLiteral(value, null);
+    };
+
+    const nativeLiteral = (value, datatype) => {
+      if (typeof value === 'boolean') {
+        return factory.literal(String(value), factory.namedNode(datatype || XSD + 'boolean'));
+      }
+      if (datatype) return factory.literal(String(value), factory.namedNode(datatype));
+      if (Number.isInteger(value) && Math.abs(value) < 1e21) {
+        return factory.literal(String(value), factory.namedNode(XSD + 'integer'));
+      }
+      return factory.literal(toCanonicalDouble(value), factory.namedNode(XSD + 'double'));
+    };
+
+    // Convert one JSON value under a property (with its term definition) to RDF object terms.
+    const valueToTerms = (active, value, def, graph) => {
+      if (value == null) return [];
+      if (Array.isArray(value)) return value.flatMap(v => valueToTerms(active, v, def, graph));
+
+      const coerce = def?.type ?? null;
+
+      if (coerce === '@json') {
+        return [factory.literal(JSON.stringify(value), factory.namedNode(RDF + 'JSON'))];
+      }
+
+      if (isPlainObject(value)) {
+        const entries = expandKeys(active, value);
+        const has = kw => entries.some(e => e.expanded === kw);
+
+        if (has('@value')) {
+          const lit = literalFromValueObject(active, entries);
+          return lit ? [lit] : [];
+        }
+        if (has('@list')) {
+          const listValue = entries.find(e => e.expanded === '@list').value;
+          const items = asArray(listValue).flatMap(v => valueToTerms(active, v, def, graph));
+          return [buildList(items, graph)];
+        }
+        if (has('@set')) {
+          return valueToTerms(active, entries.find(e => e.expanded === '@set').value, def, graph);
+        }
+        return [processNode(active, value, graph)];
+      }
+
+      if (typeof value === 'string') {
+        if (coerce === '@id') return [termForId(active, value)];
+        if (coerce === '@vocab') {
+          const iri = expandIri(active, value, { vocab: true, documentRelative: true });
+          return [iri.startsWith('_:') ? blankNodeFor(iri.slice(2)) : factory.namedNode(iri)];
+        }
+        if (coerce && coerce !== '@none') {
+          return [factory.literal(value, factory.namedNode(coerce))];
+        }
+        const language = def && def.language !== undefined ? def.language : active.language;
+        return [factory.literal(value, language || undefined)];
+      }
+
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        const datatype = coerce && !isKeyword(coerce) ? coerce : null;
+        return [nativeLiteral(value, datatype)];
+      }
+
+      return [];
+    };
+
+    // Values of a property, honouring its container mapping.
+    const propertyValues = (active, value, def, graph) => {
+      const container = def?.container ?? new Set();
+
+      if (container.has('@list') && !(isPlainObject(value) && '@list' in value)) {
+        const items = asArray(value).flatMap(v => valueToTerms(active, v, def, graph));
+        return [buildList(items, graph)];
+      }
+
+      if (container.has('@language') && isPlainObject(value)) {
+        return Object.entries(value).flatMap(([lang, strings]) =>
+          asArray(strings)
+            .filter(s => s != null)
+            .map(s => factory.literal(String(s), lang === '@none' ? undefined : lang.toLowerCase()))
+        );
+      }
+
+      if (container.has('@id') && isPlainObject(value)) {
+        return Object.entries(value).flatMap(([id, node]) =>
+          asArray(node).map(n => processNode(active, { ...n, '@id': id }, graph))
+        );
+      }
+
+      if ((container.has('@index') || container.has('@type')) && isPlainObject(value)) {
+        return Object.values(value).flatMap(v => valueToTerms(active, v, def, graph));
+      }
+
+      return valueToTerms(active, value, def, graph);
+    };
+
+    const processNode = (parentActive, node, graph) => {
+      const active = '@context' in node ? processContext(parentActive, node['@context']) : parentActive;
+      const entries = expandKeys(active, node);
+
+      const idEntry = entries.find(e => e.expanded === '@id');
+      const subject = idEntry && typeof idEntry.value === 'string'
+        ? termForId(active, idEntry.value)
+        : factory.blankNode();
+
+      for (const { key, expanded, value } of entries) {
+        if (expanded === '@id' || expanded === '@index') continue;
+
+        if (expanded === '@type') {
+          asArray(value).forEach(t => {
+            const iri = expandIri(active, t, { vocab: true, documentRelative: true });
+            const object = iri.startsWith('_:') ? blankNodeFor(iri.slice(2)) : factory.namedNode(iri);
+            emit(subject, factory.namedNode(RDF + 'type'), object, graph);
+          });
+          continue;
+        }
+
+        if (expanded === '@graph') {
+          asArray(value).forEach(item => {
+            if (isPlainObject(item)) processNode(active, item, subject);
+          });
+          continue;
+        }
+
+        if (expanded === '@reverse') {
+          if (!isPlainObject(value)) continue;
+          expandKeys(active, value).forEach(rev => {
+            if (!isAbsoluteIri(rev.expanded)) return;
+            const def = active.terms.get(rev.key);
+            const scoped = def?.context ? processContext(active, def.context) : active;
+            propertyValues(scoped, rev.value, def, graph).forEach(object => {
+              emit(object, factory.namedNode(rev.expanded), subject, graph);
+            });
+          });
+          continue;
+        }
+
+        if (expanded === '@nest') {
+          asArray(value).forEach(nested => {
+            if (!isPlainObject(nested)) return;
+            expandKeys(active, nested).forEach(e => addProperty(active, subject, e, graph));
+          });
+          continue;
+        }
+
+        if (isKeyword(expanded)) continue;
+        addProperty(active, subject, { key, expanded, value }, graph);
+      }
+
+      return subject;
+    };
+
+    const addProperty = (active, subject, { key, expanded, value }, graph) => {
+      // Properties that do not expand to an absolute IRI (or blank node) are dropped, as in JSON-LD.
+      if (!isAbsoluteIri(expanded) && !expanded.startsWith('_:')) return;
+
+      const def = active.terms.get(key);
+      const scoped = def?.context ? processContext(active, def.context) : active;
+      const predicate = factory.namedNode(expanded);
+
+      propertyValues(scoped, value, def, graph).forEach(object => {
+        if (def?.reverse) {
+          emit(object, predicate, subject, graph);
+        } else {
+          emit(subject, predicate, object, graph);
+        }
+      });
+    };
+
+    // ---- top level ------------------------------------------------------------
+
+    const processTopLevel = (active, item) => {
+      if (!isPlainObject(item)) return;
+      const scoped = '@context' in item ? processContext(active, item['@context']) : active;
+      const entries = expandKeys(scoped, item);
+
+      // { "@context": ..., "@graph": [...] } with nothing else describes the default graph.
+      const onlyGraph = entries.length > 0 && entries.every(e => e.expanded === '@graph');
+      if (onlyGraph) {
+        entries.forEach(e => asArray(e.value).forEach(sub => processTopLevel(scoped, sub)));
+        return;
+      }
+      processNode(active, item, defaultGraph);
+    };
+
+    asArray(document).forEach(item => processTopLevel(initialContext, item));
+
+    logEvent(fnName, 'parsed', { quadCount: quads.length });
+    return quads;
+  } catch (err) {
+    logError(fnName, err, { baseIri: options.baseIri });
+    throw err;
+  }
+}
@@ -1,9 +1,17 @@
 // app/main.js
 import {
-  detectRdfFormatFromFilename,
-  parseRdfTextToStore,
-  extractOntologyMetadata,
-  buildElementTableModel,
+  DEFAULT_COLUMN_PROFILE,
+  DEFAULT_LANGUAGE_PREFERENCE,
+  validateColumnProfile,
+  parseLanguagePreference,
+  formatLanguagePreference,
+  parsePrefixRegistry,
+  serializePrefixRegistry,
+  mergePrefixMaps,
+  toPascalCase,
+  SPARQL_EXAMPLE_QUERIES,
+  workspaceKey,
+  NS,
   logEvent,
   logError
 } from './core.js';
@@ -11,12 +19,79 @@ import {
 import {
   showLoadingOverlay,
   hideLoadingOverlay,
+  updateLoadingProgress,
   toggleTheme,
   renderFileList,
   renderOntologyCard,
-  renderOntologyTable
+  renderOntologyTable,
+  renderHierarchyPanel,
+  renderLintReport,
+  openLintRulesEditor,
+  renderColumnProfileSelect,
+  openColumnProfileEditor,
+  openPrefixRegistryEditor,
+  openCompareDialog,
+  renderOntologyDiff,
+  openCsvImportDialog,
+  renderCsvImportPreview,
+  renderSparqlPanel,
+  renderSparqlResult,
+  openWorkspacesDialog,
+  downloadJson
 } from './ui-helpers.js';
 
+import {
+  StorageQuotaError,
+  listWorkspaces,
+  saveWorkspace,
+  loadWorkspace,
+  saveWorkspaceState,
+  deleteWorkspace,
+  clearWorkspaces
+} from './workspace-store.js';
+
+// Local copies of remote JSON-LD contexts, keyed by context URL.
+// JSON-LD files are never allowed to trigger a network fetch; add entries here to resolve them.
+const JSONLD_CONTEXTS = {};
+
+const PROFILES_STORAGE_KEY = 'ontology-tabulator.columnProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'ontology-tabulator.activeColumnProfile';
+const TABLE_MODE_STORAGE_KEY = 'ontology-tabulator.tableMode';
+const LANGUAGES_STORAGE_KEY = 'ontology-tabulator.languages';
+const PREFIX_REGISTRY_STORAGE_KEY = 'ontology-tabulator.prefixRegistry';
+const IRI_DISPLAY_STORAGE_KEY = 'ontology-tabulator.iriDisplay';
+const LINT_RULES_STORAGE_KEY = 'ontology-tabulator.lintRules';
+const GRAPH_MODE_STORAGE_KEY = 'ontology-tabulator.graphMode';
+const SPARQL_QUERIES_STORAGE_KEY = 'ontology-tabulator.sparqlQueries';
+
+// User-defined column profiles (DEFAULT_COLUMN_PROFILE is built in and not stored).
+let savedProfiles = [];
+let activeProfileId = DEFAULT_COLUMN_PROFILE.id;
+// 'curated' (column profile) or 'allPredicates' (one column per predicate in use)
+let tableMode = 'curated';
+// Literal language priority list ('' = untagged)
+let languagePreference = DEFAULT_LANGUAGE_PREFERENCE;
+// User prefix → namespace map, applied over each file's own prefixes
+let prefixRegistry = {};
+// 'merged' (one card and table per file) or 'split' (one per named graph)
+let graphMode = 'merged';
+// Lint rule overrides (rule id → { enabled, severity }) over LINT_RULES
+let lintRules = {};
+// 'full' IRIs or 'curie' in IRI-valued cells
+let iriDisplay = 'full';
+// Per-file worker results of the last job, kept so display-only changes re-render without the worker
+let loadedResults = [];
+// File list entries of the files the last parse could not read (re-tabulating keeps them listed)
+let parseFailures = [];
+// User-saved SPARQL queries ({ id, name, query }), and the query panel's controls once it is set up
+let savedSparqlQueries = [];
+let sparqlPanel = null;
+// Workspace of the loaded files: { id, tableStates (table key → sort and filters), saved }; its
+// settings are the current table mode, column profile, languages and graph mode.
+// saved is false until the files parsed and were stored, and again once the workspace is deleted.
+let currentWorkspace = null;
+let workspaceStateTimer = null;
+
 function setupThemeToggle() {
   const btn = document.getElementById('themeToggleBtn');
   if (!btn) return;
@@ -26,53 +101,622 @@ function setupThemeToggle() {
   });
 }
 
-function handleFilesSelected(files) {
-  const fnName = 'handleFilesSelected';
-  logEvent(fnName, 'start', { fileCount: files.length });
+// Worker holding the parsed stores between jobs; terminating it is how a parse is cancelled.
+let parseWorker = null;
+let activeJob = null;
+// Bumped per job; tags worker messages and stops a superseded job from touching the page.
+let jobGeneration = 0;
 
-  if (!files.length) return;
+function getParseWorker() {
+  if (!parseWorker) {
+    parseWorker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+  }
+  return parseWorker;
+}
+
+/**
+ * Send one job to app/parse-worker.js, streaming progress and per-file results back.
+ * Resolves with 'done' or 'cancelled'; rejects when the job as a whole fails (a file that fails on
+ * its own goes to onFileError and the job carries on).
+ * @param {object} message 'parse' or 'tabulate' message (see parse-worker.js); jobId is required
+ * @param {{
+ *   onProgress: (progress: object) => void,
+ *   onFile: (result: object) => void,
+ *   onFileError?: (failure: object) => void,
+ *   onDiff?: (result: object) => void,
+ *   onCsvImport?: (result: object) => void,
+ *   onSparqlResult?: (result: object) => void,
+ *   onSparqlError?: (failure: object) => void
+ * }} handlers
+ * @returns {Promise<'done'|'cancelled'>}
+ */
+function runWorkerJob(message, { onProgress, onFile, onFileError, onDiff, onCsvImport, onSparqlResult, onSparqlError }) {
+  return new Promise((resolve, reject) => {
+    const worker = getParseWorker();
+
+    const finish = settle => {
+      worker.onmessage = null;
+      worker.onerror = null;
+      activeJob = null;
+      settle();
+    };
+
+    activeJob = {
+      cancel: () => {
+        if (message.type === 'parse') {
+          // Parsing is synchronous inside the worker, so stopping it means discarding the worker.
+          worker.terminate();
+          parseWorker = null;
+        }
+        // A superseded 'tabulate' just runs to completion; its messages are ignored by jobId.
+        finish(() => resolve('cancelled'));
+      }
+    };
+
+    worker.onmessage = ev => {
+      const msg = ev.data;
+      if (msg.jobId !== message.jobId) return;
+      if (msg.type === 'progress') onProgress(msg);
+      else if (msg.type === 'file') onFile(msg);
+      else if (msg.type === 'fileError') onFileError?.(msg);
+      else if (msg.type === 'diff') onDiff?.(msg);
+      else if (msg.type === 'csvImport') onCsvImport?.(msg);
+      else if (msg.type === 'sparqlResult') onSparqlResult?.(msg);
+      else if (msg.type === 'sparqlError') onSparqlError?.(msg);
+      else if (msg.type === 'done') finish(() => resolve('done'));
+      else if (msg.type === 'error') {
+        finish(() => reject(new Error(msg.fileName ? `${msg.fileName}: ${msg.message}` : msg.message)));
+      }
+    };
+    worker.onerror = ev => {
+      worker.terminate();
+      parseWorker = null;
+      finish(() => reject(new Error(ev.message || 'Parse worker failed')));
+    };
+
+    worker.postMessage(message);
+  });
+}
+
+function cancelActiveLoad() {
+  if (!activeJob) return;
+  logEvent('cancelActiveLoad', 'cancel');
+  activeJob.cancel();
+}
+
+function renderFileResult(cardsContainer, tablesContainer, result) {
+  const { meta, graph, tableModel, hierarchy, lint, prefixes } = result;
+  const stateKey = tableStateKey(result);
+  renderOntologyCard(cardsContainer, meta, { graph });
+  const table = renderOntologyTable(tablesContainer, meta, tableModel, {
+    prefixes: iriDisplay === 'curie' ? prefixes : null,
+    queryPrefixes: prefixes,
+    lintFindings: lint,
+    graph,
+    initialState: currentWorkspace?.tableStates[stateKey],
+    onStateChange: state => rememberTableState(stateKey, state)
+  });
+  if (lint) renderLintReport(table.asideSlot, meta, lint);
+  if (hierarchy) {
+    renderHierarchyPanel(table.asideSlot, meta, hierarchy, {
+      onSelect: ({ iris, caption }) => table.showSubtree(iris, caption)
+    });
+  }
+}
+
+// Re-render the last job's results, e.g. after the IRI display changed.
+function rerenderLoadedResults() {
+  const cardsContainer = document.getElementById('ontologyCardsContainer');
+  const tablesContainer = document.getElementById('ontologyTablesContainer');
+  if (!cardsContainer || !tablesContainer || activeJob) return;
+
+  cardsContainer.innerHTML = '';
+  tablesContainer.innerHTML = '';
+  loadedResults.forEach(result => renderFileResult(cardsContainer, tablesContainer, result));
+}
+
+/**
+ * Run a worker job and render its per-file results into fresh cards and tables.
+ * @param {object} message
+ */
+function runTableJob(message) {
+  const fnName = 'runTableJob';
+  logEvent(fnName, 'start', { type: message.type });
 
   const cardsContainer = document.getElementById('ontologyCardsContainer');
   const tablesContainer = document.getElementById('ontologyTablesContainer');
   if (!cardsContainer || !tablesContainer) return;
 
+  // A new job replaces any job still running.
+  cancelActiveLoad();
+  const generation = ++jobGeneration;
   showLoadingOverlay();
 
+  // File list entries by fileIndex, so they stay in selection order
+  if (message.type === 'parse') parseFailures = [];
   const fileInfos = [];
+  parseFailures.forEach(info => {
+    fileInfos[info.fileIndex] = info;
+  });
+  loadedResults = [];
+  renderCompareControls();
+  renderCsvImportControls();
+  renderSparqlControls();
 
   (async () => {
     try {
       cardsContainer.innerHTML = '';
       tablesContainer.innerHTML = '';
+      const diffContainer = document.getElementById('ontologyDiffContainer');
+      if (diffContainer) diffContainer.innerHTML = '';
+      const csvImportContainer = document.getElementById('csvImportContainer');
+      if (csvImportContainer) csvImportContainer.innerHTML = '';
+      if (sparqlPanel) sparqlPanel.resultsSlot.innerHTML = '';
 
-      for (const file of files) {
-        const text = await file.text();
-        const format = detectRdfFormatFromFilename(file.name);
-        const store = await parseRdfTextToStore(text, format);
+      const outcome = await runWorkerJob({ ...message, jobId: generation }, {
+        onProgress: updateLoadingProgress,
+        onFile: result => {
+          // record file info for file list; per-graph results add up to one entry per file
+          const warnings = (result.warnings || []).map(text => (result.graph ? `${result.graph}: ${text}` : text));
+          const info = fileInfos[result.fileIndex];
+          if (info && !info.error) {
+            info.displayName = result.fileName;
+            info.quadCount += result.quadCount;
+            info.warnings.push(...warnings);
+          } else {
+            fileInfos[result.fileIndex] = {
+              fileIndex: result.fileIndex,
+              displayName: result.meta.ontologyName || result.fileName,
+              format: result.format,
+              quadCount: result.quadCount,
+              warnings
+            };
+          }
 
-        const meta = extractOntologyMetadata(store);
-        const tableModel = buildElementTableModel(store);
+          loadedResults.push(result);
+          renderFileResult(cardsContainer, tablesContainer, result);
+        },
+        onFileError: ({ fileIndex, fileName, message: errorMessage, line, column, snippet }) => {
+          const info = { fileIndex, displayName: fileName, error: { message: errorMessage, line, column, snippet } };
+          fileInfos[fileIndex] = info;
+          if (message.type === 'parse') parseFailures.push(info);
+        }
+      });
+      logEvent(fnName, outcome, { fileCount: loadedResults.length, failedCount: parseFailures.length });
+      if (generation !== jobGeneration) return;
 
-        // record file info for file list
-        fileInfos.push({
-          displayName: meta.ontologyName || file.name,
-          quadCount: store.size
-        });
+      renderFileList(fileInfos.filter(Boolean));
+      renderCompareControls();
+      renderCsvImportControls();
+      renderSparqlControls();
+      // Only files that all parsed become a recent workspace.
+      if (message.type === 'parse' && outcome === 'done' && !parseFailures.length) saveCurrentWorkspace(message.files);
+    } catch (err) {
+      logError(fnName, err);
+      if (generation !== jobGeneration) return;
+      renderFileList(fileInfos.filter(Boolean));
+      alert('Error processing ontology files. See console for details.');
+    } finally {
+      if (generation === jobGeneration) hideLoadingOverlay();
+    }
+  })();
+}
 
-        renderOntologyCard(cardsContainer, meta);
-        renderOntologyTable(tablesContainer, meta, tableModel);
-      }
+// ----- Version diff -----
+
+// The first result of every loaded file (in 'split' graph mode a file has one result per graph).
+function loadedFileResults() {
+  return loadedResults.filter((result, idx) => loadedResults.findIndex(r => r.fileIndex === result.fileIndex) === idx);
+}
+
+// Names of loadedFileResults() for pickers: the ontology name, or the file name.
+function loadedFileNames(files) {
+  return files.map(r => (r.graph == null && r.meta.ontologyName) || r.fileName);
+}
+
+function renderCompareControls() {
+  const btn = document.getElementById('compareVersionsBtn');
+  if (btn) btn.disabled = loadedFileResults().length < 2;
+}
+
+/**
+ * Compare two loaded files (by the fileIndex the worker gave them) in the worker and show the diff.
+ * @param {number} oldIndex
+ * @param {number} newIndex
+ */
+function compareLoadedFiles(oldIndex, newIndex) {
+  const fnName = 'compareLoadedFiles';
+  logEvent(fnName, 'start', { oldIndex, newIndex });
 
-      renderFileList(fileInfos);
+  const container = document.getElementById('ontologyDiffContainer');
+  // Never interrupt a parse: cancelling one discards the stores being compared.
+  if (!container || activeJob || !parseWorker) return;
+
+  const generation = ++jobGeneration;
+  showLoadingOverlay();
+
+  (async () => {
+    try {
+      await runWorkerJob(
+        { type: 'diff', jobId: generation, oldIndex, newIndex, tableOptions: getTableOptions() },
+        {
+          onProgress: updateLoadingProgress,
+          onFile: () => {},
+          onDiff: result => renderOntologyDiff(container, result)
+        }
+      );
+      container.scrollIntoView({ behavior: 'smooth' });
     } catch (err) {
       logError(fnName, err);
-      alert('Error processing ontology files. See console for details.');
+      alert(`Could not compare the files: ${err.message}`);
     } finally {
-      hideLoadingOverlay();
+      if (generation === jobGeneration) hideLoadingOverlay();
     }
   })();
 }
 
+function setupCompareVersions() {
+  renderCompareControls();
+  document.getElementById('compareVersionsBtn')?.addEventListener('click', () => {
+    const files = loadedFileResults();
+    openCompareDialog(loadedFileNames(files), {
+      onCompare: (oldIndex, newIndex) => compareLoadedFiles(files[oldIndex].fileIndex, files[newIndex].fileIndex)
+    });
+  });
+}
+
+// ----- CSV import -----
+
+function renderCsvImportControls() {
+  const btn = document.getElementById('importCsvBtn');
+  if (btn) btn.disabled = !loadedFileResults().length;
+}
+
+/**
+ * Plan the changes an edited table CSV makes to a loaded file (by fileIndex) in the worker and
+ * preview them, with the patched file ready to download.
+ * @param {number} fileIndex
+ * @param {File} csvFile
+ */
+function importCsvIntoLoadedFile(fileIndex, csvFile) {
+  const fnName = 'importCsvIntoLoadedFile';
+  logEvent(fnName, 'start', { fileIndex, csvFileName: csvFile.name });
+
+  const container = document.getElementById('csvImportContainer');
+  // Never interrupt a parse: cancelling one discards the store being patched.
+  if (!container || activeJob || !parseWorker) return;
+
+  const generation = ++jobGeneration;
+  showLoadingOverlay();
+
+  (async () => {
+    try {
+      const csvText = await csvFile.text();
+      await runWorkerJob(
+        { type: 'importCsv', jobId: generation, fileIndex, csvText, tableOptions: getTableOptions() },
+        {
+          onProgress: updateLoadingProgress,
+          onFile: () => {},
+          onCsvImport: result => renderCsvImportPreview(container, result)
+        }
+      );
+      container.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      logError(fnName, err);
+      alert(`Could not import ${csvFile.name}: ${err.message}`);
+    } finally {
+      if (generation === jobGeneration) hideLoadingOverlay();
+    }
+  })();
+}
+
+function setupCsvImport() {
+  renderCsvImportControls();
+  document.getElementById('importCsvBtn')?.addEventListener('click', () => {
+    const files = loadedFileResults();
+    openCsvImportDialog(loadedFileNames(files), {
+      onImport: (fileIdx, csvFile) => importCsvIntoLoadedFile(files[fileIdx].fileIndex, csvFile)
+    });
+  });
+}
+
+// ----- SPARQL -----
+
+function renderSparqlControls() {
+  const files = loadedFileResults();
+  const btn = document.getElementById('sparqlBtn');
+  if (btn) btn.disabled = !files.length;
+  sparqlPanel?.setFileNames(loadedFileNames(files));
+}
+
+/**
+ * Run a SPARQL query in the worker against one loaded file (by fileIndex) or all of them (null)
+ * and render the result under the query panel; syntax errors are shown in the panel.
+ * @param {string} query
+ * @param {number|null} fileIndex
+ */
+function queryLoadedFiles(query, fileIndex) {
+  const fnName = 'queryLoadedFiles';
+  logEvent(fnName, 'start', { fileIndex });
+
+  // Never interrupt a parse: cancelling one discards the stores being queried.
+  if (!sparqlPanel || activeJob || !parseWorker) return;
+
+  const generation = ++jobGeneration;
+  const prefixes = mergePrefixMaps(...loadedFileResults().map(r => r.prefixes));
+  showLoadingOverlay();
+
+  (async () => {
+    try {
+      await runWorkerJob(
+        { type: 'sparql', jobId: generation, query, fileIndex, tableOptions: getTableOptions() },
+        {
+          onProgress: updateLoadingProgress,
+          onFile: () => {},
+          onSparqlResult: result => {
+            sparqlPanel.showError(null);
+            renderSparqlResult(sparqlPanel.resultsSlot, result, {
+              prefixes: iriDisplay === 'curie' ? prefixes : null,
+              queryPrefixes: prefixes
+            });
+          },
+          onSparqlError: failure => sparqlPanel.showError(failure)
+        }
+      );
+    } catch (err) {
+      logError(fnName, err);
+      alert(`Could not run the query: ${err.message}`);
+    } finally {
+      if (generation === jobGeneration) hideLoadingOverlay();
+    }
+  })();
+}
+
+function loadSavedSparqlQueries() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SPARQL_QUERIES_STORAGE_KEY) || '[]');
+    savedSparqlQueries = (Array.isArray(stored) ? stored : [])
+      .filter(q => q && typeof q.id === 'string' && typeof q.name === 'string' && typeof q.query === 'string');
+  } catch (err) {
+    logError('loadSavedSparqlQueries', err);
+    savedSparqlQueries = [];
+  }
+}
+
+function persistSparqlQueries(selectedId) {
+  try {
+    localStorage.setItem(SPARQL_QUERIES_STORAGE_KEY, JSON.stringify(savedSparqlQueries));
+  } catch (err) {
+    logError('persistSparqlQueries', err);
+  }
+  sparqlPanel?.setSavedQueries(savedSparqlQueries, selectedId);
+}
+
+function setupSparqlPanel() {
+  const container = document.getElementById('sparqlPanel');
+  const btn = document.getElementById('sparqlBtn');
+  if (!container) return;
+
+  loadSavedSparqlQueries();
+  sparqlPanel = renderSparqlPanel(container, { examples: SPARQL_EXAMPLE_QUERIES, savedQueries: savedSparqlQueries }, {
+    onRun: (query, fileIdx) => {
+      const files = loadedFileResults();
+      queryLoadedFiles(query, fileIdx == null ? null : files[fileIdx].fileIndex);
+    },
+    onSave: ({ id, name, query }) => {
+      const stored = { id: id || `query-${Date.now().toString(36)}`, name, query };
+      const idx = savedSparqlQueries.findIndex(q => q.id === stored.id);
+      if (idx === -1) savedSparqlQueries.push(stored);
+      else savedSparqlQueries[idx] = stored;
+      persistSparqlQueries(stored.id);
+    },
+    onDelete: id => {
+      savedSparqlQueries = savedSparqlQueries.filter(q => q.id !== id);
+      persistSparqlQueries();
+    }
+  });
+  renderSparqlControls();
+
+  btn?.addEventListener('click', () => {
+    container.hidden = !container.hidden;
+    btn.setAttribute('aria-expanded', String(!container.hidden));
+    if (!container.hidden) {
+      container.scrollIntoView({ behavior: 'smooth' });
+      container.querySelector('textarea')?.focus();
+    }
+  });
+}
+
+function handleFilesSelected(files) {
+  const fnName = 'handleFilesSelected';
+  logEvent(fnName, 'start', { fileCount: files.length });
+
+  if (!files.length) return;
+
+  currentWorkspace = { id: workspaceKey(files), tableStates: {}, saved: false };
+  parseSelectedFiles(files);
+}
+
+function parseSelectedFiles(files) {
+  runTableJob({
+    type: 'parse',
+    files,
+    jsonLdContexts: JSONLD_CONTEXTS,
+    tableOptions: getTableOptions()
+  });
+}
+
+function getTableOptions() {
+  return {
+    mode: tableMode,
+    profile: getActiveProfile(),
+    languages: languagePreference,
+    prefixRegistry,
+    lintRules,
+    graphMode
+  };
+}
+
+// Rebuild the tables of the files already loaded (the worker keeps their stores).
+function retabulateLoadedFiles() {
+  if (!parseWorker) return;
+  scheduleWorkspaceStatePersist();
+  runTableJob({ type: 'tabulate', tableOptions: getTableOptions() });
+}
+
+function setupLanguagePreference() {
+  const input = document.getElementById('languagePreferenceInput');
+  try {
+    const stored = localStorage.getItem(LANGUAGES_STORAGE_KEY);
+    if (stored != null) languagePreference = parseLanguagePreference(stored);
+  } catch (err) {
+    logError('setupLanguagePreference', err);
+  }
+  if (!input) return;
+
+  input.value = formatLanguagePreference(languagePreference);
+  input.addEventListener('change', ev => {
+    languagePreference = parseLanguagePreference(ev.target.value);
+    ev.target.value = formatLanguagePreference(languagePreference);
+    logEvent('languagePreferenceHandler', 'change', { languagePreference });
+    try {
+      localStorage.setItem(LANGUAGES_STORAGE_KEY, ev.target.value);
+    } catch (err) {
+      logError('languagePreferenceHandler', err);
+    }
+    retabulateLoadedFiles();
+  });
+}
+
+function setupTableModeToggle() {
+  const select = document.getElementById('tableModeSelect');
+  try {
+    tableMode = localStorage.getItem(TABLE_MODE_STORAGE_KEY) === 'allPredicates' ? 'allPredicates' : 'curated';
+  } catch (err) {
+    logError('setupTableModeToggle', err);
+  }
+  if (!select) return;
+
+  select.value = tableMode;
+  renderProfileControls();
+  select.addEventListener('change', ev => {
+    tableMode = ev.target.value;
+    logEvent('tableModeHandler', 'change', { tableMode });
+    try {
+      localStorage.setItem(TABLE_MODE_STORAGE_KEY, tableMode);
+    } catch (err) {
+      logError('tableModeHandler', err);
+    }
+    renderProfileControls();
+    retabulateLoadedFiles();
+  });
+}
+
+function setupGraphMode() {
+  const select = document.getElementById('graphModeSelect');
+  try {
+    graphMode = localStorage.getItem(GRAPH_MODE_STORAGE_KEY) === 'split' ? 'split' : 'merged';
+  } catch (err) {
+    logError('setupGraphMode', err);
+  }
+  if (!select) return;
+
+  select.value = graphMode;
+  select.addEventListener('change', ev => {
+    graphMode = ev.target.value;
+    logEvent('graphModeHandler', 'change', { graphMode });
+    try {
+      localStorage.setItem(GRAPH_MODE_STORAGE_KEY, graphMode);
+    } catch (err) {
+      logError('graphModeHandler', err);
+    }
+    retabulateLoadedFiles();
+  });
+}
+
+function setupIriDisplay() {
+  const select = document.getElementById('iriDisplaySelect');
+  try {
+    iriDisplay = localStorage.getItem(IRI_DISPLAY_STORAGE_KEY) === 'curie' ? 'curie' : 'full';
+  } catch (err) {
+    logError('setupIriDisplay', err);
+  }
+  if (!select) return;
+
+  select.value = iriDisplay;
+  select.addEventListener('change', ev => {
+    iriDisplay = ev.target.value;
+    logEvent('iriDisplayHandler', 'change', { iriDisplay });
+    try {
+      localStorage.setItem(IRI_DISPLAY_STORAGE_KEY, iriDisplay);
+    } catch (err) {
+      logError('iriDisplayHandler', err);
+    }
+    rerenderLoadedResults();
+  });
+}
+
+function setupPrefixRegistry() {
+  const fnName = 'setupPrefixRegistry';
+  try {
+    const stored = localStorage.getItem(PREFIX_REGISTRY_STORAGE_KEY);
+    if (stored) prefixRegistry = parsePrefixRegistry(stored);
+  } catch (err) {
+    logError(fnName, err);
+    prefixRegistry = {};
+  }
+
+  document.getElementById('prefixRegistryBtn')?.addEventListener('click', () => {
+    const declared = mergePrefixMaps(...loadedResults.map(r => r.declaredPrefixes));
+    openPrefixRegistryEditor(serializePrefixRegistry(prefixRegistry), {
+      filePrefixesText: serializePrefixRegistry(declared),
+      onSave: text => {
+        prefixRegistry = parsePrefixRegistry(text);
+        logEvent(fnName, 'saved', { prefixCount: Object.keys(prefixRegistry).length });
+        try {
+          localStorage.setItem(PREFIX_REGISTRY_STORAGE_KEY, serializePrefixRegistry(prefixRegistry));
+        } catch (err) {
+          logError(fnName, err);
+        }
+        retabulateLoadedFiles();
+      }
+    });
+  });
+}
+
+function setupLintRules() {
+  const fnName = 'setupLintRules';
+  try {
+    lintRules = JSON.parse(localStorage.getItem(LINT_RULES_STORAGE_KEY) || '{}') || {};
+  } catch (err) {
+    logError(fnName, err);
+    lintRules = {};
+  }
+
+  document.getElementById('lintRulesBtn')?.addEventListener('click', () => {
+    openLintRulesEditor(lintRules, {
+      onSave: rules => {
+        lintRules = rules;
+        logEvent(fnName, 'saved', { disabled: Object.keys(rules).filter(id => !rules[id].enabled) });
+        try {
+          localStorage.setItem(LINT_RULES_STORAGE_KEY, JSON.stringify(lintRules));
+        } catch (err) {
+          logError(fnName, err);
+        }
+        retabulateLoadedFiles();
+      }
+    });
+  });
+}
+
+function setupLoadingCancel() {
+  const btn = document.getElementById('loadingCancelBtn');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    cancelActiveLoad();
+  });
+}
+
 function setupFileInput() {
   const input = document.getElementById('ontologyFileInput');
   if (!input) return;
@@ -95,10 +739,317 @@ function setupFileInput() {
   });
 }
 
+// ----- Workspaces -----
+
+// Tables keep their state per file and graph, across re-tabulation and restores.
+function tableStateKey({ fileIndex, graph }) {
+  return `${fileIndex}\t${graph ?? ''}`;
+}
+
+function rememberTableState(key, state) {
+  if (!currentWorkspace) return;
+  currentWorkspace.tableStates[key] = state;
+  scheduleWorkspaceStatePersist();
+}
+
+// Typing in a filter changes the state often; write it once things settle.
+function scheduleWorkspaceStatePersist() {
+  clearTimeout(workspaceStateTimer);
+  workspaceStateTimer = setTimeout(persistWorkspaceState, 1000);
+}
+
+function persistWorkspaceState() {
+  const workspace = currentWorkspace;
+  if (!workspace?.saved) return;
+  saveWorkspaceState(workspace.id, { settings: getWorkspaceSettings(), tableStates: workspace.tableStates })
+    .catch(err => logError('persistWorkspaceState', err));
+}
+
+// The table settings saved with a workspace.
+function getWorkspaceSettings() {
+  return { tableMode, profile: getActiveProfile(), languages: languagePreference, graphMode };
+}
+
+// Make a restored workspace's table settings the current ones, in the controls and localStorage too.
+function applyWorkspaceSettings(settings) {
+  const fnName = 'applyWorkspaceSettings';
+  if (!settings) return;
+
+  tableMode = settings.tableMode === 'allPredicates' ? 'allPredicates' : 'curated';
+  graphMode = settings.graphMode === 'split' ? 'split' : 'merged';
+  if (Array.isArray(settings.languages)) languagePreference = settings.languages;
+  if (settings.profile) {
+    try {
+      // A profile deleted since the workspace was saved is added back.
+      const known = getAllProfiles().find(p => p.id === settings.profile.id);
+      activeProfileId = known ? known.id : storeProfile(settings.profile).id;
+    } catch (err) {
+      logError(fnName, err, { profile: settings.profile.name });
+    }
+  }
+
+  try {
+    localStorage.setItem(TABLE_MODE_STORAGE_KEY, tableMode);
+    localStorage.setItem(GRAPH_MODE_STORAGE_KEY, graphMode);
+    localStorage.setItem(LANGUAGES_STORAGE_KEY, formatLanguagePreference(languagePreference));
+  } catch (err) {
+    logError(fnName, err);
+  }
+  persistProfiles();
+
+  const tableModeSelect = document.getElementById('tableModeSelect');
+  if (tableModeSelect) tableModeSelect.value = tableMode;
+  const graphModeSelect = document.getElementById('graphModeSelect');
+  if (graphModeSelect) graphModeSelect.value = graphMode;
+  const languageInput = document.getElementById('languagePreferenceInput');
+  if (languageInput) languageInput.value = formatLanguagePreference(languagePreference);
+  renderProfileControls();
+}
+
+/**
+ * Store the files just parsed as a recent workspace, with the current table settings. Files too
+ * large for the browser's storage stay loaded for this session only, which the user is told about.
+ * @param {File[]} files
+ */
+async function saveCurrentWorkspace(files) {
+  const fnName = 'saveCurrentWorkspace';
+  const workspace = currentWorkspace;
+  // A restored workspace is stored already.
+  if (!workspace || workspace.saved || typeof indexedDB === 'undefined') return;
+
+  try {
+    const { evicted } = await saveWorkspace(workspace.id, files, {
+      settings: getWorkspaceSettings(),
+      tableStates: workspace.tableStates
+    });
+    logEvent(fnName, 'saved', { evicted });
+    workspace.saved = true;
+    if (workspace === currentWorkspace) persistWorkspaceState();
+  } catch (err) {
+    logError(fnName, err);
+    if (err instanceof StorageQuotaError) {
+      alert(`${err.message}, so they are not saved as a workspace and will be gone after a reload.`);
+    }
+  }
+}
+
+/**
+ * Load a saved workspace's files again with its table settings, and re-apply its tables' sort and filters.
+ * @param {string} id
+ */
+async function restoreWorkspace(id) {
+  const fnName = 'restoreWorkspace';
+  logEvent(fnName, 'start', { id });
+
+  try {
+    const workspace = await loadWorkspace(id);
+    if (!workspace) {
+      alert('This workspace is no longer saved.');
+      return;
+    }
+    currentWorkspace = { id, tableStates: workspace.tableStates || {}, saved: true };
+    applyWorkspaceSettings(workspace.settings);
+    parseSelectedFiles(workspace.files);
+  } catch (err) {
+    logError(fnName, err);
+    alert(`Could not restore the workspace: ${err.message}`);
+  }
+}
+
+function setupWorkspaces() {
+  const fnName = 'setupWorkspaces';
+  const btn = document.getElementById('workspacesBtn');
+  if (!btn) return;
+  btn.disabled = typeof indexedDB === 'undefined';
+
+  // The loaded files stay loaded when their workspace is deleted; they are just no longer saved.
+  const forget = id => {
+    if (currentWorkspace && (id == null || currentWorkspace.id === id)) currentWorkspace.saved = false;
+  };
+
+  btn.addEventListener('click', async () => {
+    let workspaces;
+    try {
+      workspaces = await listWorkspaces();
+    } catch (err) {
+      logError(fnName, err);
+      alert(`Could not read the saved workspaces: ${err.message}`);
+      return;
+    }
+    openWorkspacesDialog(workspaces, {
+      onRestore: restoreWorkspace,
+      onDelete: id => {
+        forget(id);
+        deleteWorkspace(id).catch(err => logError(fnName, err));
+      },
+      onClear: () => {
+        forget(null);
+        clearWorkspaces().catch(err => logError(fnName, err));
+      }
+    });
+  });
+}
+
+// ----- Column profiles -----
+
+function getAllProfiles() {
+  return [DEFAULT_COLUMN_PROFILE, ...savedProfiles];
+}
+
+function getActiveProfile() {
+  return getAllProfiles().find(p => p.id === activeProfileId) || DEFAULT_COLUMN_PROFILE;
+}
+
+function loadSavedProfiles() {
+  const fnName = 'loadSavedProfiles';
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+    savedProfiles = (Array.isArray(stored) ? stored : []).flatMap(p => {
+      try {
+        return [validateColumnProfile(p)];
+      } catch (err) {
+        logError(fnName, err, { profile: p?.name });
+        return [];
+      }
+    });
+    activeProfileId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_COLUMN_PROFILE.id;
+  } catch (err) {
+    logError(fnName, err);
+    savedProfiles = [];
+  }
+}
+
+function persistProfiles() {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(savedProfiles));
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, activeProfileId);
+  } catch (err) {
+    logError('persistProfiles', err);
+  }
+}
+
+function renderProfileControls() {
+  const select = document.getElementById('columnProfileSelect');
+  if (select) renderColumnProfileSelect(select, getAllProfiles(), getActiveProfile().id);
+
+  // Column profiles only shape the curated table.
+  const controls = document.getElementById('columnProfileControls');
+  if (controls) controls.hidden = tableMode !== 'curated';
+
+  const deleteBtn = document.getElementById('columnProfileDeleteBtn');
+  if (deleteBtn) deleteBtn.disabled = activeProfileId === DEFAULT_COLUMN_PROFILE.id;
+}
+
+function activateProfile(id) {
+  activeProfileId = id;
+  persistProfiles();
+  renderProfileControls();
+  retabulateLoadedFiles();
+}
+
+function newProfileId() {
+  return `profile-${Date.now().toString(36)}`;
+}
+
+/**
+ * Add or replace a user profile; the built-in profile is never overwritten (a copy is stored instead).
+ * @param {object} draft
+ * @returns {object} the stored, validated profile
+ */
+function storeProfile(draft) {
+  const profile = validateColumnProfile(draft);
+  if (profile.id === DEFAULT_COLUMN_PROFILE.id) profile.id = newProfileId();
+
+  const idx = savedProfiles.findIndex(p => p.id === profile.id);
+  if (idx === -1) savedProfiles.push(profile);
+  else savedProfiles[idx] = profile;
+
+  logEvent('storeProfile', 'stored', { id: profile.id, name: profile.name });
+  return profile;
+}
+
+function saveProfile(draft) {
+  activateProfile(storeProfile(draft).id);
+}
+
+async function importProfilesFromFile(file) {
+  const fnName = 'importProfilesFromFile';
+  logEvent(fnName, 'start', { fileName: file.name });
+
+  try {
+    const parsed = JSON.parse(await file.text());
+    const profiles = (Array.isArray(parsed) ? parsed : [parsed]).map(validateColumnProfile);
+    const stored = profiles.map(profile => storeProfile(profile));
+    activateProfile(stored[stored.length - 1].id);
+  } catch (err) {
+    logError(fnName, err);
+    alert(`Could not import column profile: ${err.message}`);
+  }
+}
+
+function setupColumnProfiles() {
+  loadSavedProfiles();
+  renderProfileControls();
+
+  document.getElementById('columnProfileSelect')?.addEventListener('change', ev => {
+    activateProfile(ev.target.value);
+  });
+
+  document.getElementById('columnProfileNewBtn')?.addEventListener('click', () => {
+    openColumnProfileEditor({
+      id: newProfileId(),
+      name: 'New profile',
+      columns: [
+        { header: 'label', key: 'label', predicates: [NS.rdfs + 'label'], kind: 'bestLiteral', separator: '; ' }
+      ]
+    }, { onSave: saveProfile });
+  });
+
+  document.getElementById('columnProfileEditBtn')?.addEventListener('click', () => {
+    const profile = getActiveProfile();
+    const draft = profile.id === DEFAULT_COLUMN_PROFILE.id
+      ? { ...profile, id: newProfileId(), name: `${profile.name} (copy)` }
+      : profile;
+    openColumnProfileEditor(draft, { onSave: saveProfile });
+  });
+
+  document.getElementById('columnProfileExportBtn')?.addEventListener('click', () => {
+    const profile = getActiveProfile();
+    downloadJson(`${toPascalCase(profile.name)}.column-profile.json`, profile);
+  });
+
+  document.getElementById('columnProfileDeleteBtn')?.addEventListener('click', () => {
+    const profile = getActiveProfile();
+    if (profile.id === DEFAULT_COLUMN_PROFILE.id) return;
+    if (!confirm(`Delete column profile "${profile.name}"?`)) return;
+    savedProfiles = savedProfiles.filter(p => p.id !== profile.id);
+    activateProfile(DEFAULT_COLUMN_PROFILE.id);
+  });
+
+  const importInput = document.getElementById('columnProfileImportInput');
+  importInput?.addEventListener('change', async ev => {
+    const files = Array.from(ev.target.files || []);
+    for (const file of files) await importProfilesFromFile(file);
+    ev.target.value = '';
+  });
+}
+
 function initApp() {
   logEvent('initApp', 'start');
   setupThemeToggle();
+  setupColumnProfiles();
+  setupTableModeToggle();
+  setupLanguagePreference();
+  setupGraphMode();
+  setupIriDisplay();
+  setupPrefixRegistry();
+  setupLintRules();
+  setupCompareVersions();
+  setupCsvImport();
+  setupSparqlPanel();
+  setupWorkspaces();
   setupFileInput();
+  setupLoadingCancel();
 }
 
 document.addEventListener('DOMContentLoaded', initApp);
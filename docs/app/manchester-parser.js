@@ -0,0 +1,642 @@
+// app/manchester-parser.js
+// OWL 2 Manchester Syntax (.omn) → RDF/JS quads – ES module, pure.
+// Recursive-descent over frames; triples come from the shared mapping in owl-rdf-writer.js.
+
+import { logEvent, logError } from './core.js';
+import { createOwlRdfWriter, OWL_RDF_NS, OWL_ENTITY_TYPES, OWL_CHARACTERISTIC_TYPES } from './owl-rdf-writer.js';
+
+const { rdf: RDF, rdfs: RDFS, owl: OWL, xsd: XSD } = OWL_RDF_NS;
+
+const FRAME_KEYWORDS = new Set([
+  'Prefix', 'Ontology', 'Import', 'Class', 'ObjectProperty', 'DataProperty', 'AnnotationProperty',
+  'Individual', 'Datatype', 'DisjointClasses', 'EquivalentClasses', 'DisjointProperties',
+  'EquivalentProperties', 'SameIndividual', 'DifferentIndividuals', 'Rule'
+]);
+
+const SECTION_KEYWORDS = new Set([
+  'Annotations', 'SubClassOf', 'EquivalentTo', 'DisjointWith', 'DisjointUnionOf', 'HasKey',
+  'Domain', 'Range', 'Characteristics', 'SubPropertyOf', 'InverseOf', 'SubPropertyChain',
+  'Types', 'Facts', 'SameAs', 'DifferentFrom'
+]);
+
+const RESTRICTION_KEYWORDS = new Set(['some', 'only', 'value', 'min', 'max', 'exactly', 'Self']);
+
+const FACETS = {
+  length: XSD + 'length',
+  minLength: XSD + 'minLength',
+  maxLength: XSD + 'maxLength',
+  pattern: XSD + 'pattern',
+  langRange: RDF + 'langRange',
+  '<=': XSD + 'maxInclusive',
+  '<': XSD + 'maxExclusive',
+  '>=': XSD + 'minInclusive',
+  '>': XSD + 'minExclusive'
+};
+
+// Datatypes that mark a restriction filler as a data range even without a DataProperty frame.
+const BUILTIN_DATATYPE_NAMESPACES = [XSD, RDF, RDFS + 'Literal', OWL + 'real', OWL + 'rational'];
+
+function createSyntaxError(message, token) {
+  const line = token?.line ?? 1;
+  const column = token?.column ?? 1;
+  const err = new Error(`${message} (line ${line}, column ${column})`);
+  err.context = { line, column };
+  return err;
+}
+
+/**
+ * Split Manchester syntax into tokens: keyword ("Class:"), name, iri, string, lang, punctuation,
+ * "^^" and facet operators.
+ * @param {string} text
+ * @returns {Array<{ type: string, value: string, line: number, column: number }>}
+ */
+function tokenizeManchester(text) {
+  const tokens = [];
+  const src = String(text ?? '');
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, start) => tokens.push({ type, value, line, column: start - lineStart + 1 });
+
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(ch)) {
+      pos++;
+    } else if ('(){}[],'.includes(ch)) {
+      push(ch, ch, pos);
+      pos++;
+    } else if (ch === '^' && src[pos + 1] === '^') {
+      push('^^', '^^', pos);
+      pos += 2;
+    } else if (ch === '<' || ch === '>') {
+      if (src[pos + 1] === '=') {
+        push('facet', ch + '=', pos);
+        pos += 2;
+      } else if (ch === '>' || /\s/.test(src[pos + 1] ?? ' ')) {
+        push('facet', ch, pos);
+        pos++;
+      } else {
+        const end = src.indexOf('>', pos);
+        if (end === -1) throw createSyntaxError('Unterminated IRI', { line, column: pos - lineStart + 1 });
+        push('iri', src.slice(pos + 1, end), pos);
+        pos = end + 1;
+      }
+    } else if (ch === '"') {
+      const start = pos;
+      const startLine = line;
+      const startColumn = start - lineStart + 1;
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= src.length) throw createSyntaxError('Unterminated string', { line: startLine, column: startColumn });
+        const c = src[pos];
+        if (c === '\\') {
+          value += src[pos + 1];
+          pos += 2;
+        } else if (c === '"') {
+          pos++;
+          break;
+        } else {
+          if (c === '\n') {
+            line++;
+            lineStart = pos + 1;
+          }
+          value += c;
+          pos++;
+        }
+      }
+      tokens.push({ type: 'string', value, line: startLine, column: startColumn });
+    } else if (ch === '@') {
+      const m = /^@[A-Za-z]+(-[A-Za-z0-9]+)*/.exec(src.slice(pos, pos + 64));
+      if (!m) throw createSyntaxError('Invalid language tag', { line, column: pos - lineStart + 1 });
+      push('lang', m[0].slice(1), pos);
+      pos += m[0].length;
+    } else {
+      const m = /^[^\s(){}[\],"<>^@]+/.exec(src.slice(pos, pos + 2048));
+      const word = m[0];
+      const bare = word.slice(0, -1);
+      if (word.endsWith(':') && (FRAME_KEYWORDS.has(bare) || SECTION_KEYWORDS.has(bare))) {
+        push('keyword', bare, pos);
+      } else {
+        push('name', word, pos);
+      }
+      pos += word.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse an OWL 2 Manchester Syntax document into quads (default graph).
+ *
+ * Supports Prefix/Ontology/Import, Class, ObjectProperty, DataProperty, AnnotationProperty,
+ * Individual and Datatype frames with their sections, the misc n-ary frames, axiom annotations
+ * and class expressions (and, or, not, some, only, value, Self, min/max/exactly, {…}, inverse)
+ * including data ranges with facets. Rule frames are skipped.
+ *
+ * @param {string} text
+ * @param {{ factory: import('n3').DataFactory, onPrefix?: (prefix: string, namespace: string) => void }} options
+ * @returns {import('n3').Quad[]}
+ */
+export function parseManchester(text, options = {}) {
+  const fnName = 'parseManchester';
+  logEvent(fnName, 'start');
+
+  try {
+    const { factory, onPrefix = () => {} } = options;
+    if (!factory) {
+      throw new Error('parseManchester requires a DataFactory (options.factory)');
+    }
+
+    const tokens = tokenizeManchester(text);
+    const w = createOwlRdfWriter(factory);
+    const P = iri => w.node(iri);
+    const prefixes = new Map([
+      ['rdf:', RDF], ['rdfs:', RDFS], ['owl:', OWL], ['xsd:', XSD], ['xml:', OWL_RDF_NS.xml]
+    ]);
+    const dataProperties = new Set();
+    let i = 0;
+
+    const peek = (offset = 0) => tokens[i + offset];
+    const next = () => tokens[i++];
+    const fail = (message, token = peek()) => {
+      const where = token ? ` near "${token.value}"` : ' at end of input';
+      throw createSyntaxError(message + where, token ?? tokens[tokens.length - 1]);
+    };
+    const isWord = (word, offset = 0) => peek(offset)?.type === 'name' && peek(offset).value === word;
+    const isType = (type, offset = 0) => peek(offset)?.type === type;
+    const expect = type => {
+      if (!isType(type)) fail(`Expected "${type}"`);
+      return next();
+    };
+
+    const expandName = token => {
+      if (token.type === 'iri') return token.value;
+      if (token.type !== 'name') fail('Expected an IRI or prefixed name', token);
+      const colon = token.value.indexOf(':');
+      const prefix = colon === -1 ? ':' : token.value.slice(0, colon + 1);
+      if (!prefixes.has(prefix)) fail(`Undeclared prefix "${prefix}"`, token);
+      return prefixes.get(prefix) + token.value.slice(colon + 1);
+    };
+
+    // Pre-pass: prefixes and DataProperty frames, so "p some xsd:int"-style fillers parse as data ranges.
+    for (let k = 0; k < tokens.length; k++) {
+      const t = tokens[k];
+      if (t.type === 'keyword' && t.value === 'Prefix' && tokens[k + 1]?.type === 'name' && tokens[k + 2]?.type === 'iri') {
+        const name = tokens[k + 1].value;
+        const prefix = name.endsWith(':') ? name : `${name}:`;
+        prefixes.set(prefix, tokens[k + 2].value);
+        onPrefix(prefix.slice(0, -1), tokens[k + 2].value);
+      }
+    }
+    for (let k = 0; k < tokens.length; k++) {
+      const t = tokens[k];
+      if (t.type === 'keyword' && t.value === 'DataProperty' && tokens[k + 1]) {
+        dataProperties.add(expandName(tokens[k + 1]));
+      }
+    }
+
+    const entity = () => {
+      const token = next();
+      if (!token) fail('Expected an entity');
+      if (token.type === 'name' && token.value.startsWith('_:')) return w.blankNodeFor(token.value.slice(2));
+      return P(expandName(token));
+    };
+
+    const literal = () => {
+      const token = next();
+      if (token.type === 'string') {
+        if (isType('lang')) return factory.literal(token.value, next().value.toLowerCase());
+        if (isType('^^')) {
+          next();
+          return factory.literal(token.value, P(expandName(next())));
+        }
+        return factory.literal(token.value);
+      }
+      if (token.type === 'name') {
+        const v = token.value;
+        if (/^[+-]?\d+$/.test(v)) return factory.literal(v, P(XSD + 'integer'));
+        if (/^[+-]?\d*\.\d+$/.test(v)) return factory.literal(v, P(XSD + 'decimal'));
+        if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?[fF]$/.test(v)) return factory.literal(v.slice(0, -1), P(XSD + 'float'));
+      }
+      return fail('Expected a literal', token);
+    };
+
+    const startsLiteral = () => {
+      const t = peek();
+      return !!t && (t.type === 'string' || (t.type === 'name' && /^[+-]?(\d|\.\d)/.test(t.value)));
+    };
+
+    const annotationValue = () => (startsLiteral() ? literal() : entity());
+
+    // Annotations: [Annotations: ...] prop value, ... – nested annotations on annotations are read and dropped.
+    const annotationList = () => {
+      const items = [];
+      do {
+        if (isType(',')) next();
+        if (isType('keyword') && peek().value === 'Annotations') {
+          next();
+          annotationList();
+        }
+        const property = entity();
+        items.push({ property, value: annotationValue() });
+      } while (isType(','));
+      return items;
+    };
+
+    // A comma-separated list where each item may carry its own "Annotations: ..." prefix.
+    const annotatedList = readItem => {
+      const items = [];
+      do {
+        if (isType(',')) next();
+        let annotations = [];
+        if (isType('keyword') && peek().value === 'Annotations') {
+          next();
+          annotations = annotationList();
+        }
+        items.push({ annotations, value: readItem() });
+      } while (isType(','));
+      return items;
+    };
+
+    const isDatatypeToken = token => {
+      if (!token || (token.type !== 'name' && token.type !== 'iri')) return false;
+      try {
+        const iri = expandName(token);
+        return BUILTIN_DATATYPE_NAMESPACES.some(ns => iri.startsWith(ns)) && !iri.startsWith(RDF + 'type');
+      } catch {
+        return false;
+      }
+    };
+
+    const propertyExpression = () => {
+      if (isWord('inverse')) {
+        next();
+        const hasParen = isType('(');
+        if (hasParen) next();
+        const inner = entity();
+        if (hasParen) expect(')');
+        return { term: w.inverseOf(inner), iri: null };
+      }
+      const token = peek();
+      const term = entity();
+      return { term, iri: token.type === 'iri' || token.type === 'name' ? term.value : null };
+    };
+
+    const startsRestriction = () => {
+      if (isWord('inverse')) return true;
+      const t = peek(1);
+      return t?.type === 'name' && RESTRICTION_KEYWORDS.has(t.value);
+    };
+
+    // description := conjunction ('or' conjunction)*
+    const description = (data = false) => {
+      const operands = [conjunction(data)];
+      while (isWord('or')) {
+        next();
+        operands.push(conjunction(data));
+      }
+      return operands.length > 1 ? w.combination('unionOf', operands, data) : operands[0];
+    };
+
+    // conjunction := primary (('and' | 'that') primary)*
+    const conjunction = data => {
+      const operands = [primary(data)];
+      while (isWord('and') || isWord('that')) {
+        next();
+        operands.push(primary(data));
+      }
+      return operands.length > 1 ? w.combination('intersectionOf', operands, data) : operands[0];
+    };
+
+    const primary = data => {
+      if (isWord('not')) {
+        next();
+        return w.combination('complementOf', [primary(data)], data);
+      }
+      if (isType('(')) {
+        next();
+        const inner = description(data);
+        expect(')');
+        return inner;
+      }
+      if (isType('{')) {
+        next();
+        const members = [];
+        const literalMembers = data || startsLiteral();
+        while (!isType('}')) {
+          if (isType(',')) {
+            next();
+            continue;
+          }
+          members.push(literalMembers ? literal() : entity());
+        }
+        next();
+        return w.combination('oneOf', members, literalMembers);
+      }
+      if (!data && startsRestriction()) return restriction();
+
+      const atomic = entity();
+      if (isType('[')) {
+        next();
+        const facets = [];
+        while (!isType(']')) {
+          if (isType(',')) {
+            next();
+            continue;
+          }
+          const facetToken = next();
+          const facet = FACETS[facetToken?.value];
+          if (!facet) fail('Unknown facet', facetToken);
+          facets.push({ facet: P(facet), value: literal() });
+        }
+        next();
+        return w.datatypeRestriction(atomic, facets);
+      }
+      return atomic;
+    };
+
+    const startsFiller = () => {
+      const t = peek();
+      if (!t) return false;
+      if (t.type === 'keyword' || t.type === ',' || t.type === ')' || t.type === '}' || t.type === ']') return false;
+      return !(t.type === 'name' && ['and', 'or', 'that'].includes(t.value));
+    };
+
+    const restriction = () => {
+      const property = propertyExpression();
+      const kind = next().value;
+      const isData = (property.iri && dataProperties.has(property.iri)) ||
+        isDatatypeToken(peek()) ||
+        (isType('{') && (peek(1)?.type === 'string'));
+
+      switch (kind) {
+        case 'some':
+        case 'only':
+          return w.restriction(property.term, kind, { filler: isData ? primary(true) : primary(false) });
+        case 'value':
+          return w.restriction(property.term, 'value', { filler: startsLiteral() ? literal() : entity() });
+        case 'Self':
+          return w.restriction(property.term, 'self');
+        default: {
+          const countToken = next();
+          if (!countToken || !/^\d+$/.test(countToken.value)) fail(`"${kind}" needs a cardinality`, countToken);
+          const filler = startsFiller() ? primary(isData) : null;
+          return w.restriction(property.term, kind, { cardinality: Number(countToken.value), filler, data: isData });
+        }
+      }
+    };
+
+    const sectionValues = (readItem, subject, predicate, { reverse = false } = {}) => {
+      annotatedList(readItem).forEach(({ annotations, value }) => {
+        if (reverse) {
+          w.axiom(value, P(predicate), subject, annotations);
+        } else {
+          w.axiom(subject, P(predicate), value, annotations);
+        }
+      });
+    };
+
+    const annotationsSection = subject => {
+      annotatedList(() => {
+        const property = entity();
+        return { property, value: annotationValue() };
+      }).forEach(({ annotations, value }) => w.axiom(subject, value.property, value.value, annotations));
+    };
+
+    const characteristicsSection = subject => {
+      annotatedList(() => next()).forEach(({ annotations, value }) => {
+        const type = OWL_CHARACTERISTIC_TYPES[value.value];
+        if (!type) fail('Unknown property characteristic', value);
+        w.axiom(subject, w.rdfType, P(type), annotations);
+      });
+    };
+
+    const frame = (kind, subject) => {
+      while (isType('keyword') && SECTION_KEYWORDS.has(peek().value)) {
+        const section = next().value;
+        if (section === 'Annotations') {
+          annotationsSection(subject);
+          continue;
+        }
+        switch (`${kind}.${section}`) {
+          case 'Class.SubClassOf':
+            sectionValues(() => description(), subject, RDFS + 'subClassOf');
+            break;
+          case 'Class.EquivalentTo':
+            sectionValues(() => description(), subject, OWL + 'equivalentClass');
+            break;
+          case 'Class.DisjointWith':
+            sectionValues(() => description(), subject, OWL + 'disjointWith');
+            break;
+          case 'Class.DisjointUnionOf': {
+            const items = annotatedList(() => description());
+            w.axiom(subject, P(OWL + 'disjointUnionOf'), w.list(items.map(x => x.value)), items[0]?.annotations);
+            break;
+          }
+          case 'Class.HasKey': {
+            const items = annotatedList(() => propertyExpression().term);
+            w.axiom(subject, P(OWL + 'hasKey'), w.list(items.map(x => x.value)), items[0]?.annotations);
+            break;
+          }
+          case 'ObjectProperty.Domain':
+          case 'DataProperty.Domain':
+            sectionValues(() => description(), subject, RDFS + 'domain');
+            break;
+          case 'ObjectProperty.Range':
+            sectionValues(() => description(), subject, RDFS + 'range');
+            break;
+          case 'DataProperty.Range':
+            sectionValues(() => description(true), subject, RDFS + 'range');
+            break;
+          case 'AnnotationProperty.Domain':
+            sectionValues(entity, subject, RDFS + 'domain');
+            break;
+          case 'AnnotationProperty.Range':
+            sectionValues(entity, subject, RDFS + 'range');
+            break;
+          case 'ObjectProperty.Characteristics':
+          case 'DataProperty.Characteristics':
+            characteristicsSection(subject);
+            break;
+          case 'ObjectProperty.SubPropertyOf':
+            sectionValues(() => propertyExpression().term, subject, RDFS + 'subPropertyOf');
+            break;
+          case 'DataProperty.SubPropertyOf':
+          case 'AnnotationProperty.SubPropertyOf':
+            sectionValues(entity, subject, RDFS + 'subPropertyOf');
+            break;
+          case 'ObjectProperty.EquivalentTo':
+          case 'DataProperty.EquivalentTo':
+            sectionValues(() => propertyExpression().term, subject, OWL + 'equivalentProperty');
+            break;
+          case 'ObjectProperty.DisjointWith':
+          case 'DataProperty.DisjointWith':
+            sectionValues(() => propertyExpression().term, subject, OWL + 'propertyDisjointWith');
+            break;
+          case 'ObjectProperty.InverseOf':
+            sectionValues(() => propertyExpression().term, subject, OWL + 'inverseOf');
+            break;
+          case 'ObjectProperty.SubPropertyChain': {
+            let annotations = [];
+            if (isType('keyword') && peek().value === 'Annotations') {
+              next();
+              annotations = annotationList();
+            }
+            const chain = [propertyExpression().term];
+            while (isWord('o')) {
+              next();
+              chain.push(propertyExpression().term);
+            }
+            w.axiom(subject, P(OWL + 'propertyChainAxiom'), w.list(chain), annotations);
+            break;
+          }
+          case 'Individual.Types':
+            sectionValues(() => description(), subject, RDF + 'type');
+            break;
+          case 'Individual.Facts':
+            annotatedList(() => {
+              const negative = isWord('not') ? (next(), true) : false;
+              const property = propertyExpression();
+              const value = startsLiteral() ? literal() : entity();
+              return { negative, property, value };
+            }).forEach(({ annotations, value: fact }) => {
+              if (!fact.negative) {
+                w.axiom(subject, fact.property.term, fact.value, annotations);
+                return;
+              }
+              const x = w.blank();
+              w.emit(x, w.rdfType, P(OWL + 'NegativePropertyAssertion'));
+              w.emit(x, P(OWL + 'sourceIndividual'), subject);
+              w.emit(x, P(OWL + 'assertionProperty'), fact.property.term);
+              const target = fact.value.termType === 'Literal' ? 'targetValue' : 'targetIndividual';
+              w.emit(x, P(OWL + target), fact.value);
+              annotations.forEach(a => w.emit(x, a.property, a.value));
+            });
+            break;
+          case 'Individual.SameAs':
+            sectionValues(entity, subject, OWL + 'sameAs');
+            break;
+          case 'Individual.DifferentFrom':
+            sectionValues(entity, subject, OWL + 'differentFrom');
+            break;
+          case 'Datatype.EquivalentTo':
+            sectionValues(() => description(true), subject, OWL + 'equivalentClass');
+            break;
+          default:
+            fail(`Section "${section}:" is not allowed in a ${kind} frame`, tokens[i - 1]);
+        }
+      }
+      if (peek() && peek().type !== 'keyword') fail(`Unexpected token in ${kind} frame`);
+    };
+
+    const naryFrame = kind => {
+      let annotations = [];
+      if (isType('keyword') && peek().value === 'Annotations') {
+        next();
+        annotations = annotationList();
+      }
+      const readItem = {
+        DisjointClasses: () => description(),
+        EquivalentClasses: () => description(),
+        DisjointProperties: () => propertyExpression().term,
+        EquivalentProperties: () => propertyExpression().term,
+        SameIndividual: entity,
+        DifferentIndividuals: entity
+      }[kind];
+      const operands = [readItem()];
+      while (isType(',')) {
+        next();
+        operands.push(readItem());
+      }
+
+      switch (kind) {
+        case 'DisjointClasses':
+          w.nary(operands, OWL + 'disjointWith', OWL + 'AllDisjointClasses', annotations);
+          break;
+        case 'DisjointProperties':
+          w.nary(operands, OWL + 'propertyDisjointWith', OWL + 'AllDisjointProperties', annotations);
+          break;
+        case 'DifferentIndividuals':
+          w.nary(operands, OWL + 'differentFrom', OWL + 'AllDifferent', annotations, 'distinctMembers');
+          break;
+        default: {
+          const predicate = {
+            EquivalentClasses: OWL + 'equivalentClass',
+            EquivalentProperties: OWL + 'equivalentProperty',
+            SameIndividual: OWL + 'sameAs'
+          }[kind];
+          for (let k = 0; k + 1 < operands.length; k++) {
+            w.axiom(operands[k], P(predicate), operands[k + 1], annotations);
+          }
+        }
+      }
+    };
+
+    let ontology = null;
+    while (peek()) {
+      const token = next();
+      if (token.type !== 'keyword' || !FRAME_KEYWORDS.has(token.value)) fail('Expected a frame keyword', token);
+
+      switch (token.value) {
+        case 'Prefix':
+          next();
+          next(); // already recorded in the pre-pass
+          break;
+        case 'Ontology': {
+          const iris = [];
+          while (iris.length < 2 && (isType('iri') || (isType('name') && !isWord('Annotations')))) {
+            iris.push(P(expandName(next())));
+          }
+          ontology = iris[0] ?? w.blank();
+          w.emit(ontology, w.rdfType, P(OWL + 'Ontology'));
+          if (iris[1]) w.emit(ontology, P(OWL + 'versionIRI'), iris[1]);
+          // Import: and Annotations: may interleave before the first entity frame.
+          while (isType('keyword') && (peek().value === 'Annotations' || peek().value === 'Import')) {
+            if (next().value === 'Import') {
+              w.emit(ontology, P(OWL + 'imports'), P(expandName(next())));
+            } else {
+              annotationList().forEach(a => w.emit(ontology, a.property, a.value));
+            }
+          }
+          break;
+        }
+        case 'Import': {
+          const imported = P(expandName(next()));
+          if (ontology) w.emit(ontology, P(OWL + 'imports'), imported);
+          break;
+        }
+        case 'Rule':
+          while (peek() && !(peek().type === 'keyword' && FRAME_KEYWORDS.has(peek().value))) next();
+          break;
+        case 'Class':
+        case 'ObjectProperty':
+        case 'DataProperty':
+        case 'AnnotationProperty':
+        case 'Datatype':
+        case 'Individual': {
+          const subject = entity();
+          const type = token.value === 'Individual' ? 'NamedIndividual' : token.value;
+          if (subject.termType === 'NamedNode') {
+            w.emit(subject, w.rdfType, P(OWL_ENTITY_TYPES[type]));
+          }
+          frame(token.value, subject);
+          break;
+        }
+        default:
+          naryFrame(token.value);
+      }
+    }
+
+    logEvent(fnName, 'parsed', { quadCount: w.quads.length });
+    return w.quads;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
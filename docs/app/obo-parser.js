@@ -0,0 +1,546 @@
+// app/obo-parser.js
+// OBO 1.4 flat file → RDF/JS quads – ES module, pure.
+// Follows the OBO-to-OWL mapping (as implemented by the OWL API) closely enough that
+// buildElementTableModel and extractOntologyMetadata read the result like any OBO-derived OWL file.
+
+import { logEvent, logError } from './core.js';
+
+// Kept local (not NS.*) because core.js imports this module.
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const OBO = 'http://purl.obolibrary.org/obo/';
+const OIO = 'http://www.geneontology.org/formats/oboInOwl#';
+
+// Prefixes that mean a well-known vocabulary rather than an OBO idspace.
+const WELL_KNOWN_PREFIXES = {
+  rdf: RDF,
+  rdfs: RDFS,
+  owl: OWL,
+  xsd: XSD,
+  oboInOwl: OIO,
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  foaf: 'http://xmlns.com/foaf/0.1/'
+};
+
+const SYNONYM_SCOPES = {
+  EXACT: OIO + 'hasExactSynonym',
+  BROAD: OIO + 'hasBroadSynonym',
+  NARROW: OIO + 'hasNarrowSynonym',
+  RELATED: OIO + 'hasRelatedSynonym'
+};
+
+// Tags whose value is a plain string literal.
+const LITERAL_TAGS = {
+  name: RDFS + 'label',
+  comment: RDFS + 'comment',
+  namespace: OIO + 'hasOBONamespace',
+  alt_id: OIO + 'hasAlternativeId',
+  created_by: OIO + 'created_by',
+  creation_date: OIO + 'creation_date',
+  consider: OIO + 'consider',
+  xref: OIO + 'hasDbXref'
+};
+
+// Tags whose value is an identifier, per stanza type.
+const IDENTIFIER_TAGS = {
+  Term: {
+    is_a: RDFS + 'subClassOf',
+    disjoint_from: OWL + 'disjointWith',
+    equivalent_to: OWL + 'equivalentClass',
+    replaced_by: OBO + 'IAO_0100001',
+    subset: OIO + 'inSubset'
+  },
+  Typedef: {
+    is_a: RDFS + 'subPropertyOf',
+    domain: RDFS + 'domain',
+    range: RDFS + 'range',
+    inverse_of: OWL + 'inverseOf',
+    disjoint_from: OWL + 'propertyDisjointWith',
+    equivalent_to: OWL + 'equivalentProperty',
+    replaced_by: OBO + 'IAO_0100001',
+    subset: OIO + 'inSubset'
+  },
+  Instance: {
+    instance_of: RDF + 'type',
+    replaced_by: OBO + 'IAO_0100001',
+    subset: OIO + 'inSubset'
+  }
+};
+
+// Boolean Typedef tags that become property characteristics.
+const CHARACTERISTIC_TAGS = {
+  is_transitive: OWL + 'TransitiveProperty',
+  is_symmetric: OWL + 'SymmetricProperty',
+  is_asymmetric: OWL + 'AsymmetricProperty',
+  is_reflexive: OWL + 'ReflexiveProperty',
+  is_functional: OWL + 'FunctionalProperty',
+  is_inverse_functional: OWL + 'InverseFunctionalProperty'
+};
+
+const STANZA_TYPES = {
+  Term: OWL + 'Class',
+  Typedef: OWL + 'ObjectProperty',
+  Instance: OWL + 'NamedIndividual'
+};
+
+function createOboError(message, line) {
+  const err = new Error(`${message} (line ${line})`);
+  err.context = { line, column: 1 };
+  return err;
+}
+
+/**
+ * Remove a trailing "! comment" and "{qualifier=...}" block, ignoring "!", "{" and "}" inside quotes
+ * or escaped.
+ * @param {string} value
+ * @returns {string}
+ */
+function stripTrailingModifiers(value) {
+  let inQuotes = false;
+  let end = value.length;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (ch === '!' && !inQuotes) {
+      end = i;
+      break;
+    }
+  }
+  return value
+    .slice(0, end)
+    .replace(/\s*(?<!\\)\{[^{}"]*(?<!\\)\}\s*$/, '')
+    .trim();
+}
+
+// The character an OBO escape sequence "\x" stands for: \n and \t, otherwise x itself (\! \{ \: \" \\ ...).
+function unescapeChar(ch) {
+  return ch === 'n' ? '\n' : ch === 't' ? '\t' : ch;
+}
+
+/**
+ * Unescape an unquoted tag value the way readQuoted unescapes quoted strings.
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeOboText(value) {
+  return value.replace(/\\(.)/g, (_, ch) => unescapeChar(ch));
+}
+
+/**
+ * Read a quoted OBO string at the start of `value`, unescaping \" \\ \n \t.
+ * @param {string} value
+ * @param {number} line
+ * @returns {{ text: string, rest: string }}
+ */
+function readQuoted(value, line) {
+  if (value[0] !== '"') throw createOboError('Expected a quoted string', line);
+  let text = '';
+  for (let i = 1; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && i + 1 < value.length) {
+      text += unescapeChar(value[++i]);
+    } else if (ch === '"') {
+      return { text, rest: value.slice(i + 1).trim() };
+    } else {
+      text += ch;
+    }
+  }
+  throw createOboError('Unterminated quoted string', line);
+}
+
+/**
+ * Read a "[XREF:1, XREF:2 "description"]" list; returns the xref identifiers.
+ * @param {string} rest
+ * @returns {{ xrefs: string[], rest: string }}
+ */
+function readXrefList(rest) {
+  const start = rest.indexOf('[');
+  if (start === -1) return { xrefs: [], rest };
+  let inQuotes = false;
+  let end = -1;
+  for (let i = start + 1; i < rest.length; i++) {
+    const ch = rest[i];
+    if (ch === '\\') i++;
+    else if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ']' && !inQuotes) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return { xrefs: [], rest };
+
+  const xrefs = [];
+  let current = '';
+  inQuotes = false;
+  for (const ch of rest.slice(start + 1, end)) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ',' && !inQuotes) {
+      xrefs.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  xrefs.push(current);
+
+  return {
+    xrefs: xrefs
+      .map(x => x.trim().split(/\s+/)[0].replace(/\\(.)/g, '$1'))
+      .filter(Boolean),
+    rest: (rest.slice(0, start) + rest.slice(end + 1)).trim()
+  };
+}
+
+/**
+ * Split an OBO document into a header and stanzas of { tag, value, line } entries.
+ * @param {string} text
+ * @returns {{ header: object[], stanzas: Array<{ type: string, line: number, tags: object[] }> }}
+ */
+function readOboStructure(text) {
+  const header = [];
+  const stanzas = [];
+  let current = null;
+  let pending = '';
+  let pendingLine = 0;
+
+  const lines = String(text ?? '').replace(/^﻿/, '').split(/\r?\n/);
+  lines.forEach((rawLine, idx) => {
+    const lineNo = idx + 1;
+    // A trailing backslash continues the value on the next line.
+    if (!pending) pendingLine = lineNo;
+    const joined = pending + rawLine;
+    if (/(^|[^\\])\\$/.test(joined)) {
+      pending = joined.slice(0, -1);
+      return;
+    }
+    pending = '';
+
+    const line = joined.trim();
+    if (!line || line.startsWith('!')) return;
+
+    const stanzaMatch = line.match(/^\[([A-Za-z]+)\]\s*(!.*)?$/);
+    if (stanzaMatch) {
+      current = { type: stanzaMatch[1], line: pendingLine, tags: [] };
+      stanzas.push(current);
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      throw createOboError(`Expected "tag: value" but found "${line.slice(0, 40)}"`, pendingLine);
+    }
+    const entry = {
+      tag: line.slice(0, colon).trim(),
+      value: line.slice(colon + 1).trim(),
+      line: pendingLine
+    };
+    (current ? current.tags : header).push(entry);
+  });
+
+  return { header, stanzas };
+}
+
+/**
+ * Parse an OBO 1.4 flat file into quads (default graph).
+ *
+ * [Term] → owl:Class, [Typedef] → owl:ObjectProperty (owl:AnnotationProperty when is_metadata_tag),
+ * [Instance] → owl:NamedIndividual. name → rdfs:label, def → obo:IAO_0000115 (xrefs as axiom
+ * annotations), synonym → oboInOwl:has{Exact,Broad,Narrow,Related}Synonym, is_a → rdfs:subClassOf /
+ * rdfs:subPropertyOf, relationship / intersection_of / union_of → OWL class expressions,
+ * xref → oboInOwl:hasDbXref, is_obsolete → owl:deprecated. Header tags describe the owl:Ontology.
+ *
+ * @param {string} text
+ * @param {{ factory: import('n3').DataFactory, onPrefix?: (prefix: string, namespace: string) => void }} options
+ * @returns {import('n3').Quad[]}
+ */
+export function parseObo(text, options = {}) {
+  const fnName = 'parseObo';
+  logEvent(fnName, 'start');
+
+  try {
+    const { factory, onPrefix = () => {} } = options;
+    if (!factory) {
+      throw new Error('parseObo requires a DataFactory (options.factory)');
+    }
+
+    const { header, stanzas } = readOboStructure(text);
+    const quads = [];
+    const idspaces = new Map();
+    const shorthands = new Map();
+    const ontologyId = header.find(h => h.tag === 'ontology')?.value.trim() || null;
+
+    header
+      .filter(h => h.tag === 'idspace')
+      .forEach(h => {
+        const [prefix, iriBase] = h.value.split(/\s+/);
+        if (prefix && iriBase) idspaces.set(prefix, iriBase);
+      });
+
+    // Report each namespace once: obo/oboInOwl, declared idspaces, and default "PFX:" → obo:PFX_ ones.
+    const reported = new Set();
+    const reportPrefix = (prefix, namespace) => {
+      if (reported.has(prefix)) return;
+      reported.add(prefix);
+      onPrefix(prefix, namespace);
+    };
+    reportPrefix('obo', OBO);
+    reportPrefix('oboInOwl', OIO);
+    idspaces.forEach((iriBase, prefix) => reportPrefix(prefix, iriBase));
+
+    // Unprefixed Typedef ids ("part_of") take the IRI of their first prefixed xref ("BFO:0000050").
+    stanzas
+      .filter(s => s.type === 'Typedef')
+      .forEach(s => {
+        const id = s.tags.find(t => t.tag === 'id')?.value;
+        const xref = s.tags.find(t => t.tag === 'xref');
+        if (id && !id.includes(':') && xref) {
+          const target = stripTrailingModifiers(xref.value).split(/\s+/)[0];
+          if (target.includes(':')) shorthands.set(id, target);
+        }
+      });
+
+    const expandId = rawId => {
+      const id = shorthands.get(rawId) ?? rawId;
+      if (/^(https?|urn|ftp):/i.test(id)) return id;
+      const colon = id.indexOf(':');
+      if (colon > 0) {
+        const prefix = id.slice(0, colon);
+        const local = id.slice(colon + 1);
+        if (idspaces.has(prefix)) return idspaces.get(prefix) + local;
+        if (WELL_KNOWN_PREFIXES[prefix]) return WELL_KNOWN_PREFIXES[prefix] + local;
+        reportPrefix(prefix, `${OBO}${prefix}_`);
+        return `${OBO}${prefix}_${local}`;
+      }
+      return `${OBO}${ontologyId || 'unknown'}#${id}`;
+    };
+
+    const iri = id => factory.namedNode(expandId(id));
+    const pred = value => factory.namedNode(value);
+    const emit = (s, p, o) => quads.push(factory.quad(s, p, o));
+    const rdfType = pred(RDF + 'type');
+
+    const annotateAxiom = (subject, predicate, object, xrefs, extra = []) => {
+      if (!xrefs.length && !extra.length) return;
+      const axiom = factory.blankNode();
+      emit(axiom, rdfType, pred(OWL + 'Axiom'));
+      emit(axiom, pred(OWL + 'annotatedSource'), subject);
+      emit(axiom, pred(OWL + 'annotatedProperty'), predicate);
+      emit(axiom, pred(OWL + 'annotatedTarget'), object);
+      xrefs.forEach(x => emit(axiom, pred(OIO + 'hasDbXref'), factory.literal(x)));
+      extra.forEach(([p, o]) => emit(axiom, p, o));
+    };
+
+    const someValuesFrom = (relation, filler) => {
+      const restriction = factory.blankNode();
+      emit(restriction, rdfType, pred(OWL + 'Restriction'));
+      emit(restriction, pred(OWL + 'onProperty'), iri(relation));
+      emit(restriction, pred(OWL + 'someValuesFrom'), iri(filler));
+      return restriction;
+    };
+
+    const buildList = items => {
+      let head = pred(RDF + 'nil');
+      for (let i = items.length - 1; i >= 0; i--) {
+        const cell = factory.blankNode();
+        emit(cell, pred(RDF + 'first'), items[i]);
+        emit(cell, pred(RDF + 'rest'), head);
+        head = cell;
+      }
+      return head;
+    };
+
+    const emitPropertyValue = (subject, entry) => {
+      const value = stripTrailingModifiers(entry.value);
+      const space = value.search(/\s/);
+      if (space === -1) throw createOboError('property_value needs a property and a value', entry.line);
+      const property = iri(value.slice(0, space));
+      const rest = value.slice(space + 1).trim();
+
+      if (rest.startsWith('"')) {
+        const { text: literalText, rest: after } = readQuoted(rest, entry.line);
+        const datatype = after.split(/\s+/)[0];
+        emit(subject, property, datatype ? factory.literal(literalText, iri(datatype)) : factory.literal(literalText));
+      } else {
+        const [target, datatype] = rest.split(/\s+/);
+        emit(subject, property, datatype ? factory.literal(unescapeOboText(target), iri(datatype)) : iri(target));
+      }
+    };
+
+    // ---- header → owl:Ontology ------------------------------------------------
+
+    if (ontologyId) {
+      const ontologyIri = /^https?:/i.test(ontologyId) ? ontologyId : `${OBO}${ontologyId}.owl`;
+      const ontology = factory.namedNode(ontologyIri);
+      emit(ontology, rdfType, pred(OWL + 'Ontology'));
+
+      header.forEach(entry => {
+        const value = entry.value;
+        switch (entry.tag) {
+          case 'format-version':
+            emit(ontology, pred(OIO + 'hasOBOFormatVersion'), factory.literal(value));
+            break;
+          case 'data-version':
+            emit(ontology, pred(OWL + 'versionInfo'), factory.literal(value));
+            if (!/^https?:/i.test(ontologyId)) {
+              emit(ontology, pred(OWL + 'versionIRI'), factory.namedNode(`${OBO}${ontologyId}/${value}/${ontologyId}.owl`));
+            }
+            break;
+          case 'date':
+            emit(ontology, pred(OIO + 'date'), factory.literal(value));
+            break;
+          case 'saved-by':
+            emit(ontology, pred(OIO + 'savedBy'), factory.literal(value));
+            break;
+          case 'default-namespace':
+            emit(ontology, pred(OIO + 'hasDefaultNamespace'), factory.literal(value));
+            break;
+          case 'remark':
+            emit(ontology, pred(RDFS + 'comment'), factory.literal(value));
+            break;
+          case 'import':
+            emit(ontology, pred(OWL + 'imports'), factory.namedNode(
+              /^https?:/i.test(value) ? value : `${OBO}${value.replace(/\.owl$/, '')}.owl`
+            ));
+            break;
+          case 'property_value':
+            emitPropertyValue(ontology, entry);
+            break;
+          case 'subsetdef':
+          case 'synonymtypedef': {
+            const [id] = value.split(/\s+/);
+            const subject = iri(id);
+            const parent = entry.tag === 'subsetdef' ? 'SubsetProperty' : 'SynonymTypeProperty';
+            emit(subject, rdfType, pred(OWL + 'AnnotationProperty'));
+            emit(subject, pred(RDFS + 'subPropertyOf'), pred(OIO + parent));
+            const quoted = value.indexOf('"');
+            if (quoted !== -1) {
+              emit(subject, pred(RDFS + 'comment'), factory.literal(readQuoted(value.slice(quoted), entry.line).text));
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    }
+
+    // ---- stanzas ----------------------------------------------------------------
+
+    stanzas.forEach(stanza => {
+      if (!STANZA_TYPES[stanza.type]) return; // unknown stanza types are skipped
+
+      const idEntry = stanza.tags.find(t => t.tag === 'id');
+      if (!idEntry) throw createOboError(`[${stanza.type}] stanza has no id`, stanza.line);
+
+      const rawId = stripTrailingModifiers(idEntry.value);
+      const subject = iri(rawId);
+      const isMetadataTag = stanza.tags.some(t => t.tag === 'is_metadata_tag' && /^true\b/.test(t.value));
+      const mainType = stanza.type === 'Typedef' && isMetadataTag ? OWL + 'AnnotationProperty' : STANZA_TYPES[stanza.type];
+
+      emit(subject, rdfType, pred(mainType));
+      emit(subject, pred(OIO + 'id'), factory.literal(rawId));
+
+      const intersection = [];
+      const union = [];
+
+      stanza.tags.forEach(entry => {
+        const { tag } = entry;
+        if (tag === 'id' || tag === 'is_metadata_tag') return;
+
+        if (tag === 'def') {
+          const { text: definition, rest } = readQuoted(entry.value, entry.line);
+          const object = factory.literal(definition);
+          const predicate = pred(OBO + 'IAO_0000115');
+          emit(subject, predicate, object);
+          annotateAxiom(subject, predicate, object, readXrefList(rest).xrefs);
+          return;
+        }
+
+        if (tag === 'synonym') {
+          const { text: synonym, rest } = readQuoted(entry.value, entry.line);
+          const { xrefs, rest: beforeXrefs } = readXrefList(rest);
+          const [scope = 'RELATED', synonymType] = beforeXrefs.split(/\s+/).filter(Boolean);
+          const predicate = pred(SYNONYM_SCOPES[scope.toUpperCase()] || SYNONYM_SCOPES.RELATED);
+          const object = factory.literal(synonym);
+          emit(subject, predicate, object);
+          annotateAxiom(
+            subject,
+            predicate,
+            object,
+            xrefs,
+            synonymType ? [[pred(OIO + 'hasSynonymType'), iri(synonymType)]] : []
+          );
+          return;
+        }
+
+        if (tag === 'property_value') {
+          emitPropertyValue(subject, entry);
+          return;
+        }
+
+        const value = stripTrailingModifiers(entry.value);
+
+        if (LITERAL_TAGS[tag]) {
+          const literalValue = value.startsWith('"')
+            ? readQuoted(value, entry.line).text
+            : unescapeOboText(tag === 'xref' ? value.split(/\s+/)[0] : value);
+          emit(subject, pred(LITERAL_TAGS[tag]), factory.literal(literalValue));
+          return;
+        }
+
+        if (tag === 'is_obsolete') {
+          if (/^true$/i.test(value)) {
+            emit(subject, pred(OWL + 'deprecated'), factory.literal('true', pred(XSD + 'boolean')));
+          }
+          return;
+        }
+
+        if (stanza.type === 'Typedef' && CHARACTERISTIC_TAGS[tag]) {
+          if (/^true$/i.test(value)) emit(subject, rdfType, pred(CHARACTERISTIC_TAGS[tag]));
+          return;
+        }
+
+        if (stanza.type === 'Term' && tag === 'relationship') {
+          const [relation, filler] = value.split(/\s+/);
+          if (relation && filler) {
+            emit(subject, pred(RDFS + 'subClassOf'), someValuesFrom(relation, filler));
+          }
+          return;
+        }
+
+        if (stanza.type === 'Term' && (tag === 'intersection_of' || tag === 'union_of')) {
+          const parts = value.split(/\s+/);
+          const operand = parts.length > 1 ? someValuesFrom(parts[0], parts[1]) : iri(parts[0]);
+          (tag === 'intersection_of' ? intersection : union).push(operand);
+          return;
+        }
+
+        const identifierPredicate = IDENTIFIER_TAGS[stanza.type][tag];
+        if (identifierPredicate) {
+          emit(subject, pred(identifierPredicate), iri(value.split(/\s+/)[0]));
+        }
+      });
+
+      [[intersection, 'intersectionOf'], [union, 'unionOf']].forEach(([operands, keyword]) => {
+        if (!operands.length) return;
+        const expression = factory.blankNode();
+        emit(expression, rdfType, pred(OWL + 'Class'));
+        emit(expression, pred(OWL + keyword), buildList(operands));
+        emit(subject, pred(OWL + 'equivalentClass'), expression);
+      });
+    });
+
+    logEvent(fnName, 'parsed', { quadCount: quads.length, stanzaCount: stanzas.length });
+    return quads;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
@@ -0,0 +1,499 @@
+// app/owl-functional-parser.js
+// OWL 2 Functional-Style Syntax (.ofn) → RDF/JS quads – ES module, pure.
+// Tokenizes into a nested call tree, then maps axioms to triples via owl-rdf-writer.js.
+
+import { logEvent, logError } from './core.js';
+import { createOwlRdfWriter, OWL_RDF_NS, OWL_ENTITY_TYPES, OWL_CHARACTERISTIC_TYPES } from './owl-rdf-writer.js';
+
+const { rdf: RDF, rdfs: RDFS, owl: OWL, xsd: XSD } = OWL_RDF_NS;
+
+function createSyntaxError(message, line, column) {
+  const err = new Error(`${message} (line ${line}, column ${column})`);
+  err.context = { line, column };
+  return err;
+}
+
+/**
+ * Split functional syntax into tokens with positions.
+ * @param {string} text
+ * @returns {Array<{ type: string, value: string, line: number, column: number }>}
+ */
+function tokenizeFunctional(text) {
+  const tokens = [];
+  const src = String(text ?? '');
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, start) => tokens.push({ type, value, line, column: start - lineStart + 1 });
+
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(ch)) {
+      pos++;
+    } else if (ch === '#') {
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    } else if (ch === '(' || ch === ')' || ch === '=') {
+      push(ch, ch, pos);
+      pos++;
+    } else if (ch === '^' && src[pos + 1] === '^') {
+      push('^^', '^^', pos);
+      pos += 2;
+    } else if (ch === '<') {
+      const end = src.indexOf('>', pos);
+      if (end === -1) throw createSyntaxError('Unterminated IRI', line, pos - lineStart + 1);
+      push('iri', src.slice(pos + 1, end), pos);
+      pos = end + 1;
+    } else if (ch === '"') {
+      const start = pos;
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= src.length) throw createSyntaxError('Unterminated string', line, start - lineStart + 1);
+        const c = src[pos];
+        if (c === '\\') {
+          value += src[pos + 1];
+          pos += 2;
+        } else if (c === '"') {
+          pos++;
+          break;
+        } else {
+          if (c === '\n') {
+            line++;
+            lineStart = pos + 1;
+          }
+          value += c;
+          pos++;
+        }
+      }
+      tokens.push({ type: 'string', value, line, column: start - lineStart + 1 });
+    } else if (ch === '@') {
+      const m = /^@[A-Za-z]+(-[A-Za-z0-9]+)*/.exec(src.slice(pos, pos + 64));
+      if (!m) throw createSyntaxError('Invalid language tag', line, pos - lineStart + 1);
+      push('lang', m[0].slice(1), pos);
+      pos += m[0].length;
+    } else {
+      const m = /^[^\s()"<>=^@#]+/.exec(src.slice(pos, pos + 2048));
+      push('name', m[0], pos);
+      pos += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Build the call tree: Name(args...) | (group) | iri | pname | literal | bnode | integer.
+ */
+function parseFunctionalTree(tokens) {
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const fail = (message, token = peek()) => {
+    if (!token) {
+      const last = tokens[tokens.length - 1];
+      throw createSyntaxError(`${message} at end of input`, last?.line ?? 1, last?.column ?? 1);
+    }
+    throw createSyntaxError(`${message} near "${token.value}"`, token.line, token.column);
+  };
+
+  const parseArg = () => {
+    const token = tokens[i++];
+    if (!token) fail('Unexpected end of input');
+
+    if (token.type === 'iri') return { kind: 'iri', value: token.value };
+
+    // Bare parenthesized groups only occur in HasKey(CE (OPE*) (DPE*)).
+    if (token.type === '(') {
+      const args = [];
+      while (peek() && peek().type !== ')') args.push(parseArg());
+      if (!peek()) fail('Unclosed (', token);
+      i++;
+      return { kind: 'group', args };
+    }
+
+    if (token.type === 'string') {
+      const literal = { kind: 'literal', value: token.value, lang: null, datatype: null };
+      if (peek()?.type === 'lang') {
+        literal.lang = tokens[i++].value;
+      } else if (peek()?.type === '^^') {
+        i++;
+        const dt = tokens[i++];
+        if (!dt || (dt.type !== 'iri' && dt.type !== 'name')) fail('Expected a datatype after ^^', dt);
+        literal.datatype = dt.type === 'iri' ? { kind: 'iri', value: dt.value } : { kind: 'pname', value: dt.value };
+      }
+      return literal;
+    }
+
+    if (token.type === 'name') {
+      // Constructor names never contain ':'; `:Dog (:p)` is a pname followed by a group.
+      if (peek()?.type === '(' && /^[A-Za-z]+$/.test(token.value)) {
+        i++;
+        const args = [];
+        while (peek() && peek().type !== ')') {
+          if (peek().type === '=') {
+            args.push({ kind: '=' });
+            i++;
+          } else {
+            args.push(parseArg());
+          }
+        }
+        if (!peek()) fail(`Unclosed ${token.value}(`, token);
+        i++;
+        return { kind: 'call', name: token.value, args, line: token.line, column: token.column };
+      }
+      if (token.value.startsWith('_:')) return { kind: 'bnode', value: token.value.slice(2) };
+      if (/^\d+$/.test(token.value)) return { kind: 'integer', value: Number(token.value) };
+      return { kind: 'pname', value: token.value, line: token.line, column: token.column };
+    }
+
+    return fail('Unexpected token', token);
+  };
+
+  const items = [];
+  while (i < tokens.length) items.push(parseArg());
+  return items;
+}
+
+/**
+ * Parse an OWL 2 Functional-Style Syntax document into quads (default graph).
+ *
+ * Handles Prefix/Ontology/Import, ontology and axiom annotations, declarations,
+ * annotation assertions, class / property / individual axioms and the full set of
+ * class expressions and data ranges. SWRL rules are skipped.
+ *
+ * @param {string} text
+ * @param {{ factory: import('n3').DataFactory, onPrefix?: (prefix: string, namespace: string) => void }} options
+ * @returns {import('n3').Quad[]}
+ */
+export function parseOwlFunctional(text, options = {}) {
+  const fnName = 'parseOwlFunctional';
+  logEvent(fnName, 'start');
+
+  try {
+    const { factory, onPrefix = () => {} } = options;
+    if (!factory) {
+      throw new Error('parseOwlFunctional requires a DataFactory (options.factory)');
+    }
+
+    const tree = parseFunctionalTree(tokenizeFunctional(text));
+    const w = createOwlRdfWriter(factory);
+    const prefixes = new Map([
+      ['rdf:', RDF], ['rdfs:', RDFS], ['owl:', OWL], ['xsd:', XSD], ['xml:', OWL_RDF_NS.xml]
+    ]);
+
+    const fail = (message, at) => {
+      throw createSyntaxError(message, at?.line ?? 1, at?.column ?? 1);
+    };
+
+    const expand = n => {
+      if (n.kind === 'iri') return n.value;
+      if (n.kind !== 'pname') fail(`Expected an IRI, found ${n.kind}`, n);
+      const colon = n.value.indexOf(':');
+      const prefix = colon === -1 ? ':' : n.value.slice(0, colon + 1);
+      if (!prefixes.has(prefix)) fail(`Undeclared prefix "${prefix}"`, n);
+      return prefixes.get(prefix) + n.value.slice(colon + 1);
+    };
+
+    const named = n => w.node(expand(n));
+
+    const literal = n => {
+      if (n.lang) return factory.literal(n.value, n.lang.toLowerCase());
+      if (n.datatype) return factory.literal(n.value, named(n.datatype));
+      return factory.literal(n.value);
+    };
+
+    const individual = n => (n.kind === 'bnode' ? w.blankNodeFor(n.value) : named(n));
+
+    // Annotation values and subjects: IRI, anonymous individual or literal.
+    const annotationTerm = n => {
+      if (n.kind === 'literal') return literal(n);
+      if (n.kind === 'bnode') return w.blankNodeFor(n.value);
+      return named(n);
+    };
+
+    const isCall = (n, name) => n.kind === 'call' && (!name || n.name === name);
+
+    const splitAnnotations = args => {
+      const annotations = [];
+      let idx = 0;
+      while (idx < args.length && isCall(args[idx], 'Annotation')) {
+        annotations.push(annotation(args[idx]));
+        idx++;
+      }
+      return { annotations, rest: args.slice(idx) };
+    };
+
+    // Annotation(annotations* P V) – nested annotations on annotations are dropped.
+    const annotation = n => {
+      const { rest } = splitAnnotations(n.args);
+      if (rest.length !== 2) fail('Annotation needs a property and a value', n);
+      return { property: named(rest[0]), value: annotationTerm(rest[1]) };
+    };
+
+    const objectProperty = n => {
+      if (isCall(n, 'ObjectInverseOf')) return w.inverseOf(named(n.args[0]));
+      return named(n);
+    };
+
+    const dataRange = n => {
+      if (!isCall(n)) return named(n);
+      switch (n.name) {
+        case 'DataIntersectionOf':
+          return w.combination('intersectionOf', n.args.map(dataRange), true);
+        case 'DataUnionOf':
+          return w.combination('unionOf', n.args.map(dataRange), true);
+        case 'DataComplementOf':
+          return w.combination('complementOf', [dataRange(n.args[0])], true);
+        case 'DataOneOf':
+          return w.combination('oneOf', n.args.map(literal), true);
+        case 'DatatypeRestriction': {
+          const [datatype, ...pairs] = n.args;
+          const facets = [];
+          for (let k = 0; k < pairs.length; k += 2) {
+            facets.push({ facet: named(pairs[k]), value: literal(pairs[k + 1]) });
+          }
+          return w.datatypeRestriction(named(datatype), facets);
+        }
+        default:
+          return fail(`Unknown data range ${n.name}`, n);
+      }
+    };
+
+    const cardinality = (n, kind, data) => {
+      const [count, property, filler] = n.args;
+      if (count?.kind !== 'integer') fail(`${n.name} needs a cardinality`, n);
+      return w.restriction(data ? named(property) : objectProperty(property), kind, {
+        cardinality: count.value,
+        filler: filler ? (data ? dataRange(filler) : classExpression(filler)) : null,
+        data
+      });
+    };
+
+    const classExpression = n => {
+      if (!isCall(n)) return named(n);
+      const [a, b] = n.args;
+      switch (n.name) {
+        case 'ObjectIntersectionOf':
+          return w.combination('intersectionOf', n.args.map(classExpression));
+        case 'ObjectUnionOf':
+          return w.combination('unionOf', n.args.map(classExpression));
+        case 'ObjectComplementOf':
+          return w.combination('complementOf', [classExpression(a)]);
+        case 'ObjectOneOf':
+          return w.combination('oneOf', n.args.map(individual));
+        case 'ObjectSomeValuesFrom':
+          return w.restriction(objectProperty(a), 'some', { filler: classExpression(b) });
+        case 'ObjectAllValuesFrom':
+          return w.restriction(objectProperty(a), 'only', { filler: classExpression(b) });
+        case 'ObjectHasValue':
+          return w.restriction(objectProperty(a), 'value', { filler: individual(b) });
+        case 'ObjectHasSelf':
+          return w.restriction(objectProperty(a), 'self');
+        case 'ObjectMinCardinality':
+          return cardinality(n, 'min', false);
+        case 'ObjectMaxCardinality':
+          return cardinality(n, 'max', false);
+        case 'ObjectExactCardinality':
+          return cardinality(n, 'exactly', false);
+        case 'DataSomeValuesFrom':
+          return w.restriction(named(a), 'some', { filler: dataRange(n.args[n.args.length - 1]) });
+        case 'DataAllValuesFrom':
+          return w.restriction(named(a), 'only', { filler: dataRange(n.args[n.args.length - 1]) });
+        case 'DataHasValue':
+          return w.restriction(named(a), 'value', { filler: literal(b) });
+        case 'DataMinCardinality':
+          return cardinality(n, 'min', true);
+        case 'DataMaxCardinality':
+          return cardinality(n, 'max', true);
+        case 'DataExactCardinality':
+          return cardinality(n, 'exactly', true);
+        default:
+          return fail(`Unknown class expression ${n.name}`, n);
+      }
+    };
+
+    const P = local => w.node(local);
+
+    const handleAxiom = n => {
+      if (!isCall(n)) fail('Expected an axiom', n);
+      const { annotations, rest: args } = splitAnnotations(n.args);
+      const [a, b] = args;
+
+      switch (n.name) {
+        case 'Declaration': {
+          const entity = args[0];
+          if (!isCall(entity) || !OWL_ENTITY_TYPES[entity.name]) fail('Malformed Declaration', n);
+          w.axiom(named(entity.args[0]), w.rdfType, P(OWL_ENTITY_TYPES[entity.name]), annotations);
+          return;
+        }
+        case 'AnnotationAssertion':
+          w.axiom(annotationTerm(b), named(a), annotationTerm(args[2]), annotations);
+          return;
+        case 'SubAnnotationPropertyOf':
+        case 'SubDataPropertyOf':
+          w.axiom(named(a), P(RDFS + 'subPropertyOf'), named(b), annotations);
+          return;
+        case 'SubObjectPropertyOf':
+          if (isCall(a, 'ObjectPropertyChain')) {
+            w.axiom(objectProperty(b), P(OWL + 'propertyChainAxiom'), w.list(a.args.map(objectProperty)), annotations);
+          } else {
+            w.axiom(objectProperty(a), P(RDFS + 'subPropertyOf'), objectProperty(b), annotations);
+          }
+          return;
+        case 'AnnotationPropertyDomain':
+        case 'ObjectPropertyDomain':
+        case 'DataPropertyDomain': {
+          const property = n.name === 'ObjectPropertyDomain' ? objectProperty(a) : named(a);
+          const domain = n.name === 'AnnotationPropertyDomain' ? named(b) : classExpression(b);
+          w.axiom(property, P(RDFS + 'domain'), domain, annotations);
+          return;
+        }
+        case 'AnnotationPropertyRange':
+          w.axiom(named(a), P(RDFS + 'range'), named(b), annotations);
+          return;
+        case 'ObjectPropertyRange':
+          w.axiom(objectProperty(a), P(RDFS + 'range'), classExpression(b), annotations);
+          return;
+        case 'DataPropertyRange':
+          w.axiom(named(a), P(RDFS + 'range'), dataRange(b), annotations);
+          return;
+        case 'SubClassOf':
+          w.axiom(classExpression(a), P(RDFS + 'subClassOf'), classExpression(b), annotations);
+          return;
+        case 'EquivalentClasses': {
+          const operands = args.map(classExpression);
+          for (let k = 0; k + 1 < operands.length; k++) {
+            w.axiom(operands[k], P(OWL + 'equivalentClass'), operands[k + 1], annotations);
+          }
+          return;
+        }
+        case 'DisjointClasses':
+          w.nary(args.map(classExpression), OWL + 'disjointWith', OWL + 'AllDisjointClasses', annotations);
+          return;
+        case 'DisjointUnion':
+          w.axiom(named(a), P(OWL + 'disjointUnionOf'), w.list(args.slice(1).map(classExpression)), annotations);
+          return;
+        case 'EquivalentObjectProperties':
+        case 'EquivalentDataProperties': {
+          const toProperty = n.name === 'EquivalentObjectProperties' ? objectProperty : named;
+          const operands = args.map(toProperty);
+          for (let k = 0; k + 1 < operands.length; k++) {
+            w.axiom(operands[k], P(OWL + 'equivalentProperty'), operands[k + 1], annotations);
+          }
+          return;
+        }
+        case 'DisjointObjectProperties':
+        case 'DisjointDataProperties': {
+          const toProperty = n.name === 'DisjointObjectProperties' ? objectProperty : named;
+          w.nary(args.map(toProperty), OWL + 'propertyDisjointWith', OWL + 'AllDisjointProperties', annotations);
+          return;
+        }
+        case 'InverseObjectProperties':
+          w.axiom(objectProperty(a), P(OWL + 'inverseOf'), objectProperty(b), annotations);
+          return;
+        case 'FunctionalObjectProperty':
+        case 'InverseFunctionalObjectProperty':
+        case 'ReflexiveObjectProperty':
+        case 'IrreflexiveObjectProperty':
+        case 'SymmetricObjectProperty':
+        case 'AsymmetricObjectProperty':
+        case 'TransitiveObjectProperty':
+          w.axiom(objectProperty(a), w.rdfType, P(OWL_CHARACTERISTIC_TYPES[n.name.replace('ObjectProperty', '')]), annotations);
+          return;
+        case 'FunctionalDataProperty':
+          w.axiom(named(a), w.rdfType, P(OWL + 'FunctionalProperty'), annotations);
+          return;
+        case 'DatatypeDefinition':
+          w.axiom(named(a), P(OWL + 'equivalentClass'), dataRange(b), annotations);
+          return;
+        case 'HasKey': {
+          const keys = args.slice(1).flatMap(group =>
+            (group.kind === 'group' ? group.args.map(objectProperty) : [objectProperty(group)])
+          );
+          w.axiom(classExpression(a), P(OWL + 'hasKey'), w.list(keys), annotations);
+          return;
+        }
+        case 'ClassAssertion':
+          w.axiom(individual(b), w.rdfType, classExpression(a), annotations);
+          return;
+        case 'ObjectPropertyAssertion':
+          w.axiom(individual(b), objectProperty(a), individual(args[2]), annotations);
+          return;
+        case 'DataPropertyAssertion':
+          w.axiom(individual(b), named(a), literal(args[2]), annotations);
+          return;
+        case 'NegativeObjectPropertyAssertion':
+        case 'NegativeDataPropertyAssertion': {
+          const x = w.blank();
+          const data = n.name === 'NegativeDataPropertyAssertion';
+          w.emit(x, w.rdfType, P(OWL + 'NegativePropertyAssertion'));
+          w.emit(x, P(OWL + 'sourceIndividual'), individual(b));
+          w.emit(x, P(OWL + 'assertionProperty'), data ? named(a) : objectProperty(a));
+          w.emit(x, P(OWL + (data ? 'targetValue' : 'targetIndividual')), data ? literal(args[2]) : individual(args[2]));
+          annotations.forEach(ann => w.emit(x, ann.property, ann.value));
+          return;
+        }
+        case 'SameIndividual': {
+          const operands = args.map(individual);
+          for (let k = 0; k + 1 < operands.length; k++) {
+            w.axiom(operands[k], P(OWL + 'sameAs'), operands[k + 1], annotations);
+          }
+          return;
+        }
+        case 'DifferentIndividuals':
+          w.nary(args.map(individual), OWL + 'differentFrom', OWL + 'AllDifferent', annotations, 'distinctMembers');
+          return;
+        case 'DLSafeRule':
+          return; // SWRL is out of scope for tabulation
+        default:
+          fail(`Unknown axiom ${n.name}`, n);
+      }
+    };
+
+    let ontologySeen = false;
+    tree.forEach(item => {
+      if (isCall(item, 'Prefix')) {
+        // Prefix(ex:=<http://example.org/>) tokenizes as [pname "ex:", "=", iri]
+        const [name, , iri] = item.args;
+        if (!name || name.kind !== 'pname' || iri?.kind !== 'iri') fail('Malformed Prefix declaration', item);
+        const prefix = name.value.endsWith(':') ? name.value : `${name.value}:`;
+        prefixes.set(prefix, iri.value);
+        onPrefix(prefix.slice(0, -1), iri.value);
+        return;
+      }
+      if (!isCall(item, 'Ontology')) fail('Expected Prefix(...) or Ontology(...)', item);
+      if (ontologySeen) fail('Only one Ontology(...) is allowed per document', item);
+      ontologySeen = true;
+
+      const args = [...item.args];
+      const ontologyIris = [];
+      while (args.length && (args[0].kind === 'iri' || args[0].kind === 'pname') && ontologyIris.length < 2) {
+        ontologyIris.push(args.shift());
+      }
+      const ontology = ontologyIris.length ? named(ontologyIris[0]) : w.blank();
+      w.emit(ontology, w.rdfType, P(OWL + 'Ontology'));
+      if (ontologyIris[1]) w.emit(ontology, P(OWL + 'versionIRI'), named(ontologyIris[1]));
+
+      args.forEach(arg => {
+        if (isCall(arg, 'Import')) {
+          w.emit(ontology, P(OWL + 'imports'), named(arg.args[0]));
+        } else if (isCall(arg, 'Annotation')) {
+          const { property, value } = annotation(arg);
+          w.emit(ontology, property, value);
+        } else {
+          handleAxiom(arg);
+        }
+      });
+    });
+
+    logEvent(fnName, 'parsed', { quadCount: w.quads.length });
+    return w.quads;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
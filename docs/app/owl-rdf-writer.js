@@ -0,0 +1,206 @@
+// app/owl-rdf-writer.js
+// Shared OWL 2 → RDF mapping helpers (W3C "OWL 2 Mapping to RDF Graphs", table 1–3)
+// used by the Functional Syntax and Manchester Syntax parsers. ES module, pure.
+
+// Kept local (not NS.*) because core.js imports the parsers that import this module.
+export const OWL_RDF_NS = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+};
+
+const { rdf: RDF, rdfs: RDFS, owl: OWL, xsd: XSD } = OWL_RDF_NS;
+
+// Entity kinds as used in Declaration(...) / Manchester frames → rdf:type.
+export const OWL_ENTITY_TYPES = {
+  Class: OWL + 'Class',
+  ObjectProperty: OWL + 'ObjectProperty',
+  DataProperty: OWL + 'DatatypeProperty',
+  AnnotationProperty: OWL + 'AnnotationProperty',
+  NamedIndividual: OWL + 'NamedIndividual',
+  Datatype: RDFS + 'Datatype'
+};
+
+// Property characteristics → rdf:type.
+export const OWL_CHARACTERISTIC_TYPES = {
+  Functional: OWL + 'FunctionalProperty',
+  InverseFunctional: OWL + 'InverseFunctionalProperty',
+  Reflexive: OWL + 'ReflexiveProperty',
+  Irreflexive: OWL + 'IrreflexiveProperty',
+  Symmetric: OWL + 'SymmetricProperty',
+  Asymmetric: OWL + 'AsymmetricProperty',
+  Transitive: OWL + 'TransitiveProperty'
+};
+
+/**
+ * Create a writer that collects quads (default graph) for OWL constructs.
+ * @param {import('n3').DataFactory} factory
+ */
+export function createOwlRdfWriter(factory) {
+  const quads = [];
+  const blankNodes = new Map();
+
+  const node = iri => factory.namedNode(iri);
+  const rdfType = node(RDF + 'type');
+
+  const emit = (s, p, o) => {
+    quads.push(factory.quad(s, p, o));
+  };
+
+  const blank = () => factory.blankNode();
+
+  // Anonymous individuals (_:x) keep their identity within one document.
+  const blankNodeFor = label => {
+    if (!blankNodes.has(label)) blankNodes.set(label, factory.blankNode());
+    return blankNodes.get(label);
+  };
+
+  const list = items => {
+    let head = node(RDF + 'nil');
+    for (let i = items.length - 1; i >= 0; i--) {
+      const cell = blank();
+      emit(cell, node(RDF + 'first'), items[i]);
+      emit(cell, node(RDF + 'rest'), head);
+      head = cell;
+    }
+    return head;
+  };
+
+  /**
+   * Emit s p o, reifying it as an owl:Axiom when it carries annotations.
+   * @param {object} s
+   * @param {object} p
+   * @param {object} o
+   * @param {Array<{ property: object, value: object }>} [annotations]
+   */
+  const axiom = (s, p, o, annotations = []) => {
+    emit(s, p, o);
+    if (!annotations.length) return;
+    const reified = blank();
+    emit(reified, rdfType, node(OWL + 'Axiom'));
+    emit(reified, node(OWL + 'annotatedSource'), s);
+    emit(reified, node(OWL + 'annotatedProperty'), p);
+    emit(reified, node(OWL + 'annotatedTarget'), o);
+    annotations.forEach(a => emit(reified, a.property, a.value));
+  };
+
+  const nonNegativeInteger = n => factory.literal(String(n), node(XSD + 'nonNegativeInteger'));
+
+  /**
+   * Restriction class expression.
+   * kind: 'some' | 'only' | 'value' | 'self' | 'min' | 'max' | 'exactly'
+   * @param {object} property     property term (possibly an inverse blank node)
+   * @param {string} kind
+   * @param {{ filler?: object, cardinality?: number, data?: boolean }} [options]
+   */
+  const restriction = (property, kind, { filler = null, cardinality = null, data = false } = {}) => {
+    const r = blank();
+    emit(r, rdfType, node(OWL + 'Restriction'));
+    emit(r, node(OWL + 'onProperty'), property);
+
+    switch (kind) {
+      case 'some':
+        emit(r, node(OWL + 'someValuesFrom'), filler);
+        break;
+      case 'only':
+        emit(r, node(OWL + 'allValuesFrom'), filler);
+        break;
+      case 'value':
+        emit(r, node(OWL + 'hasValue'), filler);
+        break;
+      case 'self':
+        emit(r, node(OWL + 'hasSelf'), factory.literal('true', node(XSD + 'boolean')));
+        break;
+      case 'min':
+      case 'max':
+      case 'exactly': {
+        const base = kind === 'exactly' ? '' : kind;
+        if (filler) {
+          const name = base ? `${base}QualifiedCardinality` : 'qualifiedCardinality';
+          emit(r, node(OWL + name), nonNegativeInteger(cardinality));
+          emit(r, node(OWL + (data ? 'onDataRange' : 'onClass')), filler);
+        } else {
+          emit(r, node(OWL + (base ? `${base}Cardinality` : 'cardinality')), nonNegativeInteger(cardinality));
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown restriction kind "${kind}"`);
+    }
+    return r;
+  };
+
+  /**
+   * Boolean / enumeration class expression or data range.
+   * kind: 'intersectionOf' | 'unionOf' | 'complementOf' | 'oneOf'
+   * @param {string} kind
+   * @param {object[]} operands
+   * @param {boolean} [data]  data range (rdfs:Datatype) instead of owl:Class
+   */
+  const combination = (kind, operands, data = false) => {
+    const x = blank();
+    emit(x, rdfType, node(data ? RDFS + 'Datatype' : OWL + 'Class'));
+    if (kind === 'complementOf') {
+      emit(x, node(OWL + (data ? 'datatypeComplementOf' : 'complementOf')), operands[0]);
+    } else {
+      emit(x, node(OWL + kind), list(operands));
+    }
+    return x;
+  };
+
+  /**
+   * DatatypeRestriction(xsd:integer xsd:minInclusive "5"^^xsd:integer ...)
+   * @param {object} datatype
+   * @param {Array<{ facet: object, value: object }>} facets
+   */
+  const datatypeRestriction = (datatype, facets) => {
+    const x = blank();
+    emit(x, rdfType, node(RDFS + 'Datatype'));
+    emit(x, node(OWL + 'onDatatype'), datatype);
+    emit(x, node(OWL + 'withRestrictions'), list(facets.map(({ facet, value }) => {
+      const f = blank();
+      emit(f, facet, value);
+      return f;
+    })));
+    return x;
+  };
+
+  const inverseOf = property => {
+    const x = blank();
+    emit(x, node(OWL + 'inverseOf'), property);
+    return x;
+  };
+
+  /**
+   * n-ary axioms (DisjointClasses, DifferentIndividuals, ...): the pairwise predicate for two
+   * operands, otherwise an owl:AllDisjoint* node with an owl:members list.
+   */
+  const nary = (operands, pairPredicate, allType, annotations = [], membersPredicate = 'members') => {
+    if (operands.length === 2) {
+      axiom(operands[0], node(pairPredicate), operands[1], annotations);
+      return;
+    }
+    const x = blank();
+    emit(x, rdfType, node(allType));
+    emit(x, node(OWL + membersPredicate), list(operands));
+    annotations.forEach(a => emit(x, a.property, a.value));
+  };
+
+  return {
+    quads,
+    emit,
+    node,
+    blank,
+    blankNodeFor,
+    list,
+    axiom,
+    restriction,
+    combination,
+    datatypeRestriction,
+    inverseOf,
+    nary,
+    rdfType
+  };
+}
@@ -0,0 +1,403 @@
+// app/parse-worker.js
+// Module worker: reads, parses and tabulates ontology files off the main thread.
+// Protocol (main → worker):
+//   { type: 'parse', jobId, files: File[], jsonLdContexts, tableOptions }
+//   { type: 'tabulate', jobId, tableOptions }   rebuild the tables of the last parsed files
+//   { type: 'diff', jobId, oldIndex, newIndex, tableOptions }   compare two of the last parsed files (by fileIndex)
+//   { type: 'importCsv', jobId, fileIndex, csvText, tableOptions }   patch a parsed file with an edited table CSV
+//   { type: 'sparql', jobId, query, fileIndex, tableOptions }   run a SPARQL query against one parsed file
+//     (by fileIndex) or, with fileIndex null, against all of them together
+//   tableOptions: { mode: 'curated'|'allPredicates', profile, languages, prefixRegistry, lintRules, graphMode }
+//     (profile applies to 'curated'; languages is the literal language priority list;
+//      prefixRegistry is the user's prefix → namespace map; lintRules the user's LINT_RULES overrides;
+//      graphMode 'split' posts one result per graph of each file instead of one per file)
+// Protocol (worker → main), every message echoing the job's jobId:
+//   { type: 'progress', fileIndex, fileCount, fileName, bytesRead, totalBytes, quadCount }
+//   { type: 'file', fileIndex, fileName, graph, format, quadCount, meta, tableModel, hierarchy, lint, warnings, prefixes, declaredPrefixes }
+//     fileIndex: position among the files of the 'parse' (also in later 'tabulate' jobs)
+//     graph: the named graph this result covers in 'split' graphMode (null: the default graph or the whole file)
+//     warnings: getTabulationWarnings messages (empty table, no owl:Ontology, ...)
+//     hierarchy: class and property trees (buildHierarchyModel); lint: lintOntology findings
+//     tableModel.references: labels and row membership of the IRIs its cells reference, across all
+//     loaded files (so a parse posts its tables only once every file is parsed)
+//     declaredPrefixes: the file's own prefix declarations; prefixes: common prefixes, then
+//     declaredPrefixes, then the user registry, merged
+//   { type: 'fileError', fileIndex, fileName, message, line, column, snippet }
+//     one file failed to parse or tabulate (describeParseError); the other files carry on
+//   { type: 'diff', oldFileName, newFileName, diff }   (diffOntologyVersions result)
+//   { type: 'csvImport', fileName, changes, warnings, rowCount, matchedCount, turtle, format }
+//     (planCsvImport preview; turtle: the patched file, not applied to the loaded store, in format
+//      'text/turtle', or 'application/trig' when the file has named graphs)
+//   { type: 'sparqlResult', resultType, tableModel, turtle }
+//     resultType 'select'|'ask'|'construct' (sparqlResultToTableModel, with references as for 'file');
+//     turtle: the CONSTRUCT result as Turtle, null for the other query forms
+//   { type: 'sparqlError', message, line, column, snippet }   the query has a syntax error
+//   { type: 'done' } | { type: 'error', fileName, message }   (error: the whole job failed)
+// A parse is cancelled by the page terminating the worker; parsed stores live here between messages.
+import './n3.min.js'; // UMD bundle: sets self.N3 for core.js
+
+import {
+  SNIFF_SAMPLE_SIZE,
+  detectRdfFormat,
+  parseRdfChunksToStore,
+  describeParseError,
+  getParseErrorPosition,
+  getTabulationWarnings,
+  splitStoreByGraph,
+  getNamedGraphs,
+  COMMON_PREFIX_MAP,
+  mergePrefixMaps,
+  extractOntologyMetadata,
+  buildElementTableModel,
+  buildAllPredicatesTableModel,
+  resolveIriReferences,
+  buildHierarchyModel,
+  diffOntologyVersions,
+  lintOntology,
+  planCsvImport,
+  applyCsvImport,
+  writeTurtle,
+  runSparqlQuery,
+  sparqlResultToTableModel,
+  logEvent,
+  logError
+} from './core.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// Stores from the last 'parse', kept for re-tabulating: Array<{ fileIndex, fileName, format, store, prefixes }>
+// (files that failed to parse are left out, so fileIndex may skip numbers)
+let loadedFiles = [];
+// All loaded files in one store, built for the first query that spans them (see datasetStore)
+let mergedStore = null;
+
+function buildTableModel(store, { mode, profile, languages } = {}, prefixes) {
+  return mode === 'allPredicates'
+    ? buildAllPredicatesTableModel(store, { prefixes })
+    : buildElementTableModel(store, profile, { languages, prefixes, stores: loadedFiles.map(f => f.store) });
+}
+
+function postFileResult(jobId, { fileIndex, fileName, graph = null, format, store, prefixes: declaredPrefixes }, tableOptions) {
+  const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, declaredPrefixes, tableOptions?.prefixRegistry);
+  const tableModel = buildTableModel(store, tableOptions, prefixes);
+  tableModel.references = resolveIriReferences(tableModel, loadedFiles.map(f => f.store), {
+    languages: tableOptions?.languages
+  });
+  self.postMessage({
+    type: 'file',
+    jobId,
+    fileIndex,
+    fileName,
+    graph,
+    format,
+    quadCount: store.size,
+    meta: extractOntologyMetadata(store, { languages: tableOptions?.languages }),
+    tableModel,
+    hierarchy: buildHierarchyModel(store, {
+      languages: tableOptions?.languages,
+      stores: loadedFiles.map(f => f.store)
+    }),
+    lint: lintOntology(store, { rules: tableOptions?.lintRules, languages: tableOptions?.languages }),
+    warnings: getTabulationWarnings(store, tableModel),
+    prefixes,
+    declaredPrefixes
+  });
+}
+
+/**
+ * Post the result of every loaded file (or of every graph in it, in 'split' graphMode); a file whose
+ * tables cannot be built is reported on its own.
+ * @param {number} jobId
+ * @param {object} tableOptions
+ */
+function postFileResults(jobId, tableOptions) {
+  loadedFiles.forEach(loaded => {
+    try {
+      // An empty file has no graphs to split into, but is still reported.
+      const parts = tableOptions?.graphMode === 'split' ? splitStoreByGraph(loaded.store) : [];
+      if (!parts.length) postFileResult(jobId, loaded, tableOptions);
+      parts.forEach(({ graph, store }) => postFileResult(jobId, { ...loaded, graph, store }, tableOptions));
+    } catch (err) {
+      logError('postFileResults', err, { fileName: loaded.fileName });
+      postFileError(jobId, loaded.fileIndex, loaded.fileName, describeParseError(err));
+    }
+  });
+}
+
+function postFileError(jobId, fileIndex, fileName, { message, line, column, snippet }) {
+  self.postMessage({ type: 'fileError', jobId, fileIndex, fileName, message, line, column, snippet });
+}
+
+/**
+ * Read the start of a file, through the given line or character offset, for an error snippet.
+ * @param {File} file
+ * @param {{ line: number|null, offset: number|null }} position
+ * @returns {Promise<string>}
+ */
+async function readLeadingText(file, { line, offset }) {
+  if (line == null && offset == null) return '';
+  let text = '';
+  let newlines = 0;
+  for await (const chunk of readFileChunks(file, () => {})) {
+    text += chunk;
+    if (line != null) {
+      for (let i = text.length - chunk.length; i < text.length; i++) if (text[i] === '\n') newlines++;
+      if (newlines >= line) break;
+    } else if (text.length > offset) {
+      break;
+    }
+  }
+  return text;
+}
+
+/**
+ * Decode a File into text chunks, reporting the number of bytes read so far.
+ * @param {File} file
+ * @param {(bytesRead: number) => void} onBytes
+ */
+async function* readFileChunks(file, onBytes) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  let bytesRead = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytesRead += value.byteLength;
+    onBytes(bytesRead);
+    const text = decoder.decode(value, { stream: true });
+    if (text) yield text;
+  }
+  const tail = decoder.decode();
+  if (tail) yield tail;
+}
+
+/**
+ * Buffer enough leading text to sniff the format, then replay it ahead of the remaining chunks.
+ * @param {AsyncIterator<string>} iterator
+ * @returns {Promise<{ sample: string, chunks: AsyncIterable<string> }>}
+ */
+async function peekSample(iterator) {
+  const head = [];
+  let sample = '';
+  let exhausted = false;
+
+  while (sample.length < SNIFF_SAMPLE_SIZE) {
+    const { done, value } = await iterator.next();
+    if (done) {
+      exhausted = true;
+      break;
+    }
+    head.push(value);
+    sample += value;
+  }
+
+  async function* replay() {
+    yield* head;
+    if (exhausted) return;
+    for (;;) {
+      const { done, value } = await iterator.next();
+      if (done) return;
+      yield value;
+    }
+  }
+
+  return { sample, chunks: replay() };
+}
+
+async function parseFiles(jobId, files, jsonLdContexts, tableOptions) {
+  const fnName = 'parseFiles';
+  logEvent(fnName, 'start', { fileCount: files.length });
+
+  loadedFiles = [];
+  mergedStore = null;
+  try {
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+      const file = files[fileIndex];
+      const fileName = file.name;
+
+      const progress = {
+        type: 'progress',
+        jobId,
+        fileIndex,
+        fileCount: files.length,
+        fileName,
+        bytesRead: 0,
+        totalBytes: file.size,
+        quadCount: 0
+      };
+      let lastPosted = 0;
+      const post = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastPosted < PROGRESS_INTERVAL_MS) return;
+        lastPosted = now;
+        self.postMessage(progress);
+      };
+      post(true);
+
+      try {
+        const iterator = readFileChunks(file, bytesRead => {
+          progress.bytesRead = bytesRead;
+          post();
+        });
+        const { sample, chunks } = await peekSample(iterator);
+        const format = detectRdfFormat(sample, file.name);
+
+        const prefixes = {};
+        const store = await parseRdfChunksToStore(chunks, format, {
+          jsonLdContexts,
+          onPrefix: (prefix, namespace) => {
+            prefixes[prefix] = namespace;
+          },
+          onProgress: ({ quadCount }) => {
+            progress.quadCount = quadCount;
+            post();
+          }
+        });
+        post(true);
+
+        loadedFiles.push({ fileIndex, fileName, format, store, prefixes });
+      } catch (err) {
+        // Report this file and carry on with the next one.
+        logError(fnName, err, { fileName });
+        const text = await readLeadingText(file, getParseErrorPosition(err)).catch(() => '');
+        postFileError(jobId, fileIndex, fileName, describeParseError(err, text));
+      }
+    }
+
+    postFileResults(jobId, tableOptions);
+    self.postMessage({ type: 'done', jobId });
+  } catch (err) {
+    logError(fnName, err);
+    self.postMessage({ type: 'error', jobId, fileName: null, message: err?.message || String(err) });
+  }
+}
+
+function tabulateFiles(jobId, tableOptions) {
+  const fnName = 'tabulateFiles';
+  logEvent(fnName, 'start', { fileCount: loadedFiles.length });
+
+  try {
+    postFileResults(jobId, tableOptions);
+    self.postMessage({ type: 'done', jobId });
+  } catch (err) {
+    logError(fnName, err);
+    self.postMessage({ type: 'error', jobId, fileName: null, message: err?.message || String(err) });
+  }
+}
+
+function diffFiles(jobId, oldIndex, newIndex, tableOptions) {
+  const fnName = 'diffFiles';
+  logEvent(fnName, 'start', { oldIndex, newIndex });
+
+  try {
+    const oldFile = loadedFiles.find(f => f.fileIndex === oldIndex);
+    const newFile = loadedFiles.find(f => f.fileIndex === newIndex);
+    if (!oldFile || !newFile) throw new Error('Both versions must be among the loaded files');
+
+    const diff = diffOntologyVersions(oldFile.store, newFile.store, {
+      profile: tableOptions?.profile,
+      languages: tableOptions?.languages,
+      prefixes: mergePrefixMaps(COMMON_PREFIX_MAP, newFile.prefixes, tableOptions?.prefixRegistry)
+    });
+    self.postMessage({ type: 'diff', jobId, oldFileName: oldFile.fileName, newFileName: newFile.fileName, diff });
+    self.postMessage({ type: 'done', jobId });
+  } catch (err) {
+    logError(fnName, err);
+    self.postMessage({ type: 'error', jobId, fileName: null, message: err?.message || String(err) });
+  }
+}
+
+async function importCsv(jobId, fileIndex, csvText, tableOptions) {
+  const fnName = 'importCsv';
+  logEvent(fnName, 'start', { fileIndex });
+
+  try {
+    const file = loadedFiles.find(f => f.fileIndex === fileIndex);
+    if (!file) throw new Error('The file to patch must be among the loaded files');
+
+    const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, file.prefixes, tableOptions?.prefixRegistry);
+    const plan = await planCsvImport(file.store, csvText, {
+      profile: tableOptions?.profile,
+      languages: tableOptions?.languages,
+      prefixes
+    });
+    // The user's prefix registry is a display setting and stays out of the file.
+    const patched = applyCsvImport(file.store, plan);
+    const turtle = await writeTurtle(patched, { prefixes: mergePrefixMaps(COMMON_PREFIX_MAP, file.prefixes) });
+    const format = getNamedGraphs(patched).length ? 'application/trig' : 'text/turtle';
+    const { changes, warnings, rowCount, matchedCount } = plan;
+    self.postMessage({
+      type: 'csvImport', jobId, fileName: file.fileName, changes, warnings, rowCount, matchedCount, turtle, format
+    });
+    self.postMessage({ type: 'done', jobId });
+  } catch (err) {
+    logError(fnName, err);
+    self.postMessage({ type: 'error', jobId, fileName: null, message: err?.message || String(err) });
+  }
+}
+
+/**
+ * The store a query runs against: one loaded file, or all of them merged (null fileIndex).
+ * @param {number|null} fileIndex
+ * @returns {import('n3').Store}
+ */
+function datasetStore(fileIndex) {
+  if (fileIndex != null) {
+    const file = loadedFiles.find(f => f.fileIndex === fileIndex);
+    if (!file) throw new Error('The file to query must be among the loaded files');
+    return file.store;
+  }
+  if (!loadedFiles.length) throw new Error('No files are loaded');
+  if (loadedFiles.length === 1) return loadedFiles[0].store;
+  if (!mergedStore) {
+    mergedStore = new loadedFiles[0].store.constructor();
+    loadedFiles.forEach(f => mergedStore.addQuads(f.store.getQuads(null, null, null, null)));
+  }
+  return mergedStore;
+}
+
+async function runQuery(jobId, query, fileIndex, tableOptions) {
+  const fnName = 'runQuery';
+  logEvent(fnName, 'start', { fileIndex });
+
+  try {
+    const store = datasetStore(fileIndex);
+    const files = fileIndex != null ? loadedFiles.filter(f => f.fileIndex === fileIndex) : loadedFiles;
+    const prefixes = mergePrefixMaps(COMMON_PREFIX_MAP, ...files.map(f => f.prefixes), tableOptions?.prefixRegistry);
+
+    let result;
+    try {
+      result = await runSparqlQuery(store, query, { prefixes });
+    } catch (err) {
+      self.postMessage({ type: 'sparqlError', jobId, ...describeParseError(err, query) });
+      self.postMessage({ type: 'done', jobId });
+      return;
+    }
+
+    const tableModel = sparqlResultToTableModel(result);
+    tableModel.references = resolveIriReferences(tableModel, loadedFiles.map(f => f.store), {
+      languages: tableOptions?.languages
+    });
+    let turtle = null;
+    if (result.type === 'construct') {
+      const constructed = new store.constructor();
+      constructed.addQuads(result.quads);
+      turtle = await writeTurtle(constructed, { prefixes: mergePrefixMaps(prefixes, result.prefixes) });
+    }
+    self.postMessage({ type: 'sparqlResult', jobId, resultType: result.type, tableModel, turtle });
+    self.postMessage({ type: 'done', jobId });
+  } catch (err) {
+    logError(fnName, err);
+    self.postMessage({ type: 'error', jobId, fileName: null, message: err?.message || String(err) });
+  }
+}
+
+self.addEventListener('message', ev => {
+  const { type, jobId, files, jsonLdContexts, tableOptions, oldIndex, newIndex, fileIndex, csvText, query } = ev.data || {};
+  if (type === 'parse') parseFiles(jobId, files || [], jsonLdContexts || {}, tableOptions);
+  else if (type === 'tabulate') tabulateFiles(jobId, tableOptions);
+  else if (type === 'diff') diffFiles(jobId, oldIndex, newIndex, tableOptions);
+  else if (type === 'importCsv') importCsv(jobId, fileIndex, csvText, tableOptions);
+  else if (type === 'sparql') runQuery(jobId, query, fileIndex ?? null, tableOptions);
+});
@@ -0,0 +1,239 @@
+// app/rdfxml-parser.js
+// RDF/XML → RDF/JS quads – ES module, pure.
+// The caller supplies the DataFactory (N3's), so the quads drop straight into an N3 Store.
+
+import { logEvent, logError } from './core.js';
+import { parseXml, getChildElements, getTextContent, getAttributeNS, XML_NS } from './xml-parser.js';
+
+// Kept local (not NS.rdf) because core.js imports this module.
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// rdf:* attributes that are syntax, never property attributes.
+const RDF_SYNTAX_ATTRIBUTES = new Set([
+  'about', 'ID', 'nodeID', 'resource', 'datatype', 'parseType',
+  'aboutEach', 'aboutEachPrefix', 'bagID', 'li'
+]);
+
+/**
+ * Resolve a (possibly relative) IRI reference against a base IRI.
+ * Falls back to the raw reference when there is no usable base.
+ * @param {string} ref
+ * @param {string} base
+ * @returns {string}
+ */
+export function resolveIri(ref, base) {
+  if (/^[A-Za-z][A-Za-z0-9+.-]*:/.test(ref)) return ref;
+  if (!base) return ref;
+  try {
+    return new URL(ref, base).href;
+  } catch {
+    return base + ref;
+  }
+}
+
+function stripFragment(iri) {
+  const idx = iri.indexOf('#');
+  return idx === -1 ? iri : iri.slice(0, idx);
+}
+
+/**
+ * Parse an RDF/XML document into quads (default graph).
+ *
+ * Supports node elements (typed and rdf:Description), rdf:about / rdf:ID / rdf:nodeID,
+ * property attributes, rdf:resource, rdf:datatype, xml:lang, xml:base, rdf:li,
+ * rdf:parseType="Resource" | "Literal" | "Collection" and statement reification via rdf:ID.
+ *
+ * @param {string} text
+ * @param {{
+ *   factory: import('n3').DataFactory,
+ *   baseIri?: string,
+ *   onPrefix?: (prefix: string, namespace: string) => void
+ * }} options
+ * @returns {import('n3').Quad[]}
+ */
+export function parseRdfXml(text, options = {}) {
+  const fnName = 'parseRdfXml';
+  logEvent(fnName, 'start', { baseIri: options.baseIri });
+
+  try {
+    const { factory } = options;
+    if (!factory) {
+      throw new Error('parseRdfXml requires a DataFactory (options.factory)');
+    }
+
+    const { root, source } = parseXml(text);
+
+    // Namespace declarations double as the document's prefixes ('' = default namespace).
+    if (options.onPrefix) {
+      const reportNamespaces = el => {
+        Object.entries(el.namespaces || {}).forEach(([prefix, uri]) => options.onPrefix(prefix, uri));
+        getChildElements(el).forEach(reportNamespaces);
+      };
+      reportNamespaces(root);
+    }
+    const quads = [];
+    const nodeIds = new Map();
+    const rdfType = factory.namedNode(RDF + 'type');
+
+    const emit = (s, p, o) => quads.push(factory.quad(s, p, o));
+
+    const isRdf = (el, localName) => el.namespaceUri === RDF && el.localName === localName;
+
+    const rdfAttr = (el, localName) => getAttributeNS(el, RDF, localName);
+
+    const elementIri = el => {
+      if (!el.namespaceUri) {
+        throw new Error(`Element <${el.name}> has no namespace, so it cannot name an RDF term`);
+      }
+      return el.namespaceUri + el.localName;
+    };
+
+    const blankNodeFor = id => {
+      if (!nodeIds.has(id)) nodeIds.set(id, factory.blankNode());
+      return nodeIds.get(id);
+    };
+
+    const isPropertyAttribute = attr => {
+      if (!attr.namespaceUri) return false;
+      if (attr.namespaceUri === XML_NS || /^xml/i.test(attr.prefix)) return false;
+      if (attr.namespaceUri === RDF && RDF_SYNTAX_ATTRIBUTES.has(attr.localName)) return false;
+      return true;
+    };
+
+    // xml:base and xml:lang are inherited down the tree.
+    const scopeFor = (el, parent) => {
+      const base = getAttributeNS(el, XML_NS, 'base');
+      const lang = getAttributeNS(el, XML_NS, 'lang');
+      return {
+        base: base != null ? stripFragment(resolveIri(base, parent.base)) : parent.base,
+        lang: lang != null ? lang : parent.lang
+      };
+    };
+
+    const literalFor = (value, ctx) => factory.literal(value, ctx.lang || undefined);
+
+    const emitPropertyAttributes = (el, subject, ctx) => {
+      el.attributes.filter(isPropertyAttribute).forEach(attr => {
+        const predicateIri = attr.namespaceUri + attr.localName;
+        if (predicateIri === RDF + 'type') {
+          emit(subject, rdfType, factory.namedNode(resolveIri(attr.value, ctx.base)));
+        } else {
+          emit(subject, factory.namedNode(predicateIri), literalFor(attr.value, ctx));
+        }
+      });
+    };
+
+    const buildList = items => {
+      let head = factory.namedNode(RDF + 'nil');
+      for (let i = items.length - 1; i >= 0; i--) {
+        const cell = factory.blankNode();
+        emit(cell, factory.namedNode(RDF + 'first'), items[i]);
+        emit(cell, factory.namedNode(RDF + 'rest'), head);
+        head = cell;
+      }
+      return head;
+    };
+
+    const parseNodeElement = (el, parentCtx) => {
+      const ctx = scopeFor(el, parentCtx);
+      const about = rdfAttr(el, 'about');
+      const id = rdfAttr(el, 'ID');
+      const nodeId = rdfAttr(el, 'nodeID');
+
+      let subject;
+      if (about != null) {
+        subject = factory.namedNode(resolveIri(about, ctx.base));
+      } else if (id != null) {
+        subject = factory.namedNode(resolveIri('#' + id, ctx.base));
+      } else if (nodeId != null) {
+        subject = blankNodeFor(nodeId);
+      } else {
+        subject = factory.blankNode();
+      }
+
+      if (!isRdf(el, 'Description')) {
+        emit(subject, rdfType, factory.namedNode(elementIri(el)));
+      }
+      emitPropertyAttributes(el, subject, ctx);
+
+      let liCounter = 0;
+      const nextLi = () => ++liCounter;
+      getChildElements(el).forEach(child => parsePropertyElement(child, subject, ctx, nextLi));
+      return subject;
+    };
+
+    const parsePropertyElement = (el, subject, parentCtx, nextLi) => {
+      const ctx = scopeFor(el, parentCtx);
+      const predicateIri = isRdf(el, 'li') ? `${RDF}_${nextLi()}` : elementIri(el);
+      const predicate = factory.namedNode(predicateIri);
+      const parseType = rdfAttr(el, 'parseType');
+      const children = getChildElements(el);
+
+      let object;
+      if (parseType === 'Resource') {
+        object = factory.blankNode();
+        let liCounter = 0;
+        const nextInnerLi = () => ++liCounter;
+        children.forEach(child => parsePropertyElement(child, object, ctx, nextInnerLi));
+      } else if (parseType === 'Collection') {
+        object = buildList(children.map(child => parseNodeElement(child, ctx)));
+      } else if (parseType != null) {
+        // "Literal" (and, per the spec, any other value): keep the inner markup verbatim.
+        object = factory.literal(
+          source.slice(el.innerStart, el.innerEnd),
+          factory.namedNode(RDF + 'XMLLiteral')
+        );
+      } else if (children.length > 0) {
+        if (children.length > 1) {
+          throw new Error(`Property element <${el.name}> contains more than one node element`);
+        }
+        object = parseNodeElement(children[0], ctx);
+      } else {
+        const resource = rdfAttr(el, 'resource');
+        const nodeId = rdfAttr(el, 'nodeID');
+        const hasPropertyAttributes = el.attributes.some(isPropertyAttribute);
+
+        if (resource == null && nodeId == null && !hasPropertyAttributes) {
+          const datatype = rdfAttr(el, 'datatype');
+          object = datatype != null
+            ? factory.literal(getTextContent(el), factory.namedNode(resolveIri(datatype, ctx.base)))
+            : literalFor(getTextContent(el), ctx);
+        } else {
+          if (resource != null) {
+            object = factory.namedNode(resolveIri(resource, ctx.base));
+          } else if (nodeId != null) {
+            object = blankNodeFor(nodeId);
+          } else {
+            object = factory.blankNode();
+          }
+          emitPropertyAttributes(el, object, ctx);
+        }
+      }
+
+      emit(subject, predicate, object);
+
+      const reifyId = rdfAttr(el, 'ID');
+      if (reifyId != null) {
+        const statement = factory.namedNode(resolveIri('#' + reifyId, ctx.base));
+        emit(statement, rdfType, factory.namedNode(RDF + 'Statement'));
+        emit(statement, factory.namedNode(RDF + 'subject'), subject);
+        emit(statement, factory.namedNode(RDF + 'predicate'), predicate);
+        emit(statement, factory.namedNode(RDF + 'object'), object);
+      }
+    };
+
+    const rootCtx = scopeFor(root, { base: stripFragment(options.baseIri || ''), lang: '' });
+    if (isRdf(root, 'RDF')) {
+      getChildElements(root).forEach(child => parseNodeElement(child, rootCtx));
+    } else {
+      // A document may also be a single node element without the rdf:RDF wrapper.
+      parseNodeElement(root, { base: stripFragment(options.baseIri || ''), lang: '' });
+    }
+
+    logEvent(fnName, 'parsed', { quadCount: quads.length });
+    return quads;
+  } catch (err) {
+    logError(fnName, err, { baseIri: options.baseIri });
+    throw err;
+  }
+}
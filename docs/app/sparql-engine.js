@@ -0,0 +1,1343 @@
+// app/sparql-engine.js
+// A SPARQL 1.1 query subset over an N3 Store – ES module, pure.
+// SELECT (DISTINCT, (expression AS ?var)), ASK and CONSTRUCT; graph patterns with property paths,
+// OPTIONAL, UNION, MINUS, GRAPH, FILTER (with EXISTS / NOT EXISTS), BIND and VALUES; ORDER BY,
+// LIMIT and OFFSET. No aggregates, subqueries, FROM, SERVICE or updates.
+// The default graph is the union of every graph in the store; GRAPH ranges over its named graphs.
+// Patterns are matched left to right after putting the most bound triple patterns first, with
+// OPTIONAL, UNION and EXISTS evaluated per solution (bindings substituted), which is what these
+// queries need and keeps the evaluator short.
+
+import { logEvent, logError } from './core.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF_TYPE = RDF + 'type';
+const RDF_LANG_STRING = RDF + 'langString';
+const XSD_STRING = XSD + 'string';
+const XSD_BOOLEAN = XSD + 'boolean';
+const XSD_INTEGER = XSD + 'integer';
+const XSD_DECIMAL = XSD + 'decimal';
+const XSD_DOUBLE = XSD + 'double';
+
+const INTEGER_DATATYPES = new Set([
+  'integer', 'int', 'long', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger', 'negativeInteger',
+  'nonPositiveInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(name => XSD + name));
+const NUMERIC_DATATYPES = new Set([...INTEGER_DATATYPES, XSD_DECIMAL, XSD_DOUBLE, XSD + 'float']);
+
+// Built-in functions and their [min, max] argument counts (max null: any number).
+const BUILTIN_ARITY = {
+  STR: [1, 1], LANG: [1, 1], LANGMATCHES: [2, 2], DATATYPE: [1, 1], BOUND: [1, 1], IRI: [1, 1], URI: [1, 1],
+  ISIRI: [1, 1], ISURI: [1, 1], ISBLANK: [1, 1], ISLITERAL: [1, 1], ISNUMERIC: [1, 1], SAMETERM: [2, 2],
+  REGEX: [2, 3], REPLACE: [3, 4], CONTAINS: [2, 2], STRSTARTS: [2, 2], STRENDS: [2, 2], STRBEFORE: [2, 2],
+  STRAFTER: [2, 2], LCASE: [1, 1], UCASE: [1, 1], STRLEN: [1, 1], SUBSTR: [2, 3], CONCAT: [0, null],
+  COALESCE: [0, null], IF: [3, 3], STRLANG: [2, 2], STRDT: [2, 2], ABS: [1, 1]
+};
+const AGGREGATES = new Set(['COUNT', 'SUM', 'MIN', 'MAX', 'AVG', 'SAMPLE', 'GROUP_CONCAT']);
+const CASTS = new Set([XSD_STRING, XSD_BOOLEAN, XSD_INTEGER, XSD_DECIMAL, XSD_DOUBLE]);
+const UPDATE_KEYWORDS = new Set(['INSERT', 'DELETE', 'LOAD', 'CLEAR', 'DROP', 'CREATE', 'WITH', 'ADD', 'MOVE', 'COPY']);
+
+// Blank nodes in query patterns act as variables that SELECT * leaves out; their names start with
+// a space, which no variable name can.
+const HIDDEN_VARIABLE_PREFIX = ' ';
+
+function createSyntaxError(message, token) {
+  const line = token?.line ?? 1;
+  const column = token?.column ?? 1;
+  const err = new Error(`${message} (line ${line}, column ${column})`);
+  err.context = { line, column };
+  return err;
+}
+
+// Raised while evaluating an expression (unbound variable, wrong type, ...): per the spec it makes
+// a FILTER false and leaves a BIND or projected expression unbound, and never fails the query.
+class ExpressionError extends Error {}
+
+const PUNCTUATION = ['^^', '&&', '||', '!=', '<=', '>=', '{', '}', '(', ')', '[', ']', '.', ';', ',', '*', '/',
+  '|', '^', '!', '=', '<', '>', '+', '-', '?'];
+
+const NAME_CHAR = 'A-Za-z0-9_\\u00B7\\u00C0-\\uFFFF';
+const IRIREF_RE = /<([^<>"{}|^`\\\u0000- ]*)>/y;
+const PNAME_RE = new RegExp(`([A-Za-z\\u00C0-\\uFFFF][${NAME_CHAR}.-]*)?:((?:[${NAME_CHAR}:.%-]|\\\\[-_~.!$&'()*+,;=/?#@%])*)`, 'y');
+const BLANK_NODE_RE = new RegExp(`_:([${NAME_CHAR}](?:[${NAME_CHAR}.-]*[${NAME_CHAR}-])?)`, 'y');
+const VAR_RE = new RegExp(`[?$]([${NAME_CHAR}]+)`, 'y');
+const DOUBLE_RE = /(?:\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+)/y;
+const DECIMAL_RE = /\d*\.\d+/y;
+const INTEGER_RE = /\d+/y;
+const LANGTAG_RE = /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y;
+const WORD_RE = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+const STRING_ESCAPES = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+
+/**
+ * Split a query into tokens: iri, pname (prefix, local), var, bnode, string, lang, number
+ * (with its datatype), word (keywords, function names, "a", true/false) and punctuation.
+ * @param {string} text
+ * @returns {Array<{ type: string, value: string, text: string, line: number, column: number }>}
+ */
+function tokenizeSparql(text) {
+  const tokens = [];
+  const src = String(text ?? '');
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const match = re => {
+    re.lastIndex = pos;
+    return re.exec(src);
+  };
+  const push = (type, value, end, extra = {}) => {
+    tokens.push({ type, value, text: src.slice(pos, end), line, column: pos - lineStart + 1, ...extra });
+    pos = end;
+  };
+
+  const readString = () => {
+    const quote = src.startsWith(src[pos].repeat(3), pos) ? src[pos].repeat(3) : src[pos];
+    let value = '';
+    let i = pos + quote.length;
+    for (;;) {
+      if (i >= src.length || (quote.length === 1 && (src[i] === '\n' || src[i] === '\r'))) {
+        throw createSyntaxError('Unclosed string', { line, column: pos - lineStart + 1 });
+      }
+      if (src.startsWith(quote, i)) break;
+      if (src[i] === '\\') {
+        const escape = src[i + 1];
+        const hex = escape === 'u' ? src.slice(i + 2, i + 6) : escape === 'U' ? src.slice(i + 2, i + 10) : null;
+        if (hex != null) {
+          if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== (escape === 'u' ? 4 : 8)) {
+            throw createSyntaxError('Invalid \\u escape', { line, column: i - lineStart + 1 });
+          }
+          value += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + hex.length;
+        } else if (escape in STRING_ESCAPES) {
+          value += STRING_ESCAPES[escape];
+          i += 2;
+        } else {
+          throw createSyntaxError(`Invalid escape "\\${escape ?? ''}"`, { line, column: i - lineStart + 1 });
+        }
+      } else {
+        value += src[i++];
+      }
+    }
+    const end = i + quote.length;
+    const startLine = line;
+    const startColumn = pos - lineStart + 1;
+    const newlines = src.slice(pos, end).split('\n');
+    tokens.push({ type: 'string', value, text: src.slice(pos, end), line: startLine, column: startColumn });
+    if (newlines.length > 1) {
+      line += newlines.length - 1;
+      lineStart = end - newlines[newlines.length - 1].length;
+    }
+    pos = end;
+  };
+
+  while (pos < src.length) {
+    const ch = src[pos];
+    let m;
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(ch)) {
+      pos++;
+    } else if (ch === '#') {
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    } else if (ch === '"' || ch === "'") {
+      readString();
+    } else if (ch === '<' && (m = match(IRIREF_RE))) {
+      push('iri', m[1], pos + m[0].length);
+    } else if (ch === '_' && src[pos + 1] === ':' && (m = match(BLANK_NODE_RE))) {
+      push('bnode', m[1], pos + m[0].length);
+    } else if ((ch === '?' || ch === '$') && (m = match(VAR_RE))) {
+      push('var', m[1], pos + m[0].length);
+    } else if (ch === '@' && (m = match(LANGTAG_RE))) {
+      push('lang', m[1], pos + m[0].length);
+    } else if ((m = match(PNAME_RE))) {
+      // A local name never ends with ".": that is the end of the triple.
+      const local = m[2].replace(/\.+$/, '');
+      const prefix = m[1] ?? '';
+      push('pname', `${prefix}:${local}`, pos + prefix.length + 1 + local.length, {
+        prefix,
+        local: local.replace(/\\(.)/g, '$1')
+      });
+    } else if ((m = match(DOUBLE_RE))) {
+      push('number', m[0], pos + m[0].length, { datatype: XSD_DOUBLE });
+    } else if ((m = match(DECIMAL_RE))) {
+      push('number', m[0], pos + m[0].length, { datatype: XSD_DECIMAL });
+    } else if ((m = match(INTEGER_RE))) {
+      push('number', m[0], pos + m[0].length, { datatype: XSD_INTEGER });
+    } else if ((m = match(WORD_RE))) {
+      push('word', m[0], pos + m[0].length);
+    } else {
+      const punct = PUNCTUATION.find(p => src.startsWith(p, pos));
+      if (!punct) throw createSyntaxError(`Unexpected character "${ch}"`, { line, column: pos - lineStart + 1 });
+      push('punct', punct, pos + punct.length);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a SELECT, ASK or CONSTRUCT query.
+ * Prefixes given in options need no PREFIX declaration (the query's own declarations win).
+ * @param {string} text
+ * @param {{ factory: import('n3').DataFactory, prefixes?: Record<string, string> }} options
+ * @returns {{
+ *   type: 'select'|'ask'|'construct',
+ *   distinct: boolean,
+ *   projection: '*'|Array<{ name: string, expression?: object }>,
+ *   variables: string[],
+ *   template?: object[],
+ *   where: object,
+ *   order: Array<{ expression: object, descending: boolean }>,
+ *   limit: number|null,
+ *   offset: number,
+ *   prefixes: Record<string, string>
+ * }} variables: the pattern variables in order of appearance (what SELECT * returns);
+ *   prefixes: the query's own PREFIX declarations
+ */
+export function parseSparql(text, options = {}) {
+  const fnName = 'parseSparql';
+  logEvent(fnName, 'start', { length: String(text ?? '').length });
+
+  try {
+    const { factory } = options;
+    if (!factory) throw new Error('parseSparql requires a DataFactory (options.factory)');
+
+    const tokens = tokenizeSparql(text);
+    const prefixes = new Map(Object.entries(options.prefixes || {}));
+    const declared = {};
+    const patternVariables = new Set();
+    let base = null;
+    let blankCount = 0;
+    let inTemplate = false;
+    let i = 0;
+
+    const peek = (offset = 0) => tokens[i + offset];
+    const next = () => tokens[i++];
+    const fail = (message, token = peek()) => {
+      const where = token ? ` near "${token.text}"` : ' at end of query';
+      throw createSyntaxError(message + where, token ?? tokens[tokens.length - 1]);
+    };
+    const isPunct = (value, offset = 0) => peek(offset)?.type === 'punct' && peek(offset).value === value;
+    const isWord = (word, offset = 0) => peek(offset)?.type === 'word' && peek(offset).value.toUpperCase() === word;
+    const accept = value => (isPunct(value) ? next() : null);
+    const acceptWord = word => (isWord(word) ? next() : null);
+    const expect = value => accept(value) || fail(`Expected "${value}"`);
+    const expectWord = word => acceptWord(word) || fail(`Expected ${word}`);
+
+    const resolveIri = iri => {
+      if (!base || /^[A-Za-z][A-Za-z0-9+.-]*:/.test(iri)) return iri;
+      try {
+        return new URL(iri, base).href;
+      } catch {
+        return iri;
+      }
+    };
+    const iriOf = token => {
+      if (token.type === 'iri') return resolveIri(token.value);
+      if (!prefixes.has(token.prefix)) fail(`Unknown prefix "${token.prefix}:"`, token);
+      return prefixes.get(token.prefix) + token.local;
+    };
+    const variable = (name, inPattern = true) => {
+      if (inPattern && !inTemplate) patternVariables.add(name);
+      return factory.variable(name);
+    };
+    // Blank nodes are hidden variables in patterns, and fresh blank nodes per solution in templates.
+    const blankNode = label => {
+      const name = label ?? `b${++blankCount}`;
+      if (inTemplate) return factory.blankNode(label ? name : ` ${name}`);
+      return factory.variable(HIDDEN_VARIABLE_PREFIX + (label ? `_${name}` : name));
+    };
+
+    const literal = () => {
+      const token = next();
+      if (token.type === 'string') {
+        if (peek()?.type === 'lang') return factory.literal(token.value, next().value.toLowerCase());
+        if (accept('^^')) {
+          const dt = next();
+          if (dt?.type !== 'iri' && dt?.type !== 'pname') fail('Expected a datatype IRI', dt);
+          return factory.literal(token.value, factory.namedNode(iriOf(dt)));
+        }
+        return factory.literal(token.value);
+      }
+      if (token.type === 'number') return factory.literal(token.value, factory.namedNode(token.datatype));
+      if (token.type === 'punct' && (token.value === '-' || token.value === '+') && peek()?.type === 'number') {
+        const number = next();
+        return factory.literal(token.value === '-' ? `-${number.value}` : number.value, factory.namedNode(number.datatype));
+      }
+      const word = token.value.toLowerCase();
+      return factory.literal(word, factory.namedNode(XSD_BOOLEAN));
+    };
+    const startsLiteral = (offset = 0) => {
+      const token = peek(offset);
+      if (!token) return false;
+      if (token.type === 'string' || token.type === 'number') return true;
+      if (token.type === 'word') return token.value === 'true' || token.value === 'false';
+      return token.type === 'punct' && (token.value === '-' || token.value === '+') && peek(offset + 1)?.type === 'number';
+    };
+
+    // ----- Triples -----
+
+    const varOrTerm = () => {
+      const token = peek();
+      if (!token) fail('Expected a term');
+      if (token.type === 'var') return variable(next().value);
+      if (token.type === 'iri' || token.type === 'pname') return factory.namedNode(iriOf(next()));
+      if (token.type === 'bnode') return blankNode(next().value);
+      if (startsLiteral()) return literal();
+      if (isPunct('(')) fail('RDF collections are not supported');
+      return fail('Expected a variable, IRI, literal or blank node');
+    };
+
+    const pathPrimary = () => {
+      const token = peek();
+      if (token?.type === 'iri' || token?.type === 'pname') return factory.namedNode(iriOf(next()));
+      if (token?.type === 'word' && token.value === 'a') {
+        next();
+        return factory.namedNode(RDF_TYPE);
+      }
+      if (accept('(')) {
+        const inner = path();
+        expect(')');
+        return inner;
+      }
+      if (isPunct('!')) fail('Negated property sets are not supported');
+      return fail('Expected a predicate');
+    };
+    const pathElt = () => {
+      const primary = pathPrimary();
+      const mod = ['*', '+', '?'].find(m => isPunct(m));
+      if (!mod) return primary;
+      next();
+      const pathType = { '*': 'zeroOrMore', '+': 'oneOrMore', '?': 'zeroOrOne' }[mod];
+      return { type: 'path', pathType, items: [primary] };
+    };
+    const pathEltOrInverse = () => (accept('^') ? { type: 'path', pathType: 'inverse', items: [pathElt()] } : pathElt());
+    const pathSequence = () => {
+      const items = [pathEltOrInverse()];
+      while (accept('/')) items.push(pathEltOrInverse());
+      return items.length > 1 ? { type: 'path', pathType: 'sequence', items } : items[0];
+    };
+    function path() {
+      const items = [pathSequence()];
+      while (accept('|')) items.push(pathSequence());
+      return items.length > 1 ? { type: 'path', pathType: 'alternative', items } : items[0];
+    }
+
+    const verb = () => {
+      if (peek()?.type === 'var') return variable(next().value);
+      if (inTemplate) {
+        const token = peek();
+        if (token?.type === 'word' && token.value === 'a') {
+          next();
+          return factory.namedNode(RDF_TYPE);
+        }
+        if (token?.type === 'iri' || token?.type === 'pname') return factory.namedNode(iriOf(next()));
+        return fail('Expected a predicate');
+      }
+      return path();
+    };
+
+    const graphNode = triples => (isPunct('[') ? blankNodePropertyList(triples) : varOrTerm());
+
+    const propertyList = (subject, triples) => {
+      for (;;) {
+        const predicate = verb();
+        do {
+          triples.push({ subject, predicate, object: graphNode(triples) });
+        } while (accept(','));
+        if (!accept(';')) return;
+        while (accept(';'));
+        if (isPunct('.') || isPunct('}') || isPunct(']') || !peek()) return;
+      }
+    };
+
+    function blankNodePropertyList(triples) {
+      expect('[');
+      const node = blankNode(null);
+      if (accept(']')) return node;
+      propertyList(node, triples);
+      expect(']');
+      return node;
+    }
+
+    const triplesSameSubject = triples => {
+      if (isPunct('[')) {
+        const subject = blankNodePropertyList(triples);
+        if (!isPunct('.') && !isPunct('}')) propertyList(subject, triples);
+        return;
+      }
+      propertyList(varOrTerm(), triples);
+    };
+
+    const startsTriples = () => {
+      const token = peek();
+      if (!token) return false;
+      if (['var', 'iri', 'pname', 'bnode', 'string', 'number'].includes(token.type)) return true;
+      return isPunct('[') || isPunct('(') || startsLiteral();
+    };
+
+    // Triples inside { } up to the closing brace (CONSTRUCT templates and CONSTRUCT WHERE).
+    const triplesTemplate = () => {
+      const triples = [];
+      expect('{');
+      while (!accept('}')) {
+        if (!startsTriples()) fail('Expected a triple pattern or "}"');
+        triplesSameSubject(triples);
+        if (!accept('.') && !isPunct('}')) fail('Expected "." or "}"');
+      }
+      return triples;
+    };
+
+    // ----- Expressions -----
+
+    const argumentList = () => {
+      expect('(');
+      const args = [];
+      if (accept(')')) return args;
+      do {
+        args.push(expression());
+      } while (accept(','));
+      expect(')');
+      return args;
+    };
+
+    const builtinCall = () => {
+      const token = next();
+      const name = token.value.toUpperCase();
+      if (name === 'NOT' || name === 'EXISTS') {
+        if (name === 'NOT') expectWord('EXISTS');
+        return { type: 'exists', negated: name === 'NOT', group: groupGraphPattern() };
+      }
+      if (AGGREGATES.has(name)) fail('Aggregates are not supported', token);
+      if (name === 'BOUND') {
+        expect('(');
+        const arg = peek()?.type === 'var' ? next() : fail('BOUND takes a variable');
+        expect(')');
+        return { type: 'bound', name: arg.value };
+      }
+      const args = argumentList();
+      const [min, max] = BUILTIN_ARITY[name];
+      if (args.length < min || (max != null && args.length > max)) {
+        fail(`${name} takes ${min === max ? min : `${min} to ${max ?? 'any number of'}`} arguments`, token);
+      }
+      return { type: 'call', name, args };
+    };
+    const isBuiltinCall = () => {
+      const token = peek();
+      if (token?.type !== 'word') return false;
+      const name = token.value.toUpperCase();
+      if (name === 'NOT') return isWord('EXISTS', 1);
+      return name === 'EXISTS' || name in BUILTIN_ARITY || (AGGREGATES.has(name) && isPunct('(', 1));
+    };
+
+    function primaryExpression() {
+      const token = peek();
+      if (!token) fail('Expected an expression');
+      if (accept('(')) {
+        const inner = expression();
+        expect(')');
+        return inner;
+      }
+      if (token.type === 'var') return { type: 'var', name: variable(next().value, false).value };
+      if (isBuiltinCall()) return builtinCall();
+      if (token.type === 'iri' || token.type === 'pname') {
+        const iri = iriOf(next());
+        if (!isPunct('(')) return { type: 'term', term: factory.namedNode(iri) };
+        if (!CASTS.has(iri)) fail(`Unsupported function <${iri}>`, token);
+        const args = argumentList();
+        if (args.length !== 1) fail('A cast takes 1 argument', token);
+        return { type: 'cast', datatype: iri, args };
+      }
+      if (startsLiteral()) return { type: 'term', term: literal() };
+      return fail('Expected an expression');
+    }
+    function unaryExpression() {
+      if (accept('!')) return { type: 'op', op: '!', args: [unaryExpression()] };
+      if (isPunct('-') && peek(1)?.type !== 'number') {
+        next();
+        return { type: 'op', op: 'negate', args: [unaryExpression()] };
+      }
+      if (isPunct('+') && peek(1)?.type !== 'number') {
+        next();
+        return unaryExpression();
+      }
+      return primaryExpression();
+    }
+    function multiplicativeExpression() {
+      let left = unaryExpression();
+      for (let op; (op = ['*', '/'].find(p => isPunct(p)));) {
+        next();
+        left = { type: 'op', op, args: [left, unaryExpression()] };
+      }
+      return left;
+    }
+    function additiveExpression() {
+      let left = multiplicativeExpression();
+      for (let op; (op = ['+', '-'].find(p => isPunct(p)));) {
+        next();
+        left = { type: 'op', op, args: [left, multiplicativeExpression()] };
+      }
+      return left;
+    }
+    function relationalExpression() {
+      const left = additiveExpression();
+      const op = ['=', '!=', '<', '>', '<=', '>='].find(p => isPunct(p));
+      if (op) {
+        next();
+        return { type: 'op', op, args: [left, additiveExpression()] };
+      }
+      if (isWord('IN') || (isWord('NOT') && isWord('IN', 1))) {
+        const negated = Boolean(acceptWord('NOT'));
+        next();
+        return { type: 'in', negated, args: [left, ...argumentList()] };
+      }
+      return left;
+    }
+    function andExpression() {
+      let left = relationalExpression();
+      while (accept('&&')) left = { type: 'op', op: '&&', args: [left, relationalExpression()] };
+      return left;
+    }
+    function expression() {
+      let left = andExpression();
+      while (accept('||')) left = { type: 'op', op: '||', args: [left, andExpression()] };
+      return left;
+    }
+
+    // FILTER ( expr ) | FILTER builtin(...) | FILTER NOT EXISTS { ... }
+    const constraint = () => {
+      if (isPunct('(')) {
+        next();
+        const inner = expression();
+        expect(')');
+        return inner;
+      }
+      if (isBuiltinCall()) return builtinCall();
+      return fail('Expected "(" or a function call after FILTER');
+    };
+
+    // ----- Graph patterns -----
+
+    const dataBlockValue = () => {
+      if (acceptWord('UNDEF')) return null;
+      const token = peek();
+      if (token?.type === 'iri' || token?.type === 'pname') return factory.namedNode(iriOf(next()));
+      if (startsLiteral()) return literal();
+      return fail('Expected an IRI, literal or UNDEF');
+    };
+    const valuesClause = () => {
+      const variables = [];
+      const rows = [];
+      if (peek()?.type === 'var') {
+        variables.push(variable(next().value).value);
+        expect('{');
+        while (!accept('}')) rows.push([dataBlockValue()]);
+      } else {
+        expect('(');
+        while (peek()?.type === 'var') variables.push(variable(next().value).value);
+        expect(')');
+        expect('{');
+        while (!accept('}')) {
+          expect('(');
+          const row = variables.map(() => dataBlockValue());
+          expect(')');
+          rows.push(row);
+        }
+      }
+      return {
+        type: 'values',
+        rows: rows.map(row => Object.fromEntries(
+          row.map((value, idx) => [variables[idx], value]).filter(([, value]) => value)
+        ))
+      };
+    };
+
+    function groupGraphPattern() {
+      expect('{');
+      if (isWord('SELECT')) fail('Subqueries are not supported');
+      const elements = [];
+      const addTriples = () => {
+        let last = elements[elements.length - 1];
+        if (last?.type !== 'bgp') elements.push(last = { type: 'bgp', triples: [] });
+        triplesSameSubject(last.triples);
+        if (!accept('.') && !isPunct('}') && startsTriples()) fail('Expected "." or "}"');
+      };
+
+      while (!accept('}')) {
+        if (!peek()) fail('Expected "}"');
+        if (acceptWord('OPTIONAL')) {
+          elements.push({ type: 'optional', group: groupGraphPattern() });
+        } else if (acceptWord('MINUS')) {
+          elements.push({ type: 'minus', group: groupGraphPattern() });
+        } else if (acceptWord('GRAPH')) {
+          const token = peek();
+          const graph = token?.type === 'var' || token?.type === 'iri' || token?.type === 'pname'
+            ? varOrTerm()
+            : fail('Expected a variable or IRI after GRAPH');
+          elements.push({ type: 'graph', graph, group: groupGraphPattern() });
+        } else if (acceptWord('FILTER')) {
+          elements.push({ type: 'filter', expression: constraint() });
+        } else if (acceptWord('BIND')) {
+          expect('(');
+          const bound = expression();
+          expectWord('AS');
+          const target = peek()?.type === 'var' ? variable(next().value) : fail('Expected a variable after AS');
+          expect(')');
+          elements.push({ type: 'bind', expression: bound, variable: target.value });
+        } else if (acceptWord('VALUES')) {
+          elements.push(valuesClause());
+        } else if (isWord('SERVICE')) {
+          fail('SERVICE is not supported');
+        } else if (isPunct('{')) {
+          const groups = [groupGraphPattern()];
+          while (acceptWord('UNION')) groups.push(groupGraphPattern());
+          elements.push(groups.length > 1 ? { type: 'union', groups } : { type: 'group', group: groups[0] });
+        } else if (startsTriples()) {
+          addTriples();
+          continue;
+        } else {
+          fail('Expected a triple pattern, OPTIONAL, UNION, MINUS, GRAPH, FILTER, BIND, VALUES or "}"');
+        }
+        accept('.');
+      }
+      return { type: 'group', elements };
+    }
+
+    const whereClause = () => {
+      if (isWord('FROM')) fail('FROM is not supported: queries run against the loaded files');
+      acceptWord('WHERE');
+      return groupGraphPattern();
+    };
+
+    const solutionModifiers = query => {
+      if (isWord('GROUP') || isWord('HAVING')) fail('GROUP BY and HAVING are not supported');
+      if (acceptWord('ORDER')) {
+        expectWord('BY');
+        const startsCondition = () => isWord('ASC') || isWord('DESC') || peek()?.type === 'var' ||
+          isPunct('(') || isBuiltinCall() || peek()?.type === 'iri' || peek()?.type === 'pname';
+        if (!startsCondition()) fail('Expected an ORDER BY condition');
+        while (startsCondition()) {
+          const direction = acceptWord('ASC') || acceptWord('DESC');
+          if (direction) {
+            expect('(');
+            const inner = expression();
+            expect(')');
+            query.order.push({ expression: inner, descending: direction.value.toUpperCase() === 'DESC' });
+          } else {
+            query.order.push({ expression: primaryExpression(), descending: false });
+          }
+        }
+      }
+      for (let keyword; (keyword = acceptWord('LIMIT') || acceptWord('OFFSET'));) {
+        const count = peek()?.type === 'number' && peek().datatype === XSD_INTEGER
+          ? Number(next().value)
+          : fail(`Expected a whole number after ${keyword.value.toUpperCase()}`);
+        if (keyword.value.toUpperCase() === 'LIMIT') query.limit = count;
+        else query.offset = count;
+      }
+    };
+
+    // ----- Query -----
+
+    for (;;) {
+      if (acceptWord('PREFIX')) {
+        const name = next();
+        if (name?.type !== 'pname' || name.local) fail('Expected a prefix name such as "ex:"', name);
+        const ns = next();
+        if (ns?.type !== 'iri') fail('Expected a namespace IRI', ns);
+        prefixes.set(name.prefix, resolveIri(ns.value));
+        declared[name.prefix] = prefixes.get(name.prefix);
+      } else if (acceptWord('BASE')) {
+        const iri = next();
+        if (iri?.type !== 'iri') fail('Expected a base IRI', iri);
+        base = resolveIri(iri.value);
+      } else {
+        break;
+      }
+    }
+
+    const query = {
+      type: null,
+      distinct: false,
+      projection: '*',
+      variables: [],
+      where: null,
+      order: [],
+      limit: null,
+      offset: 0,
+      prefixes: declared
+    };
+    const keyword = peek();
+    const form = keyword?.type === 'word' ? keyword.value.toUpperCase() : '';
+
+    if (form === 'SELECT') {
+      next();
+      query.type = 'select';
+      if (acceptWord('DISTINCT')) query.distinct = true;
+      else acceptWord('REDUCED');
+      if (!accept('*')) {
+        query.projection = [];
+        const names = new Set();
+        while (peek()?.type === 'var' || isPunct('(')) {
+          let item;
+          if (accept('(')) {
+            const projected = expression();
+            expectWord('AS');
+            const target = peek()?.type === 'var' ? next() : fail('Expected a variable after AS');
+            expect(')');
+            item = { name: target.value, expression: projected, token: target };
+          } else {
+            const token = next();
+            item = { name: token.value, token };
+          }
+          if (names.has(item.name)) fail(`?${item.name} is selected twice`, item.token);
+          names.add(item.name);
+          query.projection.push({ name: item.name, ...(item.expression ? { expression: item.expression } : {}) });
+        }
+        if (!query.projection.length) fail('Expected "*" or variables to select');
+      }
+      query.where = whereClause();
+      solutionModifiers(query);
+    } else if (form === 'ASK') {
+      next();
+      query.type = 'ask';
+      query.where = whereClause();
+      solutionModifiers(query);
+    } else if (form === 'CONSTRUCT') {
+      next();
+      query.type = 'construct';
+      if (acceptWord('WHERE')) {
+        const triples = triplesTemplate();
+        query.template = triples;
+        query.where = { type: 'group', elements: [{ type: 'bgp', triples }] };
+      } else {
+        inTemplate = true;
+        query.template = triplesTemplate();
+        inTemplate = false;
+        query.where = whereClause();
+      }
+      solutionModifiers(query);
+    } else if (form === 'DESCRIBE') {
+      fail('DESCRIBE queries are not supported');
+    } else if (UPDATE_KEYWORDS.has(form)) {
+      fail('SPARQL Update is not supported: queries never change the loaded files');
+    } else {
+      fail('Expected SELECT, ASK or CONSTRUCT');
+    }
+
+    if (peek()) fail('Unexpected input after the query');
+    query.variables = Array.from(patternVariables).filter(name => !name.startsWith(HIDDEN_VARIABLE_PREFIX));
+
+    logEvent(fnName, 'parsed', { type: query.type });
+    return query;
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+// ----- Evaluation -----
+
+function termKey(term) {
+  if (!term) return '';
+  if (term.termType === 'Literal') {
+    return `"${term.value}"${term.language ? `@${term.language}` : `^^${term.datatype.value}`}`;
+  }
+  return term.termType === 'BlankNode' ? `_:${term.value}` : `<${term.value}>`;
+}
+
+function termsEqual(a, b) {
+  return termKey(a) === termKey(b);
+}
+
+const isLiteral = term => term?.termType === 'Literal';
+const isNumeric = term => isLiteral(term) && NUMERIC_DATATYPES.has(term.datatype.value);
+const isStringLiteral = term => isLiteral(term) &&
+  (term.datatype.value === XSD_STRING || term.datatype.value === RDF_LANG_STRING);
+
+function numberOf(term) {
+  const text = term.value.trim();
+  if (text === 'INF' || text === '+INF') return Infinity;
+  if (text === '-INF') return -Infinity;
+  return Number(text);
+}
+
+function requireLiteral(term) {
+  if (!isLiteral(term)) throw new ExpressionError('Expected a literal');
+  return term;
+}
+
+function effectiveBooleanValue(term) {
+  if (!isLiteral(term)) throw new ExpressionError('No boolean value');
+  const datatype = term.datatype.value;
+  if (datatype === XSD_BOOLEAN) return term.value === 'true' || term.value === '1';
+  if (NUMERIC_DATATYPES.has(datatype)) {
+    const n = numberOf(term);
+    return !Number.isNaN(n) && n !== 0;
+  }
+  if (isStringLiteral(term)) return term.value.length > 0;
+  throw new ExpressionError('No boolean value');
+}
+
+// -1, 0 or 1 for <, = and >, or an ExpressionError when the terms cannot be compared.
+function compareValues(a, b) {
+  if (isNumeric(a) && isNumeric(b)) {
+    const x = numberOf(a);
+    const y = numberOf(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  if (isLiteral(a) && isLiteral(b) && a.datatype.value === b.datatype.value && a.language === b.language) {
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  }
+  throw new ExpressionError('Cannot compare these terms');
+}
+
+function valuesEqual(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return numberOf(a) === numberOf(b);
+  if (isLiteral(a) && isLiteral(b) && a.datatype.value === XSD_BOOLEAN && b.datatype.value === XSD_BOOLEAN) {
+    return effectiveBooleanValue(a) === effectiveBooleanValue(b);
+  }
+  return termsEqual(a, b);
+}
+
+// ORDER BY: unbound, then blank nodes, IRIs and literals; numbers by value, other literals by text.
+function orderCompare(a, b) {
+  const rank = term => (!term ? 0 : { BlankNode: 1, NamedNode: 2, Literal: 3 }[term.termType] ?? 4);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (!a) return 0;
+  if (isNumeric(a) && isNumeric(b)) return numberOf(a) - numberOf(b);
+  if (a.value !== b.value) return a.value < b.value ? -1 : 1;
+  return termKey(a) < termKey(b) ? -1 : termKey(a) > termKey(b) ? 1 : 0;
+}
+
+const isVariable = term => term?.termType === 'Variable';
+
+/**
+ * Run a parsed query against a store.
+ * @param {ReturnType<typeof parseSparql>} query
+ * @param {import('n3').Store} store
+ * @param {{ factory: import('n3').DataFactory }} options
+ * @returns {{ type: 'select', variables: string[], bindings: Array<Record<string, object>> }
+ *   | { type: 'ask', boolean: boolean }
+ *   | { type: 'construct', quads: import('n3').Quad[] }}
+ *   bindings: one object per solution, variable name → RDF/JS term (unbound variables are absent)
+ */
+export function executeSparql(query, store, options = {}) {
+  const fnName = 'executeSparql';
+  logEvent(fnName, 'start', { type: query.type });
+
+  try {
+    const { factory } = options;
+    if (!factory) throw new Error('executeSparql requires a DataFactory (options.factory)');
+
+    const namedGraphs = store.getGraphs(null, null, null).filter(g => g.termType !== 'DefaultGraph');
+    const literalOf = (value, datatype) => factory.literal(String(value), factory.namedNode(datatype));
+    const booleanOf = value => literalOf(value ? 'true' : 'false', XSD_BOOLEAN);
+    // String results keep the language of the string they came from.
+    const stringLike = (source, value) => (source?.language
+      ? factory.literal(value, source.language)
+      : factory.literal(value));
+    const regexCache = new Map();
+    const regexOf = (pattern, flags = '') => {
+      const key = `${flags}/${pattern}`;
+      if (!regexCache.has(key)) {
+        try {
+          regexCache.set(key, new RegExp(pattern, flags.replace(/[^ims]/g, '') + 'u'));
+        } catch {
+          regexCache.set(key, null);
+        }
+      }
+      const re = regexCache.get(key);
+      if (!re) throw new ExpressionError('Invalid regular expression');
+      return re;
+    };
+
+    // Quads of one graph, or of the default graph (every graph, each triple once) when graph is null.
+    const matchQuads = (s, p, o, graph) => {
+      const quads = store.getQuads(s, p, o, graph);
+      if (graph || !namedGraphs.length) return quads;
+      const seen = new Set();
+      return quads.filter(q => {
+        const key = `${termKey(q.subject)} ${termKey(q.predicate)} ${termKey(q.object)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    };
+    const uniqueTerms = terms => Array.from(new Map(terms.map(t => [termKey(t), t])).values());
+    const allNodes = graph => uniqueTerms(matchQuads(null, null, null, graph).flatMap(q => [q.subject, q.object]));
+
+    const resolve = (term, solution) => (isVariable(term) ? solution[term.value] ?? null : term);
+    // Bind a pattern position to a value; null when the variable is already bound to something else.
+    const bindTerm = (solution, term, value) => {
+      if (!solution || !isVariable(term)) return solution;
+      const current = solution[term.value];
+      if (current) return termsEqual(current, value) ? solution : null;
+      solution[term.value] = value;
+      return solution;
+    };
+
+    // [subject, object] pairs connected by a property path.
+    function evalPath(path, s, o, graph) {
+      if (path.termType) return matchQuads(s, path, o, graph).map(q => [q.subject, q.object]);
+      const [item] = path.items;
+      switch (path.pathType) {
+        case 'inverse':
+          return evalPath(item, o, s, graph).map(([a, b]) => [b, a]);
+        case 'alternative':
+          return path.items.flatMap(alt => evalPath(alt, s, o, graph));
+        case 'sequence': {
+          const [first, ...rest] = path.items;
+          const tail = rest.length === 1 ? rest[0] : { type: 'path', pathType: 'sequence', items: rest };
+          if (!s && o) {
+            // Walk back from the bound end.
+            return evalPath(tail, null, o, graph)
+              .flatMap(([mid, end]) => evalPath(first, null, mid, graph).map(([start]) => [start, end]));
+          }
+          return evalPath(first, s, null, graph)
+            .flatMap(([start, mid]) => evalPath(tail, mid, o, graph).map(([, end]) => [start, end]));
+        }
+        default: {
+          const zeroLength = path.pathType !== 'oneOrMore';
+          const repeat = path.pathType !== 'zeroOrOne';
+          // Nodes reachable from start (each once), walking the path forwards or backwards.
+          const reach = (start, forward) => {
+            const seen = new Map();
+            if (zeroLength) seen.set(termKey(start), start);
+            const queue = [start];
+            for (let at = 0; at < queue.length; at++) {
+              const steps = forward
+                ? evalPath(item, queue[at], null, graph).map(([, b]) => b)
+                : evalPath(item, null, queue[at], graph).map(([a]) => a);
+              steps.forEach(node => {
+                const key = termKey(node);
+                if (seen.has(key)) return;
+                seen.set(key, node);
+                if (repeat) queue.push(node);
+              });
+              if (!repeat) break;
+            }
+            return Array.from(seen.values());
+          };
+          if (s) return reach(s, true).filter(node => !o || termsEqual(node, o)).map(node => [s, node]);
+          if (o) return reach(o, false).map(node => [node, o]);
+          const starts = zeroLength ? allNodes(graph) : uniqueTerms(evalPath(item, null, null, graph).map(([a]) => a));
+          return starts.flatMap(start => reach(start, true).map(node => [start, node]));
+        }
+      }
+    }
+
+    const matchTriple = (triple, solution, graph) => {
+      const s = resolve(triple.subject, solution);
+      const o = resolve(triple.object, solution);
+      if (triple.predicate.type === 'path') {
+        return evalPath(triple.predicate, s, o, graph)
+          .map(([a, b]) => bindTerm(bindTerm({ ...solution }, triple.subject, a), triple.object, b))
+          .filter(Boolean);
+      }
+      const p = resolve(triple.predicate, solution);
+      return matchQuads(s, p, o, graph)
+        .map(q => {
+          let extended = bindTerm({ ...solution }, triple.subject, q.subject);
+          extended = bindTerm(extended, triple.predicate, q.predicate);
+          return bindTerm(extended, triple.object, q.object);
+        })
+        .filter(Boolean);
+    };
+
+    // Join a basic graph pattern, most bound triple patterns first.
+    const joinTriples = (solutions, triples, graph) => {
+      const bound = new Set(Object.keys(solutions[0] || {}));
+      const isBound = term => !isVariable(term) || bound.has(term.value);
+      const remaining = [...triples];
+      while (remaining.length && solutions.length) {
+        let best = 0;
+        let bestScore = -1;
+        remaining.forEach((triple, idx) => {
+          const predicateScore = triple.predicate.type === 'path' ? 0 : Number(isBound(triple.predicate));
+          const score = Number(isBound(triple.subject)) * 2 + Number(isBound(triple.object)) * 2 + predicateScore;
+          if (score > bestScore) {
+            best = idx;
+            bestScore = score;
+          }
+        });
+        const [triple] = remaining.splice(best, 1);
+        [triple.subject, triple.predicate, triple.object].forEach(term => {
+          if (isVariable(term)) bound.add(term.value);
+        });
+        solutions = solutions.flatMap(solution => matchTriple(triple, solution, graph));
+      }
+      return solutions;
+    };
+
+    function evaluate(expr, solution, graph) {
+      switch (expr.type) {
+        case 'term':
+          return expr.term;
+        case 'var': {
+          const value = solution[expr.name];
+          if (!value) throw new ExpressionError(`?${expr.name} is unbound`);
+          return value;
+        }
+        case 'bound':
+          return booleanOf(Boolean(solution[expr.name]));
+        case 'exists':
+          return booleanOf(evalGroup(expr.group, [solution], graph).length > 0 !== expr.negated);
+        case 'in': {
+          const [left, ...list] = expr.args;
+          const value = evaluate(left, solution, graph);
+          const found = list.some(item => valuesEqual(value, evaluate(item, solution, graph)));
+          return booleanOf(found !== expr.negated);
+        }
+        case 'op':
+          return evaluateOperator(expr, solution, graph);
+        case 'cast':
+          return evaluateCast(expr.datatype, evaluate(expr.args[0], solution, graph));
+        case 'call':
+          return evaluateCall(expr, solution, graph);
+        default:
+          throw new Error(`Unknown expression type "${expr.type}"`);
+      }
+    }
+
+    function evaluateOperator({ op, args }, solution, graph) {
+      if (op === '||' || op === '&&') {
+        // Errors only matter when the other side does not decide the result.
+        const sides = args.map(arg => {
+          try {
+            return effectiveBooleanValue(evaluate(arg, solution, graph));
+          } catch (err) {
+            if (err instanceof ExpressionError) return err;
+            throw err;
+          }
+        });
+        const decisive = op === '||';
+        if (sides.includes(decisive)) return booleanOf(decisive);
+        const error = sides.find(side => side instanceof ExpressionError);
+        if (error) throw error;
+        return booleanOf(!decisive);
+      }
+      const values = args.map(arg => evaluate(arg, solution, graph));
+      const [a, b] = values;
+      switch (op) {
+        case '!':
+          return booleanOf(!effectiveBooleanValue(a));
+        case 'negate':
+          if (!isNumeric(a)) throw new ExpressionError('Not a number');
+          return literalOf(-numberOf(a), a.datatype.value);
+        case '=':
+          return booleanOf(valuesEqual(a, b));
+        case '!=':
+          return booleanOf(!valuesEqual(a, b));
+        case '<':
+          return booleanOf(compareValues(a, b) < 0);
+        case '>':
+          return booleanOf(compareValues(a, b) > 0);
+        case '<=':
+          return booleanOf(compareValues(a, b) <= 0);
+        case '>=':
+          return booleanOf(compareValues(a, b) >= 0);
+        default: {
+          if (!isNumeric(a) || !isNumeric(b)) throw new ExpressionError('Not a number');
+          const types = [a.datatype.value, b.datatype.value];
+          const x = numberOf(a);
+          const y = numberOf(b);
+          const value = op === '+' ? x + y : op === '-' ? x - y : op === '*' ? x * y : x / y;
+          if (types.some(t => t === XSD_DOUBLE || t === XSD + 'float')) return literalOf(value, XSD_DOUBLE);
+          if (op === '/' && y === 0) throw new ExpressionError('Division by zero');
+          if (op === '/' || types.some(t => !INTEGER_DATATYPES.has(t))) return literalOf(value, XSD_DECIMAL);
+          return literalOf(value, XSD_INTEGER);
+        }
+      }
+    }
+
+    function evaluateCast(datatype, value) {
+      if (datatype === XSD_STRING) {
+        if (value.termType === 'BlankNode') throw new ExpressionError('Cannot cast a blank node');
+        return factory.literal(value.value);
+      }
+      const text = requireLiteral(value).value.trim();
+      if (datatype === XSD_BOOLEAN) {
+        if (isNumeric(value)) return booleanOf(numberOf(value) !== 0);
+        if (!['true', 'false', '1', '0'].includes(text)) throw new ExpressionError('Not a boolean');
+        return booleanOf(text === 'true' || text === '1');
+      }
+      if (value.datatype.value === XSD_BOOLEAN) return literalOf(text === 'true' || text === '1' ? 1 : 0, datatype);
+      const n = Number(text);
+      if (!text || Number.isNaN(n)) throw new ExpressionError('Not a number');
+      if (datatype === XSD_INTEGER) {
+        if (!Number.isFinite(n)) throw new ExpressionError('Not an integer');
+        return literalOf(Math.trunc(n), XSD_INTEGER);
+      }
+      return literalOf(n, datatype);
+    }
+
+    function evaluateCall({ name, args }, solution, graph) {
+      if (name === 'COALESCE') {
+        for (const arg of args) {
+          try {
+            return evaluate(arg, solution, graph);
+          } catch (err) {
+            if (!(err instanceof ExpressionError)) throw err;
+          }
+        }
+        throw new ExpressionError('No COALESCE argument has a value');
+      }
+      if (name === 'IF') {
+        const test = effectiveBooleanValue(evaluate(args[0], solution, graph));
+        return evaluate(args[test ? 1 : 2], solution, graph);
+      }
+
+      const values = args.map(arg => evaluate(arg, solution, graph));
+      const [a, b, c, d] = values;
+      const text = term => requireLiteral(term).value;
+      switch (name) {
+        case 'STR':
+          if (a.termType === 'BlankNode') throw new ExpressionError('STR of a blank node');
+          return factory.literal(a.value);
+        case 'LANG':
+          return factory.literal(requireLiteral(a).language || '');
+        case 'LANGMATCHES': {
+          const tag = text(a).toLowerCase();
+          const range = text(b).toLowerCase();
+          return booleanOf(range === '*' ? tag !== '' : tag === range || tag.startsWith(`${range}-`));
+        }
+        case 'DATATYPE':
+          return requireLiteral(a).datatype;
+        case 'IRI':
+        case 'URI':
+          if (a.termType === 'NamedNode') return a;
+          return factory.namedNode(text(a));
+        case 'ISIRI':
+        case 'ISURI':
+          return booleanOf(a.termType === 'NamedNode');
+        case 'ISBLANK':
+          return booleanOf(a.termType === 'BlankNode');
+        case 'ISLITERAL':
+          return booleanOf(isLiteral(a));
+        case 'ISNUMERIC':
+          return booleanOf(isNumeric(a) && !Number.isNaN(numberOf(a)));
+        case 'SAMETERM':
+          return booleanOf(termsEqual(a, b));
+        case 'REGEX':
+          return booleanOf(regexOf(text(b), c ? text(c) : '').test(text(a)));
+        case 'REPLACE': {
+          const re = regexOf(text(b), d ? text(d) : '');
+          return stringLike(a, text(a).replace(new RegExp(re.source, `${re.flags}g`), text(c)));
+        }
+        case 'CONTAINS':
+          return booleanOf(text(a).includes(text(b)));
+        case 'STRSTARTS':
+          return booleanOf(text(a).startsWith(text(b)));
+        case 'STRENDS':
+          return booleanOf(text(a).endsWith(text(b)));
+        case 'STRBEFORE': {
+          const at = text(a).indexOf(text(b));
+          return at === -1 ? factory.literal('') : stringLike(a, text(a).slice(0, at));
+        }
+        case 'STRAFTER': {
+          const at = text(a).indexOf(text(b));
+          return at === -1 ? factory.literal('') : stringLike(a, text(a).slice(at + text(b).length));
+        }
+        case 'LCASE':
+          return stringLike(a, text(a).toLowerCase());
+        case 'UCASE':
+          return stringLike(a, text(a).toUpperCase());
+        case 'STRLEN':
+          return literalOf([...text(a)].length, XSD_INTEGER);
+        case 'SUBSTR': {
+          const chars = [...text(a)];
+          const start = Math.round(numberOf(requireLiteral(b))) - 1;
+          const end = c ? start + Math.round(numberOf(requireLiteral(c))) : chars.length;
+          return stringLike(a, chars.slice(Math.max(0, start), Math.max(0, end)).join(''));
+        }
+        case 'CONCAT':
+          return factory.literal(values.map(text).join(''));
+        case 'STRLANG':
+          return factory.literal(text(a), text(b).toLowerCase());
+        case 'STRDT':
+          if (b.termType !== 'NamedNode') throw new ExpressionError('STRDT needs a datatype IRI');
+          return factory.literal(text(a), b);
+        case 'ABS':
+          if (!isNumeric(a)) throw new ExpressionError('Not a number');
+          return literalOf(Math.abs(numberOf(a)), a.datatype.value);
+        default:
+          throw new Error(`Unknown function ${name}`);
+      }
+    }
+
+    const tryEvaluate = (expr, solution, graph) => {
+      try {
+        return evaluate(expr, solution, graph);
+      } catch (err) {
+        if (err instanceof ExpressionError) return null;
+        throw err;
+      }
+    };
+    const passes = (expr, solution, graph) => {
+      const value = tryEvaluate(expr, solution, graph);
+      try {
+        return value != null && effectiveBooleanValue(value);
+      } catch (err) {
+        if (err instanceof ExpressionError) return false;
+        throw err;
+      }
+    };
+
+    // Merge two solutions; null when they disagree on a shared variable.
+    const merge = (a, b) => {
+      const merged = { ...a };
+      for (const [name, value] of Object.entries(b)) {
+        if (merged[name] && !termsEqual(merged[name], value)) return null;
+        merged[name] = value;
+      }
+      return merged;
+    };
+
+    // Evaluate a group for each solution; its FILTERs apply to the whole group.
+    function evalGroup(group, solutions, graph) {
+      const filters = [];
+      for (const element of group.elements) {
+        switch (element.type) {
+          case 'bgp':
+            solutions = joinTriples(solutions, element.triples, graph);
+            break;
+          case 'group':
+            solutions = evalGroup(element.group, solutions, graph);
+            break;
+          case 'optional':
+            solutions = solutions.flatMap(solution => {
+              const extended = evalGroup(element.group, [solution], graph);
+              return extended.length ? extended : [solution];
+            });
+            break;
+          case 'union':
+            solutions = solutions.flatMap(solution => element.groups.flatMap(g => evalGroup(g, [solution], graph)));
+            break;
+          case 'minus': {
+            const removed = evalGroup(element.group, [{}], graph);
+            solutions = solutions.filter(solution => !removed.some(other => {
+              const shared = Object.keys(other).filter(name => solution[name]);
+              return shared.length > 0 && shared.every(name => termsEqual(solution[name], other[name]));
+            }));
+            break;
+          }
+          case 'graph':
+            solutions = solutions.flatMap(solution => {
+              const fixed = resolve(element.graph, solution);
+              return (fixed ? [fixed] : namedGraphs).flatMap(g => {
+                const start = bindTerm({ ...solution }, element.graph, g);
+                return start ? evalGroup(element.group, [start], g) : [];
+              });
+            });
+            break;
+          case 'filter':
+            filters.push(element.expression);
+            break;
+          case 'bind':
+            solutions = solutions.map(solution => {
+              if (solution[element.variable]) return solution;
+              const value = tryEvaluate(element.expression, solution, graph);
+              return value ? { ...solution, [element.variable]: value } : solution;
+            });
+            break;
+          case 'values':
+            solutions = solutions.flatMap(solution => element.rows.map(row => merge(solution, row)).filter(Boolean));
+            break;
+          default:
+            throw new Error(`Unknown pattern type "${element.type}"`);
+        }
+      }
+      return filters.length
+        ? solutions.filter(solution => filters.every(expr => passes(expr, solution, graph)))
+        : solutions;
+    }
+
+    let solutions = evalGroup(query.where, [{}], null);
+
+    if (query.type === 'ask') {
+      logEvent(fnName, 'done', { boolean: solutions.length > 0 });
+      return { type: 'ask', boolean: solutions.length > 0 };
+    }
+
+    const projection = query.projection === '*'
+      ? query.variables.map(name => ({ name }))
+      : query.projection;
+    if (query.type === 'select') {
+      projection.filter(item => item.expression).forEach(item => {
+        solutions = solutions.map(solution => {
+          const value = tryEvaluate(item.expression, solution, null);
+          return value ? { ...solution, [item.name]: value } : solution;
+        });
+      });
+    }
+
+    if (query.order.length) {
+      const keyed = solutions.map(solution => ({
+        solution,
+        keys: query.order.map(({ expression }) => tryEvaluate(expression, solution, null))
+      }));
+      keyed.sort((x, y) => {
+        for (let k = 0; k < query.order.length; k++) {
+          const cmp = orderCompare(x.keys[k], y.keys[k]);
+          if (cmp) return query.order[k].descending ? -cmp : cmp;
+        }
+        return 0;
+      });
+      solutions = keyed.map(entry => entry.solution);
+    }
+
+    const slice = list => list.slice(query.offset, query.limit == null ? undefined : query.offset + query.limit);
+
+    if (query.type === 'construct') {
+      const seen = new Set();
+      const quads = [];
+      slice(solutions).forEach(solution => {
+        const blanks = new Map();
+        const instantiate = term => {
+          if (isVariable(term)) return solution[term.value] ?? null;
+          if (term.termType !== 'BlankNode') return term;
+          if (!blanks.has(term.value)) blanks.set(term.value, factory.blankNode());
+          return blanks.get(term.value);
+        };
+        query.template.forEach(triple => {
+          const s = instantiate(triple.subject);
+          const p = instantiate(triple.predicate);
+          const o = instantiate(triple.object);
+          // Triples with unbound or misplaced terms are left out, as the spec says.
+          if (!s || !p || !o || isLiteral(s) || p.termType !== 'NamedNode') return;
+          const key = `${termKey(s)} ${termKey(p)} ${termKey(o)}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+          quads.push(factory.quad(s, p, o));
+        });
+      });
+      logEvent(fnName, 'done', { quadCount: quads.length });
+      return { type: 'construct', quads };
+    }
+
+    const variables = projection.map(item => item.name);
+    let bindings = solutions.map(solution => Object.fromEntries(
+      variables.filter(name => solution[name]).map(name => [name, solution[name]])
+    ));
+    if (query.distinct) {
+      const seen = new Set();
+      bindings = bindings.filter(binding => {
+        const key = variables.map(name => termKey(binding[name])).join(' ');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    bindings = slice(bindings);
+
+    logEvent(fnName, 'done', { rowCount: bindings.length });
+    return { type: 'select', variables, bindings };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
@@ -0,0 +1,154 @@
+// app/table-export.js
+// Table model → CSV, TSV, JSON, GitHub Markdown, standalone HTML and XLSX sheet rows. ES module,
+// pure, shared by the page and bin/tabulate-rdf.js. Every function takes the rows to write (already
+// filtered and sorted by the caller) and an optional cellText(key, value) formatter.
+import { ONTOLOGY_METADATA_FIELDS } from './core.js';
+
+/**
+ * The table as a matrix of strings: headers, then one array per row.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string }} [options]
+ * @returns {string[][]}
+ */
+export function tableModelToMatrix(model, rows, { cellText } = {}) {
+  return [
+    [...model.headers],
+    ...rows.map(row => model.keys.map(key => {
+      const raw = key ? (row[key] ?? '') : '';
+      return String(cellText ? cellText(key, raw) : raw);
+    }))
+  ];
+}
+
+/**
+ * CSV: the header row as it is, then one row of quoted cells per table row.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string }} [options]
+ * @returns {string}
+ */
+export function tableModelToCsv(model, rows, { cellText } = {}) {
+  const headerRow = model.headers.join(',');
+  const lines = [headerRow];
+
+  rows.forEach(row => {
+    const values = model.keys.map(key => {
+      const raw = key ? (row[key] ?? '') : '';
+      const v = cellText ? cellText(key, raw) : raw;
+      const escaped = String(v).replace(/"/g, '""');
+      return `"${escaped}"`;
+    });
+    lines.push(values.join(','));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Tab-separated values; tabs and line breaks inside cells become spaces.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string }} [options]
+ * @returns {string}
+ */
+export function tableModelToTsv(model, rows, options = {}) {
+  return tableModelToMatrix(model, rows, options)
+    .map(values => values.map(v => v.replace(/[\t\r\n]+/g, ' ')).join('\t'))
+    .join('\n');
+}
+
+/**
+ * JSON-ready object: the column keys and headers, and one object per row keyed by column key.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string }} [options]
+ * @returns {{ keys: string[], headers: string[], rows: Array<Record<string, string>> }}
+ */
+export function tableModelToJson(model, rows, options = {}) {
+  const [, ...values] = tableModelToMatrix(model, rows, options);
+  return {
+    keys: [...model.keys],
+    headers: [...model.headers],
+    rows: values.map(cells => Object.fromEntries(model.keys.map((key, i) => [key, cells[i]])))
+  };
+}
+
+function escapeMarkdownCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * GitHub-flavored Markdown table, under a "## title" heading when a title is given.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string, title?: string }} [options]
+ * @returns {string}
+ */
+export function tableModelToMarkdown(model, rows, options = {}) {
+  const [headers, ...values] = tableModelToMatrix(model, rows, options);
+  const line = cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+  const lines = [line(headers), `| ${headers.map(() => '---').join(' | ')} |`, ...values.map(line)];
+  return (options.title ? `## ${escapeMarkdownCell(options.title)}\n\n` : '') + lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML document with the table (and its title as <title> and <h1>), styled inline.
+ * @param {{ headers: string[], keys: string[] }} model
+ * @param {Array<Record<string, string>>} rows
+ * @param {{ cellText?: (key: string, value: string) => string, title?: string }} [options]
+ * @returns {string}
+ */
+export function tableModelToHtml(model, rows, options = {}) {
+  const [headers, ...values] = tableModelToMatrix(model, rows, options);
+  const title = escapeHtml(options.title || 'Ontology elements');
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = values
+    .map(cells => `    <tr>${cells.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; position: sticky; top: 0; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<table>
+  <thead><tr>${head}</tr></thead>
+  <tbody>
+${body}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Sheet rows describing ontologies: a header, then one row per ontology with its name and the
+ * extractOntologyMetadata fields.
+ * @param {Array<{ name: string, meta: object }>} ontologies
+ * @returns {string[][]}
+ */
+export function ontologyMetadataToMatrix(ontologies) {
+  return [
+    ['Sheet', ...ONTOLOGY_METADATA_FIELDS.map(([, label]) => label)],
+    ...ontologies.map(({ name, meta }) => [name, ...ONTOLOGY_METADATA_FIELDS.map(([field]) => meta?.[field] ?? '')])
+  ];
+}
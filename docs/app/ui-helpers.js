@@ -1,9 +1,77 @@
 // app/ui-helpers.js
-import { filterAndSortRows, toPascalCase } from './core.js';
+import {
+  filterAndSortRows,
+  parseFilterQuery,
+  getVisibleRowRange,
+  describeRowRange,
+  formatTableCell,
+  describeIriCell,
+  getSubtreeIris,
+  hierarchyToOutline,
+  iriToCurie,
+  ontologyDiffToCsv,
+  ontologyDiffToMarkdown,
+  lintFindingsToCsv,
+  LINT_RULES,
+  LINT_SEVERITIES,
+  toPascalCase,
+  RDF_FORMAT_LABELS,
+  COLUMN_VALUE_KINDS,
+  DEFAULT_COLUMN_SEPARATOR,
+  parsePrefixRegistry,
+  serializePrefixRegistry,
+  formatByteSize
+} from './core.js';
+import {
+  tableModelToMatrix,
+  tableModelToCsv,
+  tableModelToTsv,
+  tableModelToJson,
+  tableModelToMarkdown,
+  tableModelToHtml,
+  ontologyMetadataToMatrix
+} from './table-export.js';
+
+// Moved to table-export.js (shared with the command-line tool); still exported from here.
+export { tableModelToCsv };
+import { buildXlsxWorkbook, toSheetNames } from './xlsx-writer.js';
 
 export function showLoadingOverlay() {
   const el = document.getElementById('loadingOverlay');
   if (el) el.classList.remove('ontology-tabulator-loading-hidden');
+  updateLoadingProgress(null);
+}
+
+/**
+ * Show parse progress in the loading overlay.
+ * @param {{
+ *   fileIndex: number,
+ *   fileCount: number,
+ *   fileName: string,
+ *   bytesRead: number,
+ *   totalBytes: number,
+ *   quadCount: number
+ * }|null} progress null resets the overlay
+ */
+export function updateLoadingProgress(progress) {
+  const text = document.getElementById('loadingProgressText');
+  const bar = document.getElementById('loadingProgressBar');
+
+  if (!progress) {
+    if (text) text.textContent = 'Reading files…';
+    if (bar) bar.value = 0;
+    return;
+  }
+
+  const percent = progress.totalBytes
+    ? Math.min(100, Math.round((progress.bytesRead / progress.totalBytes) * 100))
+    : 100;
+  if (text) {
+    text.textContent =
+      `${progress.fileName} (${progress.fileIndex + 1} of ${progress.fileCount})\n` +
+      `${percent}% read · ${progress.quadCount.toLocaleString()} triples parsed`;
+  }
+  if (bar) bar.value = percent;
 }
 
 export function hideLoadingOverlay() {
@@ -22,6 +90,16 @@ export function toggleTheme() {
   }
 }
 
+/**
+ * List the processed files: format and triple count, any warnings, or why the file failed.
+ * @param {Array<{
+ *   displayName: string,
+ *   format?: string,
+ *   quadCount?: number,
+ *   warnings?: string[],
+ *   error?: { message: string, line: number|null, column: number|null, snippet: string }
+ * }>} fileInfos
+ */
 export function renderFileList(fileInfos) {
   const ul = document.getElementById('ontologyFileList');
   if (!ul) return;
@@ -30,7 +108,36 @@ export function renderFileList(fileInfos) {
   fileInfos.forEach(info => {
     const li = document.createElement('li');
     li.className = 'ontology-tabulator-filelist-item';
-    li.textContent = `${info.displayName} (${info.quadCount} triples)`;
+
+    if (info.error) {
+      const { message, line, column, snippet } = info.error;
+      li.classList.add('ontology-tabulator-filelist-item-error');
+      const where = line != null ? ` at line ${line}${column != null ? `, column ${column}` : ''}` : '';
+      li.textContent = `${info.displayName}: could not be read${where}: ${message}`;
+      if (snippet) {
+        const pre = document.createElement('pre');
+        pre.className = 'ontology-tabulator-filelist-snippet';
+        pre.textContent = snippet;
+        li.appendChild(pre);
+      }
+      ul.appendChild(li);
+      return;
+    }
+
+    const formatLabel = RDF_FORMAT_LABELS[info.format] || info.format;
+    li.textContent = formatLabel
+      ? `${info.displayName} [${formatLabel}] (${info.quadCount} triples)`
+      : `${info.displayName} (${info.quadCount} triples)`;
+    if (info.warnings?.length) {
+      const warnings = document.createElement('ul');
+      warnings.className = 'ontology-tabulator-filelist-warnings';
+      info.warnings.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = `Warning: ${text}`;
+        warnings.appendChild(item);
+      });
+      li.appendChild(warnings);
+    }
     ul.appendChild(li);
   });
 }
@@ -47,19 +154,26 @@ export function createLinkIfUri(value) {
   }
 }
 
-export function renderOntologyCard(container, metadata) {
+/**
+ * Render an ontology metadata card.
+ * @param {HTMLElement} container
+ * @param {object} metadata extractOntologyMetadata result
+ * @param {{ graph?: string|null }} [options] graph: the named graph the card describes
+ */
+export function renderOntologyCard(container, metadata, options = {}) {
   const card = document.createElement('article');
   card.className = 'ontology-tabulator-card';
 
   const title = document.createElement('h3');
   title.className = 'ontology-tabulator-card-title';
-  title.textContent = metadata.ontologyName || metadata.ontologyIri || 'Unnamed Ontology';
+  title.textContent = metadata.ontologyName || metadata.ontologyIri || options.graph || 'Unnamed Ontology';
   card.appendChild(title);
 
   const table = document.createElement('table');
   table.className = 'ontology-tabulator-card-table';
 
   const fields = [
+    ['Named Graph', createLinkIfUri(options.graph)],
     ['Ontology Name', metadata.ontologyName],
     ['Ontology IRI', createLinkIfUri(metadata.ontologyIri)],
     ['Version IRI', createLinkIfUri(metadata.versionIri)],
@@ -90,7 +204,124 @@ export function renderOntologyCard(container, metadata) {
   container.appendChild(card);
 }
 
-export function renderOntologyTable(container, ontologyMeta, tableModel) {
+// Row IRI → function showing that row in its table (and returning the <tr>), across all tables.
+const rowRevealers = new Map();
+
+// Rendered tables, in render order, for exports that cover every loaded ontology (XLSX).
+// Each entry: { wrapper, name, meta, matrix: () => string[][] of its visible rows,
+// setPrinting: (printing: boolean) => void, rendering all its filtered rows while printing }.
+const renderedTables = new Set();
+
+// Drop tables that were re-rendered or cleared away; returns the ones still on the page.
+function connectedTables() {
+  renderedTables.forEach(entry => {
+    if (!entry.wrapper.isConnected) renderedTables.delete(entry);
+  });
+  return Array.from(renderedTables);
+}
+
+const EXPORT_FORMATS = [
+  ['csv', 'CSV'],
+  ['tsv', 'TSV'],
+  ['json', 'JSON'],
+  ['md', 'Markdown'],
+  ['html', 'HTML'],
+  ['xlsx', 'Excel (all tables)']
+];
+
+const CSV_IRI_MODES = [
+  ['iri', 'IRIs'],
+  ['label', 'labels'],
+  ['both', 'labels [IRIs]']
+];
+
+// Tooltip of the filter box (see parseFilterQuery).
+const FILTER_QUERY_HELP = 'Words match any column. Narrow down with label:x, "alternative label":"two words", ' +
+  'type:owl:Class, -definition:* (no definition), /^has / (regular expression), OR, NOT and parentheses.';
+
+// Filter typing waits this long for a pause before the rows are filtered again.
+const FILTER_DEBOUNCE_MS = 200;
+
+// Row height assumed until a table has rendered rows to measure.
+const ESTIMATED_ROW_HEIGHT = 28;
+
+// Call fn once calls have paused for ms milliseconds; .cancel() drops a pending call.
+function debounce(fn, ms) {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+  debounced.cancel = () => clearTimeout(timer);
+  return debounced;
+}
+
+// Printing renders every filtered row of every table; the windowed bodies come back afterwards.
+if (typeof window !== 'undefined') {
+  window.addEventListener('beforeprint', () => connectedTables().forEach(entry => entry.setPrinting(true)));
+  window.addEventListener('afterprint', () => connectedTables().forEach(entry => entry.setPrinting(false)));
+}
+
+function revealRowForIri(iri) {
+  const tr = rowRevealers.get(iri)?.(iri);
+  if (!tr) return;
+  tr.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  tr.classList.add('ontology-tabulator-row-highlight');
+  setTimeout(() => tr.classList.remove('ontology-tabulator-row-highlight'), 2000);
+}
+
+/**
+ * Sort and filters of a table, as saved with a workspace.
+ * @typedef {{
+ *   query: string,
+ *   columnFilters: Record<string, string>,
+ *   sortKey: string|null,
+ *   sortDirection: 'asc'|'desc',
+ *   graph: string
+ * }} TableState
+ *   columnFilters: column key → query; graph: the graph facet ('*' = all graphs)
+ */
+
+/**
+ * Render one element table with filter, sort, CSV export and print.
+ * The body scrolls under a sticky header and only the rows in view are in the DOM, so tables of
+ * tens of thousands of rows stay responsive; a status line counts the rows shown, and printing
+ * renders all filtered rows.
+ * The filter box and the per-column filters under the headers take parseFilterQuery queries; a query
+ * with a syntax error is reported next to the table and the last valid one stays applied.
+ * IRI-valued cells (tableModel.iriColumns) show "label [IRI]" from tableModel.references; IRIs that
+ * are rows of a rendered table link to that row. Rows with lint findings are tinted by their most
+ * severe finding, with the messages as tooltip.
+ * @param {HTMLElement} container
+ * @param {object} ontologyMeta
+ * @param {{ headers: string[], keys: string[], rows: object[], iriColumns?: object, references?: object }} tableModel
+ * @param {{
+ *   prefixes?: Record<string, string>|null,
+ *   queryPrefixes?: Record<string, string>,
+ *   lintFindings?: object[],
+ *   graph?: string|null,
+ *   linkTargets?: boolean,
+ *   initialState?: TableState|null,
+ *   onStateChange?: (state: TableState) => void
+ * }} [options]
+ *   prefixes: show IRIs as CURIEs; queryPrefixes: expand CURIEs in filter queries (whatever the IRI
+ *   display; default COMMON_PREFIX_MAP); lintFindings: lintOntology findings for this table's file;
+ *   graph: the named graph the table covers (shown in its title); linkTargets: false keeps links
+ *   from other tables from pointing at this table's rows (SPARQL results); initialState: sort and
+ *   filters to start with; onStateChange: called with them after each change.
+ *   A table whose model lists graphs (tableModel.graphs) gets a graph facet.
+ * @returns {{ asideSlot: HTMLElement, showSubtree: (iris: Set<string>|null, caption?: string) => void }}
+ *   asideSlot: where panels about this table (e.g. the hierarchy) go, between its title and rows;
+ *   showSubtree: limit the rows to the given IRIs (null shows all rows again)
+ */
+export function renderOntologyTable(container, ontologyMeta, tableModel, options = {}) {
+  const prefixes = options.prefixes ?? null;
+  const findingsByIri = new Map();
+  (options.lintFindings || []).forEach(f => {
+    if (!findingsByIri.has(f.iri)) findingsByIri.set(f.iri, []);
+    findingsByIri.get(f.iri).push(f);
+  });
+  const cellText = (key, value) => formatTableCell(tableModel, key, value, { mode: 'both', prefixes });
   const wrapper = document.createElement('section');
   wrapper.className = 'ontology-tabulator-table-wrapper';
 
@@ -99,7 +330,8 @@ export function renderOntologyTable(container, ontologyMeta, tableModel) {
 
   const title = document.createElement('h3');
   title.className = 'ontology-tabulator-table-title';
-  title.textContent = (ontologyMeta.ontologyName || ontologyMeta.ontologyIri || 'Ontology Elements');
+  title.textContent = (ontologyMeta.ontologyName || ontologyMeta.ontologyIri || options.graph || 'Ontology Elements');
+  if (options.graph && title.textContent !== options.graph) title.textContent += ` (graph ${options.graph})`;
   headerRow.appendChild(title);
 
   const actions = document.createElement('div');
@@ -109,22 +341,81 @@ export function renderOntologyTable(container, ontologyMeta, tableModel) {
   filterInput.type = 'search';
   filterInput.placeholder = 'Filter...';
   filterInput.className = 'ontology-tabulator-table-filter-input';
+  filterInput.title = FILTER_QUERY_HELP;
 
-  const exportBtn = document.createElement('button');
-  exportBtn.className = 'ontology-tabulator-button';
-  exportBtn.textContent = 'Export CSV';
+  // Graph facet: every named graph, plus rows described in the default graph only.
+  const graphSelect = document.createElement('select');
+  graphSelect.className = 'ontology-tabulator-profile-select';
+  graphSelect.title = 'Show the elements described in this graph';
+  [['*', 'All graphs'], ...(tableModel.graphs || []).map(graph => [graph, iriToCurie(graph, prefixes || {})]), ['', 'Default graph only']]
+    .forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      graphSelect.appendChild(option);
+    });
+
+  const csvModeSelect = document.createElement('select');
+  csvModeSelect.className = 'ontology-tabulator-profile-select';
+  csvModeSelect.title = 'How exports write IRI-valued cells';
+  CSV_IRI_MODES.forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `Export: ${text}`;
+    csvModeSelect.appendChild(option);
+  });
+
+  // Export menu: picking a format downloads the visible rows and resets the menu.
+  const exportSelect = document.createElement('select');
+  exportSelect.className = 'ontology-tabulator-profile-select';
+  exportSelect.title = 'Download the rows shown, filtered and sorted as in the table';
+  [['', 'Export…'], ...EXPORT_FORMATS].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    exportSelect.appendChild(option);
+  });
 
   const printBtn = document.createElement('button');
   printBtn.className = 'ontology-tabulator-button';
   printBtn.textContent = 'Print';
 
   actions.appendChild(filterInput);
-  actions.appendChild(exportBtn);
+  if (tableModel.graphs?.length) actions.appendChild(graphSelect);
+  actions.appendChild(csvModeSelect);
+  actions.appendChild(exportSelect);
   actions.appendChild(printBtn);
   headerRow.appendChild(actions);
 
   wrapper.appendChild(headerRow);
 
+  const filterError = document.createElement('p');
+  filterError.className = 'ontology-tabulator-filter-error';
+  filterError.setAttribute('role', 'alert');
+  filterError.hidden = true;
+  wrapper.appendChild(filterError);
+
+  const asideSlot = document.createElement('div');
+  asideSlot.className = 'ontology-tabulator-table-aside';
+  wrapper.appendChild(asideSlot);
+
+  const subtreeChip = document.createElement('div');
+  subtreeChip.className = 'ontology-tabulator-subtree-chip';
+  subtreeChip.hidden = true;
+  const subtreeText = document.createElement('span');
+  const subtreeClear = document.createElement('button');
+  subtreeClear.type = 'button';
+  subtreeClear.className = 'ontology-tabulator-button';
+  subtreeClear.textContent = 'Show all rows';
+  subtreeChip.appendChild(subtreeText);
+  subtreeChip.appendChild(subtreeClear);
+  wrapper.appendChild(subtreeChip);
+
+  const status = document.createElement('p');
+  status.className = 'ontology-tabulator-table-status';
+  status.setAttribute('aria-live', 'polite');
+  wrapper.appendChild(status);
+
   const table = document.createElement('table');
   table.className = 'ontology-tabulator-table';
 
@@ -141,41 +432,228 @@ export function renderOntologyTable(container, ontologyMeta, tableModel) {
   });
 
   thead.appendChild(headRow);
+
+  // Per-column filters: a query whose terms are all about that column.
+  const columnFilterRow = document.createElement('tr');
+  columnFilterRow.className = 'ontology-tabulator-column-filter-row';
+  const columnFilterInputs = tableModel.keys.map((key, idx) => {
+    const th = document.createElement('th');
+    th.className = 'ontology-tabulator-table-header-cell';
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'ontology-tabulator-column-filter-input';
+    input.placeholder = 'Filter';
+    input.setAttribute('aria-label', `Filter ${tableModel.headers[idx]}`);
+    input.dataset.colKey = key;
+    th.appendChild(input);
+    columnFilterRow.appendChild(th);
+    return input;
+  });
+  thead.appendChild(columnFilterRow);
   table.appendChild(thead);
 
   const tbody = document.createElement('tbody');
   table.appendChild(tbody);
 
-  wrapper.appendChild(table);
+  // The table scrolls in here, so the header sticks to the top of the rows.
+  const viewport = document.createElement('div');
+  viewport.className = 'ontology-tabulator-table-viewport';
+  viewport.appendChild(table);
+  wrapper.appendChild(viewport);
   container.appendChild(wrapper);
 
   // state
   let sortIndex = 0;
   let sortDirection = 'asc';
   let currentQuery = '';
+  let columnFilters = {}; // column key → last valid query
+  let subtreeIris = null;
+  const filterErrors = new Map(); // input → error message
+  let rows = []; // filtered and sorted, as last rendered
+  let rowHeight = ESTIMATED_ROW_HEIGHT; // average height of the rendered rows
+  let printing = false;
+  // Row model → its <tr>, for the rendered rows only; rows scrolling out of view are dropped.
+  let rowElements = new Map();
 
-  function rerenderBody() {
-    const rows = filterAndSortRows(tableModel, currentQuery, sortIndex, sortDirection);
-    tbody.innerHTML = '';
-    rows.forEach(rowModel => {
-      const tr = document.createElement('tr');
-      tableModel.headers.forEach((h, i) => {
-        const td = document.createElement('td');
-        td.className = 'ontology-tabulator-table-data-cell';
+  // A saved query that no longer parses is dropped rather than breaking the table.
+  const isValidQuery = (query, filterOptions) => {
+    try {
+      parseFilterQuery(query, filterOptions);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+  const initial = options.initialState;
+  if (initial) {
+    if (tableModel.keys.includes(initial.sortKey)) sortIndex = tableModel.keys.indexOf(initial.sortKey);
+    sortDirection = initial.sortDirection === 'desc' ? 'desc' : 'asc';
+    currentQuery = isValidQuery(initial.query || '') ? initial.query || '' : '';
+    filterInput.value = currentQuery;
+    columnFilterInputs.forEach(input => {
+      const query = initial.columnFilters?.[input.dataset.colKey];
+      if (!query || !isValidQuery(query, { column: input.dataset.colKey })) return;
+      input.value = query;
+      columnFilters[input.dataset.colKey] = query;
+    });
+    if (Array.from(graphSelect.options).some(option => option.value === initial.graph)) graphSelect.value = initial.graph;
+  }
 
-        const key = tableModel.keys[i];
-        td.dataset.colKey = key;                    // NEW
+  function visibleRows() {
+    let rows = filterAndSortRows(tableModel, currentQuery, sortIndex, sortDirection, {
+      cellText,
+      columnFilters,
+      prefixes: options.queryPrefixes
+    });
+    if (subtreeIris) rows = rows.filter(row => subtreeIris.has(row.iri));
+    const graph = graphSelect.value;
+    if (graph !== '*') {
+      const separator = tableModel.iriColumns?.graph ?? DEFAULT_COLUMN_SEPARATOR;
+      rows = rows.filter(row => (graph ? (row.graph || '').split(separator).includes(graph) : !row.graph));
+    }
+    return rows;
+  }
 
-        const value = key ? rowModel[key] : '';
-        td.textContent = value || '';
-        tr.appendChild(td);
-      });
-      tbody.appendChild(tr);
+  function renderIriCell(td, key, value) {
+    const separator = tableModel.iriColumns[key];
+    const items = describeIriCell(value, separator, { references: tableModel.references, prefixes });
+    items.forEach((item, idx) => {
+      if (idx > 0) td.appendChild(document.createTextNode(separator));
+      const text = key !== 'iri' && item.label != null ? `${item.label} [${item.text}]` : item.text;
+      if (key === 'iri' || !item.isElement) {
+        td.appendChild(document.createTextNode(text));
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'ontology-tabulator-row-link';
+      link.dataset.iri = item.iri;
+      link.title = item.iri;
+      link.textContent = text;
+      td.appendChild(link);
     });
   }
 
+  function renderRow(rowModel) {
+    if (rowElements.has(rowModel)) return rowElements.get(rowModel);
+    const tr = document.createElement('tr');
+    tr.dataset.iri = rowModel.iri;
+    const findings = findingsByIri.get(rowModel.iri);
+    if (findings) {
+      // Findings are sorted by severity, so the first is the most severe.
+      tr.classList.add(`ontology-tabulator-lint-${findings[0].severity}`);
+      tr.title = findings.map(f => `${f.severity}: ${f.message}`).join('\n');
+    }
+    tableModel.headers.forEach((h, i) => {
+      const td = document.createElement('td');
+      td.className = 'ontology-tabulator-table-data-cell';
+
+      const key = tableModel.keys[i];
+      td.dataset.colKey = key;                    // NEW
+
+      const value = key ? rowModel[key] : '';
+      if (value && tableModel.iriColumns?.[key] != null) renderIriCell(td, key, value);
+      else td.textContent = value || '';
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  // Empty row standing in for the rows scrolled out of view.
+  function spacerRow(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'ontology-tabulator-table-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = tableModel.headers.length;
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  // Render the rows in view (all of them while printing) and update the status line.
+  function renderWindow() {
+    const view = {
+      scrollTop: viewport.scrollTop,
+      viewportHeight: (viewport.clientHeight || window.innerHeight) - thead.offsetHeight,
+      rowHeight
+    };
+    const { start, end } = printing ? { start: 0, end: rows.length } : getVisibleRowRange(rows.length, view);
+    const fragment = document.createDocumentFragment();
+    if (start) fragment.appendChild(spacerRow(start * rowHeight));
+    const windowRows = rows.slice(start, end);
+    const rendered = windowRows.map(renderRow);
+    rowElements = new Map(windowRows.map((rowModel, idx) => [rowModel, rendered[idx]]));
+    rendered.forEach(tr => fragment.appendChild(tr));
+    if (end < rows.length) fragment.appendChild(spacerRow((rows.length - end) * rowHeight));
+    tbody.replaceChildren(fragment);
+
+    const measured = rendered.reduce((sum, tr) => sum + tr.offsetHeight, 0);
+    if (measured && !printing) rowHeight = measured / rendered.length;
+
+    const shown = printing ? { start, end } : getVisibleRowRange(rows.length, { ...view, rowHeight, overscan: 0 });
+    status.textContent = describeRowRange({ ...shown, count: rows.length, total: tableModel.rows.length });
+  }
+
+  // Filter and sort again and show the first rows.
+  function rerenderBody() {
+    scheduleRerender.cancel();
+    rows = visibleRows();
+    viewport.scrollTop = 0;
+    renderWindow();
+    options.onStateChange?.({
+      query: currentQuery,
+      columnFilters,
+      sortKey: tableModel.keys[sortIndex] ?? null,
+      sortDirection,
+      graph: graphSelect.value
+    });
+  }
+  const scheduleRerender = debounce(rerenderBody, FILTER_DEBOUNCE_MS);
+
   rerenderBody();
 
+  let scrollFrame = 0;
+  viewport.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      renderWindow();
+    });
+  });
+
+  // Register this table's rows as link targets; a filtered-out row is shown by clearing the filter.
+  const revealRow = iri => {
+    if (!wrapper.isConnected) return null;
+    const filtered = currentQuery || Object.keys(columnFilters).length || filterErrors.size;
+    if (!rows.some(row => row.iri === iri) && (filtered || subtreeIris || graphSelect.value !== '*')) {
+      currentQuery = '';
+      filterInput.value = '';
+      columnFilters = {};
+      columnFilterInputs.forEach(input => {
+        input.value = '';
+      });
+      [filterInput, ...columnFilterInputs].forEach(input => showFilterError(input, null));
+      graphSelect.value = '*';
+      showSubtree(null);
+    }
+    const index = rows.findIndex(row => row.iri === iri);
+    if (index < 0) return null;
+    // Bring the row into the rendered window; the caller scrolls it into view.
+    viewport.scrollTop = index * rowHeight;
+    renderWindow();
+    return rowElements.get(rows[index]) || null;
+  };
+
+  function showSubtree(iris, caption = '') {
+    subtreeIris = iris;
+    subtreeChip.hidden = !iris;
+    subtreeText.textContent = iris ? `Showing the subtree of ${caption} ` : '';
+    rerenderBody();
+  }
+  subtreeClear.addEventListener('click', () => showSubtree(null));
+  if (options.linkTargets !== false) tableModel.rows.forEach(row => rowRevealers.set(row.iri, revealRow));
+
   // events
   thead.addEventListener('click', ev => {
     const target = ev.target;
@@ -193,39 +671,318 @@ export function renderOntologyTable(container, ontologyMeta, tableModel) {
     rerenderBody();
   });
 
+  tbody.addEventListener('click', ev => {
+    const link = ev.target instanceof Element ? ev.target.closest('a.ontology-tabulator-row-link') : null;
+    if (!link) return;
+    ev.preventDefault();
+    revealRowForIri(link.dataset.iri);
+  });
+
+  // Mark a filter input as invalid (message) or valid (null); the messages show under the title row.
+  function showFilterError(input, message) {
+    if (message) filterErrors.set(input, message);
+    else filterErrors.delete(input);
+    input.classList.toggle('ontology-tabulator-filter-input-invalid', Boolean(message));
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    input.title = message || (input === filterInput ? FILTER_QUERY_HELP : '');
+    const messages = [filterInput, ...columnFilterInputs]
+      .filter(i => filterErrors.has(i))
+      .map(i => `${i === filterInput ? 'Filter' : tableModel.headers[columnFilterInputs.indexOf(i)]}: ${filterErrors.get(i)}`);
+    filterError.textContent = messages.join(' · ');
+    filterError.hidden = !messages.length;
+  }
+
   filterInput.addEventListener('input', ev => {
+    try {
+      parseFilterQuery(ev.target.value);
+    } catch (err) {
+      showFilterError(filterInput, err.message);
+      return;
+    }
+    showFilterError(filterInput, null);
     currentQuery = ev.target.value;
-    rerenderBody();
+    scheduleRerender();
   });
 
-  exportBtn.addEventListener('click', () => {
-    const rows = filterAndSortRows(tableModel, currentQuery, sortIndex, sortDirection);
-    const csv = tableModelToCsv(tableModel, rows);
-    const baseName = toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri);
+  columnFilterRow.addEventListener('input', ev => {
+    const input = ev.target;
+    if (!(input instanceof HTMLInputElement) || input.dataset.colKey == null) return;
+    const key = input.dataset.colKey;
+    try {
+      parseFilterQuery(input.value, { column: key });
+    } catch (err) {
+      showFilterError(input, err.message);
+      return;
+    }
+    showFilterError(input, null);
+    columnFilters = { ...columnFilters, [key]: input.value };
+    if (!input.value.trim()) delete columnFilters[key];
+    scheduleRerender();
+  });
+
+  graphSelect.addEventListener('change', rerenderBody);
+
+  const exportOptions = () => ({
+    cellText: (key, value) => formatTableCell(tableModel, key, value, { mode: csvModeSelect.value, prefixes }),
+    title: title.textContent
+  });
+  connectedTables();
+  renderedTables.add({
+    wrapper,
+    name: title.textContent,
+    meta: ontologyMeta,
+    matrix: () => tableModelToMatrix(tableModel, visibleRows(), exportOptions()),
+    setPrinting: value => {
+      printing = value;
+      renderWindow();
+    }
+  });
+
+  exportSelect.addEventListener('change', () => {
+    const format = exportSelect.value;
+    exportSelect.value = '';
+    if (!format) return;
+
+    const rows = visibleRows();
+    const baseName = toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri || options.graph);
     const timestamp = new Date().toISOString().replace(/[:]/g, '-');
-    const filename = `${baseName}_${timestamp}.csv`;
-    downloadCsv(filename, csv);
+    const filename = `${baseName}_${timestamp}.${format}`;
+    if (format === 'csv') downloadCsv(filename, tableModelToCsv(tableModel, rows, exportOptions()));
+    else if (format === 'tsv') downloadBlob(filename, tableModelToTsv(tableModel, rows, exportOptions()), 'text/tab-separated-values');
+    else if (format === 'json') downloadJson(filename, tableModelToJson(tableModel, rows, exportOptions()));
+    else if (format === 'md') downloadBlob(filename, tableModelToMarkdown(tableModel, rows, exportOptions()), 'text/markdown');
+    else if (format === 'html') downloadBlob(filename, tableModelToHtml(tableModel, rows, exportOptions()), 'text/html');
+    else if (format === 'xlsx') downloadWorkbook(`Ontologies_${timestamp}.xlsx`);
   });
 
   printBtn.addEventListener('click', () => {
     window.print();
   });
+
+  return { asideSlot, showSubtree };
 }
 
-export function tableModelToCsv(model, rows) {
-  const headerRow = model.headers.join(',');
-  const lines = [headerRow];
+/**
+ * Render a collapsible hierarchy panel (class and property trees) for one ontology.
+ * Children are rendered when a node is first opened; each node shows its number of direct
+ * children (and of descendants in its tooltip). Nodes already on the path above are shown as
+ * cycles and not expanded.
+ * @param {HTMLElement} container
+ * @param {object} ontologyMeta
+ * @param {{ trees: Array<{ id: string, title: string, roots: string[], children: Record<string, string[]> }>, labels: Record<string, string> }} hierarchy
+ * @param {{ onSelect: (selection: { iris: Set<string>, caption: string }) => void }} handlers
+ *   onSelect gets the selected node's subtree
+ */
+export function renderHierarchyPanel(container, ontologyMeta, hierarchy, { onSelect }) {
+  const trees = hierarchy.trees.filter(tree => tree.roots.length);
+  if (!trees.length) return;
+
+  const panel = document.createElement('details');
+  panel.className = 'ontology-tabulator-hierarchy';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Hierarchy';
+  panel.appendChild(summary);
+
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'ontology-tabulator-button';
+  exportBtn.textContent = 'Export outline';
+  exportBtn.addEventListener('click', () => {
+    const baseName = toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri);
+    downloadText(`${baseName}_hierarchy.txt`, hierarchyToOutline(hierarchy));
+  });
+  panel.appendChild(exportBtn);
+
+  let selected = null;
+  const nodeName = iri => hierarchy.labels[iri] || iri;
 
-  rows.forEach(row => {
-    const values = model.keys.map(key => {
-      const v = key ? (row[key] ?? '') : '';
-      const escaped = String(v).replace(/"/g, '""');
-      return `"${escaped}"`;
+  function renderNode(tree, iri, ancestors) {
+    const li = document.createElement('li');
+    li.className = 'ontology-tabulator-hierarchy-node';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ontology-tabulator-hierarchy-label';
+    button.textContent = nodeName(iri);
+    button.title = iri;
+
+    if (ancestors.has(iri)) {
+      button.textContent += ' (cycle)';
+      button.disabled = true;
+      li.appendChild(button);
+      return li;
+    }
+
+    button.addEventListener('click', ev => {
+      ev.preventDefault();
+      selected?.classList.remove('ontology-tabulator-hierarchy-selected');
+      selected = button;
+      button.classList.add('ontology-tabulator-hierarchy-selected');
+      onSelect({ iris: getSubtreeIris(tree, iri), caption: nodeName(iri) });
+    });
+
+    const children = tree.children[iri] || [];
+    if (!children.length) {
+      li.appendChild(button);
+      return li;
+    }
+
+    const count = document.createElement('span');
+    count.className = 'ontology-tabulator-hierarchy-count';
+    count.textContent = String(children.length);
+    count.title = `${children.length} direct, ${getSubtreeIris(tree, iri).size - 1} total descendants`;
+
+    const details = document.createElement('details');
+    const nodeSummary = document.createElement('summary');
+    nodeSummary.appendChild(button);
+    nodeSummary.appendChild(count);
+    details.appendChild(nodeSummary);
+    details.addEventListener('toggle', () => {
+      if (!details.open || details.dataset.rendered) return;
+      details.dataset.rendered = 'true';
+      const path = new Set(ancestors).add(iri);
+      const ul = document.createElement('ul');
+      children.forEach(child => ul.appendChild(renderNode(tree, child, path)));
+      details.appendChild(ul);
     });
-    lines.push(values.join(','));
+    li.appendChild(details);
+    return li;
+  }
+
+  trees.forEach(tree => {
+    const section = document.createElement('section');
+    const heading = document.createElement('h4');
+    heading.className = 'ontology-tabulator-hierarchy-title';
+    heading.textContent = `${tree.title} (${tree.roots.length} roots)`;
+    section.appendChild(heading);
+
+    const ul = document.createElement('ul');
+    ul.className = 'ontology-tabulator-hierarchy-tree';
+    tree.roots.forEach(root => ul.appendChild(renderNode(tree, root, new Set())));
+    section.appendChild(ul);
+    panel.appendChild(section);
   });
 
-  return lines.join('\n');
+  container.appendChild(panel);
+}
+
+/**
+ * Render a collapsible annotation quality report (lintOntology findings) for one ontology, with a
+ * severity filter and JSON/CSV export. Clicking a finding scrolls to the element's row.
+ * @param {HTMLElement} container
+ * @param {object} ontologyMeta
+ * @param {Array<{ ruleId: string, rule: string, severity: string, iri: string, label: string, message: string }>} findings
+ */
+export function renderLintReport(container, ontologyMeta, findings) {
+  const panel = document.createElement('details');
+  panel.className = 'ontology-tabulator-lint-report';
+
+  const counts = LINT_SEVERITIES
+    .map(severity => [severity, findings.filter(f => f.severity === severity).length])
+    .filter(([, count]) => count);
+  const summary = document.createElement('summary');
+  summary.textContent = counts.length
+    ? `Quality report (${counts.map(([severity, count]) => `${count} ${severity}`).join(', ')})`
+    : 'Quality report (no findings)';
+  panel.appendChild(summary);
+  container.appendChild(panel);
+  if (!findings.length) return;
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const severitySelect = document.createElement('select');
+  severitySelect.className = 'ontology-tabulator-profile-select';
+  severitySelect.title = 'Show findings of this severity';
+  [['', 'All severities'], ...LINT_SEVERITIES.map(severity => [severity, severity])].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    severitySelect.appendChild(option);
+  });
+  actions.appendChild(severitySelect);
+
+  const baseName = `${toPascalCase(ontologyMeta.ontologyName || ontologyMeta.ontologyIri)}_quality`;
+  const shownFindings = () => findings.filter(f => !severitySelect.value || f.severity === severitySelect.value);
+  [
+    ['Export JSON', () => downloadJson(`${baseName}.json`, shownFindings())],
+    ['Export CSV', () => downloadCsv(`${baseName}.csv`, lintFindingsToCsv(shownFindings()))]
+  ].forEach(([text, onClick]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ontology-tabulator-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  });
+  panel.appendChild(actions);
+
+  const table = document.createElement('table');
+  table.className = 'ontology-tabulator-table';
+  const headRow = document.createElement('tr');
+  ['severity', 'element', 'rule', 'message'].forEach(h => {
+    const th = document.createElement('th');
+    th.className = 'ontology-tabulator-table-header-cell';
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+  panel.appendChild(table);
+
+  function rerenderBody() {
+    tbody.innerHTML = '';
+    shownFindings().forEach(f => {
+      const tr = document.createElement('tr');
+      tr.className = `ontology-tabulator-lint-${f.severity}`;
+
+      const cells = [f.severity, null, f.rule, f.message].map(value => {
+        const td = document.createElement('td');
+        td.className = 'ontology-tabulator-table-data-cell';
+        if (value != null) td.textContent = value;
+        tr.appendChild(td);
+        return td;
+      });
+
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'ontology-tabulator-row-link';
+      link.title = f.iri;
+      link.textContent = f.label || f.iri;
+      link.addEventListener('click', ev => {
+        ev.preventDefault();
+        revealRowForIri(f.iri);
+      });
+      cells[1].appendChild(link);
+      tbody.appendChild(tr);
+    });
+  }
+
+  severitySelect.addEventListener('change', rerenderBody);
+  rerenderBody();
+}
+
+/**
+ * Download every rendered table as one XLSX workbook: a Metadata sheet (one row per ontology),
+ * then one sheet per table with its rows as currently filtered and sorted.
+ * @param {string} filename
+ */
+function downloadWorkbook(filename) {
+  const tables = connectedTables();
+  const [metadataName, ...names] = toSheetNames(['Metadata', ...tables.map(entry => entry.name)]);
+  const sheets = [
+    { name: metadataName, rows: ontologyMetadataToMatrix(tables.map((entry, i) => ({ name: names[i], meta: entry.meta }))) },
+    ...tables.map((entry, i) => ({ name: names[i], rows: entry.matrix() }))
+  ];
+  downloadBlob(
+    filename,
+    buildXlsxWorkbook(sheets),
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
 }
 
 export function downloadCsv(filename, csvContent) {
@@ -239,3 +996,1047 @@ export function downloadCsv(filename, csvContent) {
   a.remove();
   URL.revokeObjectURL(url);
 }
+
+export function downloadBlob(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadText(filename, text) {
+  const blob = new Blob([text], { type: 'text/plain;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function renderColumnProfileSelect(select, profiles, activeId) {
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === activeId;
+    select.appendChild(option);
+  });
+}
+
+const COLUMN_VALUE_KIND_LABELS = {
+  bestLiteral: 'best literal',
+  bestIri: 'first IRI',
+  literals: 'all literals',
+  iris: 'all IRIs',
+  any: 'any (literals and IRIs)',
+  classExpressions: 'IRIs and class expressions'
+};
+
+/**
+ * Open the column-profile editor in the #columnProfileDialog dialog.
+ * onSave gets the edited profile; if it throws, the message is shown and the dialog stays open.
+ * @param {{ id: string, name: string, columns: object[] }} profile
+ * @param {{ onSave: (draft: object) => void }} handlers
+ */
+export function openColumnProfileEditor(profile, { onSave }) {
+  const dialog = document.getElementById('columnProfileDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Column profile';
+  form.appendChild(title);
+
+  const nameLabel = document.createElement('label');
+  nameLabel.textContent = 'Name ';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.required = true;
+  nameInput.value = profile.name;
+  nameLabel.appendChild(nameInput);
+  form.appendChild(nameLabel);
+
+  const table = document.createElement('table');
+  table.className = 'ontology-tabulator-table ontology-tabulator-profile-editor-table';
+  const headRow = document.createElement('tr');
+  ['header', 'key', 'predicate IRIs (one per line, in order of preference)', 'value kind', 'separator', 'per language', '']
+    .forEach(h => {
+      const th = document.createElement('th');
+      th.className = 'ontology-tabulator-table-header-cell';
+      th.textContent = h;
+      headRow.appendChild(th);
+    });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  table.appendChild(tbody);
+  form.appendChild(table);
+
+  function cell(tr, control) {
+    const td = document.createElement('td');
+    td.className = 'ontology-tabulator-table-data-cell';
+    td.appendChild(control);
+    tr.appendChild(td);
+    return control;
+  }
+
+  function addColumnRow(column) {
+    const tr = document.createElement('tr');
+
+    const header = cell(tr, document.createElement('input'));
+    header.value = column.header ?? '';
+    header.dataset.field = 'header';
+
+    const key = cell(tr, document.createElement('input'));
+    key.value = column.key ?? '';
+    key.placeholder = '(from header)';
+    key.dataset.field = 'key';
+
+    const predicates = cell(tr, document.createElement('textarea'));
+    predicates.rows = Math.max(2, (column.predicates || []).length);
+    predicates.value = (column.predicates || []).join('\n');
+    predicates.dataset.field = 'predicates';
+
+    const kind = cell(tr, document.createElement('select'));
+    COLUMN_VALUE_KINDS.forEach(k => {
+      const option = document.createElement('option');
+      option.value = k;
+      option.textContent = COLUMN_VALUE_KIND_LABELS[k] || k;
+      option.selected = k === (column.kind ?? 'bestLiteral');
+      kind.appendChild(option);
+    });
+    kind.dataset.field = 'kind';
+
+    const separator = cell(tr, document.createElement('input'));
+    separator.value = column.separator ?? DEFAULT_COLUMN_SEPARATOR;
+    separator.size = 4;
+    separator.dataset.field = 'separator';
+
+    const perLanguage = document.createElement('input');
+    perLanguage.type = 'checkbox';
+    perLanguage.checked = Boolean(column.perLanguage);
+    perLanguage.title = 'One column per language tag (literal kinds only)';
+    perLanguage.dataset.field = 'perLanguage';
+    cell(tr, perLanguage);
+
+    const remove = cell(tr, document.createElement('button'));
+    remove.type = 'button';
+    remove.className = 'ontology-tabulator-button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => tr.remove());
+
+    tbody.appendChild(tr);
+  }
+
+  profile.columns.forEach(addColumnRow);
+
+  const error = document.createElement('p');
+  error.className = 'ontology-tabulator-profile-editor-error';
+  error.setAttribute('role', 'alert');
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'ontology-tabulator-button';
+  addBtn.textContent = 'Add column';
+  addBtn.addEventListener('click', () => addColumnRow({}));
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ontology-tabulator-button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'ontology-tabulator-button';
+  saveBtn.textContent = 'Save';
+
+  actions.appendChild(addBtn);
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+  form.appendChild(error);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    const columns = Array.from(tbody.rows).map(tr => {
+      const field = name => tr.querySelector(`[data-field="${name}"]`).value;
+      return {
+        header: field('header'),
+        key: field('key'),
+        predicates: field('predicates').split(/\s+/).filter(Boolean),
+        kind: field('kind'),
+        separator: field('separator'),
+        perLanguage: tr.querySelector('[data-field="perLanguage"]').checked
+      };
+    });
+
+    try {
+      onSave({ id: profile.id, name: nameInput.value, columns });
+      dialog.close();
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
+
+/**
+ * Open the prefix registry editor in the #prefixRegistryDialog dialog.
+ * The registry is edited as Turtle @prefix lines; a JSON or Turtle file can be imported into it.
+ * onSave gets the edited text; if it throws, the message is shown and the dialog stays open.
+ * @param {string} registryText current registry as Turtle
+ * @param {{ onSave: (text: string) => void, filePrefixesText?: string }} options
+ *   filePrefixesText: prefixes declared by the loaded files, shown for reference
+ */
+export function openPrefixRegistryEditor(registryText, { onSave, filePrefixesText = '' }) {
+  const dialog = document.getElementById('prefixRegistryDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Prefixes';
+  form.appendChild(title);
+
+  const textLabel = document.createElement('label');
+  textLabel.textContent = 'Your prefixes (Turtle "@prefix p: <iri> ." lines; they override the files\' own)';
+  const textarea = document.createElement('textarea');
+  textarea.className = 'ontology-tabulator-prefix-textarea';
+  textarea.rows = 12;
+  textarea.spellcheck = false;
+  textarea.value = registryText;
+  textLabel.appendChild(textarea);
+  form.appendChild(textLabel);
+
+  if (filePrefixesText) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Prefixes declared in the loaded files';
+    const pre = document.createElement('pre');
+    pre.className = 'ontology-tabulator-prefix-list';
+    pre.textContent = filePrefixesText;
+    details.appendChild(summary);
+    details.appendChild(pre);
+    form.appendChild(details);
+  }
+
+  const error = document.createElement('p');
+  error.className = 'ontology-tabulator-profile-editor-error';
+  error.setAttribute('role', 'alert');
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const importLabel = document.createElement('label');
+  importLabel.className = 'ontology-tabulator-file-label';
+  const importText = document.createElement('span');
+  importText.textContent = 'Import JSON/Turtle';
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.className = 'ontology-tabulator-file-input';
+  importInput.accept = '.json,.ttl,.txt,.rq,application/json,text/turtle';
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files?.[0];
+    if (!file) return;
+    try {
+      const imported = serializePrefixRegistry(parsePrefixRegistry(await file.text()));
+      textarea.value = `${textarea.value.trimEnd()}\n${imported}`.trimStart();
+      error.textContent = '';
+    } catch (err) {
+      error.textContent = `${file.name}: ${err.message}`;
+    }
+    importInput.value = '';
+  });
+  importLabel.appendChild(importText);
+  importLabel.appendChild(importInput);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ontology-tabulator-button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'ontology-tabulator-button';
+  saveBtn.textContent = 'Save';
+
+  actions.appendChild(importLabel);
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+  form.appendChild(error);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    try {
+      onSave(textarea.value);
+      dialog.close();
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
+
+/**
+ * Open the lint rule settings in the #lintRulesDialog dialog: each of LINT_RULES can be turned off
+ * or given another severity.
+ * @param {Record<string, { enabled?: boolean, severity?: string }>} rules current overrides
+ * @param {{ onSave: (rules: Record<string, { enabled: boolean, severity: string }>) => void }} handlers
+ */
+export function openLintRulesEditor(rules, { onSave }) {
+  const dialog = document.getElementById('lintRulesDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Quality rules';
+  form.appendChild(title);
+
+  const inputs = LINT_RULES.map(rule => {
+    const current = { enabled: true, severity: rule.severity, ...(rules[rule.id] || {}) };
+    const row = document.createElement('div');
+    row.className = 'ontology-tabulator-lint-rule';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = current.enabled !== false;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${rule.name}`));
+
+    const select = document.createElement('select');
+    select.className = 'ontology-tabulator-profile-select';
+    select.setAttribute('aria-label', `Severity of "${rule.name}"`);
+    LINT_SEVERITIES.forEach(severity => {
+      const option = document.createElement('option');
+      option.value = severity;
+      option.textContent = severity;
+      option.selected = severity === current.severity;
+      select.appendChild(option);
+    });
+
+    row.appendChild(label);
+    row.appendChild(select);
+    form.appendChild(row);
+    return { id: rule.id, checkbox, select };
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'ontology-tabulator-button';
+  resetBtn.textContent = 'Reset to defaults';
+  resetBtn.addEventListener('click', () => {
+    inputs.forEach(({ id, checkbox, select }) => {
+      checkbox.checked = true;
+      select.value = LINT_RULES.find(rule => rule.id === id).severity;
+    });
+  });
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ontology-tabulator-button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'ontology-tabulator-button';
+  saveBtn.textContent = 'Save';
+
+  actions.appendChild(resetBtn);
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    dialog.close();
+    onSave(Object.fromEntries(inputs.map(({ id, checkbox, select }) =>
+      [id, { enabled: checkbox.checked, severity: select.value }])));
+  });
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
+
+/**
+ * Ask which two loaded files to compare, in the #compareDialog dialog.
+ * @param {string[]} fileNames display names of the loaded files, in load order
+ * @param {{ onCompare: (oldIndex: number, newIndex: number) => void }} handlers
+ */
+export function openCompareDialog(fileNames, { onCompare }) {
+  const dialog = document.getElementById('compareDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Compare versions';
+  form.appendChild(title);
+
+  const fileSelect = (labelText, selectedIndex) => {
+    const label = document.createElement('label');
+    label.textContent = `${labelText} `;
+    const select = document.createElement('select');
+    select.className = 'ontology-tabulator-profile-select';
+    fileNames.forEach((name, idx) => {
+      const option = document.createElement('option');
+      option.value = String(idx);
+      option.textContent = name;
+      option.selected = idx === selectedIndex;
+      select.appendChild(option);
+    });
+    label.appendChild(select);
+    form.appendChild(label);
+    return select;
+  };
+  const oldSelect = fileSelect('Old version', 0);
+  const newSelect = fileSelect('New version', fileNames.length - 1);
+
+  const error = document.createElement('p');
+  error.className = 'ontology-tabulator-profile-editor-error';
+  error.setAttribute('role', 'alert');
+  form.appendChild(error);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ontology-tabulator-button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  const compareBtn = document.createElement('button');
+  compareBtn.type = 'submit';
+  compareBtn.className = 'ontology-tabulator-button';
+  compareBtn.textContent = 'Compare';
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(compareBtn);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    if (oldSelect.value === newSelect.value) {
+      error.textContent = 'Pick two different files.';
+      return;
+    }
+    dialog.close();
+    onCompare(Number(oldSelect.value), Number(newSelect.value));
+  });
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
+
+/**
+ * Render a version diff (diffOntologyVersions) as a color-coded table with CSV and Markdown
+ * export, replacing whatever the container showed before.
+ * @param {HTMLElement} container
+ * @param {{ oldFileName: string, newFileName: string, diff: object }} result
+ */
+export function renderOntologyDiff(container, { oldFileName, newFileName, diff }) {
+  container.innerHTML = '';
+
+  const wrapper = document.createElement('section');
+  wrapper.className = 'ontology-tabulator-table-wrapper';
+
+  const headerRow = document.createElement('div');
+  headerRow.className = 'ontology-tabulator-table-header-row';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-table-title';
+  title.textContent = `${oldFileName} → ${newFileName}: ${diff.added.length} added, ` +
+    `${diff.removed.length} removed, ${diff.changed.length} changed`;
+  headerRow.appendChild(title);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+  const baseName = `${toPascalCase(oldFileName)}_vs_${toPascalCase(newFileName)}`;
+  [
+    ['Export CSV', () => downloadCsv(`${baseName}.csv`, ontologyDiffToCsv(diff))],
+    ['Export release notes', () => downloadText(
+      `${baseName}.md`,
+      ontologyDiffToMarkdown(diff, { title: `Changes from ${oldFileName} to ${newFileName}` })
+    )],
+    ['Close', () => {
+      container.innerHTML = '';
+    }]
+  ].forEach(([text, onClick]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ontology-tabulator-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  });
+  headerRow.appendChild(actions);
+  wrapper.appendChild(headerRow);
+
+  const table = document.createElement('table');
+  table.className = 'ontology-tabulator-table ontology-tabulator-diff-table';
+  const headRow = document.createElement('tr');
+  ['change', 'iri', 'label', 'column', 'before', 'after'].forEach(h => {
+    const th = document.createElement('th');
+    th.className = 'ontology-tabulator-table-header-cell';
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  const addRow = (change, values) => {
+    const tr = document.createElement('tr');
+    tr.className = `ontology-tabulator-diff-${change}`;
+    [change, ...values].forEach(value => {
+      const td = document.createElement('td');
+      td.className = 'ontology-tabulator-table-data-cell';
+      td.textContent = value ?? '';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  };
+  diff.metadata.forEach(m => addRow('metadata', ['', '', m.name, m.before, m.after]));
+  diff.added.forEach(row => addRow('added', [row.iri, row.label, '', '', '']));
+  diff.removed.forEach(row => addRow('removed', [row.iri, row.label, '', '', '']));
+  diff.changed.forEach(({ iri, label, changes }) => {
+    changes.forEach(c => addRow('changed', [iri, label, c.header, c.before, c.after]));
+  });
+  if (!tbody.rows.length) addRow('none', ['', '', '', '', '']);
+  table.appendChild(tbody);
+
+  wrapper.appendChild(table);
+  container.appendChild(wrapper);
+}
+
+/**
+ * Ask which loaded file an edited table CSV patches, and for the CSV itself.
+ * @param {string[]} fileNames display names of the loaded files
+ * @param {{ onImport: (fileIdx: number, csvFile: File) => void }} handlers fileIdx indexes fileNames
+ */
+export function openCsvImportDialog(fileNames, { onImport }) {
+  const dialog = document.getElementById('csvImportDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Import edited CSV';
+  form.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Rows are matched by their "iri" column; the other columns must match the active column profile.';
+  form.appendChild(hint);
+
+  const fileLabel = document.createElement('label');
+  fileLabel.textContent = 'Patch ';
+  const fileSelect = document.createElement('select');
+  fileSelect.className = 'ontology-tabulator-profile-select';
+  fileNames.forEach((name, idx) => {
+    const option = document.createElement('option');
+    option.value = String(idx);
+    option.textContent = name;
+    fileSelect.appendChild(option);
+  });
+  fileLabel.appendChild(fileSelect);
+  form.appendChild(fileLabel);
+
+  const csvLabel = document.createElement('label');
+  csvLabel.textContent = 'with ';
+  const csvInput = document.createElement('input');
+  csvInput.type = 'file';
+  csvInput.accept = '.csv,.tsv,text/csv,text/tab-separated-values';
+  csvLabel.appendChild(csvInput);
+  form.appendChild(csvLabel);
+
+  const error = document.createElement('p');
+  error.className = 'ontology-tabulator-profile-editor-error';
+  error.setAttribute('role', 'alert');
+  form.appendChild(error);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'ontology-tabulator-button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  const previewBtn = document.createElement('button');
+  previewBtn.type = 'submit';
+  previewBtn.className = 'ontology-tabulator-button';
+  previewBtn.textContent = 'Preview changes';
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(previewBtn);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', ev => {
+    ev.preventDefault();
+    const csvFile = csvInput.files?.[0];
+    if (!csvFile) {
+      error.textContent = 'Choose a CSV file.';
+      return;
+    }
+    dialog.close();
+    onImport(Number(fileSelect.value), csvFile);
+  });
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
+
+/**
+ * Render a CSV import preview (the worker's 'csvImport' result): the triples it adds, removes and
+ * changes, color-coded like the version diff, its warnings, and a download of the patched file.
+ * @param {HTMLElement} container
+ * @param {{
+ *   fileName: string,
+ *   changes: object[],
+ *   warnings: string[],
+ *   rowCount: number,
+ *   matchedCount: number,
+ *   turtle: string,
+ *   format: 'text/turtle'|'application/trig'
+ * }} result
+ */
+export function renderCsvImportPreview(container, { fileName, changes, warnings, rowCount, matchedCount, turtle, format }) {
+  container.innerHTML = '';
+
+  const wrapper = document.createElement('section');
+  wrapper.className = 'ontology-tabulator-table-wrapper';
+
+  const headerRow = document.createElement('div');
+  headerRow.className = 'ontology-tabulator-table-header-row';
+
+  const count = change => changes.filter(c => c.change === change).length;
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-table-title';
+  title.textContent = `${fileName} ← CSV (${matchedCount} of ${rowCount} rows matched): ${count('added')} added, ` +
+    `${count('removed')} removed, ${count('changed')} changed`;
+  headerRow.appendChild(title);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+  const extension = format === 'application/trig' ? 'trig' : 'ttl';
+  [
+    ['Download patched file', () => downloadBlob(
+      `${toPascalCase(fileName.replace(/\.[^.]+$/, ''))}_patched.${extension}`,
+      turtle,
+      format
+    )],
+    ['Close', () => {
+      container.innerHTML = '';
+    }]
+  ].forEach(([text, onClick]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ontology-tabulator-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  });
+  headerRow.appendChild(actions);
+  wrapper.appendChild(headerRow);
+
+  if (warnings.length) {
+    const list = document.createElement('ul');
+    list.className = 'ontology-tabulator-filelist-warnings';
+    warnings.forEach(warning => {
+      const li = document.createElement('li');
+      li.textContent = warning;
+      list.appendChild(li);
+    });
+    wrapper.appendChild(list);
+  }
+
+  const table = document.createElement('table');
+  table.className = 'ontology-tabulator-table ontology-tabulator-diff-table';
+  const headRow = document.createElement('tr');
+  ['change', 'iri', 'column', 'predicate', 'before', 'after'].forEach(h => {
+    const th = document.createElement('th');
+    th.className = 'ontology-tabulator-table-header-cell';
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  const addRow = (change, values) => {
+    const tr = document.createElement('tr');
+    tr.className = `ontology-tabulator-diff-${change}`;
+    [change, ...values].forEach(value => {
+      const td = document.createElement('td');
+      td.className = 'ontology-tabulator-table-data-cell';
+      td.textContent = value ?? '';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  };
+  changes.forEach(c => addRow(c.change, [c.iri, c.column, c.predicate, c.before, c.after]));
+  if (!tbody.rows.length) addRow('none', ['', '', '', '', '']);
+  table.appendChild(tbody);
+
+  wrapper.appendChild(table);
+  container.appendChild(wrapper);
+}
+
+/**
+ * Render the SPARQL query panel: a query editor, a menu of example and saved queries, the file(s)
+ * to query and Run (also Ctrl+Enter), Save and Delete buttons. Results go to resultsSlot.
+ * @param {HTMLElement} container
+ * @param {{
+ *   examples: Array<{ id: string, name: string, query: string }>,
+ *   savedQueries: Array<{ id: string, name: string, query: string }>
+ * }} queries
+ * @param {{
+ *   onRun: (query: string, fileIdx: number|null) => void,
+ *   onSave: (draft: { id?: string, name: string, query: string }) => void,
+ *   onDelete: (id: string) => void
+ * }} handlers
+ *   fileIdx: position in the last setFileNames list, null for all loaded files;
+ *   onSave gets the id of the saved query being edited, if any
+ * @returns {{
+ *   resultsSlot: HTMLElement,
+ *   setFileNames: (fileNames: string[]) => void,
+ *   setSavedQueries: (savedQueries: object[], selectedId?: string) => void,
+ *   showError: (error: { message: string, snippet?: string }|null) => void
+ * }}
+ */
+export function renderSparqlPanel(container, { examples, savedQueries }, { onRun, onSave, onDelete }) {
+  container.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'SPARQL query';
+  container.appendChild(title);
+
+  const controls = document.createElement('div');
+  controls.className = 'ontology-tabulator-table-actions';
+
+  const querySelect = document.createElement('select');
+  querySelect.className = 'ontology-tabulator-profile-select';
+  querySelect.title = 'Load an example or saved query';
+
+  const fileLabel = document.createElement('label');
+  fileLabel.className = 'ontology-tabulator-table-mode';
+  const fileLabelText = document.createElement('span');
+  fileLabelText.textContent = 'Query';
+  const fileSelect = document.createElement('select');
+  fileSelect.className = 'ontology-tabulator-profile-select';
+  fileLabel.appendChild(fileLabelText);
+  fileLabel.appendChild(fileSelect);
+
+  controls.appendChild(querySelect);
+  controls.appendChild(fileLabel);
+  container.appendChild(controls);
+
+  const editor = document.createElement('textarea');
+  editor.className = 'ontology-tabulator-sparql-editor';
+  editor.rows = 12;
+  editor.spellcheck = false;
+  editor.setAttribute('aria-label', 'SPARQL query');
+  editor.placeholder = 'SELECT ?class ?label WHERE { ?class a owl:Class ; rdfs:label ?label }';
+  editor.value = examples[0]?.query ?? '';
+  container.appendChild(editor);
+
+  const error = document.createElement('div');
+  error.className = 'ontology-tabulator-filter-error';
+  error.setAttribute('role', 'alert');
+  error.hidden = true;
+  container.appendChild(error);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+  const button = (text, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ontology-tabulator-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+    return btn;
+  };
+
+  let saved = savedQueries;
+  const selectedSaved = () => saved.find(q => `saved:${q.id}` === querySelect.value) || null;
+  const run = () => onRun(editor.value, fileSelect.value === '' ? null : Number(fileSelect.value));
+
+  button('Run', run).title = 'Ctrl+Enter';
+  button('Save…', () => {
+    const current = selectedSaved();
+    const name = prompt('Name of the saved query', current?.name || '');
+    if (name?.trim()) onSave({ ...(current ? { id: current.id } : {}), name: name.trim(), query: editor.value });
+  });
+  const deleteBtn = button('Delete', () => {
+    const current = selectedSaved();
+    if (current && confirm(`Delete saved query "${current.name}"?`)) onDelete(current.id);
+  });
+  container.appendChild(actions);
+
+  const resultsSlot = document.createElement('div');
+  resultsSlot.className = 'ontology-tabulator-sparql-results';
+  container.appendChild(resultsSlot);
+
+  function setSavedQueries(list, selectedId) {
+    saved = list;
+    querySelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Examples and saved queries…';
+    querySelect.appendChild(placeholder);
+    [['Examples', 'example', examples], ['Saved queries', 'saved', saved]].forEach(([label, kind, items]) => {
+      if (!items.length) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      items.forEach(q => {
+        const option = document.createElement('option');
+        option.value = `${kind}:${q.id}`;
+        option.textContent = q.name;
+        group.appendChild(option);
+      });
+      querySelect.appendChild(group);
+    });
+    querySelect.value = selectedId ? `saved:${selectedId}` : '';
+    deleteBtn.disabled = !selectedSaved();
+  }
+
+  function setFileNames(fileNames) {
+    const current = fileSelect.value;
+    fileSelect.innerHTML = '';
+    [['', 'all loaded files'], ...fileNames.map((name, idx) => [String(idx), name])].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      fileSelect.appendChild(option);
+    });
+    if (Number(current) < fileNames.length) fileSelect.value = current;
+  }
+
+  function showError(failure) {
+    error.innerHTML = '';
+    error.hidden = !failure;
+    if (!failure) return;
+    error.textContent = failure.message;
+    if (failure.snippet) {
+      const pre = document.createElement('pre');
+      pre.className = 'ontology-tabulator-filelist-snippet';
+      pre.textContent = failure.snippet;
+      error.appendChild(pre);
+    }
+  }
+
+  querySelect.addEventListener('change', () => {
+    const [kind, ...rest] = querySelect.value.split(':');
+    const id = rest.join(':');
+    const picked = (kind === 'example' ? examples : saved).find(q => q.id === id);
+    if (picked) editor.value = picked.query;
+    deleteBtn.disabled = !selectedSaved();
+    showError(null);
+  });
+  editor.addEventListener('keydown', ev => {
+    if (ev.key === 'Enter' && (ev.ctrlKey || ev.metaKey)) {
+      ev.preventDefault();
+      run();
+    }
+  });
+
+  setSavedQueries(savedQueries);
+  setFileNames([]);
+  return { resultsSlot, setFileNames, setSavedQueries, showError };
+}
+
+/**
+ * Render a SPARQL result (the worker's 'sparqlResult') as a table with the usual filter, sort and
+ * exports; a CONSTRUCT result can also be downloaded as Turtle.
+ * @param {HTMLElement} container
+ * @param {{ resultType: 'select'|'ask'|'construct', tableModel: object, turtle: string|null }} result
+ * @param {{ prefixes?: Record<string, string>|null, queryPrefixes?: Record<string, string> }} [options]
+ *   as for renderOntologyTable
+ */
+export function renderSparqlResult(container, { resultType, tableModel, turtle }, options = {}) {
+  container.innerHTML = '';
+  const table = renderOntologyTable(container, { ontologyName: 'Query results' }, tableModel, {
+    prefixes: options.prefixes ?? null,
+    queryPrefixes: options.queryPrefixes,
+    linkTargets: false
+  });
+
+  const count = tableModel.rows.length;
+  const summary = document.createElement('p');
+  summary.className = 'ontology-tabulator-sparql-summary';
+  summary.textContent = resultType === 'ask'
+    ? `ASK: ${tableModel.rows[0]?.result}`
+    : `${count} ${resultType === 'construct' ? 'triple' : 'row'}${count === 1 ? '' : 's'}`;
+  table.asideSlot.appendChild(summary);
+  if (turtle == null) return;
+
+  const downloadBtn = document.createElement('button');
+  downloadBtn.type = 'button';
+  downloadBtn.className = 'ontology-tabulator-button';
+  downloadBtn.textContent = 'Download Turtle';
+  downloadBtn.addEventListener('click', () => {
+    const timestamp = new Date().toISOString().replace(/[:]/g, '-');
+    downloadBlob(`QueryResults_${timestamp}.ttl`, turtle, 'text/turtle');
+  });
+  summary.appendChild(document.createTextNode(' '));
+  summary.appendChild(downloadBtn);
+}
+
+/**
+ * List the saved workspaces in the #workspacesDialog dialog, to restore or delete one or clear them all.
+ * @param {Array<{ id: string, name: string, fileNames: string[], size: number, usedAt: number }>} workspaces
+ *   most recently used first
+ * @param {{ onRestore: (id: string) => void, onDelete: (id: string) => void, onClear: () => void }} handlers
+ */
+export function openWorkspacesDialog(workspaces, { onRestore, onDelete, onClear }) {
+  const dialog = document.getElementById('workspacesDialog');
+  if (!dialog) return;
+  dialog.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.method = 'dialog';
+  form.className = 'ontology-tabulator-profile-editor';
+
+  const title = document.createElement('h3');
+  title.className = 'ontology-tabulator-section-title';
+  title.textContent = 'Recent workspaces';
+  form.appendChild(title);
+
+  const empty = document.createElement('p');
+  empty.textContent = 'No saved workspaces. Files you load are kept here, with their tables\' sort and filters.';
+  empty.hidden = workspaces.length > 0;
+  form.appendChild(empty);
+
+  const list = document.createElement('ul');
+  list.className = 'ontology-tabulator-workspace-list';
+  workspaces.forEach(workspace => {
+    const item = document.createElement('li');
+    item.className = 'ontology-tabulator-workspace';
+
+    const text = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = workspace.name;
+    const details = document.createElement('div');
+    details.className = 'ontology-tabulator-workspace-details';
+    const fileCount = workspace.fileNames.length;
+    details.textContent = `${fileCount} ${fileCount === 1 ? 'file' : 'files'} · ${formatByteSize(workspace.size)} · ` +
+      `last used ${new Date(workspace.usedAt).toLocaleString()}`;
+    text.appendChild(name);
+    text.appendChild(details);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'ontology-tabulator-button';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => {
+      dialog.close();
+      onRestore(workspace.id);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'ontology-tabulator-button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      item.remove();
+      empty.hidden = list.children.length > 0;
+      onDelete(workspace.id);
+    });
+
+    item.appendChild(text);
+    item.appendChild(restoreBtn);
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+  form.appendChild(list);
+
+  const actions = document.createElement('div');
+  actions.className = 'ontology-tabulator-table-actions';
+
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'ontology-tabulator-button';
+  clearBtn.textContent = 'Clear storage';
+  clearBtn.disabled = !workspaces.length;
+  clearBtn.addEventListener('click', () => {
+    if (!confirm('Delete all saved workspaces from this browser?')) return;
+    dialog.close();
+    onClear();
+  });
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'submit';
+  closeBtn.className = 'ontology-tabulator-button';
+  closeBtn.textContent = 'Close';
+
+  actions.appendChild(clearBtn);
+  actions.appendChild(closeBtn);
+  form.appendChild(actions);
+
+  dialog.appendChild(form);
+  dialog.showModal();
+}
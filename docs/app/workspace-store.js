@@ -0,0 +1,233 @@
+// app/workspace-store.js
+// Recent workspaces in IndexedDB: the files loaded together (kept as File objects and parsed again
+// on restore), the table settings they were shown with and each table's sort and filter state.
+// Records of the "workspaces" store are small and read for the recent list; the files sit in
+// "workspaceFiles" under the same id. Browser only.
+
+import { planWorkspaceEviction, formatByteSize, logEvent, logError } from './core.js';
+
+const DB_NAME = 'ontology-tabulator';
+const DB_VERSION = 1;
+const WORKSPACES = 'workspaces';          // { id, name, fileNames, size, usedAt, settings, tableStates }
+const WORKSPACE_FILES = 'workspaceFiles'; // { id, files: File[] }
+
+// Recent workspaces kept; saving another deletes the least recently used.
+export const MAX_WORKSPACES = 10;
+
+/** A workspace that does not fit into the storage the browser grants the page. */
+export class StorageQuotaError extends Error {
+  constructor(neededBytes, freeBytes) {
+    super(Number.isFinite(freeBytes)
+      ? `The files need ${formatByteSize(neededBytes)} of browser storage; only ${formatByteSize(Math.max(freeBytes, 0))} is available`
+      : `The files (${formatByteSize(neededBytes)}) do not fit into the browser storage`);
+    this.name = 'StorageQuotaError';
+    this.neededBytes = neededBytes;
+    this.freeBytes = freeBytes;
+  }
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(WORKSPACES, { keyPath: 'id' });
+        req.result.createObjectStore(WORKSPACE_FILES, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run fn(stores) in one transaction; resolves with fn's result once the transaction committed.
+ * @param {string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(stores: Record<string, IDBObjectStore>) => any} fn
+ */
+async function inTransaction(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+    let result;
+    Promise.resolve(fn(stores)).then(value => {
+      result = value;
+    }, err => {
+      tx.abort();
+      reject(err);
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * The saved workspaces without their files, most recently used first.
+ * @returns {Promise<Array<{ id: string, name: string, fileNames: string[], size: number, usedAt: number, settings: object|null, tableStates: object }>>}
+ */
+export async function listWorkspaces() {
+  const fnName = 'listWorkspaces';
+  logEvent(fnName, 'start');
+
+  try {
+    const workspaces = await inTransaction([WORKSPACES], 'readonly', stores => requestResult(stores[WORKSPACES].getAll()));
+    return workspaces.sort((a, b) => b.usedAt - a.usedAt);
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Save files as the workspace id (replacing an older copy), first deleting the least recently used
+ * workspaces when there are too many or the browser's storage would overflow.
+ * @param {string} id workspaceKey(files)
+ * @param {File[]} files
+ * @param {{ settings?: object, tableStates?: object }} [options] settings: table mode, column profile,
+ *   languages and graph mode; tableStates: table key → state, see renderOntologyTable
+ * @returns {Promise<{ evicted: string[] }>} names of the workspaces deleted to make room
+ * @throws {StorageQuotaError} when the files do not fit even with every other workspace deleted
+ */
+export async function saveWorkspace(id, files, options = {}) {
+  const fnName = 'saveWorkspace';
+  const size = files.reduce((sum, file) => sum + file.size, 0);
+  logEvent(fnName, 'start', { fileCount: files.length, size });
+
+  try {
+    const workspaces = await listWorkspaces();
+    const estimate = await navigator.storage?.estimate?.();
+    const freeBytes = estimate?.quota ? estimate.quota - estimate.usage : Infinity;
+    const evictIds = planWorkspaceEviction(workspaces, size, freeBytes, { keepId: id, maxCount: MAX_WORKSPACES });
+    if (!evictIds) throw new StorageQuotaError(size, freeBytes);
+
+    // Ask the browser not to clear the workspaces under storage pressure (it may decline).
+    navigator.storage?.persist?.();
+
+    const record = {
+      id,
+      name: files.map(file => file.name).join(', '),
+      fileNames: files.map(file => file.name),
+      size,
+      usedAt: Date.now(),
+      settings: options.settings || null,
+      tableStates: options.tableStates || {}
+    };
+    try {
+      await inTransaction([WORKSPACES, WORKSPACE_FILES], 'readwrite', stores => {
+        evictIds.forEach(evictId => {
+          stores[WORKSPACES].delete(evictId);
+          stores[WORKSPACE_FILES].delete(evictId);
+        });
+        stores[WORKSPACES].put(record);
+        stores[WORKSPACE_FILES].put({ id, files });
+      });
+    } catch (err) {
+      if (err?.name === 'QuotaExceededError') throw new StorageQuotaError(size, freeBytes);
+      throw err;
+    }
+
+    const evicted = workspaces.filter(w => evictIds.includes(w.id)).map(w => w.name);
+    logEvent(fnName, 'saved', { id, evicted });
+    return { evicted };
+  } catch (err) {
+    logError(fnName, err, { fileCount: files.length, size });
+    throw err;
+  }
+}
+
+/**
+ * A saved workspace with its files, marked as just used.
+ * @param {string} id
+ * @returns {Promise<{ id: string, name: string, fileNames: string[], size: number, usedAt: number, settings: object|null, tableStates: object, files: File[] }|null>}
+ */
+export async function loadWorkspace(id) {
+  const fnName = 'loadWorkspace';
+  logEvent(fnName, 'start', { id });
+
+  try {
+    return await inTransaction([WORKSPACES, WORKSPACE_FILES], 'readwrite', async stores => {
+      const [record, stored] = await Promise.all([
+        requestResult(stores[WORKSPACES].get(id)),
+        requestResult(stores[WORKSPACE_FILES].get(id))
+      ]);
+      if (!record || !stored) return null;
+      record.usedAt = Date.now();
+      stores[WORKSPACES].put(record);
+      return { ...record, files: stored.files };
+    });
+  } catch (err) {
+    logError(fnName, err, { id });
+    throw err;
+  }
+}
+
+/**
+ * Replace the settings and table states saved with a workspace; a workspace that was deleted
+ * meanwhile stays deleted.
+ * @param {string} id
+ * @param {{ settings: object, tableStates: object }} state
+ */
+export async function saveWorkspaceState(id, { settings, tableStates }) {
+  const fnName = 'saveWorkspaceState';
+
+  try {
+    await inTransaction([WORKSPACES], 'readwrite', async stores => {
+      const record = await requestResult(stores[WORKSPACES].get(id));
+      if (record) stores[WORKSPACES].put({ ...record, settings, tableStates });
+    });
+  } catch (err) {
+    logError(fnName, err, { id });
+    throw err;
+  }
+}
+
+/**
+ * Delete one saved workspace.
+ * @param {string} id
+ */
+export async function deleteWorkspace(id) {
+  const fnName = 'deleteWorkspace';
+  logEvent(fnName, 'start', { id });
+
+  try {
+    await inTransaction([WORKSPACES, WORKSPACE_FILES], 'readwrite', stores => {
+      stores[WORKSPACES].delete(id);
+      stores[WORKSPACE_FILES].delete(id);
+    });
+  } catch (err) {
+    logError(fnName, err, { id });
+    throw err;
+  }
+}
+
+/** Delete every saved workspace. */
+export async function clearWorkspaces() {
+  const fnName = 'clearWorkspaces';
+  logEvent(fnName, 'start');
+
+  try {
+    await inTransaction([WORKSPACES, WORKSPACE_FILES], 'readwrite', stores => {
+      stores[WORKSPACES].clear();
+      stores[WORKSPACE_FILES].clear();
+    });
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
@@ -0,0 +1,236 @@
+// app/xlsx-writer.js
+// Minimal XLSX (Office Open XML SpreadsheetML) writer: string cells, a bold header row frozen at
+// the top, one worksheet per sheet. The package is a ZIP of stored (uncompressed) entries, so no
+// compression library is needed. ES module, pure.
+
+// Excel limits: sheet names ≤ 31 characters without []:*?/\, cell text ≤ 32767 characters.
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_CELL_LENGTH = 32767;
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive with the "stored" method (no compression) and UTF-8 names.
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  // Fixed timestamp (1980-01-01 00:00) keeps the output reproducible.
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0x0800, true); // flags: UTF-8 names
+    local.setUint16(8, 0, true); // method: stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true); // extra field length
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory header signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    // extra, comment, disk number, internal and external attributes stay 0
+    central.setUint32(42, offset, true); // offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true); // entries on this disk
+  end.setUint16(10, files.length, true); // entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // offset of the central directory
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let at = 0;
+  parts.forEach(part => {
+    zip.set(part, at);
+    at += part.length;
+  });
+  return zip;
+}
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters other than tab, newline and carriage return are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 → A, 25 → Z, 26 → AA, ...
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Make sheet names valid and unique: forbidden characters become "_", names are cut to 31
+ * characters and repeated names get " (2)", " (3)", ... Valid, unique names are kept as they are.
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function toSheetNames(names) {
+  const used = new Set();
+  return names.map((raw, idx) => {
+    const base = (String(raw || '').replace(/[[\]:*?/\\]/g, '_').replace(/^'+|'+$/g, '').trim() || `Sheet${idx + 1}`)
+      .slice(0, MAX_SHEET_NAME_LENGTH);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function worksheetXml(rows) {
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const widths = Array.from({ length: columnCount }, (_, col) => {
+    const longest = rows.reduce((max, row) => Math.max(max, String(row[col] ?? '').length), 0);
+    return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest + 2));
+  });
+
+  const cols = widths.length
+    ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const text = String(value ?? '').slice(0, MAX_CELL_LENGTH);
+      if (!text) return '';
+      const style = r === 0 ? ' s="1"' : '';
+      return `<c r="${columnName(c)}${r + 1}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+    '</sheetView></sheetViews>' +
+    cols +
+    `<sheetData>${sheetRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * Build an XLSX workbook. Every sheet's first row is its header: bold, with the pane frozen below
+ * it. All cells are written as text.
+ * @param {Array<{ name: string, rows: string[][] }>} sheets sheet names are made valid and unique
+ * @returns {Uint8Array} the .xlsx file
+ */
+export function buildXlsxWorkbook(sheets) {
+  if (!sheets.length) throw new Error('A workbook needs at least one sheet');
+
+  const encoder = new TextEncoder();
+  const names = toSheetNames(sheets.map(sheet => sheet.name));
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      text: xml +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      text: xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: xml +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((_, i) =>
+          `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', text: STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, text: worksheetXml(sheet.rows) }))
+  ];
+
+  return createZip(files.map(({ name, text }) => ({ name, data: encoder.encode(text) })));
+}
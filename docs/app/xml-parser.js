@@ -0,0 +1,399 @@
+// app/xml-parser.js
+// Minimal namespace-aware XML reader – ES module, pure, no DOM dependency.
+// Used by the RDF/XML parser so XML ontologies parse the same way in the browser and in Jest.
+
+import { logEvent, logError } from './core.js';
+
+export const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const PREDEFINED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const MAX_ENTITY_DEPTH = 8;
+const MAX_ENTITY_EXPANSION = 1_000_000;
+
+/**
+ * Convert a character offset into 1-based line / column numbers.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+export function offsetToLineColumn(text, offset) {
+  let line = 1;
+  let lastNewline = -1;
+  const end = Math.min(offset, text.length);
+  for (let i = 0; i < end; i++) {
+    if (text.charCodeAt(i) === 10) {
+      line++;
+      lastNewline = i;
+    }
+  }
+  return { line, column: offset - lastNewline };
+}
+
+/**
+ * Build an Error carrying line/column context (same `context` shape N3 uses for its parse errors).
+ * @param {string} message
+ * @param {string} text
+ * @param {number} offset
+ * @returns {Error}
+ */
+function createXmlError(message, text, offset) {
+  const { line, column } = offsetToLineColumn(text, offset);
+  const err = new Error(`${message} (line ${line}, column ${column})`);
+  err.context = { line, column, offset };
+  return err;
+}
+
+/**
+ * Replace character and entity references. Custom entities come from the DOCTYPE internal subset.
+ * @param {string} raw
+ * @param {Map<string, string>} entities
+ * @param {string} text      full source (for error positions)
+ * @param {number} offset    position of `raw` in the source
+ * @param {number} [depth]
+ * @returns {string}
+ */
+function expandReferences(raw, entities, text, offset, depth = 0) {
+  if (raw.indexOf('&') === -1) return raw;
+
+  const expanded = raw.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_:][\w.:-]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, ref)) {
+      return PREDEFINED_ENTITIES[ref];
+    }
+    if (entities.has(ref)) {
+      if (depth >= MAX_ENTITY_DEPTH) {
+        throw createXmlError(`Entity "&${ref};" is nested too deeply`, text, offset);
+      }
+      return expandReferences(entities.get(ref), entities, text, offset, depth + 1);
+    }
+    throw createXmlError(`Undefined entity "&${ref};"`, text, offset);
+  });
+
+  if (expanded.length > MAX_ENTITY_EXPANSION) {
+    throw createXmlError('Entity expansion exceeds the allowed size', text, offset);
+  }
+  return expanded;
+}
+
+/**
+ * Parse an XML document into a light element tree.
+ *
+ * Element nodes:
+ *   { type: 'element', name, prefix, localName, namespaceUri,
+ *     attributes: [{ name, prefix, localName, namespaceUri, value }],
+ *     namespaces: Record<prefix, uri>,   // xmlns declarations made on this element ('' = default)
+ *     children: Array<element|text>, offset, innerStart, innerEnd }
+ * Text nodes:
+ *   { type: 'text', value }
+ *
+ * xmlns attributes are not listed in `attributes`. Comments and processing instructions are dropped.
+ * Entities declared in the DOCTYPE internal subset (common in Protégé output) are expanded.
+ *
+ * @param {string} text
+ * @returns {{ root: object, source: string }}
+ */
+export function parseXml(text) {
+  const fnName = 'parseXml';
+  logEvent(fnName, 'start', { length: text?.length ?? 0 });
+
+  try {
+    const src = String(text ?? '');
+    const len = src.length;
+    const entities = new Map();
+    const stack = [];
+    let pos = src.charCodeAt(0) === 0xfeff ? 1 : 0;
+    let root = null;
+
+    const fail = (message, at = pos) => {
+      throw createXmlError(message, src, at);
+    };
+
+    const skipPast = (terminator, what) => {
+      const end = src.indexOf(terminator, pos);
+      if (end === -1) fail(`Unterminated ${what}`);
+      pos = end + terminator.length;
+    };
+
+    const appendText = value => {
+      const parent = stack[stack.length - 1];
+      const last = parent.children[parent.children.length - 1];
+      if (last && last.type === 'text') {
+        last.value += value;
+      } else {
+        parent.children.push({ type: 'text', value });
+      }
+    };
+
+    // Skip a markup declaration (<!ELEMENT ...>, <!ATTLIST ...>) honouring quoted strings.
+    const skipDeclaration = () => {
+      let quote = null;
+      while (pos < len) {
+        const ch = src[pos++];
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+          quote = ch;
+        } else if (ch === '>') {
+          return;
+        }
+      }
+      fail('Unterminated DOCTYPE declaration');
+    };
+
+    const parseDoctype = () => {
+      pos += '<!DOCTYPE'.length;
+      let quote = null;
+      while (pos < len) {
+        const ch = src[pos];
+        if (quote) {
+          if (ch === quote) quote = null;
+          pos++;
+          continue;
+        }
+        if (ch === '"' || ch === "'") {
+          quote = ch;
+          pos++;
+        } else if (ch === '>') {
+          pos++;
+          return;
+        } else if (ch === '[') {
+          pos++;
+          parseInternalSubset();
+        } else {
+          pos++;
+        }
+      }
+      fail('Unterminated DOCTYPE');
+    };
+
+    const entityDecl = /<!ENTITY\s+(%\s+)?([^\s%>]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/y;
+
+    const parseInternalSubset = () => {
+      while (pos < len) {
+        if (src[pos] === ']') {
+          pos++;
+          return;
+        }
+        if (src.startsWith('<!--', pos)) {
+          skipPast('-->', 'comment');
+        } else if (src.startsWith('<?', pos)) {
+          skipPast('?>', 'processing instruction');
+        } else if (src.startsWith('<!ENTITY', pos)) {
+          entityDecl.lastIndex = pos;
+          const m = entityDecl.exec(src);
+          if (m) {
+            // Parameter entities (%name;) are only meaningful inside the DTD; ignore them.
+            if (!m[1]) entities.set(m[2], m[3] ?? m[4]);
+            pos = entityDecl.lastIndex;
+          } else {
+            skipDeclaration(); // external (SYSTEM/PUBLIC) entities are never fetched
+          }
+        } else if (src[pos] === '<') {
+          skipDeclaration();
+        } else {
+          pos++;
+        }
+      }
+      fail('Unterminated DOCTYPE internal subset');
+    };
+
+    const tagName = /[^\s/>=]+/y;
+    const attribute = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+    const resolvePrefix = (prefix, scope, at) => {
+      if (prefix === 'xml') return XML_NS;
+      if (!scope.has(prefix)) fail(`Unbound namespace prefix "${prefix}"`, at);
+      return scope.get(prefix);
+    };
+
+    const splitName = name => {
+      const idx = name.indexOf(':');
+      return idx === -1
+        ? { prefix: '', localName: name }
+        : { prefix: name.slice(0, idx), localName: name.slice(idx + 1) };
+    };
+
+    const parseStartTag = () => {
+      const start = pos;
+      pos++;
+      tagName.lastIndex = pos;
+      const nameMatch = tagName.exec(src);
+      if (!nameMatch) fail('Invalid element name');
+      const name = nameMatch[0];
+      pos = tagName.lastIndex;
+
+      const rawAttributes = [];
+      let selfClosing = false;
+      for (;;) {
+        while (pos < len && /\s/.test(src[pos])) pos++;
+        if (pos >= len) fail(`Unterminated start tag <${name}>`, start);
+        if (src.startsWith('/>', pos)) {
+          selfClosing = true;
+          pos += 2;
+          break;
+        }
+        if (src[pos] === '>') {
+          pos++;
+          break;
+        }
+        attribute.lastIndex = pos;
+        const m = attribute.exec(src);
+        if (!m) fail(`Malformed attribute in <${name}>`);
+        const rawValue = (m[2] ?? m[3]).replace(/[\t\n\r]/g, ' ');
+        rawAttributes.push({ name: m[1], value: expandReferences(rawValue, entities, src, pos) });
+        pos = attribute.lastIndex;
+      }
+
+      const parent = stack[stack.length - 1];
+      let scope = parent ? parent.scope : new Map([['', '']]);
+      const namespaces = {};
+      rawAttributes.forEach(a => {
+        if (a.name === 'xmlns' || a.name.startsWith('xmlns:')) {
+          const prefix = a.name === 'xmlns' ? '' : a.name.slice(6);
+          namespaces[prefix] = a.value;
+        }
+      });
+      if (Object.keys(namespaces).length) {
+        scope = new Map(scope);
+        Object.entries(namespaces).forEach(([p, uri]) => scope.set(p, uri));
+      }
+
+      const { prefix, localName } = splitName(name);
+      const element = {
+        type: 'element',
+        name,
+        prefix,
+        localName,
+        namespaceUri: resolvePrefix(prefix, scope, start) || null,
+        attributes: rawAttributes
+          .filter(a => a.name !== 'xmlns' && !a.name.startsWith('xmlns:'))
+          .map(a => {
+            const parts = splitName(a.name);
+            return {
+              name: a.name,
+              prefix: parts.prefix,
+              localName: parts.localName,
+              // unprefixed attributes are in no namespace (the default namespace does not apply)
+              namespaceUri: parts.prefix ? resolvePrefix(parts.prefix, scope, start) : null,
+              value: a.value
+            };
+          }),
+        namespaces,
+        children: [],
+        offset: start,
+        innerStart: pos,
+        innerEnd: pos
+      };
+
+      if (parent) {
+        parent.element.children.push(element);
+      } else if (root) {
+        fail('Document has more than one root element', start);
+      } else {
+        root = element;
+      }
+
+      if (!selfClosing) {
+        stack.push({ element, scope, children: element.children });
+      }
+    };
+
+    const parseEndTag = () => {
+      const start = pos;
+      pos += 2;
+      tagName.lastIndex = pos;
+      const m = tagName.exec(src);
+      const name = m ? m[0] : '';
+      pos = m ? tagName.lastIndex : pos;
+      while (pos < len && /\s/.test(src[pos])) pos++;
+      if (src[pos] !== '>') fail(`Malformed end tag </${name}>`, start);
+      pos++;
+
+      const open = stack.pop();
+      if (!open) fail(`Unexpected end tag </${name}>`, start);
+      if (open.element.name !== name) {
+        fail(`Mismatched end tag: expected </${open.element.name}> but found </${name}>`, start);
+      }
+      open.element.innerEnd = start;
+    };
+
+    while (pos < len) {
+      if (src.startsWith('<!--', pos)) {
+        skipPast('-->', 'comment');
+      } else if (src.startsWith('<![CDATA[', pos)) {
+        if (!stack.length) fail('CDATA section outside the root element');
+        const contentStart = pos + 9;
+        skipPast(']]>', 'CDATA section');
+        appendText(src.slice(contentStart, pos - 3));
+      } else if (src.startsWith('<?', pos)) {
+        skipPast('?>', 'processing instruction');
+      } else if (src.startsWith('<!DOCTYPE', pos)) {
+        parseDoctype();
+      } else if (src.startsWith('</', pos)) {
+        parseEndTag();
+      } else if (src[pos] === '<') {
+        parseStartTag();
+      } else {
+        const next = src.indexOf('<', pos);
+        const end = next === -1 ? len : next;
+        const raw = src.slice(pos, end);
+        if (stack.length) {
+          appendText(expandReferences(raw, entities, src, pos));
+        } else if (raw.trim()) {
+          fail('Text content outside the root element');
+        }
+        pos = end;
+      }
+    }
+
+    if (stack.length) {
+      const open = stack[stack.length - 1].element;
+      fail(`Unclosed element <${open.name}>`, open.offset);
+    }
+    if (!root) fail('No root element found');
+
+    logEvent(fnName, 'parsed', { root: root.name });
+    return { root, source: src };
+  } catch (err) {
+    logError(fnName, err);
+    throw err;
+  }
+}
+
+/**
+ * Child elements of an element node (text nodes skipped).
+ * @param {object} element
+ * @returns {object[]}
+ */
+export function getChildElements(element) {
+  return element.children.filter(c => c.type === 'element');
+}
+
+/**
+ * Concatenated text content of an element's direct text children.
+ * @param {object} element
+ * @returns {string}
+ */
+export function getTextContent(element) {
+  return element.children
+    .filter(c => c.type === 'text')
+    .map(c => c.value)
+    .join('');
+}
+
+/**
+ * Find an attribute value by namespace URI and local name.
+ * @param {object} element
+ * @param {string|null} namespaceUri
+ * @param {string} localName
+ * @returns {string|null}
+ */
+export function getAttributeNS(element, namespaceUri, localName) {
+  const attr = element.attributes.find(a =>
+    a.namespaceUri === namespaceUri && a.localName === localName
+  );
+  return attr ? attr.value : null;
+}